@@ -9,6 +9,33 @@ const ContentGenerator = require("../src/content-generator");
 const FileManager = require("../src/file-manager");
 const SEOOptimizer = require("../src/seo-optimizer");
 const GeminiWorkflowParser = require("../src/gemini-workflow-parser");
+const BatchRunner = require("../src/batch-runner");
+const InternalLinker = require("../src/internal-linker");
+const RewriteOptimizer = require("../src/rewrite-optimizer");
+const SectionRewriter = require("../src/section-rewriter");
+const { loadPost, getPreservedFields } = require("../src/post-loader");
+const { PUBLISHERS, createPublisher } = require("../src/publishers");
+const ResponseCache = require("../src/response-cache");
+const ModelRegistry = require("../src/model-registry");
+const Governor = require("../src/governor");
+const {
+  getPrices,
+  priceAttempt,
+  summarizeUsage,
+  buildUsageReport,
+} = require("../src/usage");
+const {
+  PROVIDERS,
+  createProvider,
+  getProviderOptions,
+} = require("../src/providers");
+const {
+  loadConfig,
+  getActiveConfig,
+  setActiveConfig,
+  parseOverrides,
+  describeConfig,
+} = require("../src/config");
 
 // Display banner
 function showBanner() {
@@ -37,14 +64,9 @@ function showBanner() {
   console.log("");
 }
 
-
-// Load environment variables
-require('dotenv').config();
-
-
-// Get API key from environment
+// Get API key from config (GEMINI_API_KEY or LLM_API_KEY)
 function getAPIKey() {
-  const apiKey = process.env.GEMINI_API_KEY;
+  const apiKey = getProviderOptions(getConfig()).apiKey;
   
   if (apiKey) {
     console.log(chalk.blue('🔑 Using API key from environment'));
@@ -57,88 +79,124 @@ function getAPIKey() {
   process.exit(1);
 }
 
-// Get configuration from environment
+// Create the configured LLM provider (Gemini by default)
+function getProvider() {
+  const providerOptions = getProviderOptions(getConfig());
+
+  if (providerOptions.name === "gemini") {
+    providerOptions.apiKey = getAPIKey();
+  }
+
+  try {
+    const provider = createProvider(providerOptions);
+    console.log(chalk.blue(`🔌 Using ${provider.displayName} provider`));
+    return provider;
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    console.log(
+      chalk.yellow(
+        `Set LLM_PROVIDER to one of: ${Object.keys(PROVIDERS).join(", ")}`
+      )
+    );
+    process.exit(1);
+  }
+}
+
+// Effective configuration: defaults → config file → env → CLI flags
 function getConfig() {
-  return {
-    apiKey: process.env.GEMINI_API_KEY,
-    websiteUrl: process.env.WEBSITE_URL || 'https://yoursite.com',
-    outputDir: process.env.DEFAULT_OUTPUT_DIR || './blog-posts'
-  };
+  return getActiveConfig().values;
 }
 
+// Live output while a post streams in: a word counter, the text itself, or nothing
+const STREAM_MODES = ["words", "text", "off"];
 
-function generateImprovementPrompt(originalContent, analysis, keyword, targetScore) {
-  const issues = analysis.suggestions;
-  let improvementInstructions = [];
-  
-  // Build specific improvement instructions based on issues
-  issues.forEach(issue => {
-    switch (issue.type) {
-      case 'content':
-        if (issue.message.includes('too short')) {
-          improvementInstructions.push('- Expand the content with more detailed sections, examples, and actionable advice');
-          improvementInstructions.push('- Add more comprehensive coverage of the topic with deeper insights');
-        }
-        break;
-      case 'keywords':
-        if (issue.message.includes('low')) {
-          improvementInstructions.push(`- Naturally integrate more variations of "${keyword}" throughout the content`);
-          improvementInstructions.push('- Include related keywords and synonyms in headings and paragraphs');
-        } else {
-          improvementInstructions.push(`- Reduce keyword stuffing and make "${keyword}" usage more natural`);
-        }
-        break;
-      case 'structure':
-        improvementInstructions.push('- Improve heading hierarchy with proper H1, H2, H3 structure');
-        improvementInstructions.push('- Add more subheadings to break up content into digestible sections');
-        break;
-      case 'readability':
-        improvementInstructions.push('- Use shorter sentences and simpler language');
-        improvementInstructions.push('- Add more bullet points, lists, and structured formatting');
-        break;
+// Collect repeatable option values
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// "--model gpt-4o" picks the generation model, "--model parsing=gemini-2.0-flash" another task's
+function parseModelSelection(values = []) {
+  const selected = {};
+  values.forEach((value) => {
+    const separator = value.indexOf("=");
+    const task = separator === -1 ? "generation" : value.substring(0, separator).trim();
+    const model = value.substring(separator + 1).trim();
+    if (!ModelRegistry.ROLES.includes(task) || !model) {
+      throw new Error(`Invalid --model "${value}". Use <model> or <task>=<model> with task ${ModelRegistry.ROLES.join(" or ")}`);
     }
+    selected[task] = model;
   });
-  
-  const currentWordCount = analysis.wordCount;
-  const targetWordCount = Math.max(1400, currentWordCount + 200);
-  
-  return `Please rewrite and significantly improve the following blog post to achieve better SEO optimization. 
-
-ORIGINAL CONTENT TO IMPROVE:
-${originalContent}
-
-SPECIFIC IMPROVEMENT REQUIREMENTS:
-${improvementInstructions.join('\n')}
-
-TARGET SEO GOALS:
-- Primary keyword: "${keyword}" with 1.5-2.5% density (natural integration)
-- Target word count: ${targetWordCount}+ words
-- SEO score target: ${targetScore}%+
-- Better heading structure with clear H1, H2, H3 hierarchy
-- Improved readability with shorter paragraphs and clearer language
-- More actionable insights and practical advice
-- Enhanced user engagement and value
-
-CONTENT REQUIREMENTS:
-- Keep the IT job market focus and professional tone
-- Expand with more detailed examples and case studies
-- Add more structured lists and bullet points for readability
-- Include more actionable career advice and specific tips
-- Integrate backlinks to ${process.env.WEBSITE_URL} naturally (1-2 times)
-- Use current market data and trends (2025 context)
-- Make the content more comprehensive and authoritative
-
-STRUCTURE REQUIREMENTS:
-- Clear H1 title with keyword integration
-- Multiple H2 sections for main topics
-- H3 subsections for detailed coverage
-- Bullet points and lists for key information
-- Strong introduction and conclusion
-- Logical flow between sections
-
-Generate a completely rewritten, expanded, and SEO-optimized version that addresses all the identified issues while maintaining high quality and value for IT professionals.`;
+  return selected;
+}
+
+// Registry details of a model for `bloggen info`
+function describeModel(entry) {
+  if (!entry) return "not in the model registry";
+
+  const parts = [`for ${entry.roles.join(", ") || "nothing (retired)"}`];
+  if (entry.contextTokens) parts.push(`${entry.contextTokens.toLocaleString()} token context`);
+  parts.push(entry.price ? `$${entry.price.input}/$${entry.price.output} per 1M tokens` : "free");
+  if (entry.capabilities.length > 0) parts.push(entry.capabilities.join(", "));
+  return parts.join(" · ");
+}
+
+// Live model health kept by the governor between runs
+function describeHealth(health) {
+  if (!health) return "";
+  if (health.blockedUntil) {
+    return chalk.red(`⛔ blocked until ${new Date(health.blockedUntil).toLocaleTimeString()}: ${health.lastError}`);
+  }
+  if (health.recentFailures > 0) {
+    return chalk.yellow(`⚠️  ${health.recentFailures} recent failures, last: ${health.lastError}`);
+  }
+  if (health.lastSuccessAt) {
+    return chalk.green(`✅ healthy (last success ${new Date(health.lastSuccessAt).toLocaleString()})`);
+  }
+  return chalk.gray("not used yet");
+}
+
+// Format a byte count for `bloggen cache stats`
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Dollar amount with enough digits to show fractions of a cent
+function formatCost(cost) {
+  return `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+// One-line token and cost summary of the model calls behind a post
+function describeUsage(attempts = []) {
+  const summary = summarizeUsage(attempts);
+  const costs = attempts.map((attempt) => priceAttempt(attempt, getPrices(getConfig())));
+  const cost = costs.reduce((total, value) => total + (value || 0), 0);
+  const calls = [
+    `${summary.calls} call${summary.calls === 1 ? "" : "s"}`,
+    summary.failedCalls ? `${summary.failedCalls} failed` : null,
+    summary.cachedCalls ? `${summary.cachedCalls} cached` : null,
+  ].filter(Boolean);
+
+  return `${summary.totalTokens.toLocaleString()} tokens${summary.estimated ? " (estimated)" : ""}, ${calls.join(", ")}, ${formatCost(cost)}${
+    costs.includes(null) ? " + unpriced models" : ""
+  }`;
 }
 
+// Format a config value for `bloggen info`
+function formatConfigValue(value) {
+  if (value === null || value === undefined) return chalk.gray("(not set)");
+  if (typeof value === "object" && !Array.isArray(value)) return chalk.gray("(none)");
+  if (Array.isArray(value)) {
+    return value.every((item) => typeof item === "string")
+      ? value.join(", ")
+      : `${value.length} entries`;
+  }
+  return String(value);
+}
+
+
 // Validate topic for IT job market relevance
 function validateTopic(topic) {
   const itKeywords = [
@@ -197,71 +255,6 @@ function generateFilename(topic) {
   return `${date}-${slug}.txt`;
 }
 
-// Format output content
-function formatOutput(result) {
-  const { content, metadata } = result;
-  const seoData = extractSEOData(content);
-
-  return `=== BLOG POST METADATA ===
-Title: ${seoData.title}
-Meta Description: ${seoData.metaDescription}
-Keywords: ${seoData.keywords}
-Generated: ${new Date().toLocaleString()}
-Model Used: ${metadata.modelUsed}
-Word Count: ${metadata.wordCount}
-Backlinks: ${metadata.backlinksIncluded}
-Topic: ${metadata.topic}
-
-=== SEO CONTENT ===
-${content}
-
-=== GENERATION INFO ===
-- Generated by Bloggen CLI
-- Optimized for IT job market
-- SEO-ready with integrated backlinks
-- Date: ${metadata.generatedAt}
-- Slug: ${metadata.slug}`;
-}
-
-// Extract SEO data from content
-function extractSEOData(content) {
-  const titleMatch = content.match(/^#\s+(.+)$/m);
-  const title = titleMatch ? titleMatch[1].trim() : "IT Job Market Insights";
-
-  // Generate meta description from first paragraph
-  const paragraphs = content
-    .split("\n\n")
-    .filter(
-      (p) =>
-        p.trim() &&
-        !p.startsWith("#") &&
-        !p.startsWith("*") &&
-        !p.startsWith("-")
-    );
-
-  let metaDescription =
-    "Expert insights on the IT job market with actionable career advice for tech professionals.";
-  if (paragraphs.length > 0) {
-    let desc = paragraphs[0].replace(/\*\*|__|##|#/g, "").trim();
-    if (desc.length > 160) {
-      desc = desc.substring(0, 157) + "...";
-    }
-    metaDescription = desc;
-  }
-
-  // Extract keywords
-  const commonKeywords = [
-    "IT jobs",
-    "tech careers",
-    "developer",
-    "programming",
-    "software engineer",
-  ];
-  const keywords = commonKeywords.join(", ");
-
-  return { title, metaDescription, keywords };
-}
-
 // Main generate command
 async function generateBlog(topic, options) {
   try {
@@ -283,9 +276,9 @@ async function generateBlog(topic, options) {
     const actualTopic = topic || "IT Job Market Analysis";
     validateTopic(actualTopic);
 
-    // Get API key
-    const apiKey = getAPIKey();
-    const generator = new ContentGenerator(apiKey);
+    // Get LLM provider
+    const provider = getProvider();
+    const generator = new ContentGenerator(null, { provider });
 
     // Show generation info
     console.log(chalk.green("🚀 Starting blog generation..."));
@@ -307,7 +300,7 @@ async function generateBlog(topic, options) {
     spinner.succeed("Content generated successfully!");
     const seoSpinner = ora("Optimizing content for SEO...").start();
 
-    const seoOptimizer = new SEOOptimizer(process.env.WEBSITE_URL);
+    const seoOptimizer = new SEOOptimizer();
     const seoAnalysis = seoOptimizer.optimizeContent(
       result.content,
       actualTopic,
@@ -328,6 +321,7 @@ async function generateBlog(topic, options) {
     const fileInfo = await fileManager.saveBlogPost(enhancedResult, {
       filename: options.output,
       outputDir: options.dir,
+      formats: options.format,
     });
 
     // Enhanced success feedback with SEO metrics and JSON format
@@ -347,6 +341,7 @@ async function generateBlog(topic, options) {
       chalk.blue(`🔑 Keywords: ${JSON.parse(enhancedResult.content).keywords}`)
     );
     console.log(chalk.blue(`🤖 Model: ${result.metadata.modelUsed}`));
+    console.log(chalk.blue(`💰 Usage: ${describeUsage(result.metadata.usage)}`));
     // Show JSON preview
     const jsonData = JSON.parse(enhancedResult.content);
     console.log(chalk.gray("\n📖 JSON Structure Preview:"));
@@ -391,7 +386,50 @@ program
   .description(
     "AI-powered CLI for generating SEO-optimized IT job market blog posts"
   )
-  .version("1.0.0");
+  .version("1.0.0")
+  .option("--config <file>", "Path to a bloggen config file")
+  .option(
+    "--set <key=value>",
+    "Override a config value, e.g. --set seo.wordCount.min=800 (repeatable)",
+    collect,
+    []
+  )
+  .option("--no-cache", "Call the model even when a cached response exists")
+  .option(
+    "--model <[task=]model>",
+    "Try this model first for generation, or for a task (parsing=<model>) (repeatable)",
+    collect,
+    []
+  )
+  .hook("preAction", (thisCommand, actionCommand) => {
+    const options = program.opts();
+
+    try {
+      const overrides = parseOverrides(options.set);
+      if (options.cache === false) {
+        overrides.cache = { ...overrides.cache, enabled: false };
+      }
+
+      // Commands with their own --model filter (list, cache clear) get it back
+      if (actionCommand !== program && actionCommand.options.some((option) => option.long === "--model")) {
+        if (options.model.length > 0 && actionCommand.opts().model === undefined) {
+          actionCommand.setOptionValue("model", options.model[options.model.length - 1]);
+        }
+      } else if (options.model.length > 0) {
+        overrides.models = { ...overrides.models, selected: parseModelSelection(options.model) };
+      }
+
+      setActiveConfig(
+        loadConfig({
+          configPath: options.config,
+          overrides,
+        })
+      );
+    } catch (error) {
+      console.log(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
 
 // Main generate command
 // program
@@ -407,15 +445,39 @@ program
   .action(() => {
     showBanner();
 
-    const config = getConfig();
+    const activeConfig = getActiveConfig();
+    const config = activeConfig.values;
+    const providerOptions = getProviderOptions(config);
+
+    const providerName = config.provider.name;
+    const needsApiKey = providerName === "gemini";
 
     console.log("📊 Configuration Status:");
-    console.log(`API Key: ${config.apiKey ? "✅ Set" : "❌ Not set"}`);
-    console.log(`Website URL: ${config.websiteUrl}`);
-    console.log(`Output Directory: ${config.outputDir}`);
+    console.log(`Config file: ${activeConfig.file || "(none)"}`);
+    console.log(`LLM Provider: ${providerName}`);
+    if (needsApiKey) {
+      console.log(`API Key: ${providerOptions.apiKey ? "✅ Set" : "❌ Not set"}`);
+    } else if (providerName === "mock") {
+      console.log(
+        `Fixtures: ${config.provider.fixturesDir}${
+          config.provider.strict ? " (strict)" : ""
+        }`
+      );
+    } else {
+      console.log(`Base URL: ${config.provider.baseUrl || "(provider default)"}`);
+      console.log(`API Key: ${providerOptions.apiKey ? "✅ Set" : "➖ Not set"}`);
+    }
+    if (config.provider.record) {
+      console.log(`Recording fixtures to: ${config.provider.fixturesDir}`);
+    }
+    console.log(
+      `Response cache: ${
+        config.cache.enabled ? config.cache.directory : "off"
+      }${providerName === "mock" ? " (not used with mock)" : ""}`
+    );
     console.log("");
 
-    if (!config.apiKey) {
+    if (needsApiKey && !providerOptions.apiKey) {
       console.log(chalk.yellow("⚠️  Missing API key in .env file"));
       console.log(
         chalk.blue("Create a .env file with: GEMINI_API_KEY=your_key")
@@ -423,14 +485,36 @@ program
       console.log("");
     }
 
-    console.log("🤖 Available Flash Models:");
-    console.log("- gemini-2.5-flash (Primary)");
-    console.log("- gemini-2.5-flash-lite");
-    console.log("- gemini-2.0-flash");
-    console.log("- gemini-2.0-flash-lite");
-    console.log("- gemini-1.5-flash");
-    console.log("- gemini-1.5-flash-8b (Fallback)");
+    console.log("⚙️  Effective Configuration:");
+    describeConfig(activeConfig).forEach((row) => {
+      console.log(
+        `${row.path}: ${formatConfigValue(row.value)} ${chalk.gray(
+          `[${row.source}]`
+        )}`
+      );
+    });
     console.log("");
+
+    const registry = new ModelRegistry(config);
+    const governor = new Governor(config.limits);
+    const inChains = new Set();
+
+    ModelRegistry.ROLES.forEach((role) => {
+      console.log(`🤖 ${role === "parsing" ? "Parsing" : "Generation"} models${config.models.fallback ? "" : " (no fallback)"}:`);
+      registry.describeChain(role, governor).forEach((model) => {
+        inChains.add(model.name);
+        const label = model.position === 0 ? (model.selected ? "Selected" : "Primary") : `Fallback ${model.position}`;
+        console.log(`${model.position + 1}. ${model.name} (${label}) ${describeHealth(model.health)}`);
+        console.log(chalk.gray(`   ${describeModel(model.entry)}`));
+      });
+      console.log("");
+    });
+
+    const others = registry.list().filter((entry) => !inChains.has(entry.name) && entry.roles.length > 0);
+    if (others.length > 0) {
+      console.log(chalk.gray(`Also available (--model <name>): ${others.map((entry) => entry.name).join(", ")}`));
+      console.log("");
+    }
   });
 
 // Help override with examples
@@ -455,6 +539,9 @@ program.on("--help", () => {
   console.log(
     '  $ bloggen analyze filename.json --keyword "Python"             # Analyze existing content'
   );
+  console.log(
+    "  $ bloggen batch topics.csv --concurrency 3                     # Batch from topics file"
+  );
   console.log("");
   console.log("Workflow Instructions Support:");
   console.log(
@@ -471,15 +558,31 @@ program
   .argument("[instruction]", "Blog topic (IT job market focused)")
   .description("Generate content from natural language instructions")
   .option("-o, --output <filename>", "Custom output filename")
+  .option(
+    "-f, --format <formats>",
+    "Output formats: json, markdown, html, text (comma separated)",
+    "json"
+  )
   .option("--preview", "Show parsed workflow without generating content")
+  .option("--no-internal-links", "Don't give the model related posts to link to")
+  .option(
+    "--stream <mode>",
+    `Live output while generating: ${STREAM_MODES.join(", ")}`,
+    "words"
+  )
   .action(async (instruction, options) => {
     try {
       showBanner();
 
-      const apiKey = getAPIKey();
+      // Fail on a bad --format or --stream before spending any API calls
+      const formats = new FileManager().normalizeFormats(options.format);
+      if (!STREAM_MODES.includes(options.stream)) {
+        throw new Error(`Unknown --stream mode "${options.stream}". Use: ${STREAM_MODES.join(", ")}`);
+      }
+      const provider = getProvider();
 
-      // Parse instruction with Gemini
-      const parser = new GeminiWorkflowParser(apiKey);
+      // Parse instruction with the configured provider
+      const parser = new GeminiWorkflowParser(null, { provider });
       const workflow = await parser.parseInstruction(instruction);
 
       console.log(chalk.green("✅ Instruction parsed successfully!"));
@@ -550,19 +653,91 @@ program
         return;
       }
 
-      // Generate content based on workflow
-      const generator = new ContentGenerator(apiKey);
+      // Related posts from the library become real internal link targets
+      const linker = new InternalLinker();
+      let relatedPosts = [];
+      if (options.internalLinks) {
+        await linker.buildIndex();
+        relatedPosts = linker
+          .findRelatedToTopic(workflow.topic, workflow.seoKeywords, { limit: 3 })
+          .map((match) => match.post);
+        if (relatedPosts.length > 0) {
+          console.log(chalk.blue(`\n🔗 Related posts to link: ${relatedPosts.length}`));
+          relatedPosts.forEach((post) => {
+            console.log(chalk.gray(`   • ${post.title}`));
+          });
+        }
+      }
+
+      // Generate content based on workflow. Streaming shows progress and
+      // lets Ctrl-C stop early and keep what arrived as a draft
+      const generator = new ContentGenerator(null, { provider });
+      const streaming = options.stream !== "off";
       const contentSpinner = ora(
         "Generating intelligent content based on parsed workflow..."
-      ).start();
+      );
+      if (options.stream !== "text") contentSpinner.start();
+
+      const controller = new AbortController();
+      let interrupted = false;
+      const onInterrupt = () => {
+        if (interrupted) process.exit(130);
+        interrupted = true;
+        controller.abort();
+        console.log(chalk.yellow("\n⏹  Cancelling... press Ctrl-C again to quit without saving"));
+      };
+      if (streaming) process.on("SIGINT", onInterrupt);
 
-      const result = await generator.generateWorkflowContent(workflow);
+      let result;
+      try {
+        result = await generator.generateWorkflowContent(workflow, {
+          relatedPosts,
+          stream: streaming,
+          signal: controller.signal,
+          onText: (piece, text) => {
+            if (options.stream === "text") {
+              process.stdout.write(piece);
+            } else {
+              contentSpinner.text = `Generating content... ${generator.countWords(text)} words`;
+            }
+          },
+          onEnd: () => {
+            if (options.stream === "text") process.stdout.write("\n\n");
+          },
+        });
+      } catch (error) {
+        if (!error.cancelled || !error.result) throw error;
+
+        const partial = error.result;
+        contentSpinner.warn(`Generation cancelled after ${partial.metadata.wordCount} words`);
+        if (partial.metadata.wordCount === 0) {
+          console.log(chalk.gray("Nothing was generated yet; no draft saved"));
+        } else {
+          const fileManager = new FileManager();
+          const draftName = `${fileManager.stripFormatExtension(
+            fileManager.generateFilename(workflow.topic, options.output)
+          )}-draft`;
+          const draftInfo = await fileManager.saveBlogPost(
+            {
+              ...partial,
+              seo: new SEOOptimizer().optimizeContent(partial.content, workflow.topic, partial.metadata),
+              workflow,
+            },
+            { filename: draftName, formats }
+          );
+          console.log(chalk.yellow(`📝 Partial draft saved: ${draftInfo.filepath}`));
+        }
+        process.exitCode = 130;
+        return;
+      } finally {
+        process.removeListener("SIGINT", onInterrupt);
+      }
 
       contentSpinner.succeed("Content generated successfully!");
 
       // SEO optimization
       const seoSpinner = ora("Optimizing content for SEO...").start();
-      const seoOptimizer = new SEOOptimizer(process.env.WEBSITE_URL);
+      const seoOptimizer = new SEOOptimizer();
       const seoAnalysis = seoOptimizer.optimizeContent(
         result.content,
         workflow.topic,
@@ -582,11 +757,14 @@ program
 
       const fileInfo = await fileManager.saveBlogPost(enhancedResult, {
         filename: options.output,
+        formats,
       });
 
       // Success feedback
       console.log(chalk.green("\n✅ Intelligent blog post generated!"));
-      console.log(chalk.blue(`📄 File: ${fileInfo.filepath}`));
+      fileInfo.files.forEach((savedFile) => {
+        console.log(chalk.blue(`📄 File (${savedFile.format}): ${savedFile.filepath}`));
+      });
       console.log(
         chalk.blue(
           `🎯 Content Type: ${workflow.contentType} for ${workflow.audience}`
@@ -604,6 +782,7 @@ program
         )
       );
       console.log(chalk.blue(`🤖 Model: ${result.metadata.modelUsed}`));
+      console.log(chalk.blue(`💰 Usage: ${describeUsage(result.metadata.usage)}`));
 
       if (seoAnalysis.suggestions.length > 0) {
         console.log(chalk.yellow("\n💡 SEO Suggestions:"));
@@ -611,65 +790,537 @@ program
           console.log(`   ${index + 1}. ${suggestion.message}`);
         });
       }
+
+      const jsonFile = fileInfo.files.find((savedFile) => savedFile.format === "json");
+      if (options.internalLinks && jsonFile && linker.posts.length > 0) {
+        const post = await fileManager.readBlogPost(jsonFile.filepath);
+        const reverse = await linker.suggestReverse(post, { filepath: jsonFile.filepath });
+        if (reverse.length > 0) {
+          console.log(
+            chalk.blue(
+              `\n🔁 ${reverse.length} older posts could link here. Run: bloggen links suggest ${jsonFile.filepath} --reverse`
+            )
+          );
+        }
+      }
     } catch (error) {
       console.log(chalk.red(`❌ Workflow generation failed: ${error.message}`));
       process.exit(1);
     }
   });
 
+// Batch generation from a topics file
+program
+  .command("batch <file>")
+  .description("Generate many posts from a CSV, JSONL or YAML topics file")
+  .option("-c, --concurrency <number>", "Posts generated in parallel", "2")
+  .option("-d, --dir <directory>", "Output directory for generated posts")
+  .option(
+    "-f, --format <formats>",
+    "Output formats: json, markdown, html, text (comma separated)",
+    "json"
+  )
+  .option("-r, --report <file>", "Path for the JSON summary report")
+  .option("-l, --ledger <file>", "Job ledger used to resume interrupted runs")
+  .option("--restart", "Ignore previous progress and regenerate every topic")
+  .option("--budget <usd>", "Refuse to start when the estimated cost is higher (default: limits.batchBudgetUsd)")
+  .action(async (file, options) => {
+    try {
+      showBanner();
+
+      const provider = getProvider();
+      const runner = new BatchRunner({
+        provider,
+        concurrency: options.concurrency,
+        outputDir: options.dir,
+        formats: options.format,
+      });
+
+      const rows = await runner.loadTopics(file);
+      if (rows.length === 0) {
+        console.log(chalk.yellow(`No topics found in ${file}`));
+        return;
+      }
+
+      const ledger = await runner.openLedger(file, options.ledger, options.restart);
+      const alreadySaved = rows.filter((row) => ledger.isComplete(row)).length;
+      if (alreadySaved > 0) {
+        console.log(
+          chalk.blue(
+            `♻️  Resuming: ${alreadySaved}/${rows.length} topics already saved (${ledger.filepath})`
+          )
+        );
+      }
+
+      const budget = options.budget !== undefined ? parseFloat(options.budget) : getConfig().limits.batchBudgetUsd;
+      if (Number.isNaN(budget)) {
+        throw new Error(`Invalid --budget "${options.budget}"`);
+      }
+      const estimate = runner.estimateRun(rows);
+      if (estimate.rows > 0) {
+        console.log(
+          chalk.blue(
+            `💰 Estimate: up to ${estimate.tokens.toLocaleString()} tokens, ${formatCost(estimate.cost)} for ${estimate.rows} topics`
+          )
+        );
+        if (estimate.unpriced.length > 0) {
+          console.log(chalk.yellow(`⚠️  No price for ${estimate.unpriced.join(", ")}; add them under "pricing" in the config`));
+        }
+      }
+      try {
+        runner.checkBudget(estimate, budget);
+      } catch (error) {
+        console.log(chalk.red(`❌ ${error.message}`));
+        console.log(chalk.blue("Raise --budget or limits in the config, or split the topics file."));
+        process.exit(1);
+      }
+
+      console.log(
+        chalk.green(
+          `🚀 Generating ${rows.length} posts (concurrency ${runner.concurrency})...`
+        )
+      );
+
+      const report = await runner.run(rows);
+      const reportPath = await runner.writeReport(report, options.report);
+
+      console.log(chalk.green("\n📦 Batch complete!"));
+      report.items.forEach((item) => {
+        const label = `${item.index + 1}. ${item.instruction.substring(0, 50)}`;
+        if (item.status === "success") {
+          console.log(
+            chalk.blue(
+              `   ${item.skipped ? "⏭️ " : "✅"} ${label} - ${item.seoGrade} (${item.seoScore}%)`
+            )
+          );
+        } else if (item.status === "pending") {
+          console.log(chalk.gray(`   ⏸️  ${label} - not started`));
+        } else {
+          console.log(
+            chalk.red(`   ❌ ${label} - ${item.error} [${item.errorType}]`)
+          );
+        }
+      });
+      console.log(
+        chalk.blue(
+          `\n📊 Succeeded: ${report.succeeded} (${report.skipped} from earlier runs) | Failed: ${report.failed} | Pending: ${report.pending}`
+        )
+      );
+      if (report.averageSeoScore !== null) {
+        console.log(chalk.blue(`🔍 Average SEO score: ${report.averageSeoScore}%`));
+      }
+      if (provider.hits !== undefined) {
+        console.log(
+          chalk.blue(`💾 Cache: ${provider.hits} responses reused, ${provider.misses} model calls`)
+        );
+      }
+      console.log(chalk.blue(`📄 Report: ${reportPath}`));
+      console.log(chalk.blue(`📒 Ledger: ${report.ledger}`));
+
+      if (report.halted) {
+        console.log(
+          chalk.yellow(
+            `\n⏸️  Stopped early (${report.halted.errorType}): ${report.halted.error}`
+          )
+        );
+        console.log(chalk.blue(`Rerun "bloggen batch ${file}" to resume.`));
+      }
+
+      if (report.failed > 0 || report.pending > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Batch failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Publish a saved post to a blogging platform
+program
+  .command("publish <file>")
+  .description("Publish a post to WordPress, Ghost or Dev.to")
+  .requiredOption(
+    "-t, --target <platform>",
+    `Publishing target: ${Object.keys(PUBLISHERS).join(", ")}`
+  )
+  .option("-s, --status <status>", "draft or published (default: draft, or the current remote status on updates)")
+  .option("--dry-run", "Show the request payload without publishing")
+  .action(async (file, options) => {
+    try {
+      if (options.status && !["draft", "published"].includes(options.status)) {
+        throw new Error('Status must be "draft" or "published"');
+      }
+
+      const fileManager = new FileManager();
+      const post = await loadPost(file, fileManager);
+      const publisher = createPublisher(options.target);
+      const published = post.metadata.published || {};
+      const previous = published[publisher.name];
+      // An update keeps the remote post live (or in draft) unless --status says otherwise
+      const status =
+        options.status ||
+        (previous && ["draft", "published"].includes(previous.status) ? previous.status : "draft");
+
+      if (options.dryRun) {
+        console.log(chalk.blue(`🔍 ${publisher.displayName} payload:`));
+        console.log(JSON.stringify(publisher.buildPayload(post, status), null, 2));
+        return;
+      }
+
+      const spinner = ora(
+        `${previous ? "Updating" : "Publishing"} "${post.title}" on ${publisher.displayName}...`
+      ).start();
+
+      let remote;
+      try {
+        remote = await publisher.publish(post, {
+          status,
+          previous,
+        });
+      } catch (error) {
+        spinner.fail(`${publisher.displayName} publish failed`);
+        throw error;
+      }
+
+      // Record the remote post so later runs update instead of duplicating
+      const { warnings = [], ...record } = remote;
+      if (post.format === "json") {
+        const { format, ...saved } = post;
+        saved.metadata.published = {
+          ...published,
+          [publisher.name]: {
+            ...record,
+            publishedAt: new Date().toISOString(),
+          },
+        };
+        await fileManager.updateBlogPost(file, saved);
+      }
+
+      spinner.succeed(
+        `${previous ? "Updated" : "Published"} on ${publisher.displayName} as ${remote.status}`
+      );
+      warnings.forEach((warning) => console.log(chalk.yellow(`⚠️  ${warning}`)));
+      console.log(chalk.blue(`🆔 Remote ID: ${remote.id}`));
+      if (remote.url) {
+        console.log(chalk.blue(`🔗 URL: ${remote.url}`));
+      }
+      if (post.format === "json") {
+        console.log(chalk.gray(`📄 Recorded in ${file}`));
+      } else {
+        console.log(
+          chalk.yellow("⚠️  Only JSON posts record the remote post; publishing this file again creates a new one")
+        );
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Publish failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // List generated posts
 program
   .command('list')
-  .description('List all generated blog posts')
+  .description('List, filter and search generated blog posts')
   .option('-d, --dir <directory>', 'Directory to list from')
+  .option('-c, --category <name>', 'Only posts in this category (partial match)')
+  .option('-t, --tag <tag>', 'Only posts with this tag')
+  .option('--min-score <score>', 'Minimum SEO score')
+  .option('--max-score <score>', 'Maximum SEO score')
+  .option('--min-words <count>', 'Minimum word count')
+  .option('--max-words <count>', 'Maximum word count')
+  .option('-m, --model <name>', 'Only posts generated by this model (partial match)')
+  .option('--since <date>', 'Generated on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Generated on or before this date (YYYY-MM-DD)')
+  .option('--status <status>', 'Publish status: published, draft, unpublished')
+  .option('-s, --search <query>', 'Full-text search across titles, tags and content')
+  .option('--sort <field>', 'Sort by: date, score, words, title, category, model')
+  .option('--asc', 'Sort ascending (default: descending)')
+  .option('-n, --limit <number>', 'Show at most this many posts')
+  .option('--json', 'Print the matching index entries as JSON')
+  .option('--rebuild', 'Re-read every post instead of using the saved index')
   .action(async (options) => {
-    const fileManager = new FileManager();
-    const posts = await fileManager.listBlogPosts(options.dir);
-    
-    if (posts.length === 0) {
-      console.log(chalk.yellow('No blog posts found.'));
-      return;
+    try {
+      const LibraryIndex = require('../src/library-index');
+      const library = new LibraryIndex({ directory: options.dir });
+      await library.refresh({ rebuild: options.rebuild });
+
+      let posts = library.query({
+        category: options.category,
+        tag: options.tag,
+        minScore: options.minScore,
+        maxScore: options.maxScore,
+        minWords: options.minWords,
+        maxWords: options.maxWords,
+        model: options.model,
+        since: options.since,
+        until: options.until,
+        status: options.status,
+        sort: options.sort,
+        order: options.asc ? 'asc' : 'desc',
+      });
+
+      // Search ranks by relevance unless a sort field was asked for
+      if (options.search) {
+        const ranked = await library.search(options.search, posts);
+        posts = options.sort
+          ? posts.map((post) => ranked.find((match) => match.filepath === post.filepath)).filter(Boolean)
+          : ranked;
+      }
+      if (options.limit) {
+        posts = posts.slice(0, parseInt(options.limit));
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(posts, null, 2));
+        return;
+      }
+
+      if (posts.length === 0) {
+        console.log(chalk.yellow(library.entries.length === 0 ? 'No blog posts found.' : 'No posts match those filters.'));
+        return;
+      }
+
+      console.log(chalk.green(`\n📚 ${posts.length} of ${library.entries.length} blog posts:\n`));
+      console.log(chalk.gray(`   ${'Date'.padEnd(10)}  ${'SEO'.padStart(4)}  ${'Words'.padStart(5)}  ${'Status'.padEnd(11)}  ${'Category'.padEnd(22)}  Title`));
+
+      posts.forEach((post) => {
+        const score = post.seoScore === null ? '-' : `${post.seoScore}%`;
+        const status = post.status === 'published' ? chalk.green(post.status.padEnd(11))
+          : post.status === 'draft' ? chalk.yellow(post.status.padEnd(11)) : chalk.gray(post.status.padEnd(11));
+        const title = post.title.length > 50 ? `${post.title.substring(0, 47)}...` : post.title;
+
+        console.log(`   ${(post.date || '').padEnd(10)}  ${score.padStart(4)}  ${String(post.wordCount).padStart(5)}  ${status}  ${(post.category || '').substring(0, 22).padEnd(22)}  ${title}`);
+        console.log(chalk.gray(`   ${post.filename}${post.modelUsed ? ` · ${post.modelUsed}` : ''}${post.tags.length > 0 ? ` · ${post.tags.slice(0, 4).join(', ')}` : ''}`));
+        if (post.snippet) {
+          console.log(chalk.gray(`   "${post.snippet}"`));
+        }
+      });
+      console.log('');
+    } catch (error) {
+      console.log(chalk.red(`❌ List failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Token usage and cost report
+program
+  .command('usage')
+  .description('Report model token usage and cost by day, month, model, category or post')
+  .option('-d, --dir <directory>', 'Directory of posts (default: output directory)')
+  .option('-b, --by <group>', 'Group by: day, month, model, category, post', 'day')
+  .option('--month <month>', 'Only calls made in this month (YYYY-MM)')
+  .option('--since <date>', 'Only calls made on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Only calls made on or before this date (YYYY-MM-DD)')
+  .option('--json', 'Print the report as JSON')
+  .option('--rebuild', 'Re-read every post instead of using the saved index')
+  .action(async (options) => {
+    try {
+      const LibraryIndex = require('../src/library-index');
+      const library = new LibraryIndex({ directory: options.dir });
+      await library.refresh({ rebuild: options.rebuild });
+
+      const report = buildUsageReport(library.entries, {
+        by: options.by,
+        month: options.month,
+        since: options.since,
+        until: options.until,
+        prices: getPrices(getConfig()),
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+      }
+
+      if (report.rows.length === 0) {
+        console.log(chalk.yellow('No recorded model usage for these posts and dates.'));
+        return;
+      }
+
+      const period = options.month || (options.since || options.until ? `${options.since || '…'} to ${options.until || '…'}` : 'all time');
+      console.log(chalk.green(`\n💰 Model usage by ${report.by} (${period}):\n`));
+      const width = Math.min(50, Math.max(12, ...report.rows.map((row) => row.key.length)));
+      console.log(chalk.gray(`   ${report.by.padEnd(width)}  ${'Posts'.padStart(5)}  ${'Calls'.padStart(5)}  ${'Failed'.padStart(6)}  ${'Cached'.padStart(6)}  ${'Input'.padStart(10)}  ${'Output'.padStart(10)}  ${'Cost'.padStart(10)}`));
+
+      const line = (label, row) =>
+        `   ${label.substring(0, width).padEnd(width)}  ${String(row.posts).padStart(5)}  ${String(row.calls).padStart(5)}  ${String(row.failedCalls).padStart(6)}  ${String(row.cachedCalls).padStart(6)}  ${row.promptTokens.toLocaleString().padStart(10)}  ${row.completionTokens.toLocaleString().padStart(10)}  ${formatCost(row.cost).padStart(10)}`;
+      report.rows.forEach((row) => {
+        console.log(`${line(row.key, row)}${row.estimated ? chalk.gray(' ~') : ''}`);
+      });
+      console.log(chalk.blue(line('Total', report.totals)));
+
+      if (report.rows.some((row) => row.estimated)) {
+        console.log(chalk.gray('\n   ~ includes token counts estimated from text length (provider reported none)'));
+      }
+      if (report.unpriced.length > 0) {
+        console.log(
+          chalk.yellow(`\n⚠️  No price for ${report.unpriced.join(', ')}; counted as $0. Add them under "pricing" in your config.`)
+        );
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Usage report failed: ${error.message}`));
+      process.exit(1);
     }
+  });
 
-    console.log(chalk.green(`\n📚 Found ${posts.length} blog posts:\n`));
-    
-    posts.forEach((post, index) => {
-      console.log(chalk.blue(`${index + 1}. ${post.filename}`));
-      console.log(chalk.gray(`   📊 ${post.wordCount} words | 💾 ${Math.round(post.size / 1024)}KB`));
-      console.log(chalk.gray(`   📅 Created: ${post.created.toLocaleDateString()}\n`));
+// Ask a yes/no question on the terminal
+function confirm(question) {
+  const readline = require("readline");
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  return new Promise((resolve) => {
+    rl.question(`${question} (y/N) `, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
     });
   });
+}
 
 // Cleanup old posts
 program
   .command('cleanup')
-  .description('Clean up old blog posts (keep last 10)')
-  .option('-k, --keep <number>', 'Number of posts to keep', '10')
+  .description('Archive old posts by retention policy (keeps published posts)')
+  .option('-k, --keep <number>', 'Always keep this many newest posts (default: 10 when no other policy is given)')
+  .option('--older-than <days>', 'Only remove posts generated more than this many days ago')
+  .option('--below-score <score>', 'Only remove posts with an SEO score below this')
+  .option('--status <statuses>', 'Publish statuses that may be removed (comma separated)', 'unpublished,draft')
+  .option('--include-published', 'Allow removing published posts too')
+  .option('--dry-run', 'Show what would be removed without touching any files')
+  .option('--bundle', 'Pack removed posts into one compressed archive file')
+  .option('--delete', 'Delete permanently instead of archiving')
+  .option('--archive-dir <directory>', 'Where archives go (default: <dir>/archive)')
+  .option('-y, --yes', 'Skip the confirmation prompt')
   .option('-d, --dir <directory>', 'Directory to clean')
   .action(async (options) => {
-    const fileManager = new FileManager();
-    const result = await fileManager.cleanupOldPosts(parseInt(options.keep), options.dir);
-    
-    console.log(chalk.green(`✅ Cleanup complete!`));
-    console.log(chalk.blue(`🗑️  Deleted: ${result.deleted} files`));
-    console.log(chalk.blue(`📚 Kept: ${result.kept} files`));
+    try {
+      const PostArchiver = require('../src/post-archiver');
+      const archiver = new PostArchiver({ directory: options.dir, archiveDir: options.archiveDir });
+      const hasPolicy = options.olderThan !== undefined || options.belowScore !== undefined;
+
+      const plan = await archiver.plan({
+        keep: options.keep !== undefined ? parseInt(options.keep) : hasPolicy ? undefined : 10,
+        olderThan: options.olderThan !== undefined ? parseInt(options.olderThan) : undefined,
+        belowScore: options.belowScore !== undefined ? parseInt(options.belowScore) : undefined,
+        statuses: options.status.split(',').map((status) => status.trim()),
+        includePublished: options.includePublished,
+      });
+
+      if (plan.remove.length === 0) {
+        console.log(chalk.green(`✅ Nothing to clean up (${plan.keep.length} posts kept)`));
+        return;
+      }
+
+      const mode = options.delete ? 'delete' : options.bundle ? 'bundle' : 'move';
+      const verb = { move: 'Archive', bundle: 'Bundle', delete: 'DELETE' }[mode];
+
+      console.log(chalk.blue(`\n🧹 ${verb} ${plan.remove.length} posts, keep ${plan.keep.length}:\n`));
+      plan.remove.forEach((post) => {
+        const score = post.seoScore === null ? '-' : `${post.seoScore}%`;
+        console.log(`   🗑️  ${post.title.substring(0, 60)} ${chalk.gray(`(${post.status}, ${score}, ${post.age === null ? '?' : post.age} days, ${post.files.length} files)`)}`);
+      });
+
+      const published = plan.keep.filter((post) => post.reason === 'published').length;
+      if (published > 0) {
+        console.log(chalk.gray(`\n   🔒 ${published} published posts protected`));
+      }
+
+      if (options.dryRun) {
+        console.log(chalk.yellow('\n🔍 Dry run: no files were changed'));
+        return;
+      }
+
+      if (!options.yes) {
+        if (!process.stdin.isTTY) {
+          throw new Error('Run with --yes to confirm cleanup in a non-interactive shell');
+        }
+        const question = mode === 'delete'
+          ? chalk.red(`\nPermanently delete ${plan.remove.length} posts? This cannot be undone.`)
+          : `\n${verb} ${plan.remove.length} posts?`;
+        if (!(await confirm(question))) {
+          console.log(chalk.yellow('Cancelled'));
+          return;
+        }
+      }
+
+      const result = await archiver.apply(plan, { mode });
+
+      console.log(chalk.green(`\n✅ Cleanup complete!`));
+      console.log(chalk.blue(`🗑️  Removed: ${result.posts} posts (${result.files} files)`));
+      console.log(chalk.blue(`📚 Kept: ${plan.keep.length} posts`));
+      if (result.location) {
+        console.log(chalk.blue(`📦 Archived to: ${result.location}`));
+        console.log(chalk.gray(`   Undo with: bloggen restore ${result.id}${options.dir ? ` --dir ${options.dir}` : ''}`));
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Cleanup failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+// Restore archived posts
+program
+  .command('restore [batch]')
+  .description('Restore posts archived by cleanup (newest batch by default)')
+  .option('-l, --list', 'List archived batches')
+  .option('--overwrite', 'Replace files that exist again in the output directory')
+  .option('--archive-dir <directory>', 'Archive location (default: <dir>/archive)')
+  .option('-d, --dir <directory>', 'Output directory the posts were cleaned from')
+  .action(async (batchId, options) => {
+    try {
+      const PostArchiver = require('../src/post-archiver');
+      const archiver = new PostArchiver({ directory: options.dir, archiveDir: options.archiveDir });
+
+      if (options.list) {
+        const batches = await archiver.listBatches();
+        if (batches.length === 0) {
+          console.log(chalk.yellow('No archived posts.'));
+          return;
+        }
+
+        console.log(chalk.green(`\n📦 ${batches.length} cleanup batches:\n`));
+        batches.forEach((batch) => {
+          const state = batch.restoredAt ? chalk.gray('restored') : batch.mode === 'delete' ? chalk.red('deleted') : chalk.green('archived');
+          console.log(`   ${batch.id}  ${state}  ${batch.posts.length} posts (${batch.mode})`);
+          batch.posts.slice(0, 3).forEach((post) => console.log(chalk.gray(`      • ${post.title}`)));
+          if (batch.posts.length > 3) console.log(chalk.gray(`      • ... ${batch.posts.length - 3} more`));
+        });
+        return;
+      }
+
+      const result = await archiver.restore(batchId, { overwrite: options.overwrite });
+      console.log(chalk.green(`✅ Restored ${result.restored.length} files from ${result.id} to ${result.directory}`));
+      if (result.skipped.length > 0) {
+        console.log(chalk.yellow(`⚠️  Skipped ${result.skipped.length} files that already exist (use --overwrite): ${result.skipped.join(', ')}`));
+      }
+    } catch (error) {
+      console.log(chalk.red(`❌ Restore failed: ${error.message}`));
+      process.exit(1);
+    }
   });
 
   // analyze command
   program
     .command("analyze <file>")
     .description("Analyze SEO quality of existing blog post")
-    .option("-k, --keyword <keyword>", "Primary keyword to analyze")
+    .option("-k, --keyword <keyword>", "Primary keyword to analyze (default: the post topic)")
+    .option(
+      "-p, --profile <type>",
+      "Scoring profile: blog-post, guide, tutorial, listicle, news-article, summary"
+    )
     .action(async (file, options) => {
       try {
-        const fs = require("fs-extra");
-        const content = await fs.readFile(file, "utf8");
-
-        const keyword = options.keyword || "IT jobs";
-        const seoOptimizer = new SEOOptimizer(process.env.WEBSITE_URL);
-        const analysis = seoOptimizer.optimizeContent(content, keyword);
+        const post = await loadPost(file);
+        const content = post.content;
+
+        const keyword = options.keyword || post.metadata.topic || "IT jobs";
+        const seoOptimizer = new SEOOptimizer();
+        const analysis = seoOptimizer.optimizeContent(content, keyword, {
+          ...post.metadata,
+          profile: options.profile,
+        });
 
-        console.log(chalk.green(`\n📊 SEO Analysis for: ${file}\n`));
+        console.log(chalk.green(`\n📊 SEO Analysis for: ${file}`));
+        console.log(chalk.gray(`   Format: ${post.format} · Keyword: ${keyword}\n`));
 
         // Overall score
         console.log(
@@ -679,10 +1330,22 @@ program
         );
         console.log(
           chalk.gray(
-            `   Score: ${analysis.seoScore.score}/${analysis.seoScore.maxScore} points\n`
+            `   Score: ${analysis.seoScore.score}/${analysis.seoScore.maxScore} points (${analysis.seoScore.profile} profile)\n`
           )
         );
 
+        // Per-rule breakdown
+        console.log(chalk.blue("📏 Rules:"));
+        analysis.seoScore.rules.forEach((rule) => {
+          const icon = rule.passed ? "✅" : rule.severity === "error" ? "❌" : "⚠️ ";
+          console.log(
+            `   ${icon} ${rule.label.padEnd(24)} ${String(rule.points).padStart(3)}/${String(
+              rule.maxPoints
+            ).padEnd(3)} ${chalk.gray(rule.value)}`
+          );
+        });
+        console.log("");
+
         // Detailed metrics
         console.log(chalk.blue("📈 Content Metrics:"));
         console.log(`   📝 Word Count: ${analysis.analysis.wordCount}`);
@@ -692,15 +1355,55 @@ program
           )}%`
         );
         console.log(
-          `   📖 Readability: ${analysis.analysis.readability.grade} (${analysis.analysis.readability.readabilityScore}/100)`
+          `   📖 Readability: ${analysis.analysis.readability.grade}${analysis.analysis.readability.readabilityScore === null ? "" : ` (${analysis.analysis.readability.readabilityScore}/100)`}`
         );
+        const links = analysis.analysis.links;
         console.log(
-          `   🔗 Internal Links: ${analysis.analysis.internalLinks.count}`
+          `   🔗 Links: ${links.total} total (${links.backlinks} to your site, ${links.internal} relative/in-page, ${links.external} external, ${links.nofollow} nofollow)`
         );
         console.log(
-          `   📋 Headings: H1(${analysis.analysis.headingStructure.h1}) H2(${analysis.analysis.headingStructure.h2}) H3(${analysis.analysis.headingStructure.h3})\n`
+          `   📋 Headings: H1(${analysis.analysis.headingStructure.h1}) H2(${analysis.analysis.headingStructure.h2}) H3(${analysis.analysis.headingStructure.h3})`
         );
 
+        const structure = analysis.analysis.contentStructure;
+        console.log(
+          `   🧱 Structure: ${structure.paragraphs} paragraphs, ${structure.lists} list items, ${structure.tables} tables, ${structure.codeBlocks} code blocks\n`
+        );
+
+        // Readability metrics and hardest passages
+        const readability = analysis.analysis.readability;
+        console.log(chalk.blue("📖 Readability:"));
+        const formula = (value) => (value === null ? "n/a" : value);
+        console.log(`   Flesch Reading Ease: ${formula(readability.fleschReadingEase)}`);
+        console.log(`   Flesch-Kincaid Grade: ${formula(readability.fleschKincaidGrade)}`);
+        console.log(`   Gunning Fog: ${formula(readability.gunningFog)}`);
+        console.log(`   SMOG: ${formula(readability.smog)}`);
+        console.log(
+          `   ${readability.sentences} sentences, ${readability.avgWordsPerSentence} words/sentence, ${readability.avgSyllablesPerWord} syllables/word\n`
+        );
+
+        if (readability.hotspots.length > 0) {
+          console.log(chalk.yellow("🔥 Hardest Paragraphs:"));
+          readability.hotspots.slice(0, 3).forEach((hotspot) => {
+            const sentence =
+              hotspot.sentence.length > 100
+                ? `${hotspot.sentence.substring(0, 97)}...`
+                : hotspot.sentence;
+            console.log(
+              `   ¶${hotspot.paragraph} grade ${hotspot.grade}: ${chalk.gray(`"${sentence}"`)}`
+            );
+          });
+          console.log("");
+        }
+
+        if (links.issues.length > 0) {
+          console.log(chalk.yellow("🔗 Link Issues:"));
+          links.issues.forEach((issue) => {
+            console.log(`   • ${issue.message}`);
+          });
+          console.log("");
+        }
+
         // Suggestions
         if (analysis.suggestions.length > 0) {
           console.log(chalk.yellow("💡 Optimization Suggestions:"));
@@ -725,44 +1428,414 @@ program
       }
     });
 
+  // links command
+  const links = program
+    .command("links")
+    .description("Check the links in blog posts");
+
+  links
+    .command("check <file>")
+    .description("Validate links against a sitemap, existing posts and (optionally) the web")
+    .option("-d, --dir <directory>", "Directory of existing posts to check against")
+    .option("-s, --sitemap <file>", "sitemap.xml of your site (default: ./sitemap.xml or <dir>/sitemap.xml)")
+    .option("-e, --external", "Send HEAD requests to external links")
+    .option("--timeout <ms>", "Timeout per external request", "10000")
+    .option("-w, --write", "Save the results in the post's metadata (JSON posts)")
+    .action(async (file, options) => {
+      try {
+        const fs = require("fs-extra");
+        const LinkChecker = require("../src/link-checker");
+
+        if (!(await fs.pathExists(file))) {
+          console.log(chalk.red(`❌ File not found: ${file}`));
+          process.exit(1);
+        }
+
+        const fileManager = new FileManager();
+        const post = await loadPost(file, fileManager);
+
+        const checker = new LinkChecker({
+          fileManager,
+          timeout: parseInt(options.timeout),
+        });
+
+        const sitemap = options.sitemap || (await checker.findSitemap(options.dir));
+        if (sitemap) {
+          await checker.loadSitemap(sitemap);
+        }
+        await checker.loadPostIndex(options.dir);
+
+        const spinner = ora(
+          options.external ? "Checking links (including external)..." : "Checking links..."
+        ).start();
+        const report = await checker.check(post.content, { external: options.external });
+        spinner.stop();
+
+        console.log(chalk.green(`\n🔗 Link Check for: ${file}\n`));
+        report.sources.forEach((source) => {
+          console.log(chalk.gray(`   ${source.type}: ${source.path} (${source.pages} pages)`));
+        });
+        console.log("");
+
+        const icons = {
+          ok: "✅",
+          missing: "❌",
+          broken: "❌",
+          malformed: "❌",
+          error: "⚠️ ",
+          unverified: "❔",
+          unchecked: "➖",
+          skipped: "➖",
+        };
+        report.results.forEach((result) => {
+          const detail = result.detail ? chalk.gray(` (${result.detail})`) : "";
+          console.log(
+            `   ${icons[result.status]} ${result.status.padEnd(10)} ${result.kind.padEnd(8)} ${result.href}${detail}`
+          );
+        });
+
+        if (report.results.length === 0) {
+          console.log(chalk.gray("   No links found"));
+        }
+
+        const summary = Object.entries(report.summary)
+          .map(([status, count]) => `${count} ${status}`)
+          .join(", ");
+        console.log(chalk.blue(`\n📊 ${report.results.length} links: ${summary || "none"}`));
+
+        if (options.write) {
+          if (post.format === "json") {
+            post.metadata.linkCheck = {
+              checkedAt: report.checkedAt,
+              summary: report.summary,
+              links: report.results,
+            };
+            const { format, ...saved } = post;
+            await fileManager.updateBlogPost(file, saved);
+            console.log(chalk.green(`💾 Saved results to ${file}`));
+          } else {
+            console.log(chalk.yellow("⚠️  --write only applies to JSON posts"));
+          }
+        }
+
+        if (report.problems > 0) {
+          console.log(chalk.red(`❌ ${report.problems} links need fixing`));
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        console.log(chalk.red(`❌ Link check failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  links
+    .command("suggest <file>")
+    .description("Suggest internal links to related posts, and back from them")
+    .option("-d, --dir <directory>", "Directory of posts to link between")
+    .option("-l, --limit <number>", "Related posts to consider", "5")
+    .option("-i, --insert", "Insert the suggested links into this post")
+    .option("-r, --reverse", "Also suggest links from older posts to this one")
+    .option("-a, --apply", "With --reverse, insert those links into the older posts")
+    .action(async (file, options) => {
+      try {
+        const fileManager = new FileManager();
+        const post = await loadPost(file, fileManager);
+        const linker = new InternalLinker({ fileManager });
+        const limit = parseInt(options.limit);
+
+        await linker.buildIndex(options.dir);
+        console.log(chalk.green(`\n🔗 Internal Links for: ${post.title}`));
+        console.log(chalk.gray(`   ${linker.posts.length} posts indexed\n`));
+
+        const suggestions = linker.suggest(post, { filepath: path.resolve(file), limit });
+        if (suggestions.length === 0) {
+          console.log(chalk.yellow("No related posts to link to."));
+        }
+        suggestions.forEach((suggestion, index) => {
+          console.log(
+            chalk.blue(`${index + 1}. ${suggestion.post.title} (score ${suggestion.score})`)
+          );
+          console.log(chalk.gray(`   ${suggestion.post.url}`));
+          console.log(chalk.gray(`   ${suggestion.reasons.join(" | ")}`));
+          console.log(
+            suggestion.anchor
+              ? `   ⚓ Anchor: "${suggestion.anchor.text}" (line ${suggestion.anchor.line + 1})`
+              : chalk.yellow("   ⚓ No matching phrase in this post; add a sentence that links to it")
+          );
+        });
+
+        if (options.insert && post.format !== "json") {
+          console.log(chalk.yellow("\n⚠️  --insert only applies to JSON posts"));
+        } else if (options.insert) {
+          const result = linker.insertLinks(post.content, suggestions);
+          if (result.inserted.length > 0) {
+            const { format, ...saved } = post;
+            saved.content = result.content;
+            await fileManager.updateBlogPost(file, saved);
+          }
+          console.log(chalk.green(`\n✅ Inserted ${result.inserted.length} links into ${file}`));
+          result.inserted.forEach((link) => {
+            console.log(chalk.gray(`   [${link.text}](${link.url})`));
+          });
+        }
+
+        if (options.reverse) {
+          const reverse = await linker.suggestReverse(post, { filepath: path.resolve(file), limit });
+          console.log(chalk.blue(`\n🔁 Reverse links (${reverse.length}):`));
+          reverse.forEach((suggestion) => {
+            const anchor = suggestion.anchor
+              ? `"${suggestion.anchor.text}"`
+              : chalk.yellow("no matching phrase");
+            console.log(`   • ${suggestion.source.title} → ${anchor}`);
+          });
+
+          if (options.apply) {
+            const updated = await linker.applyReverse(reverse);
+            console.log(chalk.green(`✅ Updated ${updated.length} older posts`));
+            updated.forEach((link) => {
+              console.log(chalk.gray(`   ${link.filepath}: [${link.text}](${link.url})`));
+            });
+          }
+        }
+      } catch (error) {
+        console.log(chalk.red(`❌ Link suggestions failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // diff command
+  program
+    .command("diff <a> <b>")
+    .description("Compare two versions of a post: word-level changes and SEO metric deltas")
+    .option("-k, --keyword <keyword>", "Primary keyword for density (default: the post topic)")
+    .option("-c, --context <words>", "Unchanged words shown around each change", "8")
+    .option("--stat", "Only show the metric deltas")
+    .option("--json", "Print the diff and metrics as JSON")
+    .action(async (fileA, fileB, options) => {
+      try {
+        const { diffWords, summarizeDiff, getHunks } = require("../src/content-diff");
+        const { getRevisions, getRelationship } = require("../src/revisions");
+
+        const postA = await loadPost(fileA);
+        const postB = await loadPost(fileB);
+        const keyword =
+          options.keyword || postB.metadata.topic || postA.metadata.topic || "IT jobs";
+
+        const seoOptimizer = new SEOOptimizer();
+        const measure = (post) => {
+          const result = seoOptimizer.optimizeContent(post.content, keyword, post.metadata);
+          return {
+            seoScore: result.seoScore.percentage,
+            grade: result.seoScore.grade,
+            wordCount: result.analysis.wordCount,
+            keywordDensity: Math.round(result.analysis.keywordAnalysis.primary.density * 10) / 10,
+            readability: result.analysis.readability.readabilityScore,
+            readingGrade: result.analysis.readability.fleschKincaidGrade,
+            headings: result.analysis.headingStructure.total,
+            links: result.analysis.links.total,
+          };
+        };
+        const metricsA = measure(postA);
+        const metricsB = measure(postB);
+
+        const changes = diffWords(postA.content, postB.content);
+        const summary = summarizeDiff(changes);
+        const revisionsA = getRevisions(postA, path.basename(fileA));
+        const revisionsB = getRevisions(postB, path.basename(fileB));
+        const relationship = getRelationship(revisionsA, revisionsB);
+
+        if (options.json) {
+          console.log(
+            JSON.stringify({ a: fileA, b: fileB, relationship, summary, metrics: { a: metricsA, b: metricsB }, changes }, null, 2)
+          );
+          return;
+        }
+
+        console.log(chalk.green(`\n🔍 ${fileA} → ${fileB}`));
+        const relationships = {
+          same: "same revision",
+          ancestor: "b is a revision of a",
+          descendant: "a is a revision of b",
+          sibling: "both were rewritten from the same original",
+          unrelated: "no shared revision history",
+        };
+        console.log(chalk.gray(`   ${relationships[relationship]}`));
+        console.log(
+          chalk.gray(
+            `   ${summary.added} words added, ${summary.removed} removed, ${summary.unchanged} unchanged (${summary.changedPercentage}% new)\n`
+          )
+        );
+
+        const rows = [
+          ["SEO score", "seoScore", "%"],
+          ["Grade", "grade", ""],
+          ["Word count", "wordCount", ""],
+          ["Keyword density", "keywordDensity", "%"],
+          ["Readability", "readability", ""],
+          ["Reading grade", "readingGrade", ""],
+          ["Headings", "headings", ""],
+          ["Links", "links", ""],
+        ];
+        console.log(chalk.blue("📊 Metrics:"));
+        console.log(chalk.gray(`   ${"".padEnd(16)} ${"a".padStart(8)} ${"b".padStart(8)} ${"change".padStart(8)}`));
+        rows.forEach(([label, key, unit]) => {
+          const before = metricsA[key];
+          const after = metricsB[key];
+          let delta = "";
+          if (typeof before === "number" && typeof after === "number") {
+            const difference = Math.round((after - before) * 10) / 10;
+            // Lower reading grade is better; everything else reads higher-is-better
+            const better = key === "readingGrade" ? difference < 0 : difference > 0;
+            const text = `${difference > 0 ? "+" : ""}${difference}${unit}`;
+            delta = difference === 0 ? chalk.gray("0") : better ? chalk.green(text) : chalk.red(text);
+          }
+          console.log(
+            `   ${label.padEnd(16)} ${(before === null ? "n/a" : `${before}${unit}`).padStart(8)} ${(after === null ? "n/a" : `${after}${unit}`).padStart(8)} ${delta}`
+          );
+        });
+
+        if (options.stat) return;
+
+        const hunks = getHunks(changes, parseInt(options.context));
+        console.log(chalk.blue(`\n📝 Changes (${hunks.length}):`));
+        hunks.forEach((hunk) => {
+          const text = hunk.parts
+            .map((part) => {
+              if (part.type === "added") return chalk.green(`{+${part.text.trimEnd()}+}`) + part.text.slice(part.text.trimEnd().length);
+              if (part.type === "removed") return chalk.red(`[-${part.text.trimEnd()}-]`) + part.text.slice(part.text.trimEnd().length);
+              return `${part.trimmedBefore ? "..." : ""}${part.text}${part.trimmed ? "..." : ""}`;
+            })
+            .join("");
+          console.log(chalk.gray("   ---"));
+          console.log(text.replace(/\n+/g, "\n").replace(/^/gm, "   "));
+        });
+      } catch (error) {
+        console.log(chalk.red(`❌ Diff failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // history command
+  program
+    .command("history <file>")
+    .description("Show the revision history of a post")
+    .action(async (file) => {
+      try {
+        const { getRevisions } = require("../src/revisions");
+        const post = await loadPost(file);
+        const revisions = getRevisions(post, path.basename(file));
+
+        console.log(chalk.green(`\n🕘 Revisions of: ${post.title}\n`));
+        revisions.forEach((revision, index) => {
+          const score = revision.seoScore === null ? "-" : `${revision.seoScore}%`;
+          const date = revision.createdAt ? revision.createdAt.replace("T", " ").substring(0, 16) : "unknown date";
+          console.log(
+            chalk.blue(`${index + 1}. ${revision.id}  ${revision.source.padEnd(8)} ${score.padStart(4)}  ${date}`)
+          );
+          console.log(
+            chalk.gray(
+              `   ${revision.parent ? `parent ${revision.parent}` : "no parent"}${revision.model ? ` · ${revision.model}` : ""}${
+                revision.wordCount ? ` · ${revision.wordCount} words` : ""
+              }${revision.file ? ` · ${revision.file}` : ""}`
+            )
+          );
+          if (revision.prompt) {
+            const prompt = revision.prompt.length > 100 ? `${revision.prompt.substring(0, 97)}...` : revision.prompt;
+            console.log(chalk.gray(`   prompt: ${prompt}`));
+          }
+        });
+      } catch (error) {
+        console.log(chalk.red(`❌ History failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  // cache command
+  const cache = program
+    .command("cache")
+    .description("Inspect or clear the on-disk response cache");
+
+  cache
+    .command("stats")
+    .description("Show cache size, entries per model and hit counts")
+    .action(async () => {
+      try {
+        const stats = await new ResponseCache(getConfig().cache).stats();
+
+        console.log(chalk.green(`\n💾 Response cache: ${stats.directory}${getConfig().cache.enabled ? "" : " (disabled)"}\n`));
+        console.log(chalk.blue(`📦 Entries: ${stats.entries}${stats.expired ? ` (${stats.expired} expired)` : ""}`));
+        console.log(chalk.blue(`📏 Size: ${formatSize(stats.size)} of ${formatSize(stats.maxSize)}`));
+        console.log(chalk.blue(`⏳ TTL: ${stats.ttlHours ? `${stats.ttlHours} hours` : "never expires"}`));
+        console.log(chalk.blue(`🎯 Hits: ${stats.hits}`));
+        if (stats.oldest) {
+          console.log(
+            chalk.gray(`   Oldest ${stats.oldest.replace("T", " ").substring(0, 16)} · newest ${stats.newest.replace("T", " ").substring(0, 16)}`)
+          );
+        }
+
+        const models = Object.entries(stats.byModel);
+        if (models.length > 0) {
+          console.log(chalk.blue("\n🤖 By model:"));
+          models.forEach(([model, entry]) => {
+            console.log(`   ${model}: ${entry.entries} entries, ${entry.hits} hits, ${formatSize(entry.size)}`);
+          });
+        }
+      } catch (error) {
+        console.log(chalk.red(`❌ Cache stats failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
+  cache
+    .command("clear")
+    .description("Delete cached responses")
+    .option("--expired", "Only delete entries past their TTL")
+    .option("-m, --model <name>", "Only delete entries from this model")
+    .action(async (options) => {
+      try {
+        const removed = await new ResponseCache(getConfig().cache).clear({
+          expired: options.expired,
+          model: options.model,
+        });
+        console.log(chalk.green(`🧹 Removed ${removed} cached response${removed === 1 ? "" : "s"}`));
+      } catch (error) {
+        console.log(chalk.red(`❌ Cache clear failed: ${error.message}`));
+        process.exit(1);
+      }
+    });
+
     program
   .command('rewrite <file>')
   .description('Analyze and rewrite blog post for better SEO optimization')
   .option('-k, --keyword <keyword>', 'Primary keyword to optimize for')
   .option('-t, --target-score <score>', 'Target SEO score (default: 85)', '85')
+  .option('-i, --max-iterations <n>', 'Maximum rewrite passes toward the target score', String(RewriteOptimizer.DEFAULT_MAX_ITERATIONS))
+  .option('--by-section', 'Regenerate only the sections that cause each suggestion')
+  .option('--section <heading>', 'Only rewrite the section with this heading (repeatable, implies --by-section)', collect, [])
+  .option('--only <types>', 'Only fix these suggestion types or rules, e.g. readability,keywords (implies --by-section)')
   .option('-o, --output <filename>', 'Output filename for rewritten content')
+  .option('-f, --format <formats>', 'Output formats: json, markdown, html, text (comma separated)', 'json')
   .action(async (file, options) => {
     try {
       showBanner();
       
-      // Read existing content
-      const fs = require('fs-extra');
-      const FileManager = require('../src/file-manager');
-      const SEOOptimizer = require('../src/seo-optimizer');
+      // JSON, markdown and text posts all load with their metadata
+      const { createRevision, getRevisions } = require('../src/revisions');
+      const fileManager = new FileManager();
       
       console.log(chalk.blue(`📄 Analyzing: ${file}`));
       
-      if (!await fs.pathExists(file)) {
-        console.log(chalk.red(`❌ File not found: ${file}`));
-        process.exit(1);
-      }
-      
-      const originalContent = await fs.readFile(file, 'utf8');
-      
-      // Extract content section (remove metadata)
-      const contentMatch = originalContent.match(/=== SEO OPTIMIZED CONTENT ===\n([\s\S]*?)\n=== TECHNICAL DETAILS ===/);
-      const cleanContent = contentMatch ? contentMatch[1].trim() : originalContent;
-      
-      // Extract original topic
-      const topicMatch = originalContent.match(/Topic: (.+)/);
-      const originalTopic = topicMatch ? topicMatch[1] : options.keyword || 'IT job market';
+      const parentPost = await loadPost(file, fileManager);
+      const cleanContent = parentPost.content;
+      const originalTopic = parentPost.metadata.topic || options.keyword || parentPost.title;
+      console.log(chalk.gray(`   Format: ${parentPost.format} · Topic: ${originalTopic}`));
       
       const keyword = options.keyword || originalTopic;
       const targetScore = parseInt(options.targetScore);
       
       // Analyze current SEO
-      const seoOptimizer = new SEOOptimizer(process.env.WEBSITE_URL);
-      const currentAnalysis = seoOptimizer.optimizeContent(cleanContent, keyword);
+      const seoOptimizer = new SEOOptimizer();
+      const currentAnalysis = seoOptimizer.optimizeContent(cleanContent, keyword, parentPost.metadata);
       
       console.log(chalk.yellow(`\n📊 Current SEO Score: ${currentAnalysis.seoScore.grade} (${currentAnalysis.seoScore.percentage}%)`));
       
@@ -785,44 +1858,146 @@ program
         console.log('');
       }
       
-      // Generate improvement prompt
-      const improvementPrompt = generateImprovementPrompt(cleanContent, currentAnalysis, keyword, targetScore);
+      // Get LLM provider and optimize until the target, the iteration
+      // limit or a pass that scores lower than the one before
+      const provider = getProvider();
+      const generator = new ContentGenerator(null, { provider });
+      const maxIterations = parseInt(options.maxIterations);
+      if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+        console.log(chalk.red(`❌ Invalid --max-iterations "${options.maxIterations}". Use a whole number of 1 or more`));
+        process.exit(1);
+      }
+      const bySection = options.bySection || options.section.length > 0 || Boolean(options.only);
+      const sectionRewriter = bySection
+        ? new SectionRewriter({
+            generator,
+            seoOptimizer,
+            keyword,
+            sections: options.section,
+            only: options.only ? options.only.split(',').map((value) => value.trim()).filter(Boolean) : [],
+          })
+        : null;
+      const rewriter = new RewriteOptimizer({ generator, seoOptimizer, keyword, targetScore, maxIterations, sectionRewriter, metadata: parentPost.metadata });
+      
+      let rewriteSpinner = null;
+      const { baseline, best, iterations, stopReason, usage } = await rewriter.optimize(cleanContent, originalTopic, currentAnalysis, {
+        onIteration: (pass, previous) => {
+          const change = pass.metrics.score - previous.metrics.score;
+          const message = `Pass ${pass.iteration}/${maxIterations}: ${pass.metrics.grade} (${pass.metrics.score}%, ${change >= 0 ? '+' + change : change})`;
+          if (pass.accepted) {
+            rewriteSpinner.succeed(message);
+          } else {
+            rewriteSpinner.warn(`${message} - ${change < 0 ? 'lower than' : 'no better than'} before, discarded`);
+          }
+          (pass.result.sections || []).forEach((section) => {
+            console.log(chalk.gray(`   ✏️  ${section.heading}: ${section.suggestions.join(' ')}`));
+          });
+          if (pass.result.unassigned && pass.result.unassigned.length > 0) {
+            console.log(chalk.gray(`   Not tied to a section: ${pass.result.unassigned.map((suggestion) => suggestion.message).join(' ')}`));
+          }
+        },
+        onSection: (target) => {
+          rewriteSpinner.text = `Rewriting "${target.section.heading || 'introduction'}"...`;
+        },
+        onStart: (iteration) => {
+          rewriteSpinner = ora(`Rewriting content for better SEO optimization (pass ${iteration}/${maxIterations})...`).start();
+        }
+      });
       
-      // Get API key and regenerate content
-      const apiKey = getAPIKey();
-      const generator = new ContentGenerator(apiKey);
+      // Per-pass progress, each metric against the pass before it
+      console.log(chalk.cyan('\n📈 Optimization progress:'));
+      console.log(chalk.gray(`   ${'Pass'.padEnd(10)} ${'Score'.padEnd(12)} ${'Grade'.padEnd(6)} ${'Words'.padEnd(12)} ${'Density'.padEnd(12)} ${'Readability'.padEnd(12)} Issues`));
+      iterations.forEach((pass, index) => {
+        const previous = index > 0 ? iterations[index - 1].metrics : null;
+        const cell = (key, suffix = '', width = 12) => {
+          const value = pass.metrics[key] === null ? 'n/a' : `${pass.metrics[key]}${suffix}`;
+          if (!previous || pass.metrics[key] === null || previous[key] === null) return value.padEnd(width);
+          const delta = Math.round((pass.metrics[key] - previous[key]) * 10) / 10;
+          return `${value} (${delta > 0 ? '+' + delta : delta})`.padEnd(width);
+        };
+        const label = pass.iteration === 0 ? 'original' : `${pass.iteration}${pass === best ? ' ★' : ''}${pass.accepted ? '' : ' ✗'}`;
+        console.log(`   ${label.padEnd(10)} ${cell('score', '%')} ${String(pass.metrics.grade).padEnd(6)} ${cell('words')} ${cell('density', '%')} ${cell('readability')} ${cell('suggestions', '', 0)}`);
+      });
       
-      const rewriteSpinner = ora('Rewriting content for better SEO optimization...').start();
+      const stopMessages = {
+        target: `target of ${targetScore}% reached`,
+        'max-iterations': `stopped after ${maxIterations} pass(es) without reaching ${targetScore}%`,
+        regression: `stopped because pass ${iterations[iterations.length - 1].iteration} scored lower; keeping the best pass`,
+        'no-improvement': `stopped because pass ${iterations[iterations.length - 1].iteration} did not raise the score; keeping the best pass`,
+        'nothing-to-fix': 'stopped because no remaining suggestion in scope is tied to a section',
+      };
+      console.log(chalk.gray(`   ${stopMessages[stopReason]}`));
+      if (usage.length > 0) {
+        console.log(chalk.gray(`   💰 ${describeUsage(usage)}`));
+      }
       
-      const improvedResult = await generator.generateContent(originalTopic, {
-        customPrompt: improvementPrompt
+      if (best === baseline) {
+        console.log(chalk.yellow('\n⚠️  No pass improved on the original; nothing saved'));
+        return;
+      }
+      
+      // Link the rewrite to the post it came from, through every kept pass
+      const parentRevisions = parentPost.format === 'json'
+        ? getRevisions(parentPost, path.basename(file))
+        : [createRevision(cleanContent, {
+            source: 'original',
+            prompt: originalTopic,
+            seoScore: currentAnalysis.seoScore.percentage,
+            wordCount: currentAnalysis.analysis.wordCount,
+            file: path.basename(file),
+          })];
+      const passPrompt = (pass) => pass.result.sections
+        ? `Section rewrite pass ${pass.iteration} (${pass.result.sections.map((section) => section.heading).join(', ')}) for "${keyword}" targeting ${targetScore}%: ${[...new Set(pass.result.sections.reduce((list, section) => list.concat(section.suggestions), []))].join(' ')}`
+        : `Rewrite pass ${pass.iteration} for "${keyword}" targeting ${targetScore}%: ${iterations[pass.iteration - 1].analysis.suggestions.map((suggestion) => suggestion.message).join(' ')}`;
+      const keptPasses = iterations.filter((pass) => pass.iteration > 0 && pass.accepted && pass !== best);
+      keptPasses.forEach((pass) => {
+        const parent = parentRevisions[parentRevisions.length - 1];
+        parentRevisions.push(createRevision(pass.content, {
+          parent: parent.id,
+          source: 'rewrite',
+          prompt: passPrompt(pass),
+          fullPrompt: pass.result.prompt,
+          model: pass.result.metadata.modelUsed,
+          seoScore: pass.metrics.score,
+          wordCount: pass.metrics.words,
+        }));
       });
       
-      rewriteSpinner.succeed('Content rewritten successfully!');
+      const improvedResult = best.result;
+      const newAnalysis = best.analysis;
       
-      // Analyze improved content
-      const seoSpinner = ora('Analyzing improved content...').start();
-      const newAnalysis = seoOptimizer.optimizeContent(improvedResult.content, keyword, improvedResult.metadata);
-      seoSpinner.succeed(`New SEO Score: ${newAnalysis.seoScore.grade} (${newAnalysis.seoScore.percentage}%)`);
+      // Keep the original's URL, category and author
+      Object.assign(improvedResult.metadata, getPreservedFields(parentPost));
+      // The rewrite is billed for every pass, including discarded ones
+      improvedResult.metadata.usage = usage;
+      improvedResult.history = {
+        revisions: parentRevisions,
+        source: 'rewrite',
+        prompt: passPrompt(best),
+      };
       
-      // Save improved content
-      const fileManager = new FileManager();
+      // Save improved content next to the original unless a name was given
       const enhancedResult = {
         ...improvedResult,
         seo: newAnalysis
       };
       
-      const outputFilename = options.output || file.replace('.txt', '-improved.txt');
+      const outputFilename = options.output || `${fileManager.stripFormatExtension(path.basename(file))}-improved`;
       const fileInfo = await fileManager.saveBlogPost(enhancedResult, {
-        filename: outputFilename
+        filename: outputFilename,
+        outputDir: options.output ? undefined : path.dirname(file),
+        formats: options.format
       });
       
       // Show improvement results
       console.log(chalk.green('\n✅ Blog post rewritten and optimized!'));
-      console.log(chalk.blue(`📄 New file: ${fileInfo.filename}`));
+      fileInfo.files.forEach(savedFile => {
+        console.log(chalk.blue(`📄 New file (${savedFile.format}): ${savedFile.filename}`));
+      });
       const improvement = newAnalysis.seoScore.percentage - currentAnalysis.seoScore.percentage;
-console.log(chalk.blue(`📊 SEO improvement: ${currentAnalysis.seoScore.percentage}% → ${newAnalysis.seoScore.percentage}% (${improvement > 0 ? '+' + improvement : improvement} points)`));
+      console.log(chalk.blue(`📊 SEO improvement: ${currentAnalysis.seoScore.percentage}% → ${newAnalysis.seoScore.percentage}% (${improvement > 0 ? '+' + improvement : improvement} points, pass ${best.iteration})`));
       console.log(chalk.blue(`🎯 Grade improvement: ${currentAnalysis.seoScore.grade} → ${newAnalysis.seoScore.grade}`));
+      console.log(chalk.gray(`🔍 Compare with: bloggen diff ${file} ${fileInfo.filepath}`));
       console.log(chalk.blue(`📝 Word count: ${improvedResult.metadata.wordCount}`));
       console.log(chalk.blue(`🔑 Keyword density: ${newAnalysis.analysis.keywordAnalysis.primary.density.toFixed(1)}%`));
       console.log(chalk.blue(`📖 Readability: ${newAnalysis.analysis.readability.grade}`));
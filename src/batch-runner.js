@@ -0,0 +1,495 @@
+// src/batch-runner.js
+const fs = require("fs-extra");
+const path = require("path");
+const chalk = require("chalk");
+const yaml = require("js-yaml");
+const ContentGenerator = require("./content-generator");
+const GeminiWorkflowParser = require("./gemini-workflow-parser");
+const SEOOptimizer = require("./seo-optimizer");
+const FileManager = require("./file-manager");
+const JobLedger = require("./job-ledger");
+const InternalLinker = require("./internal-linker");
+const { estimateTokens, getPrices, priceAttempt } = require("./usage");
+
+// Error types that will fail every remaining topic, so the run stops early
+const HALTING_ERROR_TYPES = ["quota", "auth"];
+
+// Budget estimates: tokens in a parsed workflow, and per generated word
+const PARSE_COMPLETION_TOKENS = 400;
+const TOKENS_PER_WORD = 1.4;
+
+class BatchRunner {
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.concurrency = Math.max(1, parseInt(options.concurrency) || 2);
+    this.outputDir = options.outputDir || null;
+    this.ledger = options.ledger || null;
+    this.halted = null;
+
+    this.parser = new GeminiWorkflowParser(null, { provider: this.provider });
+    this.generator = new ContentGenerator(null, { provider: this.provider });
+    this.seoOptimizer = new SEOOptimizer();
+    this.fileManager = new FileManager();
+    this.linker = new InternalLinker({ fileManager: this.fileManager });
+    this.formats = this.fileManager.normalizeFormats(options.formats);
+  }
+
+  /**
+   * Load topics from a CSV, JSONL, JSON or YAML file
+   */
+  async loadTopics(filepath) {
+    const raw = await fs.readFile(filepath, "utf8");
+    const extension = path.extname(filepath).toLowerCase();
+    let rows;
+
+    if (extension === ".csv") {
+      rows = this.parseCSV(raw);
+    } else if (extension === ".jsonl" || extension === ".ndjson") {
+      rows = raw
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line.length > 0 && !line.startsWith("//"))
+        .map((line, index) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+          }
+        });
+    } else if (extension === ".yaml" || extension === ".yml") {
+      rows = yaml.load(raw);
+    } else if (extension === ".json") {
+      rows = JSON.parse(raw);
+    } else {
+      throw new Error(
+        `Unsupported topics file "${extension}". Use .csv, .jsonl, .json or .yaml`
+      );
+    }
+
+    if (rows && !Array.isArray(rows) && Array.isArray(rows.topics)) {
+      rows = rows.topics;
+    }
+
+    if (!Array.isArray(rows)) {
+      throw new Error("Topics file must contain a list of topics");
+    }
+
+    return rows
+      .map((row, index) => this.normalizeRow(row, index))
+      .filter((row) => row.instruction);
+  }
+
+  /**
+   * Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, header row)
+   */
+  parseCSV(text) {
+    const records = [];
+    let field = "";
+    let record = [];
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        record.push(field);
+        field = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && text[i + 1] === "\n") i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+
+    if (field.length > 0 || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const nonEmpty = records.filter((r) => r.some((value) => value.trim()));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map((header) => header.trim());
+    return nonEmpty.slice(1).map((values) => {
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = (values[index] || "").trim();
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Normalize a topic row and its per-row overrides
+   */
+  normalizeRow(row, index) {
+    if (typeof row === "string") {
+      row = { instruction: row };
+    }
+    row = row || {};
+
+    const wordLimit = parseInt(
+      row.wordLimit || row.word_limit || row.words || ""
+    );
+
+    return {
+      index,
+      instruction: String(row.instruction || row.topic || "").trim(),
+      keyword: row.keyword || null,
+      audience: row.audience || null,
+      wordLimit: Number.isNaN(wordLimit) ? null : wordLimit,
+      output: row.output || row.filename || null,
+    };
+  }
+
+  /**
+   * Apply per-row overrides on top of the parsed workflow
+   */
+  applyOverrides(workflow, row) {
+    if (row.keyword) {
+      const keywords = workflow.seoConstraints?.primaryKeywords || [];
+      workflow.seoConstraints = {
+        ...workflow.seoConstraints,
+        primaryKeywords: [
+          row.keyword,
+          ...keywords.filter((keyword) => keyword !== row.keyword),
+        ],
+      };
+      workflow.seoKeywords = workflow.seoConstraints.primaryKeywords;
+    }
+
+    if (row.audience) {
+      workflow.audience = { ...workflow.audience, level: row.audience };
+    }
+
+    if (row.wordLimit) {
+      workflow.lengthConstraints = {
+        wordLimit: row.wordLimit,
+        constraintType: "maximum",
+        priority: "critical",
+        reasoning: "Word limit set in batch topics file",
+        hasCriticalLimit: true,
+      };
+      workflow.estimatedLength = this.parser.getEstimatedLength(
+        workflow.lengthConstraints
+      );
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Open (or create) the job ledger for a topics file
+   */
+  async openLedger(topicsFile, ledgerPath = null, restart = false) {
+    let filepath = ledgerPath;
+
+    if (!filepath) {
+      const dir = await this.fileManager.ensureOutputDirectory(this.outputDir);
+      const name = path.basename(topicsFile, path.extname(topicsFile));
+      filepath = path.join(dir, "reports", `${name}.ledger.json`);
+    }
+
+    if (restart) {
+      await fs.remove(filepath);
+    }
+
+    this.ledger = await new JobLedger(filepath).load(path.resolve(topicsFile));
+    return this.ledger;
+  }
+
+  /**
+   * Upper bound on the tokens and cost of the calls the remaining rows
+   * still need, priced at the first parsing and generation model. Cached
+   * responses and fallbacks are not predicted
+   */
+  estimateRun(rows) {
+    const config = this.generator.config;
+    const prices = getPrices(config);
+    const parsingModel = this.parser.modelChain[0].name;
+    const generationModel = this.generator.models[0];
+    const estimate = { rows: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: [] };
+
+    const add = (model, promptTokens, completionTokens) => {
+      const cost = priceAttempt({ provider: this.provider.name, model, promptTokens, completionTokens }, prices);
+      if (cost === null && !estimate.unpriced.includes(model)) estimate.unpriced.push(model);
+      estimate.promptTokens += promptTokens;
+      estimate.completionTokens += completionTokens;
+      estimate.cost += cost || 0;
+    };
+
+    rows.forEach((row) => {
+      const item = this.ledger ? this.ledger.getItem(row) : {};
+      if (this.ledger && this.ledger.hasReached(item, "generated")) return;
+
+      estimate.rows++;
+      if (!this.ledger || !this.ledger.hasReached(item, "parsed")) {
+        add(parsingModel, estimateTokens(this.parser.buildParsingPrompt(row.instruction)), PARSE_COMPLETION_TOKENS);
+      }
+      const words = row.wordLimit || config.seo.wordCount.max;
+      add(
+        generationModel,
+        estimateTokens(this.generator.buildPrompt(row.instruction)),
+        Math.ceil(words * TOKENS_PER_WORD)
+      );
+    });
+
+    estimate.tokens = estimate.promptTokens + estimate.completionTokens;
+    return estimate;
+  }
+
+  /**
+   * Refuse a run whose estimate exceeds the budget or what is left of
+   * today's token limit
+   */
+  checkBudget(estimate, budgetUsd = null) {
+    const problems = [];
+    if (budgetUsd && estimate.cost > budgetUsd) {
+      const cost = estimate.cost.toFixed(estimate.cost < 0.01 ? 4 : 2);
+      problems.push(`estimated cost $${cost} exceeds the $${budgetUsd} budget`);
+    }
+
+    const governor = this.provider.governor;
+    if (governor && governor.tokensPerDay) {
+      const left = Math.max(0, governor.tokensPerDay - governor.getTokensToday());
+      if (estimate.tokens > left) {
+        problems.push(
+          `estimated ${estimate.tokens.toLocaleString()} tokens exceed the ${left.toLocaleString()} left of today's ${governor.tokensPerDay.toLocaleString()}-token limit`
+        );
+      }
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Batch refused: ${problems.join("; ")}`);
+      error.estimate = estimate;
+      throw error;
+    }
+  }
+
+  /**
+   * Parse, generate, score and save a single topic, resuming from the
+   * last stage recorded in the ledger
+   */
+  async processRow(row) {
+    const label = `[${row.index + 1}] ${row.instruction.substring(0, 60)}`;
+    const ledger = this.ledger;
+    const item = ledger ? ledger.getItem(row) : {};
+
+    if (ledger && ledger.isComplete(row)) {
+      console.log(chalk.gray(`⏭️  ${label} already saved → ${item.file}`));
+      return {
+        index: row.index,
+        instruction: row.instruction,
+        status: "success",
+        skipped: true,
+        file: item.file,
+        topic: item.topic,
+        wordCount: item.wordCount,
+        modelUsed: item.modelUsed,
+        seoScore: item.seoScore,
+        seoGrade: item.seoGrade,
+      };
+    }
+
+    console.log(chalk.blue(`\n▶️  ${label}`));
+    if (ledger) ledger.recordAttempt(row);
+
+    let workflow;
+    if (ledger && ledger.hasReached(item, "parsed")) {
+      console.log(chalk.gray("💾 Resuming with parsed workflow from ledger"));
+      workflow = item.workflow;
+    } else {
+      // Copy so overrides never leak into the parser cache
+      const parsed = await this.parser.parseInstruction(row.instruction);
+      workflow = this.applyOverrides(JSON.parse(JSON.stringify(parsed)), row);
+      if (ledger) await ledger.update(row, "parsed", { workflow });
+    }
+
+    let result;
+    if (ledger && ledger.hasReached(item, "generated")) {
+      console.log(chalk.gray("💾 Resuming with generated content from ledger"));
+      result = item.result;
+    } else {
+      // Point the model at real posts, including ones saved earlier in this run
+      const relatedPosts = this.linker
+        .findRelatedToTopic(workflow.topic, workflow.seoKeywords || [], { limit: 3 })
+        .map((match) => match.post);
+      result = await this.generator.generateWorkflowContent(workflow, { relatedPosts });
+      if (ledger) await ledger.update(row, "generated", { result });
+    }
+
+    const keyword = row.keyword || workflow.topic;
+    const seoAnalysis = this.seoOptimizer.optimizeContent(
+      result.content,
+      keyword,
+      result.metadata
+    );
+
+    const fileInfo = await this.fileManager.saveBlogPost(
+      { ...result, seo: seoAnalysis, workflow },
+      { filename: row.output, outputDir: this.outputDir, formats: this.formats }
+    );
+
+    const jsonFile = fileInfo.files.find((file) => file.format === "json");
+    if (jsonFile) {
+      this.linker.addPost(await this.fileManager.readBlogPost(jsonFile.filepath), jsonFile.filepath);
+    }
+
+    console.log(
+      chalk.green(
+        `✅ ${label} → ${fileInfo.filename} (${seoAnalysis.seoScore.grade} ${seoAnalysis.seoScore.percentage}%)`
+      )
+    );
+
+    const summary = {
+      index: row.index,
+      instruction: row.instruction,
+      status: "success",
+      file: fileInfo.filepath,
+      topic: workflow.topic,
+      wordCount: result.metadata.wordCount,
+      modelUsed: result.metadata.modelUsed,
+      seoScore: seoAnalysis.seoScore.percentage,
+      seoGrade: seoAnalysis.seoScore.grade,
+    };
+
+    if (ledger) {
+      // The saved post is the source of truth now; drop the bulky copies
+      await ledger.update(row, "saved", {
+        file: summary.file,
+        topic: summary.topic,
+        wordCount: summary.wordCount,
+        modelUsed: summary.modelUsed,
+        seoScore: summary.seoScore,
+        seoGrade: summary.seoGrade,
+        workflow: undefined,
+        result: undefined,
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Run all rows with a concurrency limit
+   */
+  async run(rows) {
+    const startedAt = new Date().toISOString();
+    const items = new Array(rows.length);
+    await this.linker.buildIndex(this.outputDir);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < rows.length && !this.halted) {
+        const row = rows[next++];
+
+        try {
+          items[row.index] = await this.processRow(row);
+        } catch (error) {
+          const errorType = this.parser.getErrorType(error.message);
+          console.log(
+            chalk.red(`❌ [${row.index + 1}] ${row.instruction}: ${error.message}`)
+          );
+
+          if (this.ledger) {
+            await this.ledger.markFailed(row, error, errorType);
+          }
+
+          items[row.index] = {
+            index: row.index,
+            instruction: row.instruction,
+            status: "failed",
+            error: error.message,
+            errorType,
+          };
+
+          if (HALTING_ERROR_TYPES.includes(errorType) && !this.halted) {
+            this.halted = { errorType, error: error.message };
+            console.log(
+              chalk.yellow(
+                `⏸️  Stopping batch (${errorType}). Rerun the same command to resume.`
+              )
+            );
+          }
+        }
+      }
+    };
+
+    const workers = Array.from(
+      { length: Math.min(this.concurrency, rows.length) },
+      () => worker()
+    );
+    await Promise.all(workers);
+
+    // Rows never started because the run halted stay pending in the ledger
+    rows.forEach((row) => {
+      if (!items[row.index]) {
+        items[row.index] = {
+          index: row.index,
+          instruction: row.instruction,
+          status: "pending",
+        };
+      }
+    });
+
+    return this.buildReport(items.filter(Boolean), startedAt);
+  }
+
+  /**
+   * Summarize a batch run
+   */
+  buildReport(items, startedAt) {
+    const succeeded = items.filter((item) => item.status === "success");
+    const scores = succeeded.map((item) => item.seoScore);
+
+    return {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      total: items.length,
+      succeeded: succeeded.length,
+      skipped: items.filter((item) => item.skipped).length,
+      failed: items.filter((item) => item.status === "failed").length,
+      pending: items.filter((item) => item.status === "pending").length,
+      halted: this.halted,
+      ledger: this.ledger ? this.ledger.filepath : null,
+      averageSeoScore:
+        scores.length > 0
+          ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+          : null,
+      items,
+    };
+  }
+
+  /**
+   * Write the summary report under the output directory
+   */
+  async writeReport(report, reportPath = null) {
+    let filepath = reportPath;
+
+    if (!filepath) {
+      const dir = await this.fileManager.ensureOutputDirectory(this.outputDir);
+      const stamp = report.startedAt.replace(/[:.]/g, "-");
+      filepath = path.join(dir, "reports", `batch-report-${stamp}.json`);
+    }
+
+    await fs.outputJson(filepath, report, { spaces: 2 });
+    return filepath;
+  }
+}
+
+module.exports = BatchRunner;
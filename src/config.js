@@ -0,0 +1,607 @@
+// src/config.js
+const fs = require("fs-extra");
+const path = require("path");
+const yaml = require("js-yaml");
+const { RULES, SEVERITY_PRIORITY } = require("./seo-rules");
+const ModelRegistry = require("./model-registry");
+
+// Quiet, so `--json` output stays parseable
+require("dotenv").config({ quiet: true });
+
+// Config files searched in the working directory, in priority order
+const CONFIG_FILES = [
+  "bloggen.config.js",
+  ".bloggenrc",
+  ".bloggenrc.json",
+  ".bloggenrc.yaml",
+  ".bloggenrc.yml",
+];
+
+const DEFAULTS = {
+  websiteUrl: "https://yoursite.com",
+  author: "AI Content Generator",
+  brandName: "IT Career Insights",
+  outputDir: "./blog-posts",
+  provider: {
+    name: "gemini",
+    apiKey: null,
+    baseUrl: null,
+    fixturesDir: "./fixtures",
+    record: false,
+    strict: false,
+  },
+  // Provider-specific keys; provider.apiKey wins when both are set
+  apiKeys: {
+    gemini: null,
+    openai: null,
+  },
+  // Publishing targets; base URLs can point at a local stub server
+  publishers: {
+    wordpress: { url: null, username: null, password: null },
+    ghost: { url: null, adminApiKey: null },
+    devto: { url: null, apiKey: null },
+  },
+  // Fallback order per task; null means "use the provider's default chain"
+  models: {
+    generation: null,
+    parsing: null,
+    // One model per task tried before the chain (set by --model)
+    selected: { generation: null, parsing: null },
+    // false tries only the first model of each chain
+    fallback: true,
+    // Extra or corrected registry entries, e.g.
+    // { "my-model": { provider: "openai", roles: ["generation"], contextTokens: 32000 } }
+    catalog: {},
+  },
+  // On-disk cache of model responses; ttlHours 0 keeps entries forever.
+  // Parsing is always cached, posts and rewrites only with generation: true
+  cache: {
+    enabled: true,
+    generation: false,
+    directory: "./.bloggen-cache",
+    ttlHours: 168,
+    maxSizeMb: 50,
+  },
+  // Shared by every model call once a requestsPerMinute or tokensPerDay
+  // limit is set; null means no limit. Token totals and model health are
+  // kept in stateFile between runs (null: <outputDir>/reports/governor.json)
+  limits: {
+    requestsPerMinute: null,
+    tokensPerDay: null,
+    batchBudgetUsd: null,
+    maxRetries: 3,
+    retryBaseMs: 1000,
+    retryMaxMs: 60000,
+    failureThreshold: 3,
+    blockMinutes: 15,
+    stateFile: null,
+  },
+  // USD per million tokens by model, on top of the built-in price table,
+  // e.g. { "gemini-2.5-flash": { input: 0.3, output: 2.5 } }
+  pricing: {},
+  seo: {
+    keywordDensity: { min: 1, max: 3 },
+    wordCount: { min: 1200, max: 1800 },
+    titleLength: { min: 50, max: 60 },
+    metaLength: { min: 140, max: 160 },
+    // Force one scoring profile instead of using each post's content type
+    profile: null,
+    // Per-rule overrides, e.g. { readability: { weight: 30, minScore: 65 } }
+    rules: {},
+    // Per-content-type overrides, e.g. { guide: { wordCount: { min: 2000 } } }
+    profiles: {},
+  },
+  // First category whose keywords appear in the post wins
+  categories: [
+    { name: "Salary & Compensation", keywords: ["salary", "compensation"] },
+    { name: "Remote Work", keywords: ["remote", "work from home"] },
+    { name: "Job Interviews", keywords: ["interview", "hiring"] },
+    { name: "Career Development", keywords: ["career", "path"] },
+    { name: "Skills & Learning", keywords: ["skill", "learning"] },
+    { name: "Industry Trends", keywords: ["trend", "market"] },
+    { name: "Programming Languages", keywords: ["javascript", "python", "react"] },
+    { name: "DevOps & Cloud", keywords: ["devops", "cloud"] },
+    { name: "Cybersecurity", keywords: ["security", "cybersecurity"] },
+    { name: "Data Science", keywords: ["data", "analytics"] },
+    { name: "AI & Machine Learning", keywords: ["ai", "machine learning"] },
+  ],
+  defaultCategory: "IT Job Market",
+};
+
+// Environment variables and the config path they set
+const ENV_MAPPING = [
+  { env: "WEBSITE_URL", path: "websiteUrl" },
+  { env: "AUTHOR_NAME", path: "author" },
+  { env: "BRAND_NAME", path: "brandName" },
+  { env: "DEFAULT_OUTPUT_DIR", path: "outputDir" },
+  { env: "LLM_PROVIDER", path: "provider.name" },
+  { env: "LLM_API_KEY", path: "provider.apiKey" },
+  { env: "LLM_BASE_URL", path: "provider.baseUrl" },
+  { env: "LLM_FIXTURES_DIR", path: "provider.fixturesDir" },
+  { env: "LLM_RECORD", path: "provider.record", type: "boolean" },
+  { env: "LLM_MOCK_STRICT", path: "provider.strict", type: "boolean" },
+  { env: "GEMINI_API_KEY", path: "apiKeys.gemini" },
+  { env: "OPENAI_API_KEY", path: "apiKeys.openai" },
+  { env: "WORDPRESS_URL", path: "publishers.wordpress.url" },
+  { env: "WORDPRESS_USERNAME", path: "publishers.wordpress.username" },
+  { env: "WORDPRESS_APP_PASSWORD", path: "publishers.wordpress.password" },
+  { env: "GHOST_URL", path: "publishers.ghost.url" },
+  { env: "GHOST_ADMIN_API_KEY", path: "publishers.ghost.adminApiKey" },
+  { env: "DEVTO_API_URL", path: "publishers.devto.url" },
+  { env: "DEVTO_API_KEY", path: "publishers.devto.apiKey" },
+  { env: "LLM_MODELS", path: "models.generation", type: "list" },
+  { env: "LLM_PARSING_MODELS", path: "models.parsing", type: "list" },
+  { env: "LLM_CACHE", path: "cache.enabled", type: "boolean" },
+  { env: "LLM_CACHE_DIR", path: "cache.directory" },
+  { env: "LLM_CACHE_GENERATION", path: "cache.generation", type: "boolean" },
+  { env: "LLM_REQUESTS_PER_MINUTE", path: "limits.requestsPerMinute", type: "number" },
+  { env: "LLM_TOKENS_PER_DAY", path: "limits.tokensPerDay", type: "number" },
+  { env: "LLM_BATCH_BUDGET", path: "limits.batchBudgetUsd", type: "number" },
+];
+
+// Values never printed in full
+const SECRET_PATHS = [
+  "provider.apiKey",
+  "apiKeys.gemini",
+  "apiKeys.openai",
+  "publishers.wordpress.password",
+  "publishers.ghost.adminApiKey",
+  "publishers.devto.apiKey",
+];
+
+let activeConfig = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function getPath(object, dottedPath) {
+  return dottedPath
+    .split(".")
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+function setPath(object, dottedPath, value) {
+  const keys = dottedPath.split(".");
+  let target = object;
+
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+
+  target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Deep-merge a layer into the config, recording where each leaf came from
+ */
+function mergeLayer(values, sources, layer, source, prefix = "") {
+  Object.entries(layer).forEach(([key, value]) => {
+    const dottedPath = prefix ? `${prefix}.${key}` : key;
+
+    if (value === undefined) return;
+
+    if (isPlainObject(value) && isPlainObject(getPath(values, dottedPath))) {
+      mergeLayer(values, sources, value, source, dottedPath);
+      return;
+    }
+
+    setPath(values, dottedPath, value);
+    sources[dottedPath] = source;
+
+    // Drop stale sources of nested leaves replaced by this value
+    Object.keys(sources).forEach((existing) => {
+      if (existing.startsWith(`${dottedPath}.`)) {
+        sources[existing] = source;
+      }
+    });
+  });
+}
+
+/**
+ * Convert an environment or CLI string to the type a config path expects
+ */
+function coerceValue(raw, type) {
+  if (type === "boolean") {
+    return ["true", "1", "yes", "on"].includes(String(raw).toLowerCase());
+  }
+
+  if (type === "number") {
+    const number = Number(raw);
+    return raw === "" || Number.isNaN(number) ? raw : number;
+  }
+
+  if (type === "list") {
+    const list = String(raw)
+      .split(",")
+      .map((item) => item.trim())
+      .filter((item) => item.length > 0);
+    return list.length > 0 ? list : null;
+  }
+
+  return raw;
+}
+
+/**
+ * Find the project config file
+ */
+function findConfigFile(cwd, explicitPath = null) {
+  if (explicitPath) {
+    const resolved = path.resolve(cwd, explicitPath);
+    if (!fs.pathExistsSync(resolved)) {
+      throw new Error(`Config file not found: ${explicitPath}`);
+    }
+    return resolved;
+  }
+
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    if (fs.pathExistsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a bloggen.config.js or .bloggenrc (JSON or YAML) file
+ */
+function readConfigFile(filepath) {
+  try {
+    if (filepath.endsWith(".js")) {
+      delete require.cache[require.resolve(filepath)];
+      return require(filepath);
+    }
+
+    return yaml.load(fs.readFileSync(filepath, "utf8")) || {};
+  } catch (error) {
+    throw new Error(`Could not read config file ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse "--set key=value" overrides
+ */
+function parseOverrides(pairs = []) {
+  const overrides = {};
+
+  pairs.forEach((pair) => {
+    const separator = pair.indexOf("=");
+    if (separator === -1) {
+      throw new Error(`Invalid --set "${pair}". Use key=value, e.g. seo.wordCount.min=800`);
+    }
+
+    const key = pair.substring(0, separator).trim();
+    const raw = pair.substring(separator + 1).trim();
+    let value = raw;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      // Plain strings do not need quoting
+    }
+
+    setPath(overrides, key, value);
+  });
+
+  return overrides;
+}
+
+/**
+ * Validate the merged config, naming the source of each bad value
+ */
+function validateConfig(values, sources) {
+  const errors = [];
+  const fail = (dottedPath, message) => {
+    // Blame the most specific overridden value under this path
+    const overridden = Object.keys(sources).find(
+      (key) =>
+        (key === dottedPath || key.startsWith(`${dottedPath}.`)) &&
+        sources[key] !== "default"
+    );
+    const source = overridden ? sources[overridden] : "default";
+    errors.push(`${dottedPath}: ${message} (from ${source})`);
+  };
+
+  if (!/^https?:\/\/[^\s/]+/.test(values.websiteUrl || "")) {
+    fail("websiteUrl", `must be an http(s) URL, got "${values.websiteUrl}"`);
+  }
+
+  ["author", "brandName", "outputDir", "defaultCategory"].forEach((key) => {
+    if (typeof values[key] !== "string" || values[key].trim().length === 0) {
+      fail(key, "must be a non-empty string");
+    }
+  });
+
+  const providerNames = ["gemini", "openai", "ollama", "mock"];
+  if (!providerNames.includes(String(values.provider.name).toLowerCase())) {
+    fail("provider.name", `must be one of ${providerNames.join(", ")}`);
+  }
+
+  ["generation", "parsing"].forEach((key) => {
+    const models = values.models[key];
+    if (
+      models !== null &&
+      (!Array.isArray(models) ||
+        models.length === 0 ||
+        models.some((model) => typeof model !== "string"))
+    ) {
+      fail(`models.${key}`, "must be a non-empty list of model names or null");
+    }
+  });
+  if (typeof values.models.fallback !== "boolean") {
+    fail("models.fallback", "must be true or false");
+  }
+
+  let catalogValid = isPlainObject(values.models.catalog);
+  if (catalogValid) {
+    Object.entries(values.models.catalog).forEach(([model, entry]) => {
+      const entryPath = `models.catalog.${model}`;
+      if (!isPlainObject(entry)) {
+        fail(entryPath, "must be an object");
+      } else if (
+        entry.roles !== undefined &&
+        (!Array.isArray(entry.roles) || entry.roles.some((role) => !ModelRegistry.ROLES.includes(role)))
+      ) {
+        fail(`${entryPath}.roles`, `must be a list of ${ModelRegistry.ROLES.join(", ")}`);
+      } else if (
+        ["contextTokens", "outputTokens"].some(
+          (key) => entry[key] !== undefined && entry[key] !== null && (typeof entry[key] !== "number" || entry[key] <= 0)
+        )
+      ) {
+        fail(entryPath, "contextTokens and outputTokens must be numbers > 0");
+      } else if (
+        entry.price !== undefined &&
+        entry.price !== null &&
+        (!isPlainObject(entry.price) || !(entry.price.input >= 0) || !(entry.price.output >= 0))
+      ) {
+        fail(`${entryPath}.price`, "must be { input, output } USD per million tokens, both >= 0");
+      } else {
+        return;
+      }
+      catalogValid = false;
+    });
+  } else {
+    fail("models.catalog", "must be an object keyed by model name");
+  }
+
+  if (isPlainObject(values.models.selected)) {
+    const registry = catalogValid ? new ModelRegistry(values) : null;
+    Object.entries(values.models.selected).forEach(([role, model]) => {
+      if (!ModelRegistry.ROLES.includes(role)) {
+        fail(`models.selected.${role}`, `unknown task. Use: ${ModelRegistry.ROLES.join(", ")}`);
+      } else if (model !== null && (typeof model !== "string" || model.trim().length === 0)) {
+        fail(`models.selected.${role}`, "must be a model name or null");
+      } else if (model && registry && registry.check(model, role)) {
+        fail(`models.selected.${role}`, registry.check(model, role));
+      }
+    });
+  } else {
+    fail("models.selected", "must be { generation, parsing }");
+  }
+
+  if (typeof values.cache.generation !== "boolean") {
+    fail("cache.generation", "must be true or false");
+  }
+  if (typeof values.cache.directory !== "string" || values.cache.directory.trim().length === 0) {
+    fail("cache.directory", "must be a non-empty string");
+  }
+  if (typeof values.cache.ttlHours !== "number" || values.cache.ttlHours < 0) {
+    fail("cache.ttlHours", "must be a number >= 0 (0 = never expire)");
+  }
+  if (typeof values.cache.maxSizeMb !== "number" || values.cache.maxSizeMb <= 0) {
+    fail("cache.maxSizeMb", "must be a number > 0");
+  }
+
+  const limits = values.limits;
+  ["requestsPerMinute", "tokensPerDay", "batchBudgetUsd"].forEach((key) => {
+    if (limits[key] !== null && (typeof limits[key] !== "number" || limits[key] <= 0)) {
+      fail(`limits.${key}`, "must be a number > 0, or null for no limit");
+    }
+  });
+  ["maxRetries", "retryBaseMs", "retryMaxMs"].forEach((key) => {
+    if (!Number.isInteger(limits[key]) || limits[key] < 0) {
+      fail(`limits.${key}`, "must be a whole number >= 0");
+    }
+  });
+  if (!Number.isInteger(limits.failureThreshold) || limits.failureThreshold < 1) {
+    fail("limits.failureThreshold", "must be a whole number >= 1");
+  }
+  if (typeof limits.blockMinutes !== "number" || limits.blockMinutes <= 0) {
+    fail("limits.blockMinutes", "must be a number > 0");
+  }
+  if (typeof limits.stateFile !== "string" || limits.stateFile.trim().length === 0) {
+    fail("limits.stateFile", "must be a non-empty string");
+  }
+
+  if (isPlainObject(values.pricing)) {
+    Object.entries(values.pricing).forEach(([model, price]) => {
+      if (
+        !isPlainObject(price) ||
+        typeof price.input !== "number" ||
+        typeof price.output !== "number" ||
+        price.input < 0 ||
+        price.output < 0
+      ) {
+        fail(`pricing.${model}`, "must be { input, output } USD per million tokens, both >= 0");
+      }
+    });
+  } else {
+    fail("pricing", "must be an object keyed by model name");
+  }
+
+  ["keywordDensity", "wordCount", "titleLength", "metaLength"].forEach((key) => {
+    const range = values.seo[key];
+    if (
+      !isPlainObject(range) ||
+      typeof range.min !== "number" ||
+      typeof range.max !== "number" ||
+      range.min < 0 ||
+      range.min > range.max
+    ) {
+      fail(`seo.${key}`, "must be { min, max } numbers with 0 <= min <= max");
+    }
+  });
+
+  const validateRuleOverrides = (overrides, dottedPath) => {
+    if (!isPlainObject(overrides)) {
+      fail(dottedPath, "must be an object keyed by rule name");
+      return;
+    }
+
+    Object.entries(overrides).forEach(([name, rule]) => {
+      const rulePath = `${dottedPath}.${name}`;
+      if (!RULES[name]) {
+        fail(rulePath, `unknown SEO rule. Available: ${Object.keys(RULES).join(", ")}`);
+      } else if (!isPlainObject(rule)) {
+        fail(rulePath, "must be an object");
+      } else if (
+        rule.weight !== undefined &&
+        (typeof rule.weight !== "number" || rule.weight < 0)
+      ) {
+        fail(`${rulePath}.weight`, "must be a number >= 0");
+      } else if (rule.severity !== undefined && !SEVERITY_PRIORITY[rule.severity]) {
+        fail(
+          `${rulePath}.severity`,
+          `must be one of ${Object.keys(SEVERITY_PRIORITY).join(", ")}`
+        );
+      }
+    });
+  };
+
+  validateRuleOverrides(values.seo.rules, "seo.rules");
+  if (isPlainObject(values.seo.profiles)) {
+    Object.entries(values.seo.profiles).forEach(([profile, overrides]) => {
+      validateRuleOverrides(overrides, `seo.profiles.${profile}`);
+    });
+  } else {
+    fail("seo.profiles", "must be an object keyed by content type");
+  }
+
+  if (
+    !Array.isArray(values.categories) ||
+    values.categories.some(
+      (category) =>
+        !isPlainObject(category) ||
+        typeof category.name !== "string" ||
+        !Array.isArray(category.keywords)
+    )
+  ) {
+    fail("categories", "must be a list of { name, keywords: [] }");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+  }
+}
+
+/**
+ * Build the effective config: defaults → config file → env → CLI flags
+ */
+function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const values = JSON.parse(JSON.stringify(DEFAULTS));
+  const sources = {};
+
+  mergeLayer(values, sources, DEFAULTS, "default");
+
+  const file = findConfigFile(cwd, options.configPath || env.BLOGGEN_CONFIG);
+  if (file) {
+    mergeLayer(values, sources, readConfigFile(file), `file:${path.relative(cwd, file) || file}`);
+  }
+
+  ENV_MAPPING.forEach((mapping) => {
+    const raw = env[mapping.env];
+    if (raw === undefined || raw === "") return;
+
+    const layer = {};
+    setPath(layer, mapping.path, coerceValue(raw, mapping.type));
+    mergeLayer(values, sources, layer, `env:${mapping.env}`);
+  });
+
+  if (options.overrides) {
+    mergeLayer(values, sources, options.overrides, "cli");
+  }
+
+  values.provider.name = String(values.provider.name).toLowerCase();
+  // Kept with the posts rather than in whatever directory bloggen runs from
+  if (!values.limits.stateFile && typeof values.outputDir === "string") {
+    values.limits.stateFile = path.join(values.outputDir, "reports", "governor.json");
+  }
+  validateConfig(values, sources);
+
+  return { values, sources, file };
+}
+
+/**
+ * Config used by modules that are not handed one explicitly
+ */
+function getConfig() {
+  if (!activeConfig) {
+    activeConfig = loadConfig();
+  }
+  return activeConfig.values;
+}
+
+/**
+ * Replace the shared config (the CLI does this once flags are parsed)
+ */
+function setActiveConfig(config) {
+  activeConfig = config;
+  return config;
+}
+
+function getActiveConfig() {
+  if (!activeConfig) {
+    activeConfig = loadConfig();
+  }
+  return activeConfig;
+}
+
+/**
+ * Flatten the config into [path, value, source] rows for display
+ */
+function describeConfig(config) {
+  const rows = [];
+
+  const walk = (object, prefix) => {
+    Object.entries(object).forEach(([key, value]) => {
+      const dottedPath = prefix ? `${prefix}.${key}` : key;
+
+      if (isPlainObject(value) && Object.keys(value).length > 0) {
+        walk(value, dottedPath);
+        return;
+      }
+
+      let display = value;
+      if (SECRET_PATHS.includes(dottedPath) && value) {
+        display = `${String(value).substring(0, 4)}…(set)`;
+      }
+
+      rows.push({
+        path: dottedPath,
+        value: display,
+        source: config.sources[dottedPath] || "default",
+      });
+    });
+  };
+
+  walk(config.values, "");
+  return rows;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULTS,
+  ENV_MAPPING,
+  loadConfig,
+  getConfig,
+  getActiveConfig,
+  setActiveConfig,
+  parseOverrides,
+  describeConfig,
+};
@@ -0,0 +1,192 @@
+// src/content-diff.js
+
+// Above this many word pairs the word-level table gets too large, so the
+// diff runs paragraph by paragraph instead
+const MAX_CELLS = 16 * 1024 * 1024;
+
+/**
+ * Words with their trailing whitespace, so joining tokens rebuilds the text
+ */
+function tokenize(text) {
+  return String(text || "").match(/\S+\s*/g) || [];
+}
+
+/**
+ * Longest-common-subsequence diff of two token lists
+ */
+function diffTokens(a, b, compare = (token) => token.trim()) {
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && compare(a[start]) === compare(b[start])) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && compare(a[endA - 1]) === compare(b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const rows = middleA.length + 1;
+  const columns = middleB.length + 1;
+  const table = new Uint32Array(rows * columns);
+
+  for (let i = middleA.length - 1; i >= 0; i--) {
+    for (let j = middleB.length - 1; j >= 0; j--) {
+      table[i * columns + j] =
+        compare(middleA[i]) === compare(middleB[j])
+          ? table[(i + 1) * columns + j + 1] + 1
+          : Math.max(table[(i + 1) * columns + j], table[i * columns + j + 1]);
+    }
+  }
+
+  // Unchanged text is shown as it reads in the newer version
+  const changes = b.slice(0, start).map((token) => ({ type: "equal", text: token }));
+  let i = 0;
+  let j = 0;
+  while (i < middleA.length && j < middleB.length) {
+    if (compare(middleA[i]) === compare(middleB[j])) {
+      changes.push({ type: "equal", text: middleB[j] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * columns + j] >= table[i * columns + j + 1]) {
+      changes.push({ type: "removed", text: middleA[i++] });
+    } else {
+      changes.push({ type: "added", text: middleB[j++] });
+    }
+  }
+  middleA.slice(i).forEach((token) => changes.push({ type: "removed", text: token }));
+  middleB.slice(j).forEach((token) => changes.push({ type: "added", text: token }));
+  b.slice(endB).forEach((token) => changes.push({ type: "equal", text: token }));
+
+  return merge(changes);
+}
+
+/**
+ * Join neighbouring changes of the same type
+ */
+function merge(changes) {
+  return changes.reduce((merged, change) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === change.type) {
+      last.text += change.text;
+    } else {
+      merged.push({ ...change });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Word-level diff of two texts. Very long, heavily rewritten texts are
+ * matched paragraph by paragraph first, then diffed word by word within
+ * changed paragraphs
+ */
+function diffWords(before, after) {
+  const wordsBefore = tokenize(before);
+  const wordsAfter = tokenize(after);
+
+  if (wordsBefore.length * wordsAfter.length <= MAX_CELLS) {
+    return diffTokens(wordsBefore, wordsAfter);
+  }
+
+  const paragraphs = (text) => String(text || "").match(/[^\n]+\n*|\n+/g) || [];
+  const blocks = diffTokens(paragraphs(before), paragraphs(after));
+  const changes = [];
+
+  for (let index = 0; index < blocks.length; index++) {
+    const block = blocks[index];
+    const next = blocks[index + 1];
+
+    if (block.type === "removed" && next && next.type === "added") {
+      const inner = tokenize(block.text).length * tokenize(next.text).length;
+      if (inner <= MAX_CELLS) {
+        changes.push(...diffTokens(tokenize(block.text), tokenize(next.text)));
+        index++;
+        continue;
+      }
+    }
+    changes.push(block);
+  }
+
+  return merge(changes);
+}
+
+/**
+ * Words added, removed and unchanged, and the share of the newer text that
+ * is new
+ */
+function summarizeDiff(changes) {
+  const count = (type) =>
+    changes
+      .filter((change) => change.type === type)
+      .reduce((sum, change) => sum + tokenize(change.text).length, 0);
+
+  const added = count("added");
+  const removed = count("removed");
+  const unchanged = count("equal");
+
+  return {
+    added,
+    removed,
+    unchanged,
+    changedPercentage: Math.round((added / Math.max(1, added + unchanged)) * 100),
+  };
+}
+
+/**
+ * Hunks of changes with a few words of context around each; long
+ * unchanged stretches are collapsed
+ */
+function getHunks(changes, context = 8) {
+  const hunks = [];
+  let current = null;
+
+  changes.forEach((change, index) => {
+    if (change.type !== "equal") {
+      if (!current) {
+        current = { parts: [] };
+        hunks.push(current);
+      }
+      current.parts.push(change);
+      return;
+    }
+
+    const words = tokenize(change.text);
+    const isFirst = index === 0;
+    const isLast = index === changes.length - 1;
+
+    if (current && !isLast && words.length <= context * 2) {
+      current.parts.push(change);
+      return;
+    }
+
+    if (current) {
+      current.parts.push({ type: "equal", text: words.slice(0, context).join(""), trimmed: words.length > context });
+      current = null;
+    }
+    if (!isLast) {
+      current = {
+        parts: [
+          {
+            type: "equal",
+            text: words.slice(-context).join(""),
+            trimmedBefore: !isFirst || words.length > context,
+          },
+        ],
+      };
+      hunks.push(current);
+    }
+  });
+
+  return hunks.filter((hunk) => hunk.parts.some((part) => part.type !== "equal"));
+}
+
+module.exports = {
+  tokenize,
+  diffWords,
+  summarizeDiff,
+  getHunks,
+};
@@ -1,32 +1,28 @@
 // src/content-generator.js
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const chalk = require("chalk");
+const { createProvider } = require("./providers");
+const { getConfig } = require("./config");
+const { createAttempt } = require("./usage");
+const MarkdownDocument = require("./markdown-document");
 
 class ContentGenerator {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error("Gemini API key is required");
-    }
+  constructor(apiKey, options = {}) {
+    this.apiKey = apiKey;
+    this.provider = options.provider || createProvider({ name: "gemini", apiKey });
+    this.config = options.config || getConfig();
+    this.baseUrl = this.config.websiteUrl;
 
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    this.baseUrl = process.env.WEBSITE_URL || "https://yoursite.com"; // Load from env
-
-    // All current Flash models in priority order (newest/best first)
-    this.flashModels = [
-      "gemini-2.5-flash", // Primary: Best price/performance with thinking
-      "gemini-2.5-flash-lite", // Secondary: Most cost-efficient 2.5 model
-      "gemini-2.0-flash", // Tertiary: Enhanced 2.0 capabilities
-      "gemini-2.0-flash-lite", // Quaternary: Cost-efficient 2.0
-      "gemini-1.5-flash", // Backup: Reliable 1.5 model
-      "gemini-1.5-flash-8b", // Final fallback: Smallest/fastest
-    ];
+    // Generation models in priority order, supplied by the provider
+    this.models = this.provider.generationModels;
 
     this.currentModelIndex = 0;
   }
 
   async generateWorkflowContent(workflow, options = {}) {
     // Use the parser's enhanced prompt generation
-    const parser = new (require("./gemini-workflow-parser"))(this.apiKey);
+    const parser = new (require("./gemini-workflow-parser"))(this.apiKey, {
+      provider: this.provider,
+    });
     const enhancedPrompt = parser.generateContentPrompt(workflow);
 
     console.log(chalk.gray(`📝 Content type: ${workflow.contentType}`));
@@ -43,16 +39,37 @@ class ContentGenerator {
     }
 
     // Generate content with the enhanced prompt that includes word count constraints
+    const constraints = workflow.lengthConstraints || {};
     const result = await this.generateContent(workflow.topic, {
       customPrompt: enhancedPrompt,
+      relatedPosts: options.relatedPosts,
+      stream: options.stream,
+      onText: options.onText,
+      onEnd: options.onEnd,
+      signal: options.signal,
+      // The parsing calls count toward this post's usage
+      usage: workflow.usage,
+      // A hard maximum stops the stream instead of trimming afterwards
+      wordLimit:
+        constraints.hasCriticalLimit && constraints.constraintType === "maximum"
+          ? constraints.wordLimit
+          : undefined,
     });
 
+    if (result.metadata.trimmed) {
+      console.log(
+        chalk.yellow(
+          `✂️  Stopped at the ${constraints.wordLimit}-word limit (${result.metadata.wordCount} words kept)`
+        )
+      );
+    }
+
     // Post-processing word count validation
     if (
       workflow.lengthConstraints &&
       workflow.lengthConstraints.hasCriticalLimit
     ) {
-      const wordCount = this.countWords(result.content);
+      const wordCount = this.getWordCount(result.content);
       const limit = workflow.lengthConstraints.wordLimit;
 
       if (
@@ -65,7 +82,7 @@ class ContentGenerator {
           )
         );
         result.content = this.trimToWordLimit(result.content, limit);
-        result.metadata.wordCount = this.countWords(result.content);
+        result.metadata.wordCount = this.getWordCount(result.content);
         result.metadata.trimmed = true;
       }
     }
@@ -82,7 +99,57 @@ class ContentGenerator {
     return result;
   }
 
-  // Add helper methods
+  /**
+   * Stream one model's reply. Hitting the word limit ends the request and
+   * trims to the last full sentence; a cancelled signal throws with the
+   * partial text attached
+   */
+  async streamText(modelName, prompt, options = {}) {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    if (options.signal) {
+      if (options.signal.aborted) controller.abort();
+      options.signal.addEventListener("abort", cancel);
+    }
+
+    let truncated = false;
+    try {
+      const response = await this.provider.stream(modelName, prompt, {
+        stage: options.stage || "generation",
+        signal: controller.signal,
+        params: options.wordLimit ? { wordLimit: options.wordLimit } : undefined,
+        onText: (piece, text) => {
+          if (options.onText) options.onText(piece, text);
+          if (options.wordLimit && this.countWords(text) > options.wordLimit) {
+            truncated = true;
+            controller.abort();
+          }
+        },
+      });
+
+      if (options.onEnd) options.onEnd();
+
+      if (options.signal && options.signal.aborted) {
+        const error = new Error("Generation cancelled");
+        error.cancelled = true;
+        error.partial = { text: response.text, modelName };
+        throw error;
+      }
+
+      return truncated
+        ? {
+            text: this.trimToWordLimit(response.text, options.wordLimit),
+            truncated,
+            cached: response.cached,
+            usage: response.usage,
+          }
+        : response;
+    } finally {
+      if (options.signal) options.signal.removeEventListener("abort", cancel);
+    }
+  }
+
+  // Add helper methods. countWords is the cheap raw count used while streaming
   countWords(content) {
     return content.trim().split(/\s+/).length;
   }
@@ -209,41 +276,113 @@ Content Structure:`;
   }
 
   /**
-   * Try generating content with fallback models
+   * Try generating content with fallback models. `usage` holds calls
+   * already made for this post (workflow parsing); the generation calls
+   * are added to it in metadata.usage
    */
   async generateContent(topic, options = {}) {
+    const prompt = this.buildPrompt(
+      topic,
+      options.customPrompt,
+      options.relatedPosts
+    );
+
+    let generated;
+    try {
+      generated = await this.generateText(prompt, options);
+    } catch (error) {
+      // Cancelled streams keep what arrived so it can be saved as a draft
+      if (error.cancelled && error.partial) {
+        error.result = {
+          ...this.processContent(error.partial.text, topic, error.partial.modelName),
+          prompt,
+        };
+        error.result.metadata.partial = true;
+        error.result.metadata.usage = [...(options.usage || []), ...error.usage];
+      }
+      throw error;
+    }
+
+    const result = {
+      ...this.processContent(generated.text, topic, generated.modelName),
+      // Kept for the revision history, not saved in full
+      prompt,
+    };
+    result.metadata.usage = [...(options.usage || []), ...generated.usage];
+    if (generated.truncated) {
+      result.metadata.trimmed = true;
+    }
+    return result;
+  }
+
+  /**
+   * Send a ready-made prompt, falling back through the models until one
+   * returns text. With `stream` the text arrives through onText (and
+   * onEnd once it stops) and generation stops at `wordLimit` words or
+   * when `signal` is aborted. Every call, failed fallbacks included, is
+   * returned in `usage` (and attached to a cancel error)
+   */
+  async generateText(prompt, options = {}) {
     let lastError;
+    const usage = [];
+    const attempt = (modelName, fields) =>
+      createAttempt({
+        stage: options.stage || "generation",
+        provider: this.provider.name,
+        model: modelName,
+        prompt,
+        ...fields,
+      });
+
+    for (let i = 0; i < this.models.length; i++) {
+      const modelName = this.models[i];
+      let response;
 
-    for (let i = 0; i < this.flashModels.length; i++) {
-      const modelName = this.flashModels[i];
+      // Models that kept failing, in this run or an earlier one, sit out
+      const blockedUntil = this.provider.governor && this.provider.governor.getBlockedUntil(modelName);
+      if (blockedUntil) {
+        console.log(chalk.yellow(`⏭️  Skipping ${modelName} (blocked until ${blockedUntil.substring(11, 16)} UTC after repeated failures)`));
+        lastError = lastError || new Error(`${modelName} is temporarily blocked after repeated failures`);
+        continue;
+      }
 
       try {
         console.log(chalk.blue(`🤖 Trying ${modelName}...`));
 
-        const model = this.genAI.getGenerativeModel({ model: modelName });
-        const prompt = this.buildPrompt(topic, options.customPrompt);
-
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const content = response.text();
+        response =
+          options.stream && typeof this.provider.stream === "function"
+            ? await this.streamText(modelName, prompt, options)
+            : await this.provider.generate(modelName, prompt, { stage: options.stage || "generation" });
+        const text = response.text;
 
-        if (!content || content.trim().length === 0) {
+        if (!text || text.trim().length === 0) {
           throw new Error("Empty response from API");
         }
 
-        console.log(chalk.green(`✅ Success with ${modelName}`));
-        return this.processContent(content, topic, modelName);
+        console.log(chalk.green(`✅ Success with ${modelName}${response.cached ? " (cached)" : ""}`));
+        if (response.cached) {
+          console.log(chalk.yellow("💾 Reused a cached response (cache.generation is on); pass --no-cache for a new one"));
+        }
+        usage.push(attempt(modelName, { response }));
+        return {
+          text,
+          modelName,
+          truncated: Boolean(response.truncated),
+          cached: Boolean(response.cached),
+          usage,
+        };
       } catch (error) {
+        if (error.cancelled) {
+          // What streamed before the cancel is billed too
+          usage.push(attempt(modelName, { response: { text: error.partial.text }, status: "cancelled" }));
+          error.usage = usage;
+          throw error;
+        }
+        usage.push(attempt(modelName, { response, error }));
         lastError = error;
+        // Transient errors were already retried with backoff by the
+        // governor, so move straight on to the next model
         console.log(chalk.yellow(`⚠️  ${modelName} failed: ${error.message}`));
-
-        // If it's the last model, don't try more
-        if (i === this.flashModels.length - 1) {
-          break;
-        }
-
-        // Wait a bit before trying next model
-        await this.delay(1000);
       }
     }
 
@@ -254,8 +393,9 @@ Content Structure:`;
   /**
    * Build optimized prompt for IT job market content
    */
-  buildPrompt(topic, customPrompt = null) {
+  buildPrompt(topic, customPrompt = null, relatedPosts = []) {
     const currentDate = new Date().toISOString().split("T")[0];
+    const internalLinks = this.buildInternalLinksSection(relatedPosts);
 
     if (customPrompt) {
       return `${customPrompt}
@@ -271,7 +411,7 @@ IMPORTANT REQUIREMENTS:
 - Include a compelling introduction and conclusion
 - Reference current date context: ${currentDate}
 - Naturally mention and link to ${this.baseUrl} as a resource for additional career insights (1-2 times maximum)
-
+${internalLinks}
 Generate the complete blog post in markdown format.`;
     }
 
@@ -303,10 +443,30 @@ BACKLINK INTEGRATION:
 - Naturally reference ${this.baseUrl} as a valuable resource for IT career insights
 - Include 1-2 contextual mentions that add value to the content
 - Make the references feel organic and helpful to readers
-
+${internalLinks}
 Generate the complete blog post in markdown format with proper formatting.`;
   }
 
+  /**
+   * Existing posts the model should link to, so "internal linking" points
+   * at real pages instead of invented ones
+   */
+  buildInternalLinksSection(relatedPosts = []) {
+    if (!relatedPosts || relatedPosts.length === 0) {
+      return "";
+    }
+
+    const links = relatedPosts
+      .map((post) => `- [${post.title}](${post.url})`)
+      .join("\n");
+
+    return `
+INTERNAL LINKS:
+Link to 1-3 of these related posts where they genuinely help the reader, using descriptive anchor text (never "click here"). Use these exact URLs and do not invent other internal links:
+${links}
+`;
+  }
+
   /**
    * Process and enhance the generated content
    */
@@ -347,10 +507,10 @@ Generate the complete blog post in markdown format with proper formatting.`;
   }
 
   /**
-   * Count words in content
+   * Count words in content the way the SEO analysis does
    */
   getWordCount(content) {
-    return content.split(/\s+/).filter((word) => word.length > 0).length;
+    return MarkdownDocument.from(content).getWordCount();
   }
 
   /**
@@ -365,24 +525,21 @@ Generate the complete blog post in markdown format with proper formatting.`;
     return matches ? matches.length : 0;
   }
 
-  /**
-   * Delay utility for retries
-   */
-  delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
   /**
    * Handle case when all models fail
    */
   handleAllModelsFailed(lastError) {
-    console.log(chalk.red("\n❌ All Gemini Flash models failed"));
+    console.log(
+      chalk.red(`\n❌ All ${this.provider.displayName} models failed`)
+    );
 
     if (
       lastError.message.includes("API_KEY_INVALID") ||
       lastError.message.includes("invalid_api_key")
     ) {
-      console.log(chalk.yellow("Invalid Gemini API key."));
+      console.log(
+        chalk.yellow(`Invalid ${this.provider.displayName} API key.`)
+      );
       console.log(
         chalk.blue(
           "Please check your API key or set GEMINI_API_KEY environment variable."
@@ -440,10 +597,11 @@ Generate the complete blog post in markdown format with proper formatting.`;
    */
   getModelStatus() {
     return {
-      totalModels: this.flashModels.length,
-      availableModels: this.flashModels,
-      primaryModel: this.flashModels[0],
-      fallbackModels: this.flashModels.slice(1),
+      provider: this.provider.name,
+      totalModels: this.models.length,
+      availableModels: this.models,
+      primaryModel: this.models[0],
+      fallbackModels: this.models.slice(1),
     };
   }
 
@@ -2,12 +2,34 @@
 const fs = require("fs-extra");
 const path = require("path");
 const chalk = require("chalk");
-require("dotenv").config();
+const yaml = require("js-yaml");
+const { marked } = require("marked");
+const SEOOptimizer = require("./seo-optimizer");
+const MarkdownDocument = require("./markdown-document");
+const { getConfig } = require("./config");
+const { createRevision } = require("./revisions");
+const { summarizeUsage } = require("./usage");
+
+// Supported export formats and their file extensions
+const FORMAT_EXTENSIONS = {
+  json: ".json",
+  markdown: ".md",
+  html: ".html",
+  text: ".txt",
+};
+
+const FORMAT_ALIASES = {
+  md: "markdown",
+  htm: "html",
+  txt: "text",
+  plain: "text",
+};
 
 class FileManager {
-  constructor() {
-    this.defaultOutputDir = process.env.DEFAULT_OUTPUT_DIR || "./blog-posts";
-    this.websiteUrl = process.env.WEBSITE_URL || "https://yoursite.com";
+  constructor(config = getConfig()) {
+    this.config = config;
+    this.defaultOutputDir = config.outputDir;
+    this.websiteUrl = config.websiteUrl;
   }
 
   /**
@@ -28,16 +50,48 @@ class FileManager {
   /**
    * Generate structured filename
    */
-  generateFilename(topic, customName = null) {
+  generateFilename(topic, customName = null, format = "json") {
+    const extension = FORMAT_EXTENSIONS[format] || ".json";
+
     if (customName) {
-      return customName.endsWith(".json") ? customName : `${customName}.json`;
+      return `${this.stripFormatExtension(customName)}${extension}`;
     }
 
     const date = new Date().toISOString().split("T")[0];
     const time = new Date().toTimeString().split(" ")[0].replace(/:/g, "-");
     const slug = this.createSlug(topic);
 
-    return `${date}-${time}-${slug}.json`;
+    return `${date}-${time}-${slug}${extension}`;
+  }
+
+  /**
+   * Remove a known export extension from a filename
+   */
+  stripFormatExtension(filename) {
+    return filename.replace(/\.(json|md|markdown|html?|txt)$/i, "");
+  }
+
+  /**
+   * Normalize a format list ("json,md" or ["json", "html"])
+   */
+  normalizeFormats(formats) {
+    const list = Array.isArray(formats)
+      ? formats
+      : String(formats || "json").split(",");
+
+    const normalized = list
+      .map((format) => format.trim().toLowerCase())
+      .filter((format) => format.length > 0)
+      .map((format) => FORMAT_ALIASES[format] || format);
+
+    const unknown = normalized.filter((format) => !FORMAT_EXTENSIONS[format]);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown format "${unknown.join(", ")}". Use: json, markdown (md), html, text (txt)`
+      );
+    }
+
+    return normalized.length > 0 ? [...new Set(normalized)] : ["json"];
   }
 
   /**
@@ -52,16 +106,13 @@ class FileManager {
   }
 
   /**
-   * Format complete blog post output
+   * Build the blog post object shared by every export format
    */
-  formatBlogPost(result, additionalMetadata = {}) {
+  buildBlogPost(result, additionalMetadata = {}) {
     const { content, metadata } = result;
     const seoData = this.extractSEOData(content);
     const timestamp = new Date().toISOString();
-
-    // Extract title from content
-    const titleMatch = content.match(/^#\s+(.+)$/m);
-    const title = titleMatch ? titleMatch[1].trim() : seoData.title;
+    const title = seoData.title;
 
     // Get current date/time
     const currentDate = new Date();
@@ -77,8 +128,9 @@ class FileManager {
       keywords: seoData.keywords,
       datetime: timestamp,
       date: currentDate.toISOString().split("T")[0], // YYYY-MM-DD format
-      category: this.determineCategory(content, metadata.topic),
-      author: process.env.AUTHOR_NAME || "AI Content Generator",
+      // Rewrites carry over the original's category, author and URL
+      category: metadata.category || this.determineCategory(content, metadata.topic),
+      author: metadata.author || this.config.author,
 
       // Additional metadata for reference
       metadata: {
@@ -87,15 +139,23 @@ class FileManager {
         wordCount: metadata.wordCount,
         backlinksIncluded: metadata.backlinksIncluded,
         topic: metadata.topic,
+        // Picks the SEO profile when the post is analyzed or rewritten later
+        contentType: metadata.contentType || (metadata.workflow && metadata.workflow.contentType) || null,
         slug: metadata.slug,
         website: this.websiteUrl,
-        seoScore: additionalMetadata.seoScore || null,
+        // Generations cancelled part way are saved as drafts
+        draft: Boolean(metadata.partial),
+        // Tokens of every model call behind this version, for `bloggen usage`
+        usage: metadata.usage ? summarizeUsage(metadata.usage) : null,
+        seoScore:
+          additionalMetadata.seoScore ||
+          (result.seo ? result.seo.seoScore.percentage : null),
 
         // API-ready fields
         metaDescription: seoData.metaDescription,
-        canonicalUrl: `${this.websiteUrl}/${
-          metadata.slug || this.generateSlug(title)
-        }`,
+        canonicalUrl:
+          metadata.canonicalUrl ||
+          `${this.websiteUrl}/${metadata.slug || this.createSlug(title)}`,
 
         // Social media tags
         ogTitle: title,
@@ -104,6 +164,9 @@ class FileManager {
           "https://via.placeholder.com/1200x630/2563eb/ffffff?text=" +
           encodeURIComponent(title.substring(0, 40)),
 
+        // Every saved version, oldest first; rewrites carry their parent's history
+        revisions: this.buildRevisions(result, additionalMetadata),
+
         // Technical details
         generator: "Bloggen CLI v1.0.0",
         format: "JSON",
@@ -111,7 +174,168 @@ class FileManager {
       },
     };
 
-    return JSON.stringify(blogPost, null, 2);
+    return blogPost;
+  }
+
+  /**
+   * Revision history for a post being saved: the parent's revisions (for
+   * rewrites) plus an entry for this content
+   */
+  buildRevisions(result, additionalMetadata = {}) {
+    const history = result.history || {};
+    const previous = history.revisions || [];
+    const parent = previous[previous.length - 1];
+    const revision = createRevision(result.content, {
+      parent: parent ? parent.id : null,
+      source: history.source || "generate",
+      prompt: history.prompt || result.metadata.topic,
+      fullPrompt: result.prompt,
+      model: result.metadata.modelUsed,
+      seoScore:
+        additionalMetadata.seoScore ||
+        (result.seo ? result.seo.seoScore.percentage : null),
+      wordCount: result.metadata.wordCount,
+      file: additionalMetadata.file,
+    });
+
+    return [...previous, revision];
+  }
+
+  /**
+   * Format complete blog post output
+   */
+  formatBlogPost(result, additionalMetadata = {}) {
+    return JSON.stringify(this.buildBlogPost(result, additionalMetadata), null, 2);
+  }
+
+  /**
+   * Markdown with YAML front matter (Hugo, Jekyll and Astro compatible)
+   */
+  formatMarkdown(blogPost) {
+    const frontMatter = {
+      title: blogPost.title,
+      date: blogPost.datetime,
+      slug: blogPost.metadata.slug || this.createSlug(blogPost.title),
+      description: blogPost.metadata.metaDescription,
+      author: blogPost.author,
+      categories: [blogPost.category],
+      tags: blogPost.tags,
+      keywords: [...blogPost.tags],
+      canonicalURL: blogPost.metadata.canonicalUrl,
+      image: blogPost.image,
+      draft: Boolean(blogPost.metadata.draft),
+    };
+
+    // Static site themes render the title themselves, so drop the H1
+    const body = MarkdownDocument.from(blogPost.content).getBodyWithoutTitle();
+
+    return `---\n${yaml.dump(frontMatter, { lineWidth: -1, noRefs: true })}---\n\n${body}\n`;
+  }
+
+  /**
+   * Standalone HTML page with meta, Open Graph, Twitter and JSON-LD tags
+   */
+  formatHTML(blogPost, seo = null) {
+    const seoData =
+      seo ||
+      new SEOOptimizer(this.websiteUrl).optimizeContent(
+        blogPost.content,
+        blogPost.metadata.topic || blogPost.title,
+        blogPost.metadata
+      );
+    const meta = seoData.optimizedMeta;
+    const escape = (value) =>
+      String(value === undefined || value === null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/"/g, "&quot;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+
+    const tags = [
+      `<meta name="description" content="${escape(blogPost.metadata.metaDescription)}">`,
+      `<meta name="keywords" content="${escape(blogPost.keywords)}">`,
+      `<meta name="author" content="${escape(blogPost.author)}">`,
+      `<link rel="canonical" href="${escape(blogPost.metadata.canonicalUrl)}">`,
+      ...Object.entries({
+        ...meta.ogTags,
+        "og:image": blogPost.metadata.ogImage,
+      }).map(
+        ([property, content]) =>
+          `<meta property="${escape(property)}" content="${escape(content)}">`
+      ),
+      ...Object.entries(meta.twitterTags).map(
+        ([name, content]) =>
+          `<meta name="${escape(name)}" content="${escape(content)}">`
+      ),
+    ];
+
+    // "</" inside JSON-LD would close the script element early
+    const jsonLd = JSON.stringify(seoData.schema, null, 2).replace(
+      /<\//g,
+      "<\\/"
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(blogPost.title)}</title>
+${tags.join("\n")}
+<script type="application/ld+json">
+${jsonLd}
+</script>
+</head>
+<body>
+<article>
+${marked.parse(blogPost.content)}
+</article>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Plain text with a metadata header
+   */
+  formatText(blogPost) {
+    return `=== BLOG POST METADATA ===
+Title: ${blogPost.title}
+Meta Description: ${blogPost.metadata.metaDescription}
+Keywords: ${blogPost.keywords}
+Category: ${blogPost.category}
+Author: ${blogPost.author}
+Generated: ${blogPost.metadata.generatedAt}
+Model Used: ${blogPost.metadata.modelUsed}
+Word Count: ${blogPost.metadata.wordCount}
+Backlinks: ${blogPost.metadata.backlinksIncluded}
+Topic: ${blogPost.metadata.topic}
+
+=== SEO CONTENT ===
+${blogPost.content}
+
+=== GENERATION INFO ===
+- Generated by Bloggen CLI
+- Date: ${blogPost.metadata.generatedAt}
+- Slug: ${blogPost.metadata.slug}
+- Canonical URL: ${blogPost.metadata.canonicalUrl}
+`;
+  }
+
+  /**
+   * Render a blog post object in one export format
+   */
+  renderFormat(format, blogPost, seo = null) {
+    switch (format) {
+      case "markdown":
+        return this.formatMarkdown(blogPost);
+      case "html":
+        return this.formatHTML(blogPost, seo);
+      case "text":
+        return this.formatText(blogPost);
+      default:
+        return JSON.stringify(blogPost, null, 2);
+    }
   }
 
   /**
@@ -120,75 +344,28 @@ class FileManager {
   determineCategory(content, topic) {
     const contentLower = (content + " " + topic).toLowerCase();
 
-    // IT job market categories
-    if (
-      contentLower.includes("salary") ||
-      contentLower.includes("compensation")
-    )
-      return "Salary & Compensation";
-    if (
-      contentLower.includes("remote") ||
-      contentLower.includes("work from home")
-    )
-      return "Remote Work";
-    if (contentLower.includes("interview") || contentLower.includes("hiring"))
-      return "Job Interviews";
-    if (contentLower.includes("career") || contentLower.includes("path"))
-      return "Career Development";
-    if (contentLower.includes("skill") || contentLower.includes("learning"))
-      return "Skills & Learning";
-    if (contentLower.includes("trend") || contentLower.includes("market"))
-      return "Industry Trends";
-    if (
-      contentLower.includes("javascript") ||
-      contentLower.includes("python") ||
-      contentLower.includes("react")
-    )
-      return "Programming Languages";
-    if (contentLower.includes("devops") || contentLower.includes("cloud"))
-      return "DevOps & Cloud";
-    if (
-      contentLower.includes("security") ||
-      contentLower.includes("cybersecurity")
-    )
-      return "Cybersecurity";
-    if (contentLower.includes("data") || contentLower.includes("analytics"))
-      return "Data Science";
-    if (
-      contentLower.includes("ai") ||
-      contentLower.includes("machine learning")
-    )
-      return "AI & Machine Learning";
-
-    return "IT Job Market"; // Default category
+    // Categories and their keywords come from the project config
+    const match = this.config.categories.find((category) =>
+      category.keywords.some((keyword) =>
+        contentLower.includes(keyword.toLowerCase())
+      )
+    );
+
+    return match ? match.name : this.config.defaultCategory;
   }
 
   /**
    * Extract SEO data from content
    */
   extractSEOData(content) {
-    // Extract title
-    const titleMatch = content.match(/^#\s+(.+)$/m);
-    const title = titleMatch ? titleMatch[1].trim() : "IT Job Market Insights";
-
-    // Generate meta description from first meaningful paragraph
-    const paragraphs = content
-      .split("\n\n")
-      .filter(
-        (p) =>
-          p.trim() &&
-          !p.startsWith("#") &&
-          !p.startsWith("*") &&
-          !p.startsWith("-") &&
-          !p.startsWith(">")
-      );
+    const document = MarkdownDocument.from(content);
+    const title = document.title || "IT Job Market Insights";
 
+    // Generate meta description from first paragraph of prose
     let metaDescription =
       "Expert insights on the IT job market with actionable career advice for tech professionals.";
-    if (paragraphs.length > 0) {
-      let desc = paragraphs[0]
-        .replace(/\*\*|__|##|#|\*|\[|\]|\(|\)/g, "")
-        .trim();
+    if (document.paragraphs.length > 0) {
+      let desc = document.paragraphs[0].text;
 
       if (desc.length > 160) {
         desc = desc.substring(0, 157) + "...";
@@ -238,15 +415,15 @@ class FileManager {
       "machine learning",
     ];
 
-    const contentLower = content.toLowerCase();
+    const document = MarkdownDocument.from(content);
+    const contentLower = document.getText().toLowerCase();
     const foundKeywords = commonITTerms.filter((term) =>
       contentLower.includes(term.toLowerCase())
     );
 
     // Add context-specific keywords
-    const titleMatch = content.match(/^#\s+(.+)$/m);
-    if (titleMatch) {
-      const titleWords = titleMatch[1]
+    if (document.title) {
+      const titleWords = document.title
         .toLowerCase()
         .split(" ")
         .filter((word) => word.length > 3)
@@ -264,21 +441,35 @@ class FileManager {
   async saveBlogPost(result, options = {}) {
     try {
       const outputDir = await this.ensureOutputDirectory(options.outputDir);
-      const filename = this.generateFilename(
-        result.metadata.topic,
-        options.filename
+      const formats = this.normalizeFormats(options.formats);
+      const baseName = this.stripFormatExtension(
+        this.generateFilename(result.metadata.topic, options.filename)
       );
-      const filepath = path.join(outputDir, filename);
-
-      const formattedContent = this.formatBlogPost(result, options.metadata);
-
-      await fs.writeFile(filepath, formattedContent, "utf8");
+      const blogPost = this.buildBlogPost(result, {
+        ...options.metadata,
+        file: formats.includes("json") ? `${baseName}${FORMAT_EXTENSIONS.json}` : null,
+      });
+      const files = [];
+
+      for (const format of formats) {
+        const filename = `${baseName}${FORMAT_EXTENSIONS[format]}`;
+        const filepath = path.join(outputDir, filename);
+        const formattedContent = this.renderFormat(format, blogPost, result.seo);
+
+        await fs.writeFile(filepath, formattedContent, "utf8");
+
+        files.push({
+          format,
+          filepath,
+          filename,
+          size: Buffer.byteLength(formattedContent, "utf8"),
+        });
+      }
 
       return {
-        filepath,
-        filename,
+        ...files[0],
         directory: outputDir,
-        size: Buffer.byteLength(formattedContent, "utf8"),
+        files,
       };
     } catch (error) {
       console.log(chalk.red(`❌ Failed to save blog post: ${error.message}`));
@@ -286,6 +477,34 @@ class FileManager {
     }
   }
 
+  /**
+   * Read a saved JSON blog post
+   */
+  async readBlogPost(filepath) {
+    let post;
+
+    try {
+      post = await fs.readJson(filepath);
+    } catch (error) {
+      throw new Error(`${filepath} is not a JSON blog post: ${error.message}`);
+    }
+
+    if (!post || typeof post.content !== "string" || !post.title) {
+      throw new Error(`${filepath} is missing title/content fields`);
+    }
+
+    post.metadata = post.metadata || {};
+    return post;
+  }
+
+  /**
+   * Write a JSON blog post back to disk
+   */
+  async updateBlogPost(filepath, post) {
+    await fs.writeFile(filepath, JSON.stringify(post, null, 2), "utf8");
+    return post;
+  }
+
   /**
    * Get file statistics
    */
@@ -319,7 +538,7 @@ class FileManager {
 
       const files = await fs.readdir(dir);
       const blogPosts = files
-        .filter((file) => file.endsWith(".txt"))
+        .filter((file) => file.endsWith(".json"))
         .sort((a, b) => b.localeCompare(a)); // Most recent first
 
       const postsWithStats = await Promise.all(
@@ -340,33 +559,8 @@ class FileManager {
       return [];
     }
   }
-
-  /**
-   * Clean up old files (keep last N files)
-   */
-  async cleanupOldPosts(keepCount = 10, directory = null) {
-    const posts = await this.listBlogPosts(directory);
-
-    if (posts.length <= keepCount) {
-      return { deleted: 0, kept: posts.length };
-    }
-
-    const toDelete = posts.slice(keepCount);
-    let deletedCount = 0;
-
-    for (const post of toDelete) {
-      try {
-        await fs.unlink(post.filepath);
-        deletedCount++;
-      } catch (error) {
-        console.log(
-          chalk.yellow(`⚠️ Failed to delete ${post.filename}: ${error.message}`)
-        );
-      }
-    }
-
-    return { deleted: deletedCount, kept: posts.length - deletedCount };
-  }
 }
 
+FileManager.FORMAT_EXTENSIONS = FORMAT_EXTENSIONS;
+
 module.exports = FileManager;
@@ -1,34 +1,128 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const chalk = require("chalk");
+const { createProvider } = require("./providers");
+const { createAttempt } = require("./usage");
+const { validateSchema, repairToSchema, formatSchemaErrors } = require("./response-schema");
+
+// Times a model is asked to correct a reply that fails the schema
+const MAX_CORRECTIONS = 1;
+
+const stringEnum = (values) => ({ type: "string", enum: values });
+const stringList = { type: "array", items: { type: "string" } };
+
+// The structure every parsed workflow must have; sent to the provider as
+// the response schema and checked again on the reply
+const WORKFLOW_SCHEMA = {
+  type: "object",
+  properties: {
+    contentType: stringEnum([
+      "blog-post",
+      "guide",
+      "tutorial",
+      "analysis",
+      "comparison",
+      "listicle",
+      "news-article",
+      "summary",
+      "overview",
+    ]),
+    topic: { type: "string" },
+    audience: {
+      type: "object",
+      properties: {
+        level: stringEnum(["beginners", "professionals", "general", "experts", "mixed"]),
+        industry: { type: "string" },
+        expertise: stringEnum(["none", "basic", "intermediate", "advanced"]),
+      },
+      required: ["level", "industry", "expertise"],
+    },
+    lengthConstraints: {
+      type: "object",
+      properties: {
+        wordLimit: { type: "integer", nullable: true },
+        constraintType: stringEnum(["exact", "maximum", "minimum", "flexible"]),
+        priority: stringEnum(["critical", "important", "suggestion"]),
+        reasoning: { type: "string" },
+        hasCriticalLimit: { type: "boolean" },
+      },
+      required: ["wordLimit", "constraintType", "priority", "hasCriticalLimit"],
+    },
+    styleConstraints: {
+      type: "object",
+      properties: {
+        tone: stringEnum(["professional", "casual", "technical", "friendly", "formal", "conversational"]),
+        complexity: stringEnum(["simple", "moderate", "advanced", "expert-level"]),
+        format: stringEnum(["standard", "structured", "listicle", "step-by-step", "comparison"]),
+        voice: stringEnum(["active", "passive", "mixed"]),
+        perspective: stringEnum(["first-person", "third-person", "instructional"]),
+      },
+      required: ["tone", "complexity", "format", "voice", "perspective"],
+    },
+    contentConstraints: {
+      type: "object",
+      properties: {
+        mustInclude: stringList,
+        shouldInclude: stringList,
+        mustExclude: stringList,
+        dataRequirements: stringEnum(["statistics", "examples", "case-studies", "research", "none"]),
+        depthLevel: stringEnum(["surface", "moderate", "deep", "exhaustive"]),
+      },
+      required: ["mustInclude", "shouldInclude", "mustExclude", "dataRequirements", "depthLevel"],
+    },
+    seoConstraints: {
+      type: "object",
+      properties: {
+        primaryKeywords: stringList,
+        keywordDensity: stringEnum(["natural", "light", "moderate", "heavy"]),
+        searchIntent: stringEnum(["informational", "commercial", "navigational", "transactional"]),
+      },
+      required: ["primaryKeywords", "keywordDensity", "searchIntent"],
+    },
+    conflictResolution: {
+      type: "object",
+      properties: {
+        hasConflicts: { type: "boolean" },
+        conflictTypes: stringList,
+        recommendedPriority: { type: "string" },
+      },
+      required: ["hasConflicts", "conflictTypes", "recommendedPriority"],
+    },
+  },
+  required: [
+    "contentType",
+    "topic",
+    "audience",
+    "lengthConstraints",
+    "styleConstraints",
+    "contentConstraints",
+    "seoConstraints",
+  ],
+};
 
 class GeminiWorkflowParser {
-  constructor(apiKey) {
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    
-    // Define model fallback chain - ordered by preference
-    this.modelChain = [
-      { name: 'gemini-2.5-flash', description: 'Primary (fastest)' },
-      { name: 'gemini-1.5-flash', description: 'Fallback 1 (reliable)' },
-      { name: 'gemini-1.5-pro', description: 'Fallback 2 (comprehensive)' },
-      { name: 'gemini-1.0-pro', description: 'Fallback 3 (stable)' }
-    ];
+  constructor(apiKey, options = {}) {
+    this.provider = options.provider || createProvider({ name: "gemini", apiKey });
+
+    // Model fallback chain - ordered by preference, supplied by the provider
+    this.modelChain = this.provider.parsingModels;
     
-    this.workflowCache = new Map();
-    this.modelFailures = new Map(); // Track model failures
+    // Track model failures in memory when the provider has no governor
+    // (which keeps model health across runs)
+    this.governor = this.provider.governor || null;
+    this.modelFailures = new Map();
+
+    // Models that rejected the response schema this run
+    this.schemaUnsupported = new Set();
   }
 
   /**
-   * Parse natural language instruction with multi-model fallback
+   * Parse natural language instruction with multi-model fallback. The
+   * workflow's `usage` lists every model call it took
    */
   async parseInstruction(instruction) {
-    console.log(chalk.blue("🧠 Analyzing instruction with Gemini..."));
-
-    // Check cache first
-    const cachedResult = this.getCachedParsing(instruction);
-    if (cachedResult) {
-      console.log(chalk.gray("💾 Using cached parsing result"));
-      return cachedResult;
-    }
+    console.log(
+      chalk.blue(`🧠 Analyzing instruction with ${this.provider.displayName}...`)
+    );
+    const usage = [];
 
     // Try each model in the fallback chain
     for (let i = 0; i < this.modelChain.length; i++) {
@@ -43,17 +137,15 @@ class GeminiWorkflowParser {
       try {
         console.log(chalk.blue(`🤖 Trying ${modelInfo.name} (${modelInfo.description})...`));
         
-        const result = await this.tryModelParsing(modelInfo.name, instruction);
+        const result = await this.tryModelParsing(modelInfo.name, instruction, usage);
         
         if (result) {
           console.log(chalk.green(`✅ Successfully parsed with ${modelInfo.name}`));
           
-          // Cache successful result
-          this.cacheResult(instruction, result);
-          
           // Clear any failure records for this model
           this.clearModelFailure(modelInfo.name);
           
+          result.usage = usage;
           return result;
         }
       } catch (error) {
@@ -68,30 +160,79 @@ class GeminiWorkflowParser {
     }
 
     // All models failed, use regex fallback
-    console.log(chalk.red("❌ All Gemini models failed, using regex fallback..."));
-    return this.createFallbackWorkflow(instruction);
+    console.log(
+      chalk.red(
+        `❌ All ${this.provider.displayName} models failed, using regex fallback...`
+      )
+    );
+    const fallback = this.createFallbackWorkflow(instruction);
+    fallback.usage = usage;
+    return fallback;
   }
 
   /**
-   * Try parsing with a specific model
+   * Try parsing with a specific model, adding each call to `usage`. The
+   * reply is repaired where possible and checked against WORKFLOW_SCHEMA;
+   * when it is still invalid the model is asked once to correct it
    */
-  async tryModelParsing(modelName, instruction) {
-    const model = this.genAI.getGenerativeModel({ model: modelName });
-    const prompt = this.buildParsingPrompt(instruction);
-    
-    try {
-      const result = await model.generateContent(prompt);
-      const responseText = result.response.text();
-      
-      // Validate JSON response
-      const parsedWorkflow = this.parseAndValidateJSON(responseText);
-      
-      if (parsedWorkflow) {
-        return this.validateAndEnhance(parsedWorkflow, instruction, modelName);
+  async tryModelParsing(modelName, instruction, usage = []) {
+    let prompt = this.buildParsingPrompt(instruction);
+
+    for (let round = 0; ; round++) {
+      const result = await this.requestWorkflow(modelName, prompt, usage);
+      if (result.cached) {
+        console.log(chalk.gray("💾 Using cached parsing result"));
       }
-      
-      return null;
+
+      const { workflow, errors, repairs } = this.checkWorkflow(result.text);
+      if (workflow) {
+        this.recordAttempt(usage, modelName, prompt, { response: result });
+        if (repairs.length > 0) {
+          console.log(chalk.gray(`🔧 Repaired ${repairs.length} field(s): ${repairs.join("; ")}`));
+        }
+        return this.validateAndEnhance(workflow, instruction, modelName);
+      }
+
+      // Billed, but unusable
+      this.recordAttempt(usage, modelName, prompt, {
+        response: result,
+        error: new Error(`Invalid workflow: ${errors.length} schema error(s)`),
+      });
+      console.log(chalk.yellow(`⚠️ ${modelName} returned an invalid workflow:\n${formatSchemaErrors(errors)}`));
+
+      // Don't serve a response we could not use from the cache again
+      if (typeof this.provider.forget === "function") {
+        await this.provider.forget(modelName, prompt, { schema: this.getSchema(modelName) });
+      }
+
+      if (round >= MAX_CORRECTIONS) {
+        return null;
+      }
+      console.log(chalk.blue(`🔁 Asking ${modelName} to correct it...`));
+      prompt = this.buildCorrectionPrompt(instruction, result.text, errors);
+    }
+  }
+
+  /**
+   * Ask for schema-constrained JSON when the provider supports it. A model
+   * that rejects the schema anyway (an older model or a server without
+   * structured output) is asked for plain JSON from then on, still
+   * validated afterwards
+   */
+  async requestWorkflow(modelName, prompt, usage) {
+    const schema = this.getSchema(modelName);
+
+    try {
+      return await this.provider.generate(modelName, prompt, schema ? { schema } : {});
     } catch (error) {
+      this.recordAttempt(usage, modelName, prompt, { error });
+
+      if (schema && this.isSchemaRejected(error)) {
+        console.log(chalk.gray(`ℹ️  ${modelName} does not accept a response schema, asking for plain JSON`));
+        this.schemaUnsupported.add(modelName);
+        return this.requestWorkflow(modelName, prompt, usage);
+      }
+
       // Handle specific API errors
       if (error.message.includes('quota')) {
         throw new Error(`Quota exceeded for ${modelName}`);
@@ -105,47 +246,67 @@ class GeminiWorkflowParser {
     }
   }
 
+  getSchema(modelName) {
+    if (this.provider.supportsSchema === false) return null;
+    return this.schemaUnsupported.has(modelName) ? null : WORKFLOW_SCHEMA;
+  }
+
+  isSchemaRejected(error) {
+    return (error.status === 400 || /\[400\b|\b400 Bad Request/i.test(error.message)) && !/api key/i.test(error.message);
+  }
+
+  recordAttempt(usage, modelName, prompt, fields) {
+    usage.push(createAttempt({ stage: "parsing", provider: this.provider.name, model: modelName, prompt, ...fields }));
+  }
+
   /**
-   * Parse and validate JSON response with error recovery
+   * Parse, repair and validate a reply: the workflow when it fits the
+   * schema, otherwise the remaining errors
    */
-  parseAndValidateJSON(responseText) {
-    try {
-      // First try direct JSON parsing
-      return JSON.parse(responseText);
-    } catch (error) {
-      // Try to extract JSON from text that might have extra content
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      
-      if (jsonMatch) {
-        try {
-          return JSON.parse(jsonMatch[0]);
-        } catch (innerError) {
-          console.log(chalk.yellow("⚠️ Failed to parse extracted JSON"));
-        }
-      }
-      
-      // Try to fix common JSON issues
-      const cleanedText = this.cleanJSONResponse(responseText);
+  checkWorkflow(responseText) {
+    const parsed = this.parseJSON(responseText);
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return { workflow: null, errors: [{ path: "(root)", message: "is not a JSON object" }], repairs: [] };
+    }
+
+    const { value, repairs } = repairToSchema(parsed, WORKFLOW_SCHEMA);
+    const errors = validateSchema(value, WORKFLOW_SCHEMA);
+    return { workflow: errors.length === 0 ? value : null, errors, repairs };
+  }
+
+  /**
+   * The JSON object in a reply. Schema-constrained replies are plain JSON;
+   * a model answering without the schema may still wrap it in prose or a
+   * code fence
+   */
+  parseJSON(responseText) {
+    const text = String(responseText || "");
+    const candidates = [text, (text.match(/\{[\s\S]*\}/) || [])[0]];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
       try {
-        return JSON.parse(cleanedText);
-      } catch (finalError) {
-        console.log(chalk.yellow("⚠️ JSON parsing completely failed"));
-        return null;
+        return JSON.parse(candidate);
+      } catch (error) {
+        // Try the next candidate
       }
     }
+    return null;
   }
 
   /**
-   * Clean common JSON response issues
+   * The parsing prompt again, with what was wrong in the last reply
    */
-  cleanJSONResponse(text) {
-    return text
-      .replace(/```/, '')
+  buildCorrectionPrompt(instruction, responseText, errors) {
+    return `${this.buildParsingPrompt(instruction)}
 
-      .replace(/```\s*/g, '')
-      .replace(/^\s*```/g, '')
-      .replace(/^[^{]*({[\s\S]*})[^}]*$/, '$1') // Extract JSON object
-      .trim();
+Your previous answer did not match the required structure:
+${formatSchemaErrors(errors)}
+
+Previous answer:
+${String(responseText).substring(0, 4000)}
+
+Return the corrected JSON object only, using only the allowed values listed above.`;
   }
 
   /**
@@ -494,9 +655,11 @@ CRITICAL REQUIREMENTS:
   }
 
   /**
-   * Model failure tracking
+   * Model failure tracking; the governor records failures itself
    */
   recordModelFailure(modelName, error) {
+    if (this.governor) return;
+
     const now = Date.now();
     const failures = this.modelFailures.get(modelName) || [];
     
@@ -516,6 +679,10 @@ CRITICAL REQUIREMENTS:
   }
 
   isModelTemporarilyBlocked(modelName) {
+    if (this.governor) {
+      return this.governor.isBlocked(modelName);
+    }
+
     const failures = this.modelFailures.get(modelName) || [];
     const now = Date.now();
     
@@ -525,9 +692,11 @@ CRITICAL REQUIREMENTS:
   }
 
   getErrorType(errorMessage) {
-    if (errorMessage.includes('quota')) return 'quota';
-    if (errorMessage.includes('rate limit')) return 'rate_limit';
-    if (errorMessage.includes('not found')) return 'not_available';
+    const message = (errorMessage || '').toLowerCase();
+    if (message.includes('quota')) return 'quota';
+    if (message.includes('rate limit')) return 'rate_limit';
+    if (message.includes('invalid api key') || message.includes('api_key_invalid') || message.includes('invalid_api_key')) return 'auth';
+    if (message.includes('not found') || message.includes('not available')) return 'not_available';
     return 'api_error';
   }
 
@@ -563,6 +732,19 @@ CRITICAL REQUIREMENTS:
   getModelStatus() {
     const status = {};
     
+    if (this.governor) {
+      const health = this.governor.getHealth(this.modelChain.map(model => model.name));
+      this.modelChain.forEach(model => {
+        status[model.name] = {
+          description: model.description,
+          recentFailures: health[model.name].recentFailures,
+          temporarilyBlocked: health[model.name].blockedUntil !== null,
+          lastFailure: health[model.name].lastFailureAt ? new Date(health[model.name].lastFailureAt) : null,
+        };
+      });
+      return status;
+    }
+    
     this.modelChain.forEach(model => {
       const failures = this.modelFailures.get(model.name) || [];
       const isBlocked = this.isModelTemporarilyBlocked(model.name);
@@ -622,24 +804,6 @@ CRITICAL REQUIREMENTS:
     return keywords.slice(0, 5);
   }
 
-  /**
-   * Simple caching mechanism
-   */
-  getCachedParsing(instruction) {
-    const instructionKey = instruction.toLowerCase().trim();
-    return this.workflowCache.get(instructionKey);
-  }
-
-  cacheResult(instruction, result) {
-    const instructionKey = instruction.toLowerCase().trim();
-    this.workflowCache.set(instructionKey, result);
-
-    if (this.workflowCache.size > 50) {
-      const firstKey = this.workflowCache.keys().next().value;
-      this.workflowCache.delete(firstKey);
-    }
-  }
-
   /**
    * Generate enhanced content prompt based on parsed workflow
    */
@@ -818,4 +982,6 @@ CRITICAL REQUIREMENTS:
   }
 }
 
+GeminiWorkflowParser.WORKFLOW_SCHEMA = WORKFLOW_SCHEMA;
+
 module.exports = GeminiWorkflowParser;
@@ -0,0 +1,252 @@
+// src/governor.js
+const fs = require("fs-extra");
+const path = require("path");
+const chalk = require("chalk");
+const { estimateTokens } = require("./usage");
+
+const STATE_VERSION = 1;
+const MINUTE_MS = 60 * 1000;
+
+// Days of token totals kept in the state file
+const KEEP_DAYS = 31;
+
+/**
+ * Shared limits for every model call: requests per minute, tokens per day,
+ * retries with backoff, and model health that survives between runs
+ * (a model failing `failureThreshold` times within `blockMinutes` is
+ * skipped until the window passes)
+ */
+class Governor {
+  constructor(options = {}) {
+    this.stateFile = options.stateFile || path.join("blog-posts", "reports", "governor.json");
+    this.requestsPerMinute = options.requestsPerMinute || null;
+    this.tokensPerDay = options.tokensPerDay || null;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.retryBaseMs = options.retryBaseMs === undefined ? 1000 : options.retryBaseMs;
+    this.retryMaxMs = options.retryMaxMs === undefined ? 60000 : options.retryMaxMs;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.blockMinutes = options.blockMinutes || 15;
+
+    this.requests = [];
+    this.state = null;
+  }
+
+  /**
+   * Whether a config sets any limit worth governing calls for
+   */
+  static hasLimits(limits) {
+    return Boolean(limits && (limits.requestsPerMinute || limits.tokensPerDay));
+  }
+
+  today() {
+    return new Date().toISOString().split("T")[0];
+  }
+
+  /**
+   * Saved token totals and model health; a missing or unreadable file
+   * starts fresh
+   */
+  load() {
+    if (this.state) return this.state;
+
+    this.state = { version: STATE_VERSION, days: {}, models: {} };
+    try {
+      const saved = fs.readJsonSync(this.stateFile);
+      if (saved.version === STATE_VERSION) {
+        this.state = { ...this.state, ...saved };
+      }
+    } catch (error) {
+      // First run, or a damaged file
+    }
+    return this.state;
+  }
+
+  save() {
+    const state = this.load();
+    const oldest = new Date(Date.now() - KEEP_DAYS * 24 * 60 * MINUTE_MS).toISOString().split("T")[0];
+    Object.keys(state.days).forEach((day) => {
+      if (day < oldest) delete state.days[day];
+    });
+
+    fs.ensureDirSync(path.dirname(path.resolve(this.stateFile)));
+    fs.writeJsonSync(this.stateFile, { ...state, updatedAt: new Date().toISOString() }, { spaces: 2 });
+  }
+
+  getModel(modelName) {
+    const models = this.load().models;
+    models[modelName] = models[modelName] || { failures: [], blockedUntil: null, lastSuccessAt: null };
+    return models[modelName];
+  }
+
+  getTokensToday() {
+    const day = this.load().days[this.today()];
+    return day ? day.tokens : 0;
+  }
+
+  /**
+   * When a model may be called again, or null when it is available now
+   */
+  getBlockedUntil(modelName) {
+    const model = this.load().models[modelName];
+    if (!model || !model.blockedUntil) return null;
+    return Date.parse(model.blockedUntil) > Date.now() ? model.blockedUntil : null;
+  }
+
+  isBlocked(modelName) {
+    return this.getBlockedUntil(modelName) !== null;
+  }
+
+  /**
+   * Wait for a free request slot within the per-minute limit, and refuse
+   * once today's token limit is used up
+   */
+  async acquire(modelName) {
+    if (this.tokensPerDay && this.getTokensToday() >= this.tokensPerDay) {
+      const error = new Error(
+        `Daily token quota exceeded: ${this.getTokensToday().toLocaleString()} of ${this.tokensPerDay.toLocaleString()} tokens used today`
+      );
+      error.type = "quota";
+      throw error;
+    }
+
+    if (this.requestsPerMinute) {
+      for (;;) {
+        const now = Date.now();
+        this.requests = this.requests.filter((time) => now - time < MINUTE_MS);
+        if (this.requests.length < this.requestsPerMinute) break;
+
+        const wait = MINUTE_MS - (now - this.requests[0]) + 50;
+        console.log(
+          chalk.gray(`⏳ ${this.requestsPerMinute} requests/minute reached, waiting ${Math.ceil(wait / 1000)}s for ${modelName}...`)
+        );
+        await this.sleep(wait);
+      }
+    }
+
+    this.requests.push(Date.now());
+  }
+
+  /**
+   * Count a call's tokens toward today's total and mark the model healthy
+   */
+  recordSuccess(modelName, prompt, response) {
+    const usage = response && response.usage;
+    const tokens = usage
+      ? (usage.promptTokens || 0) + (usage.completionTokens || 0)
+      : estimateTokens(prompt) + estimateTokens(response && response.text);
+
+    const days = this.load().days;
+    const day = (days[this.today()] = days[this.today()] || { tokens: 0, requests: 0 });
+    day.tokens += tokens;
+    day.requests += 1;
+
+    const model = this.getModel(modelName);
+    model.failures = [];
+    model.blockedUntil = null;
+    model.lastSuccessAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Record a failed call. Repeated failures, a used-up quota or a
+   * retry-after longer than we are willing to wait block the model
+   */
+  recordFailure(modelName, error) {
+    const now = Date.now();
+    const model = this.getModel(modelName);
+    const windowMs = this.blockMinutes * MINUTE_MS;
+
+    model.failures = model.failures
+      .filter((failure) => now - Date.parse(failure.at) < windowMs)
+      .concat({ at: new Date(now).toISOString(), error: String(error.message).substring(0, 200), status: error.status || null });
+
+    let until = null;
+    if (model.failures.length >= this.failureThreshold || this.isQuotaError(error)) {
+      until = now + windowMs;
+    }
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null && retryAfter > this.retryMaxMs) {
+      until = Math.max(until || 0, now + retryAfter);
+    }
+    if (until) {
+      model.blockedUntil = new Date(until).toISOString();
+    }
+
+    this.save();
+  }
+
+  isQuotaError(error) {
+    return /quota/i.test(error.message) || /RESOURCE_EXHAUSTED.*(per day|daily)/i.test(error.message);
+  }
+
+  /**
+   * Errors worth retrying on the same model: rate limits, overload,
+   * server errors and dropped connections. A retry hint decides on its
+   * own, so per-minute quotas are waited out and longer ones are not
+   */
+  isRetryable(error) {
+    if (error.type === "quota") return false;
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null) return retryAfter <= this.retryMaxMs;
+    if (this.isQuotaError(error)) return false;
+    if ([408, 429, 500, 502, 503, 504].includes(error.status)) return true;
+    return /rate limit|overloaded|unavailable|timed out|ECONNRESET|ECONNREFUSED|socket hang up|\b(429|500|502|503|504)\b/i.test(
+      error.message
+    );
+  }
+
+  /**
+   * Milliseconds the API asked us to wait: a Retry-After header or
+   * Gemini's RetryInfo, or null when it gave no hint
+   */
+  getRetryAfter(error) {
+    if (typeof error.retryAfter === "number") return error.retryAfter * 1000;
+
+    const details = Array.isArray(error.errorDetails) ? error.errorDetails : [];
+    const info = details.find((detail) => String(detail["@type"] || "").includes("RetryInfo"));
+    if (info && info.retryDelay) {
+      const seconds = parseFloat(info.retryDelay);
+      if (!Number.isNaN(seconds)) return seconds * 1000;
+    }
+
+    const hint = String(error.message).match(/retry (?:in|after) (\d+(?:\.\d+)?)\s*s/i);
+    return hint ? parseFloat(hint[1]) * 1000 : null;
+  }
+
+  /**
+   * Wait before retry `attempt` (1-based): the server's hint when there
+   * is one, else exponential backoff with jitter, capped at retryMaxMs
+   */
+  getDelay(error, attempt) {
+    const retryAfter = this.getRetryAfter(error);
+    if (retryAfter !== null) return Math.min(retryAfter, this.retryMaxMs);
+
+    const backoff = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Model health for display: recent failures, blocked until, last success
+   */
+  getHealth(modelNames) {
+    const health = {};
+    modelNames.forEach((name) => {
+      const model = this.load().models[name] || { failures: [], blockedUntil: null, lastSuccessAt: null };
+      const windowMs = this.blockMinutes * MINUTE_MS;
+      health[name] = {
+        recentFailures: model.failures.filter((failure) => Date.now() - Date.parse(failure.at) < windowMs).length,
+        lastError: model.failures.length > 0 ? model.failures[model.failures.length - 1].error : null,
+        lastFailureAt: model.failures.length > 0 ? model.failures[model.failures.length - 1].at : null,
+        blockedUntil: this.getBlockedUntil(name),
+        lastSuccessAt: model.lastSuccessAt,
+      };
+    });
+    return health;
+  }
+}
+
+module.exports = Governor;
@@ -0,0 +1,236 @@
+// src/http-client.js
+const http = require("http");
+const https = require("https");
+
+/**
+ * Build a readable error for a non-2xx response.
+ * The wording keeps the keywords the model fallback logic looks for.
+ */
+function createHttpError(status, body, headers = {}) {
+  let detail = "";
+  if (body && typeof body === "object") {
+    detail =
+      (body.error && (body.error.message || body.error)) ||
+      body.message ||
+      JSON.stringify(body);
+  } else if (body) {
+    detail = String(body);
+  }
+
+  let hint = "";
+  if (status === 401 || status === 403) hint = " (invalid_api_key)";
+  if (status === 404) hint = " (not found)";
+  if (status === 429) hint = " (rate limit exceeded)";
+
+  const error = new Error(
+    `HTTP ${status}${hint}${detail ? `: ${String(detail).substring(0, 300)}` : ""}`
+  );
+  error.status = status;
+  error.body = body;
+
+  // Retry-After is either seconds or an HTTP date
+  const retryAfter = headers["retry-after"];
+  if (retryAfter) {
+    const seconds = /^\d+(\.\d+)?$/.test(retryAfter)
+      ? parseFloat(retryAfter)
+      : (Date.parse(retryAfter) - Date.now()) / 1000;
+    if (!Number.isNaN(seconds)) error.retryAfter = Math.max(0, seconds);
+  }
+  return error;
+}
+
+/**
+ * Send an HTTP request and parse a JSON response
+ */
+function requestJSON(url, options = {}) {
+  const { method = "GET", headers = {}, body, timeout = 300000 } = options;
+  const target = new URL(url);
+  const transport = target.protocol === "https:" ? https : http;
+  const payload =
+    body === undefined
+      ? null
+      : typeof body === "string"
+      ? body
+      : JSON.stringify(body);
+
+  const requestHeaders = { Accept: "application/json", ...headers };
+  if (payload !== null) {
+    requestHeaders["Content-Type"] =
+      requestHeaders["Content-Type"] || "application/json";
+    requestHeaders["Content-Length"] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      { method, headers: requestHeaders },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          const raw = Buffer.concat(chunks).toString("utf8");
+          let data = raw;
+          try {
+            data = raw ? JSON.parse(raw) : null;
+          } catch (error) {
+            // Leave non-JSON bodies as text
+          }
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(createHttpError(res.statusCode, data, res.headers));
+            return;
+          }
+
+          resolve({ status: res.statusCode, headers: res.headers, data });
+        });
+      }
+    );
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timed out after ${timeout}ms`));
+    });
+    req.on("error", reject);
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Send a JSON request and hand each line of the response body to onLine
+ * as it arrives (server-sent events, NDJSON). Aborting the signal ends the
+ * request early and resolves with aborted: true
+ */
+function streamLines(url, options = {}) {
+  const { method = "POST", headers = {}, body, timeout = 300000, signal, onLine } = options;
+  const target = new URL(url);
+  const transport = target.protocol === "https:" ? https : http;
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  const requestHeaders = { Accept: "text/event-stream, application/x-ndjson, application/json", ...headers };
+  if (payload !== null) {
+    requestHeaders["Content-Type"] = "application/json";
+    requestHeaders["Content-Length"] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      resolve({ status: null, aborted: true });
+      return;
+    }
+
+    let settled = false;
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener("abort", onAbort);
+      callback(value);
+    };
+
+    const req = transport.request(target, { method, headers: requestHeaders }, (res) => {
+      // Errors come back as a normal JSON body
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          const raw = Buffer.concat(chunks).toString("utf8");
+          let data = raw;
+          try {
+            data = raw ? JSON.parse(raw) : null;
+          } catch (error) {
+            // Leave non-JSON bodies as text
+          }
+          finish(reject, createHttpError(res.statusCode, data, res.headers));
+        });
+        return;
+      }
+
+      // A line the caller cannot handle (bad JSON, an error event) fails the request
+      const handle = (line) => {
+        if (settled || !line.trim()) return;
+        try {
+          onLine(line);
+        } catch (error) {
+          finish(reject, error);
+          req.destroy();
+        }
+      };
+
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handle);
+      });
+      res.on("end", () => {
+        handle(buffer);
+        finish(resolve, { status: res.statusCode, aborted: false });
+      });
+      res.on("error", (error) => finish(reject, error));
+    });
+
+    const onAbort = () => {
+      finish(resolve, { status: null, aborted: true });
+      req.destroy();
+    };
+    if (signal) signal.addEventListener("abort", onAbort);
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timed out after ${timeout}ms`));
+    });
+    req.on("error", (error) => finish(reject, error));
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Check that a URL responds, following redirects. Resolves with the final
+ * status for any HTTP response; rejects only on network errors
+ */
+function checkUrl(url, options = {}) {
+  const { timeout = 10000, maxRedirects = 5, method = "HEAD" } = options;
+  const target = new URL(url);
+  const transport = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      { method, headers: { "User-Agent": "bloggen-link-checker" } },
+      (res) => {
+        // Only the status line matters
+        res.resume();
+        const status = res.statusCode;
+
+        if (status >= 300 && status < 400 && res.headers.location && maxRedirects > 0) {
+          const next = new URL(res.headers.location, target).toString();
+          resolve(checkUrl(next, { timeout, method, maxRedirects: maxRedirects - 1 }));
+          return;
+        }
+
+        // Some servers refuse HEAD; ask again with GET
+        if ((status === 405 || status === 501) && method === "HEAD") {
+          resolve(checkUrl(url, { timeout, maxRedirects, method: "GET" }));
+          return;
+        }
+
+        resolve({ status, url: target.toString() });
+      }
+    );
+
+    req.setTimeout(timeout, () => {
+      req.destroy(new Error(`Request timed out after ${timeout}ms`));
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+module.exports = { requestJSON, streamLines, createHttpError, checkUrl };
@@ -0,0 +1,364 @@
+// src/internal-linker.js
+const FileManager = require("./file-manager");
+const MarkdownDocument = require("./markdown-document");
+const { getConfig } = require("./config");
+
+// Words that say nothing about what a post covers
+const STOP_WORDS = new Set(
+  (
+    "the and for with that this from your you are how what why when who " +
+    "can will into about more most best top new guide tips need know " +
+    "jobs job career careers market 2024 2025 2026 professionals"
+  ).split(" ")
+);
+
+// Words an anchor phrase should not start or end with
+const EDGE_WORDS = new Set(
+  "a an the to of for in on at by and or with what how why your you is are it need know".split(" ")
+);
+
+// Matches already linked or literal text that must not get another link
+const PROTECTED_SPANS = /!?\[[^\]]*\]\([^)]*\)|`[^`]*`|<a\s[\s\S]*?<\/a>|<[^>]+>|https?:\/\/\S+/gi;
+
+function getTerms(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9+#]+/)
+      .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+function normalizeUrl(url) {
+  return url.replace(/\/+$/, "");
+}
+
+/**
+ * One entry per URL: a rewrite (`-improved`) shares its original's slug
+ * and URL, so only the newest revision is kept
+ */
+function keepNewest(posts) {
+  const byUrl = new Map();
+  posts.forEach((post) => {
+    const key = normalizeUrl(post.url);
+    const current = byUrl.get(key);
+    if (!current || post.updated >= current.updated) {
+      byUrl.set(key, post);
+    }
+  });
+  return [...byUrl.values()];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Related-post suggestions and contextual link insertion across the
+ * library of saved JSON posts
+ */
+class InternalLinker {
+  constructor(options = {}) {
+    this.config = options.config || getConfig();
+    this.fileManager = options.fileManager || new FileManager(this.config);
+    this.websiteUrl = this.config.websiteUrl.replace(/\/+$/, "");
+    this.maxLinks = options.maxLinks || 3;
+    this.posts = [];
+  }
+
+  /**
+   * Index every saved post: title, slug, URL, keywords, category and the
+   * terms used to compare posts
+   */
+  async buildIndex(directory = null) {
+    const files = await this.fileManager.listBlogPosts(directory);
+    this.posts = [];
+
+    for (const file of files) {
+      try {
+        const post = await this.fileManager.readBlogPost(file.filepath);
+        this.posts.push({
+          ...this.describePost(post, file.filepath),
+          updated: (post.metadata && post.metadata.generatedAt) || post.datetime || file.modified.toISOString(),
+        });
+      } catch (error) {
+        // Not a bloggen post; nothing to link to
+      }
+    }
+
+    this.posts = keepNewest(this.posts);
+    return this.posts;
+  }
+
+  /**
+   * Add a newly saved post so later posts can link to it
+   */
+  addPost(post, filepath) {
+    const entry = this.describePost(post, filepath);
+    this.posts = this.posts.filter(
+      (indexed) => indexed.filepath !== filepath && normalizeUrl(indexed.url) !== normalizeUrl(entry.url)
+    );
+    this.posts.push(entry);
+  }
+
+  /**
+   * Index entry for a post object (saved or just generated)
+   */
+  describePost(post, filepath = null) {
+    const metadata = post.metadata || {};
+    const document = MarkdownDocument.from(post.content || "");
+    const title = post.title || document.title || metadata.topic || "";
+    const slug = metadata.slug || this.fileManager.createSlug(title);
+    const keywords = (post.tags || this.fileManager.extractITKeywords(post.content || ""))
+      .map((keyword) => keyword.toLowerCase());
+    const headings = document.headings.map((heading) => heading.text).join(" ");
+
+    return {
+      filepath,
+      title,
+      slug,
+      url: metadata.canonicalUrl || `${this.websiteUrl}/${slug}`,
+      category:
+        post.category || this.fileManager.determineCategory(post.content || "", metadata.topic || title),
+      keywords,
+      terms: getTerms(`${title} ${headings} ${keywords.join(" ")}`),
+      date: post.date || null,
+    };
+  }
+
+  /**
+   * How related two index entries are, and why
+   */
+  score(source, target) {
+    const sharedKeywords = source.keywords.filter((keyword) => target.keywords.includes(keyword));
+    const sharedTerms = [...source.terms].filter((term) => target.terms.has(term));
+    const union = new Set([...source.terms, ...target.terms]).size;
+    const reasons = [];
+
+    let score = sharedKeywords.length * 2 + (union > 0 ? (sharedTerms.length / union) * 10 : 0);
+    if (sharedKeywords.length > 0) reasons.push(`keywords: ${sharedKeywords.slice(0, 3).join(", ")}`);
+    if (sharedTerms.length > 0) reasons.push(`topics: ${sharedTerms.slice(0, 3).join(", ")}`);
+    if (source.category && source.category === target.category) {
+      score += 3;
+      reasons.push(`category: ${target.category}`);
+    }
+
+    return { score: Math.round(score * 10) / 10, reasons };
+  }
+
+  /**
+   * Indexed posts most related to a post, best first
+   */
+  findRelated(source, options = {}) {
+    const limit = options.limit || 5;
+    const minScore = options.minScore || 3;
+
+    return this.posts
+      .filter((post) => post.slug !== source.slug && post.filepath !== source.filepath)
+      .map((post) => ({ post, ...this.score(source, post) }))
+      .filter((match) => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Related posts for a topic that has not been written yet
+   */
+  findRelatedToTopic(topic, keywords = [], options = {}) {
+    const source = {
+      slug: this.fileManager.createSlug(topic),
+      filepath: null,
+      keywords: keywords.map((keyword) => keyword.toLowerCase()),
+      terms: getTerms(`${topic} ${keywords.join(" ")}`),
+      category: this.fileManager.determineCategory("", topic),
+    };
+
+    return this.findRelated(source, options);
+  }
+
+  /**
+   * Markdown lines that can take a link: body prose and list items, not
+   * front matter, headings, tables, HTML or code
+   */
+  getLinkableLines(lines) {
+    const linkable = [];
+    let inFence = false;
+    let inFrontMatter = lines[0] === "---";
+
+    lines.forEach((line, index) => {
+      const trimmed = line.trim();
+
+      if (inFrontMatter) {
+        if (index > 0 && trimmed === "---") inFrontMatter = false;
+        return;
+      }
+      if (/^(```|~~~)/.test(trimmed)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence || !trimmed || /^(#|\||<|>?\s*```)/.test(trimmed) || /^ {4}/.test(line)) {
+        return;
+      }
+      linkable.push(index);
+    });
+
+    return linkable;
+  }
+
+  /**
+   * Anchor candidates for a target post, most specific first: 3- and 2-word
+   * runs from its title, multi-word keywords, then single title terms
+   */
+  getAnchorPhrases(target) {
+    const words = target.title.toLowerCase().split(/[^a-z0-9+#]+/).filter(Boolean);
+    const runs = [];
+
+    [3, 2].forEach((size) => {
+      for (let index = 0; index + size <= words.length; index++) {
+        const run = words.slice(index, index + size);
+        if (!EDGE_WORDS.has(run[0]) && !EDGE_WORDS.has(run[size - 1])) {
+          runs.push(run.join(" "));
+        }
+      }
+    });
+
+    return [
+      ...new Set([
+        ...runs,
+        ...target.keywords.filter((keyword) => keyword.includes(" ")),
+        ...[...getTerms(target.title)].filter((term) => term.length > 3),
+      ]),
+    ];
+  }
+
+  /**
+   * First unlinked occurrence of one of the target's phrases in the content
+   */
+  findAnchor(content, target) {
+    const lines = content.split("\n");
+    const phrases = this.getAnchorPhrases(target);
+
+    for (const phrase of phrases) {
+      const pattern = new RegExp(`(^|[^\\w])(${escapeRegExp(phrase)})(?=[^\\w]|$)`, "i");
+
+      for (const index of this.getLinkableLines(lines)) {
+        const line = lines[index];
+        const protectedRanges = [...line.matchAll(PROTECTED_SPANS)].map((match) => [
+          match.index,
+          match.index + match[0].length,
+        ]);
+
+        let offset = 0;
+        let match;
+        while ((match = pattern.exec(line.slice(offset))) !== null) {
+          const start = offset + match.index + match[1].length;
+          const end = start + match[2].length;
+          const isProtected = protectedRanges.some(([from, to]) => start < to && end > from);
+
+          if (!isProtected) {
+            return { phrase, line: index, start, end, text: line.slice(start, end) };
+          }
+          offset = end;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Link suggestions for a post: related posts not linked yet, each with an
+   * anchor phrase found in the post when there is one
+   */
+  suggest(post, options = {}) {
+    const source = this.describePost(post, options.filepath || null);
+    const linked = MarkdownDocument.from(post.content).links.map((link) => normalizeUrl(link.href));
+
+    return this.findRelated(source, options)
+      .filter((match) => !linked.includes(normalizeUrl(match.post.url)))
+      .map((match) => ({
+        ...match,
+        anchor: this.findAnchor(post.content, match.post),
+      }));
+  }
+
+  /**
+   * Turn anchor phrases into markdown links, at most maxLinks and one per
+   * line
+   */
+  insertLinks(content, suggestions, maxLinks = this.maxLinks) {
+    const lines = content.split("\n");
+    const usedLines = new Set();
+    const inserted = [];
+
+    suggestions
+      .filter((suggestion) => suggestion.anchor)
+      .forEach((suggestion) => {
+        if (inserted.length >= maxLinks) return;
+
+        // Earlier insertions shift offsets, so look the anchor up again
+        const anchor = this.findAnchor(lines.join("\n"), suggestion.post);
+        if (!anchor || usedLines.has(anchor.line)) return;
+
+        const line = lines[anchor.line];
+        lines[anchor.line] = `${line.slice(0, anchor.start)}[${anchor.text}](${
+          suggestion.post.url
+        })${line.slice(anchor.end)}`;
+        usedLines.add(anchor.line);
+        inserted.push({ text: anchor.text, url: suggestion.post.url, title: suggestion.post.title });
+      });
+
+    return { content: lines.join("\n"), inserted };
+  }
+
+  /**
+   * Older posts that should link back to a new post, with the anchor found
+   * in each
+   */
+  async suggestReverse(post, options = {}) {
+    const target = this.describePost(post, options.filepath || null);
+    const suggestions = [];
+
+    for (const match of this.findRelated(target, options)) {
+      const older = await this.fileManager.readBlogPost(match.post.filepath);
+      const alreadyLinked = MarkdownDocument.from(older.content).links.some(
+        (link) => normalizeUrl(link.href) === normalizeUrl(target.url)
+      );
+      if (alreadyLinked) continue;
+
+      suggestions.push({
+        post: target,
+        source: match.post,
+        score: match.score,
+        reasons: match.reasons,
+        anchor: this.findAnchor(older.content, target),
+      });
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Insert reverse links into the older posts and save them
+   */
+  async applyReverse(suggestions) {
+    const updated = [];
+
+    for (const suggestion of suggestions.filter((item) => item.anchor)) {
+      const older = await this.fileManager.readBlogPost(suggestion.source.filepath);
+      const result = this.insertLinks(older.content, [suggestion], 1);
+
+      if (result.inserted.length > 0) {
+        older.content = result.content;
+        await this.fileManager.updateBlogPost(suggestion.source.filepath, older);
+        updated.push({ filepath: suggestion.source.filepath, ...result.inserted[0] });
+      }
+    }
+
+    return updated;
+  }
+}
+
+InternalLinker.getTerms = getTerms;
+
+module.exports = InternalLinker;
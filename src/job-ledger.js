@@ -0,0 +1,170 @@
+// src/job-ledger.js
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+
+// Progress stages in the order a topic moves through them; "failed"
+// is recorded separately so the last completed stage is kept
+const STAGES = ["pending", "parsed", "generated", "saved"];
+
+/**
+ * On-disk record of each batch topic's progress so interrupted runs resume
+ */
+class JobLedger {
+  constructor(filepath) {
+    this.filepath = filepath;
+    this.data = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Stable key for a topic row, including its overrides
+   */
+  getItemKey(row) {
+    const identity = JSON.stringify([
+      row.instruction.toLowerCase().trim(),
+      row.keyword,
+      row.audience,
+      row.wordLimit,
+      row.output,
+    ]);
+
+    return crypto.createHash("sha256").update(identity).digest("hex").substring(0, 12);
+  }
+
+  /**
+   * Load the ledger from disk, or start a new one
+   */
+  async load(source = null) {
+    if (await fs.pathExists(this.filepath)) {
+      this.data = await fs.readJson(this.filepath);
+    } else {
+      this.data = {
+        version: 1,
+        source,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        items: {},
+      };
+    }
+
+    return this;
+  }
+
+  /**
+   * Get the ledger entry for a row, registering it as pending if new
+   */
+  getItem(row) {
+    const key = this.getItemKey(row);
+
+    if (!this.data.items[key]) {
+      this.data.items[key] = {
+        key,
+        index: row.index,
+        instruction: row.instruction,
+        state: "pending",
+        completedStage: "pending",
+        attempts: 0,
+        updatedAt: new Date().toISOString(),
+      };
+    }
+
+    // Row order may change between runs
+    this.data.items[key].index = row.index;
+    return this.data.items[key];
+  }
+
+  /**
+   * Whether a row has already been fully processed
+   */
+  isComplete(row) {
+    return this.getItem(row).state === "saved";
+  }
+
+  /**
+   * Whether an entry has completed at least the given stage
+   */
+  hasReached(item, stage) {
+    return STAGES.indexOf(item.completedStage) >= STAGES.indexOf(stage);
+  }
+
+  /**
+   * Count another processing attempt for a row
+   */
+  recordAttempt(row) {
+    const item = this.getItem(row);
+    item.attempts = (item.attempts || 0) + 1;
+    return item;
+  }
+
+  /**
+   * Move a row to the next completed stage and persist
+   */
+  async update(row, stage, changes = {}) {
+    const item = this.getItem(row);
+
+    Object.assign(item, changes, {
+      state: stage,
+      completedStage: stage,
+      error: null,
+      errorType: null,
+      failedStage: null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    await this.save();
+    return item;
+  }
+
+  /**
+   * Record a failure, keeping whatever progress was already made
+   */
+  async markFailed(row, error, errorType) {
+    const item = this.getItem(row);
+    const nextStage = STAGES[STAGES.indexOf(item.completedStage) + 1];
+
+    Object.assign(item, {
+      state: "failed",
+      failedStage: nextStage || item.completedStage,
+      error: error.message,
+      errorType,
+      updatedAt: new Date().toISOString(),
+    });
+
+    await this.save();
+    return item;
+  }
+
+  /**
+   * Count entries by state
+   */
+  getSummary() {
+    const summary = { pending: 0, parsed: 0, generated: 0, saved: 0, failed: 0 };
+
+    Object.values(this.data.items).forEach((item) => {
+      summary[item.state] = (summary[item.state] || 0) + 1;
+    });
+
+    return summary;
+  }
+
+  /**
+   * Persist the ledger; writes are serialized across concurrent workers
+   */
+  save() {
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      const tmpPath = `${this.filepath}.tmp`;
+
+      await fs.ensureDir(path.dirname(this.filepath));
+      await fs.writeJson(tmpPath, this.data, { spaces: 2 });
+      await fs.move(tmpPath, this.filepath, { overwrite: true });
+    });
+
+    return this.writeQueue;
+  }
+}
+
+JobLedger.STAGES = STAGES;
+
+module.exports = JobLedger;
@@ -0,0 +1,267 @@
+// src/library-index.js
+const fs = require("fs-extra");
+const path = require("path");
+const FileManager = require("./file-manager");
+const MarkdownDocument = require("./markdown-document");
+
+const INDEX_VERSION = 2;
+
+// Fields `list --sort` accepts, and the entry value each one sorts by
+const SORT_FIELDS = {
+  date: (entry) => entry.datetime || "",
+  score: (entry) => (entry.seoScore === null ? -1 : entry.seoScore),
+  words: (entry) => entry.wordCount || 0,
+  title: (entry) => entry.title.toLowerCase(),
+  category: (entry) => (entry.category || "").toLowerCase(),
+  model: (entry) => entry.modelUsed || "",
+};
+
+const STATUSES = ["published", "draft", "unpublished"];
+
+/**
+ * Persistent index of the posts in an output directory, refreshed
+ * incrementally from each post's JSON metadata
+ */
+class LibraryIndex {
+  constructor(options = {}) {
+    this.fileManager = options.fileManager || new FileManager();
+    this.directory = options.directory || this.fileManager.defaultOutputDir;
+    this.filepath = path.join(this.directory, "reports", "library-index.json");
+    this.entries = [];
+  }
+
+  /**
+   * Publish status across platforms: published wins over draft. Posts
+   * saved as drafts locally (cancelled generations) count as drafts too
+   */
+  getStatus(published = {}, isDraft = false) {
+    const records = Object.values(published);
+    if (records.some((record) => record.status === "published")) return "published";
+    return records.length > 0 || isDraft ? "draft" : "unpublished";
+  }
+
+  /**
+   * Index entry for one saved post
+   */
+  buildEntry(post, file) {
+    const metadata = post.metadata || {};
+    const published = metadata.published || {};
+
+    return {
+      filename: file.filename,
+      filepath: file.filepath,
+      size: file.size,
+      modified: file.modified.toISOString(),
+      title: post.title,
+      slug: metadata.slug || this.fileManager.createSlug(post.title),
+      category: post.category || null,
+      tags: post.tags || [],
+      description: metadata.metaDescription || "",
+      seoScore: typeof metadata.seoScore === "number" ? metadata.seoScore : null,
+      wordCount: metadata.wordCount || MarkdownDocument.from(post.content).getWordCount(),
+      modelUsed: metadata.modelUsed || null,
+      topic: metadata.topic || null,
+      date: post.date || (post.datetime || "").split("T")[0] || null,
+      datetime: post.datetime || metadata.generatedAt || null,
+      status: this.getStatus(published, metadata.draft),
+      platforms: Object.keys(published),
+      usage: metadata.usage ? metadata.usage.attempts : [],
+    };
+  }
+
+  /**
+   * Load the saved index, re-read posts that changed since it was written
+   * and drop posts that were removed
+   */
+  async refresh(options = {}) {
+    let previous = {};
+    if (!options.rebuild && (await fs.pathExists(this.filepath))) {
+      try {
+        const saved = await fs.readJson(this.filepath);
+        if (saved.version === INDEX_VERSION) {
+          saved.entries.forEach((entry) => {
+            previous[entry.filename] = entry;
+          });
+        }
+      } catch (error) {
+        previous = {};
+      }
+    }
+
+    const files = await this.fileManager.listBlogPosts(this.directory);
+    const entries = [];
+    let changed = false;
+
+    for (const file of files) {
+      const cached = previous[file.filename];
+      if (cached && cached.modified === file.modified.toISOString() && cached.size === file.size) {
+        entries.push(cached);
+        continue;
+      }
+
+      try {
+        const post = await this.fileManager.readBlogPost(file.filepath);
+        entries.push(this.buildEntry(post, file));
+        changed = true;
+      } catch (error) {
+        // Not a bloggen post (e.g. a topics file); leave it out
+      }
+    }
+
+    this.entries = entries;
+    if (changed || entries.length !== Object.keys(previous).length) {
+      await this.save();
+    }
+    return this.entries;
+  }
+
+  async save() {
+    await fs.ensureDir(path.dirname(this.filepath));
+    await fs.writeJson(
+      this.filepath,
+      {
+        version: INDEX_VERSION,
+        directory: this.directory,
+        updatedAt: new Date().toISOString(),
+        entries: this.entries,
+      },
+      { spaces: 2 }
+    );
+  }
+
+  /**
+   * Filter and sort the indexed posts
+   */
+  query(filters = {}) {
+    const lower = (value) => String(value || "").toLowerCase();
+    const number = (value) =>
+      value === undefined || value === null || value === "" ? null : Number(value);
+
+    const minScore = number(filters.minScore);
+    const maxScore = number(filters.maxScore);
+    const minWords = number(filters.minWords);
+    const maxWords = number(filters.maxWords);
+
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw new Error(`Unknown status "${filters.status}". Use: ${STATUSES.join(", ")}`);
+    }
+    if (filters.sort && !SORT_FIELDS[filters.sort]) {
+      throw new Error(
+        `Unknown sort field "${filters.sort}". Use: ${Object.keys(SORT_FIELDS).join(", ")}`
+      );
+    }
+    [filters.since, filters.until].forEach((date) => {
+      if (date && Number.isNaN(Date.parse(date))) {
+        throw new Error(`Invalid date "${date}". Use YYYY-MM-DD`);
+      }
+    });
+
+    const results = this.entries.filter((entry) => {
+      if (filters.category && !lower(entry.category).includes(lower(filters.category))) return false;
+      if (filters.tag && !entry.tags.some((tag) => lower(tag) === lower(filters.tag))) return false;
+      if (filters.model && !lower(entry.modelUsed).includes(lower(filters.model))) return false;
+      if (filters.status && entry.status !== filters.status) return false;
+      if (minScore !== null && (entry.seoScore === null || entry.seoScore < minScore)) return false;
+      if (maxScore !== null && (entry.seoScore === null || entry.seoScore > maxScore)) return false;
+      if (minWords !== null && entry.wordCount < minWords) return false;
+      if (maxWords !== null && entry.wordCount > maxWords) return false;
+      if (filters.since && (!entry.date || entry.date < filters.since)) return false;
+      if (filters.until && (!entry.date || entry.date > filters.until)) return false;
+      return true;
+    });
+
+    const sortBy = SORT_FIELDS[filters.sort || "date"];
+    const direction = filters.order === "asc" ? 1 : -1;
+    results.sort((a, b) => {
+      const left = sortBy(a);
+      const right = sortBy(b);
+      return left < right ? -direction : left > right ? direction : 0;
+    });
+
+    return filters.limit ? results.slice(0, parseInt(filters.limit)) : results;
+  }
+
+  /**
+   * Full-text search over titles, tags, descriptions and post content.
+   * Every query word must appear as a whole word ("rust" does not match
+   * "trusted"); title and tag hits rank higher
+   */
+  async search(query, entries = this.entries) {
+    const words = lowerWords(query);
+    const patterns = words.map(wordPattern);
+    if (words.length === 0) return entries.map((entry) => ({ ...entry, matches: 0, snippet: null }));
+
+    const results = [];
+    for (const entry of entries) {
+      let content = "";
+      try {
+        content = (await this.fileManager.readBlogPost(entry.filepath)).content;
+      } catch (error) {
+        continue;
+      }
+
+      const text = MarkdownDocument.from(content).getText();
+      const haystacks = {
+        title: entry.title.toLowerCase(),
+        tags: entry.tags.join(" ").toLowerCase(),
+        description: entry.description.toLowerCase(),
+        content: text.toLowerCase(),
+      };
+
+      if (!patterns.every((pattern) => Object.values(haystacks).some((value) => pattern.test(value)))) {
+        continue;
+      }
+
+      const count = (value, pattern) => (value.match(new RegExp(pattern.source, "g")) || []).length;
+      const score = patterns.reduce(
+        (sum, pattern) =>
+          sum +
+          count(haystacks.title, pattern) * 10 +
+          count(haystacks.tags, pattern) * 5 +
+          count(haystacks.description, pattern) * 3 +
+          count(haystacks.content, pattern),
+        0
+      );
+
+      results.push({ ...entry, matches: score, snippet: getSnippet(text, patterns[0]) });
+    }
+
+    return results.sort((a, b) => b.matches - a.matches);
+  }
+}
+
+function lowerWords(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter((word) => word.length > 0);
+}
+
+/**
+ * Matches a query word on its own, not inside a longer word. Boundaries
+ * are checked by hand so words like "c++" and ".net" still match
+ */
+function wordPattern(word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`);
+}
+
+/**
+ * A line of context around the first match
+ */
+function getSnippet(text, pattern) {
+  const match = pattern.exec(text.toLowerCase());
+  if (!match) return null;
+
+  const position = match.index;
+  const start = Math.max(0, position - 60);
+  const end = Math.min(text.length, position + match[0].length + 60);
+  return `${start > 0 ? "..." : ""}${text.slice(start, end).replace(/\s+/g, " ").trim()}${
+    end < text.length ? "..." : ""
+  }`;
+}
+
+LibraryIndex.SORT_FIELDS = SORT_FIELDS;
+LibraryIndex.STATUSES = STATUSES;
+
+module.exports = LibraryIndex;
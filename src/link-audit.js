@@ -0,0 +1,220 @@
+// src/link-audit.js
+const MarkdownDocument = require("./markdown-document");
+
+// Anchor text that tells readers and search engines nothing
+const GENERIC_ANCHORS = [
+  "click here",
+  "here",
+  "read more",
+  "learn more",
+  "more",
+  "link",
+  "this link",
+  "this",
+  "this page",
+  "website",
+  "go",
+  "see more",
+];
+
+const ALLOWED_SCHEMES = ["http:", "https:", "mailto:", "tel:"];
+
+function normalizeHost(host) {
+  return String(host || "").toLowerCase().replace(/^www\./, "");
+}
+
+/**
+ * Links written as raw HTML, which markdown parsing leaves opaque
+ */
+function extractHtmlLinks(source) {
+  const links = [];
+  const pattern = /<a\s([^>]*)>([\s\S]*?)<\/a>/gi;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const attributes = match[1];
+    const href = attributes.match(/href\s*=\s*["']([^"']*)["']/i);
+    const rel = attributes.match(/rel\s*=\s*["']([^"']*)["']/i);
+
+    links.push({
+      href: href ? href[1] : "",
+      text: match[2].replace(/<[^>]+>/g, "").trim(),
+      title: null,
+      raw: match[0],
+      block: "html",
+      bare: false,
+      rel: rel ? rel[1].toLowerCase().split(/\s+/) : [],
+    });
+  }
+
+  return links;
+}
+
+/**
+ * Classify one link relative to our site
+ */
+function classifyLink(href, siteHost) {
+  if (href.startsWith("#")) {
+    return { kind: "internal", anchor: href.slice(1) };
+  }
+  if (href.startsWith("//")) {
+    href = `https:${href}`;
+  }
+
+  const scheme = href.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) {
+    // Relative paths resolve against our own site, but "http//x" or
+    // "www.x.com" are absolute URLs written wrong
+    return {
+      kind: "internal",
+      malformed: /\s/.test(href) || /^(https?\/\/|https?\/|www\.)/i.test(href),
+    };
+  }
+
+  if (!ALLOWED_SCHEMES.includes(scheme[0].toLowerCase())) {
+    return { kind: "external", malformed: true };
+  }
+  if (["mailto:", "tel:"].includes(scheme[0].toLowerCase())) {
+    return { kind: "external" };
+  }
+
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return { kind: "external", malformed: true };
+  }
+
+  const host = normalizeHost(url.hostname);
+  const malformed =
+    /\s/.test(href) ||
+    !/^https?:\/\/[^/]/i.test(href) ||
+    (host !== "localhost" && !host.includes("."));
+
+  return {
+    kind: siteHost && host === siteHost ? "backlink" : "external",
+    malformed,
+    anchor: url.hash ? decodeURIComponent(url.hash.slice(1)) : null,
+  };
+}
+
+/**
+ * Audit every markdown, bare and HTML link in a post
+ */
+function auditLinks(content, options = {}) {
+  const document = MarkdownDocument.from(content);
+  let siteHost = null;
+  try {
+    siteHost = options.websiteUrl ? normalizeHost(new URL(options.websiteUrl).hostname) : null;
+  } catch (error) {
+    siteHost = null;
+  }
+
+  const anchorIds = document.getAnchorIds();
+  const found = document.links
+    .map((link) => ({ ...link, rel: [] }))
+    .concat(extractHtmlLinks(document.body));
+
+  const issues = [];
+  const addIssue = (type, link, message) => {
+    issues.push({ type, href: link.href, text: link.text, message });
+  };
+
+  const links = found.map((link) => {
+    const classification = classifyLink(link.href.trim(), siteHost);
+    const text = link.text.trim();
+    const entry = {
+      href: link.href,
+      text,
+      kind: classification.kind,
+      inDocument: link.href.startsWith("#"),
+      malformed: Boolean(classification.malformed) || !link.href.trim(),
+      bare: link.bare,
+      nofollow: link.rel.includes("nofollow"),
+      source: link.block,
+    };
+
+    if (!link.href.trim()) {
+      addIssue("malformed-url", link, `Link "${text}" has no URL`);
+    } else if (classification.malformed) {
+      addIssue("malformed-url", link, `Malformed URL "${link.href}"`);
+    }
+
+    if (!text) {
+      addIssue("empty-anchor", link, `Link to ${link.href} has no anchor text`);
+    } else if (GENERIC_ANCHORS.includes(text.toLowerCase().replace(/[.!:]+$/, ""))) {
+      addIssue(
+        "generic-anchor",
+        link,
+        `Generic anchor text "${text}" for ${link.href}. Describe the destination instead.`
+      );
+    }
+
+    if (entry.inDocument && !anchorIds.includes(classification.anchor)) {
+      addIssue(
+        "missing-anchor",
+        link,
+        `Link to "${link.href}" has no matching heading in this post`
+      );
+    }
+
+    if (entry.nofollow && entry.kind !== "external") {
+      addIssue("nofollow-internal", link, `Link to your own site ${link.href} is nofollow`);
+    }
+
+    return entry;
+  });
+
+  // Same URL linked repeatedly, or one anchor text used for different URLs
+  const byHref = {};
+  const byText = {};
+  links.forEach((link) => {
+    byHref[link.href] = (byHref[link.href] || 0) + 1;
+    if (link.text && !link.bare) {
+      const key = link.text.toLowerCase();
+      byText[key] = byText[key] || new Set();
+      byText[key].add(link.href);
+    }
+  });
+
+  Object.entries(byHref)
+    .filter(([href, count]) => href && count > 1)
+    .forEach(([href, count]) => {
+      issues.push({
+        type: "duplicate-link",
+        href,
+        text: null,
+        message: `${href} is linked ${count} times`,
+      });
+    });
+
+  Object.entries(byText)
+    .filter(([text, hrefs]) => hrefs.size > 1)
+    .forEach(([text, hrefs]) => {
+      issues.push({
+        type: "duplicate-anchor",
+        href: [...hrefs].join(", "),
+        text,
+        message: `Anchor text "${text}" points to ${hrefs.size} different URLs`,
+      });
+    });
+
+  const count = (predicate) => links.filter(predicate).length;
+
+  return {
+    total: links.length,
+    internal: count((link) => link.kind === "internal"),
+    inDocument: count((link) => link.inDocument),
+    backlinks: count((link) => link.kind === "backlink"),
+    external: count((link) => link.kind === "external"),
+    nofollow: count((link) => link.nofollow),
+    links,
+    issues,
+  };
+}
+
+module.exports = {
+  GENERIC_ANCHORS,
+  auditLinks,
+  classifyLink,
+};
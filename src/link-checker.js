@@ -0,0 +1,209 @@
+// src/link-checker.js
+const fs = require("fs-extra");
+const path = require("path");
+const FileManager = require("./file-manager");
+const MarkdownDocument = require("./markdown-document");
+const { auditLinks } = require("./link-audit");
+const { checkUrl } = require("./http-client");
+const { getConfig } = require("./config");
+
+// Statuses that mean the link needs fixing
+const PROBLEM_STATUSES = ["missing", "broken", "malformed", "error"];
+
+/**
+ * Validate a post's links offline against a sitemap and the posts already
+ * generated, with optional HEAD checks for external links
+ */
+class LinkChecker {
+  constructor(options = {}) {
+    const config = options.config || getConfig();
+
+    this.websiteUrl = options.websiteUrl || config.websiteUrl;
+    this.fileManager = options.fileManager || new FileManager(config);
+    this.timeout = options.timeout || 10000;
+    this.concurrency = options.concurrency || 4;
+    this.paths = new Set();
+    this.slugs = new Set();
+    this.sources = [];
+  }
+
+  /**
+   * Path part of a link on our site, without trailing slash
+   */
+  normalizePath(href) {
+    try {
+      const url = new URL(href, this.websiteUrl.replace(/\/?$/, "/"));
+      const pathname = decodeURIComponent(url.pathname).replace(/\/+$/, "");
+      return pathname || "/";
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Add every <loc> in a sitemap.xml to the known pages
+   */
+  async loadSitemap(filepath) {
+    const xml = await fs.readFile(filepath, "utf8");
+    const locations = [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map(
+      (match) => match[1].replace(/&amp;/g, "&")
+    );
+
+    locations.forEach((location) => {
+      const pagePath = this.normalizePath(location);
+      if (pagePath) this.paths.add(pagePath);
+    });
+
+    this.sources.push({ type: "sitemap", path: filepath, pages: locations.length });
+    return locations.length;
+  }
+
+  /**
+   * Add the slugs of posts already in the output directory
+   */
+  async loadPostIndex(directory = null) {
+    const posts = await this.fileManager.listBlogPosts(directory);
+    let count = 0;
+
+    for (const post of posts) {
+      try {
+        const blogPost = await this.fileManager.readBlogPost(post.filepath);
+        const slug =
+          blogPost.metadata.slug || this.fileManager.createSlug(blogPost.title);
+        this.slugs.add(slug);
+        if (blogPost.metadata.canonicalUrl) {
+          this.paths.add(this.normalizePath(blogPost.metadata.canonicalUrl));
+        }
+        count++;
+      } catch (error) {
+        // Not a bloggen post; nothing to index
+      }
+    }
+
+    this.sources.push({
+      type: "posts",
+      path: directory || this.fileManager.defaultOutputDir,
+      pages: count,
+    });
+    return count;
+  }
+
+  /**
+   * Whether any known pages were loaded
+   */
+  hasIndex() {
+    return this.paths.size > 0 || this.slugs.size > 0;
+  }
+
+  /**
+   * Whether a page on our site is known to exist
+   */
+  pageExists(href) {
+    const pagePath = this.normalizePath(href);
+    if (!pagePath) return false;
+    if (pagePath === "/" || this.paths.has(pagePath)) return true;
+
+    const lastSegment = pagePath.split("/").pop();
+    return this.slugs.has(lastSegment);
+  }
+
+  /**
+   * HEAD-check one external URL
+   */
+  async checkExternal(href) {
+    try {
+      const response = await checkUrl(href, { timeout: this.timeout });
+      return response.status < 400
+        ? { status: "ok", detail: `HTTP ${response.status}` }
+        : { status: "broken", detail: `HTTP ${response.status}` };
+    } catch (error) {
+      return { status: "error", detail: error.message };
+    }
+  }
+
+  /**
+   * Check every link in a post
+   */
+  async check(content, options = {}) {
+    const audit = auditLinks(content, { websiteUrl: this.websiteUrl });
+    const anchorIds = MarkdownDocument.from(content).getAnchorIds();
+    const external = [];
+
+    const results = audit.links.map((link) => {
+      const result = { href: link.href, text: link.text, kind: link.kind, status: null, detail: null };
+
+      if (link.malformed) {
+        result.status = "malformed";
+      } else if (link.inDocument) {
+        const exists = anchorIds.includes(decodeURIComponent(link.href.slice(1)));
+        result.status = exists ? "ok" : "missing";
+        result.detail = exists ? "heading in this post" : "no matching heading";
+      } else if (link.kind === "internal" || link.kind === "backlink") {
+        if (!this.hasIndex()) {
+          result.status = "unverified";
+          result.detail = "no sitemap or posts to compare against";
+        } else if (this.pageExists(link.href)) {
+          result.status = "ok";
+        } else {
+          result.status = "missing";
+          result.detail = `${this.normalizePath(link.href)} is not in the sitemap or post index`;
+        }
+      } else if (!/^https?:/i.test(link.href)) {
+        result.status = "skipped";
+      } else if (options.external) {
+        external.push(result);
+      } else {
+        result.status = "unchecked";
+      }
+
+      return result;
+    });
+
+    // Check each distinct external URL once, a few at a time
+    const unique = [...new Set(external.map((result) => result.href))];
+    const outcomes = {};
+    let next = 0;
+    const worker = async () => {
+      while (next < unique.length) {
+        const href = unique[next++];
+        outcomes[href] = await this.checkExternal(href);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(this.concurrency, unique.length) }, () => worker())
+    );
+    external.forEach((result) => Object.assign(result, outcomes[result.href]));
+
+    const summary = {};
+    results.forEach((result) => {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    });
+
+    return {
+      checkedAt: new Date().toISOString(),
+      sources: this.sources,
+      summary,
+      problems: results.filter((result) => PROBLEM_STATUSES.includes(result.status)).length,
+      results,
+    };
+  }
+
+  /**
+   * Default sitemap locations: working directory, then the output directory
+   */
+  async findSitemap(directory = null) {
+    const candidates = [
+      path.resolve("sitemap.xml"),
+      path.join(directory || this.fileManager.defaultOutputDir, "sitemap.xml"),
+    ];
+
+    for (const candidate of candidates) {
+      if (await fs.pathExists(candidate)) return candidate;
+    }
+    return null;
+  }
+}
+
+LinkChecker.PROBLEM_STATUSES = PROBLEM_STATUSES;
+
+module.exports = LinkChecker;
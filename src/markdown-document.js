@@ -0,0 +1,343 @@
+// src/markdown-document.js
+const { marked } = require("marked");
+
+// Parsed documents by source text, so every analyzer shares one parse
+const CACHE_LIMIT = 20;
+const documentCache = new Map();
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+};
+
+function unescapeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity]);
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter((word) => /[a-z0-9]/i.test(word)).length;
+}
+
+/**
+ * Markdown parsed once into a token tree, with the headings, paragraphs,
+ * lists, tables, code blocks, links, images and prose derived from it
+ */
+class MarkdownDocument {
+  constructor(source) {
+    this.source = String(source || "");
+
+    // Front matter is metadata, not content
+    const frontMatter = this.source.match(/^---\r?\n[\s\S]*?\r?\n---\r?\n/);
+    this.frontMatter = frontMatter ? frontMatter[0] : null;
+    this.body = frontMatter ? this.source.slice(frontMatter[0].length) : this.source;
+    this.tokens = marked.lexer(this.body);
+
+    this.headings = [];
+    this.paragraphs = [];
+    this.lists = [];
+    this.tables = [];
+    this.codeBlocks = [];
+    this.blockquotes = 0;
+    this.tableText = [];
+    this.links = [];
+    this.images = [];
+    this.proseBlocks = [];
+
+    this.walkBlocks(this.tokens, { inQuote: false });
+
+    const title = this.headings.find((heading) => heading.depth === 1);
+    this.title = title ? title.text : null;
+  }
+
+  /**
+   * Parse markdown, reusing the cached document for identical text
+   */
+  static from(input) {
+    if (input instanceof MarkdownDocument) return input;
+
+    const source = String(input || "");
+    if (documentCache.has(source)) {
+      return documentCache.get(source);
+    }
+
+    const document = new MarkdownDocument(source);
+    documentCache.set(source, document);
+    if (documentCache.size > CACHE_LIMIT) {
+      documentCache.delete(documentCache.keys().next().value);
+    }
+    return document;
+  }
+
+  walkBlocks(tokens, context) {
+    (tokens || []).forEach((token) => {
+      switch (token.type) {
+        case "heading": {
+          const text = this.inlineText(token.tokens);
+          this.headings.push({
+            depth: token.depth,
+            text,
+            slug: MarkdownDocument.slugify(text),
+          });
+          this.collectInline(token.tokens, "heading");
+          break;
+        }
+        case "paragraph": {
+          const text = this.inlineText(token.tokens);
+          this.collectInline(token.tokens, "paragraph");
+
+          // Image-only paragraphs have no prose
+          if (!text) break;
+          if (!context.inQuote && !context.inList) {
+            this.paragraphs.push({ text, words: countWords(text) });
+          }
+          this.proseBlocks.push(text);
+          break;
+        }
+        case "list": {
+          this.lists.push({
+            ordered: token.ordered,
+            items: token.items.length,
+            depth: context.listDepth || 0,
+          });
+          // Each item reads as its own sentence
+          const items = [];
+          token.items.forEach((item) => {
+            const inline = item.tokens.filter(
+              (child) => child.type === "text" || child.type === "paragraph"
+            );
+            const itemText = inline
+              .map((child) => this.inlineText(child.tokens || [child]))
+              .join(" ")
+              .trim();
+
+            if (itemText) {
+              items.push(/[.!?:]$/.test(itemText) ? itemText : `${itemText}.`);
+            }
+            inline.forEach((child) => this.collectInline(child.tokens, "list"));
+
+            // Nested lists, code and quotes inside the item
+            this.walkBlocks(
+              item.tokens.filter((child) => !inline.includes(child)),
+              { ...context, inList: true, listDepth: (context.listDepth || 0) + 1 }
+            );
+          });
+          if (items.length > 0) {
+            this.proseBlocks.push(items.join("\n"));
+          }
+          break;
+        }
+        case "table":
+          this.tables.push({
+            columns: token.header.length,
+            rows: token.rows.length,
+          });
+          token.header.concat(...token.rows).forEach((cell) => {
+            this.tableText.push(this.inlineText(cell.tokens));
+            this.collectInline(cell.tokens, "table");
+          });
+          break;
+        case "code":
+          this.codeBlocks.push({ lang: token.lang || null, lines: token.text.split("\n").length });
+          break;
+        case "blockquote":
+          this.blockquotes++;
+          this.walkBlocks(token.tokens, { ...context, inQuote: true });
+          break;
+        default:
+          if (token.tokens) {
+            this.walkBlocks(token.tokens, context);
+          }
+      }
+    });
+  }
+
+  /**
+   * Record links and images found in inline tokens
+   */
+  collectInline(tokens, block) {
+    (tokens || []).forEach((token) => {
+      if (token.type === "link") {
+        this.links.push({
+          href: token.href,
+          text: this.inlineText(token.tokens),
+          title: token.title || null,
+          raw: token.raw,
+          block,
+          // Bare URLs are autolinked with the URL as their text
+          bare: token.raw === token.href || token.raw === `<${token.href}>`,
+        });
+        this.collectInline(token.tokens, block);
+      } else if (token.type === "image") {
+        this.images.push({
+          src: token.href,
+          alt: unescapeEntities(token.text || ""),
+          title: token.title || null,
+        });
+      } else if (token.tokens) {
+        this.collectInline(token.tokens, block);
+      }
+    });
+  }
+
+  /**
+   * Plain text of inline tokens
+   */
+  inlineText(tokens) {
+    return (tokens || [])
+      .map((token) => {
+        switch (token.type) {
+          case "image":
+          case "html":
+            return "";
+          case "br":
+            return " ";
+          case "codespan":
+          case "escape":
+            return unescapeEntities(token.text);
+          case "text":
+            return token.tokens
+              ? this.inlineText(token.tokens)
+              : unescapeEntities(token.text);
+          default:
+            return token.tokens ? this.inlineText(token.tokens) : unescapeEntities(token.text || "");
+        }
+      })
+      .join("")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Heading levels that jump more than one step (e.g. H2 → H4)
+   */
+  getHeadingSkips() {
+    const skips = [];
+
+    this.headings.forEach((heading, index) => {
+      const previous = index > 0 ? this.headings[index - 1].depth : 1;
+      if (heading.depth > previous + 1) {
+        skips.push({ from: previous, to: heading.depth, heading: heading.text });
+      }
+    });
+
+    return skips;
+  }
+
+  /**
+   * Ids that in-document links can target: heading anchors (repeats get
+   * -1, -2 like GitHub) and explicit HTML id attributes
+   */
+  getAnchorIds() {
+    const seen = {};
+    const ids = this.headings.map((heading) => {
+      const count = seen[heading.slug] || 0;
+      seen[heading.slug] = count + 1;
+      return count === 0 ? heading.slug : `${heading.slug}-${count}`;
+    });
+
+    const htmlIds = this.body.match(/\sid\s*=\s*["'][^"']+["']/gi) || [];
+    htmlIds.forEach((attribute) => {
+      ids.push(attribute.replace(/^\s*id\s*=\s*["']|["']$/gi, ""));
+    });
+
+    return ids;
+  }
+
+  /**
+   * Heading outline as a nested tree
+   */
+  getOutline() {
+    const root = { depth: 0, children: [] };
+    const stack = [root];
+
+    this.headings.forEach((heading) => {
+      const node = { depth: heading.depth, text: heading.text, slug: heading.slug, children: [] };
+      while (stack[stack.length - 1].depth >= heading.depth) {
+        stack.pop();
+      }
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    });
+
+    return root.children;
+  }
+
+  /**
+   * All readable text: headings, paragraphs, list items, quotes and table
+   * cells (code blocks excluded)
+   */
+  getText() {
+    return [
+      ...this.headings.map((heading) => heading.text),
+      ...this.proseBlocks,
+      ...this.tableText,
+    ].join("\n\n");
+  }
+
+  getWordCount() {
+    return countWords(this.getText());
+  }
+
+  /**
+   * Markdown body without front matter and the H1 title
+   */
+  getBodyWithoutTitle() {
+    let removed = false;
+
+    return this.tokens
+      .filter((token) => {
+        if (!removed && token.type === "heading" && token.depth === 1) {
+          removed = true;
+          return false;
+        }
+        return true;
+      })
+      .map((token) => token.raw)
+      .join("")
+      .trim();
+  }
+
+  /**
+   * The body split at H2 headings (or another depth). The first section
+   * holds the title and introduction and has no heading; joining every
+   * section's markdown gives back the body
+   */
+  getSections(depth = 2) {
+    const sections = [];
+    let current = null;
+
+    this.tokens.forEach((token) => {
+      if (!current || (token.type === "heading" && token.depth <= depth && token.depth > 1)) {
+        const isHeading = token.type === "heading" && token.depth > 1;
+        const heading = isHeading ? this.inlineText(token.tokens) : null;
+        current = {
+          index: sections.length,
+          heading,
+          slug: heading ? MarkdownDocument.slugify(heading) : null,
+          depth: isHeading ? token.depth : null,
+          markdown: "",
+        };
+        sections.push(current);
+      }
+      current.markdown += token.raw;
+    });
+
+    return sections;
+  }
+
+  /**
+   * GitHub-style heading anchor
+   */
+  static slugify(text) {
+    return text
+      .toLowerCase()
+      .trim()
+      .replace(/[^\w\s-]/g, "")
+      .replace(/\s/g, "-");
+  }
+}
+
+module.exports = MarkdownDocument;
@@ -0,0 +1,267 @@
+// src/model-registry.js
+
+// Tasks a model can be chosen for: turning an instruction into a JSON
+// workflow, and writing (or rewriting) the long-form post
+const ROLES = ["generation", "parsing"];
+
+// What each known model can do and costs (USD per million tokens).
+// Extend or correct entries with `models.catalog` in the config
+const MODELS = {
+  "gemini-2.5-flash": {
+    provider: "gemini",
+    roles: ["generation", "parsing"],
+    contextTokens: 1048576,
+    outputTokens: 65536,
+    capabilities: ["streaming", "json", "thinking"],
+    price: { input: 0.3, output: 2.5 },
+    description: "Best price/performance with thinking",
+  },
+  "gemini-2.5-flash-lite": {
+    provider: "gemini",
+    roles: ["generation"],
+    contextTokens: 1048576,
+    outputTokens: 65536,
+    capabilities: ["streaming", "json"],
+    price: { input: 0.1, output: 0.4 },
+    description: "Most cost-efficient 2.5 model",
+  },
+  "gemini-2.0-flash": {
+    provider: "gemini",
+    roles: ["generation", "parsing"],
+    contextTokens: 1048576,
+    outputTokens: 8192,
+    capabilities: ["streaming", "json"],
+    price: { input: 0.1, output: 0.4 },
+    description: "Fast 2.0 model",
+  },
+  "gemini-2.0-flash-lite": {
+    provider: "gemini",
+    roles: ["generation"],
+    contextTokens: 1048576,
+    outputTokens: 8192,
+    capabilities: ["streaming"],
+    price: { input: 0.075, output: 0.3 },
+    description: "Cost-efficient 2.0 model",
+  },
+  "gemini-1.5-flash": {
+    provider: "gemini",
+    roles: ["generation", "parsing"],
+    contextTokens: 1048576,
+    outputTokens: 8192,
+    capabilities: ["streaming", "json"],
+    price: { input: 0.075, output: 0.3 },
+    description: "Reliable 1.5 model",
+  },
+  "gemini-1.5-flash-8b": {
+    provider: "gemini",
+    roles: ["generation"],
+    contextTokens: 1048576,
+    outputTokens: 8192,
+    capabilities: ["streaming"],
+    price: { input: 0.0375, output: 0.15 },
+    description: "Smallest and fastest",
+  },
+  "gemini-1.5-pro": {
+    provider: "gemini",
+    roles: ["generation", "parsing"],
+    contextTokens: 2097152,
+    outputTokens: 8192,
+    capabilities: ["streaming", "json"],
+    price: { input: 1.25, output: 5 },
+    description: "Most thorough, slowest",
+  },
+  // Retired by Google; kept so older posts are still priced
+  "gemini-1.0-pro": {
+    provider: "gemini",
+    roles: [],
+    contextTokens: 32760,
+    outputTokens: 8192,
+    capabilities: [],
+    price: { input: 0.5, output: 1.5 },
+    description: "Retired",
+  },
+  "gpt-4o-mini": {
+    provider: "openai",
+    roles: ["generation", "parsing"],
+    contextTokens: 128000,
+    outputTokens: 16384,
+    capabilities: ["streaming", "json"],
+    price: { input: 0.15, output: 0.6 },
+    description: "Small, fast OpenAI model",
+  },
+  "gpt-4o": {
+    provider: "openai",
+    roles: ["generation", "parsing"],
+    contextTokens: 128000,
+    outputTokens: 16384,
+    capabilities: ["streaming", "json"],
+    price: { input: 2.5, output: 10 },
+    description: "Flagship OpenAI model",
+  },
+  "llama3.1": {
+    provider: "ollama",
+    roles: ["generation", "parsing"],
+    contextTokens: 131072,
+    outputTokens: null,
+    capabilities: ["streaming"],
+    price: null,
+    description: "Local Llama 3.1 8B",
+  },
+  "mock-model": {
+    provider: "mock",
+    roles: ["generation", "parsing"],
+    contextTokens: null,
+    outputTokens: null,
+    capabilities: ["streaming", "json"],
+    price: null,
+    description: "Offline fixtures",
+  },
+};
+
+// Fallback order per provider and task, best first. A provider without a
+// parsing chain parses with its generation chain
+const DEFAULT_CHAINS = {
+  gemini: {
+    generation: [
+      "gemini-2.5-flash",
+      "gemini-2.5-flash-lite",
+      "gemini-2.0-flash",
+      "gemini-2.0-flash-lite",
+      "gemini-1.5-flash",
+      "gemini-1.5-flash-8b",
+    ],
+    parsing: ["gemini-2.5-flash", "gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"],
+  },
+  openai: { generation: ["gpt-4o-mini"] },
+  ollama: { generation: ["llama3.1"] },
+  mock: { generation: ["mock-model"] },
+};
+
+/**
+ * The models bloggen knows, and which of them a task tries in what order
+ * for the configured provider: `--model` first, then `models.<task>` or
+ * the provider's default chain. `models.fallback: false` stops after the
+ * first model
+ */
+class ModelRegistry {
+  constructor(config = {}) {
+    this.providerName = ((config.provider && config.provider.name) || "gemini").toLowerCase();
+    this.models = config.models || {};
+    this.pricing = config.pricing || {};
+
+    this.catalog = { ...MODELS };
+    Object.entries(this.models.catalog || {}).forEach(([name, entry]) => {
+      this.catalog[name] = { ...(MODELS[name] || { provider: this.providerName, roles: ROLES }), ...entry };
+    });
+  }
+
+  static getDefaultChain(providerName, role) {
+    const chains = DEFAULT_CHAINS[providerName] || {};
+    return (chains[role] || chains.generation || []).slice();
+  }
+
+  /**
+   * `{ name, description }` entries as the parser expects them
+   */
+  static toParsingModels(names, note = null) {
+    return names.map((name, index) => {
+      const position = index === 0 ? "Primary" : `Fallback ${index}`;
+      return { name, description: note ? `${position} (${note})` : position };
+    });
+  }
+
+  /**
+   * Everything known about a model, or null for one outside the catalog
+   * (still usable, e.g. a custom local model)
+   */
+  get(name) {
+    const entry = this.catalog[name];
+    if (!entry) return null;
+
+    const price = this.pricing[name] || entry.price || null;
+    return { name, ...entry, price };
+  }
+
+  /**
+   * Known models of the configured provider, optionally for one task
+   */
+  list(role = null) {
+    return Object.keys(this.catalog)
+      .map((name) => this.get(name))
+      .filter((entry) => entry.provider === this.providerName && (!role || entry.roles.includes(role)));
+  }
+
+  /**
+   * Why a model cannot be used for a task with this provider, or null
+   */
+  check(name, role) {
+    const entry = this.get(name);
+    if (!entry) return null;
+    if (entry.provider !== this.providerName) {
+      return `${name} is a ${entry.provider} model, but the provider is ${this.providerName}`;
+    }
+    if (!entry.roles.includes(role)) {
+      const roles = entry.roles.length > 0 ? entry.roles.join(", ") : "nothing (retired)";
+      return `${name} is not suited to ${role}; it is listed for ${roles}`;
+    }
+    return null;
+  }
+
+  getSelected(role) {
+    return (this.models.selected && this.models.selected[role]) || null;
+  }
+
+  /**
+   * Model names a task tries, in order
+   */
+  getChain(role) {
+    const chains = DEFAULT_CHAINS[this.providerName] || {};
+    const configured =
+      this.models[role] ||
+      (chains[role] ? null : this.models.generation) ||
+      ModelRegistry.getDefaultChain(this.providerName, role);
+    const selected = this.getSelected(role);
+    const chain = selected ? [selected, ...configured.filter((name) => name !== selected)] : configured.slice();
+
+    return this.models.fallback === false ? chain.slice(0, 1) : chain;
+  }
+
+  getParsingModels() {
+    const source = this.getSelected("parsing") ? "selected" : this.models.parsing ? "configured" : null;
+    return ModelRegistry.toParsingModels(this.getChain("parsing"), source);
+  }
+
+  /**
+   * USD per million tokens by model: catalog prices with `pricing` on top
+   */
+  getPrices() {
+    const prices = {};
+    Object.entries(this.catalog).forEach(([name, entry]) => {
+      if (entry.price) prices[name] = entry.price;
+    });
+    return { ...prices, ...this.pricing };
+  }
+
+  /**
+   * A task's chain with catalog details and, given a governor, each
+   * model's health from earlier runs
+   */
+  describeChain(role, governor = null) {
+    const chain = this.getChain(role);
+    const health = governor ? governor.getHealth(chain) : {};
+
+    return chain.map((name, index) => ({
+      name,
+      position: index,
+      selected: index === 0 && this.getSelected(role) === name,
+      entry: this.get(name),
+      health: health[name] || null,
+    }));
+  }
+}
+
+ModelRegistry.ROLES = ROLES;
+ModelRegistry.MODELS = MODELS;
+ModelRegistry.DEFAULT_CHAINS = DEFAULT_CHAINS;
+
+module.exports = ModelRegistry;
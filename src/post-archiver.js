@@ -0,0 +1,230 @@
+// src/post-archiver.js
+const fs = require("fs-extra");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const FileManager = require("./file-manager");
+const LibraryIndex = require("./library-index");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const MODES = ["move", "bundle", "delete"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention-policy cleanup that archives posts (with all their exported
+ * formats) instead of deleting them, and restores archived batches
+ */
+class PostArchiver {
+  constructor(options = {}) {
+    this.fileManager = options.fileManager || new FileManager();
+    this.directory = options.directory || this.fileManager.defaultOutputDir;
+    this.archiveDir = options.archiveDir || path.join(this.directory, "archive");
+    this.manifestPath = path.join(this.archiveDir, "manifest.json");
+  }
+
+  /**
+   * Decide which posts a policy removes. Published posts are always kept
+   * unless includePublished is set; the newest `keep` posts are always kept
+   */
+  async plan(policy = {}) {
+    const library = new LibraryIndex({ fileManager: this.fileManager, directory: this.directory });
+    await library.refresh();
+    const posts = library.query({ sort: "date" });
+    const statuses = policy.statuses || ["unpublished", "draft"];
+    const now = policy.now || Date.now();
+    const keep = [];
+    const remove = [];
+
+    posts.forEach((post, position) => {
+      const age = post.datetime ? Math.floor((now - Date.parse(post.datetime)) / DAY_MS) : null;
+      let reason = null;
+
+      if (post.status === "published" && !policy.includePublished) {
+        reason = "published";
+      } else if (policy.keep !== undefined && position < policy.keep) {
+        reason = `among newest ${policy.keep}`;
+      } else if (!statuses.includes(post.status)) {
+        reason = `status ${post.status}`;
+      } else if (policy.olderThan !== undefined && (age === null || age < policy.olderThan)) {
+        reason = `${age === null ? "unknown" : age} days old`;
+      } else if (
+        policy.belowScore !== undefined &&
+        post.seoScore !== null &&
+        post.seoScore >= policy.belowScore
+      ) {
+        reason = `score ${post.seoScore}%`;
+      }
+
+      if (reason) {
+        keep.push({ ...post, reason });
+      } else {
+        remove.push({ ...post, age, files: [] });
+      }
+    });
+
+    for (const post of remove) {
+      post.files = await this.getPostFiles(post.filepath);
+    }
+
+    return { keep, remove };
+  }
+
+  /**
+   * A post's JSON file plus the markdown, HTML and text exports saved
+   * alongside it
+   */
+  async getPostFiles(filepath) {
+    const base = this.fileManager.stripFormatExtension(path.basename(filepath));
+    const siblings = Object.values(FileManager.FORMAT_EXTENSIONS).map((extension) =>
+      path.join(path.dirname(filepath), `${base}${extension}`)
+    );
+
+    const files = [];
+    for (const sibling of siblings) {
+      if (await fs.pathExists(sibling)) files.push(sibling);
+    }
+    return files;
+  }
+
+  async loadManifest() {
+    if (await fs.pathExists(this.manifestPath)) {
+      return fs.readJson(this.manifestPath);
+    }
+    return { version: 1, batches: [] };
+  }
+
+  async saveManifest(manifest) {
+    await fs.ensureDir(this.archiveDir);
+    await fs.writeJson(this.manifestPath, manifest, { spaces: 2 });
+  }
+
+  /**
+   * Remove the planned posts: move them to a batch folder, pack them into a
+   * gzip bundle, or (only when asked) delete them for good
+   */
+  async apply(plan, options = {}) {
+    const mode = options.mode || "move";
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown cleanup mode "${mode}". Use: ${MODES.join(", ")}`);
+    }
+
+    const files = plan.remove.reduce((list, post) => list.concat(post.files), []);
+    if (files.length === 0) {
+      return { id: null, mode, posts: 0, files: 0 };
+    }
+
+    const id = new Date().toISOString().replace(/[:.]/g, "-");
+    const batch = {
+      id,
+      mode,
+      createdAt: new Date().toISOString(),
+      directory: path.resolve(this.directory),
+      location: null,
+      posts: plan.remove.map((post) => ({ title: post.title, filename: post.filename })),
+      files: files.map((file) => path.basename(file)),
+    };
+
+    if (mode === "move") {
+      const target = path.join(this.archiveDir, id);
+      await fs.ensureDir(target);
+      for (const file of files) {
+        await fs.move(file, path.join(target, path.basename(file)));
+      }
+      batch.location = target;
+    } else if (mode === "bundle") {
+      const bundle = { version: 1, id, files: [] };
+      for (const file of files) {
+        bundle.files.push({
+          name: path.basename(file),
+          data: (await fs.readFile(file)).toString("base64"),
+        });
+      }
+
+      await fs.ensureDir(this.archiveDir);
+      batch.location = path.join(this.archiveDir, `${id}.json.gz`);
+      await fs.writeFile(batch.location, await gzip(JSON.stringify(bundle)));
+      await Promise.all(files.map((file) => fs.unlink(file)));
+    } else {
+      await Promise.all(files.map((file) => fs.unlink(file)));
+    }
+
+    // Deleted batches are recorded too, so `restore --list` explains where posts went
+    const manifest = await this.loadManifest();
+    manifest.batches.push(batch);
+    await this.saveManifest(manifest);
+
+    return { id, mode, location: batch.location, posts: plan.remove.length, files: files.length };
+  }
+
+  /**
+   * Archived batches, newest first
+   */
+  async listBatches() {
+    const manifest = await this.loadManifest();
+    return manifest.batches.slice().reverse();
+  }
+
+  /**
+   * Put an archived batch (the newest unrestored one by default) back in
+   * its original directory. Existing files are skipped unless overwrite
+   */
+  async restore(id = null, options = {}) {
+    const manifest = await this.loadManifest();
+    const batch = id
+      ? manifest.batches.find((item) => item.id === id)
+      : manifest.batches
+          .slice()
+          .reverse()
+          .find((item) => !item.restoredAt && item.mode !== "delete");
+
+    if (!batch) {
+      throw new Error(id ? `No archived batch "${id}"` : "Nothing to restore");
+    }
+    if (batch.mode === "delete") {
+      throw new Error(`Batch ${batch.id} was deleted permanently and cannot be restored`);
+    }
+    if (batch.restoredAt) {
+      throw new Error(`Batch ${batch.id} was already restored on ${batch.restoredAt}`);
+    }
+
+    await fs.ensureDir(batch.directory);
+    const restored = [];
+    const skipped = [];
+
+    const write = async (name, readContent) => {
+      const target = path.join(batch.directory, name);
+      if (!options.overwrite && (await fs.pathExists(target))) {
+        skipped.push(name);
+        return;
+      }
+      await fs.writeFile(target, await readContent());
+      restored.push(name);
+    };
+
+    if (batch.mode === "move") {
+      for (const name of batch.files) {
+        await write(name, () => fs.readFile(path.join(batch.location, name)));
+      }
+    } else {
+      const bundle = JSON.parse((await gunzip(await fs.readFile(batch.location))).toString("utf8"));
+      for (const file of bundle.files) {
+        await write(file.name, async () => Buffer.from(file.data, "base64"));
+      }
+    }
+
+    // Keep the archive copy until every file is back
+    if (skipped.length === 0) {
+      await fs.remove(batch.location);
+      batch.restoredAt = new Date().toISOString();
+      await this.saveManifest(manifest);
+    }
+
+    return { id: batch.id, restored, skipped, directory: batch.directory };
+  }
+}
+
+PostArchiver.MODES = MODES;
+
+module.exports = PostArchiver;
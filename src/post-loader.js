@@ -0,0 +1,181 @@
+// src/post-loader.js
+const fs = require("fs-extra");
+const path = require("path");
+const yaml = require("js-yaml");
+const FileManager = require("./file-manager");
+const MarkdownDocument = require("./markdown-document");
+
+// Fields a rewrite keeps from the post it came from
+const PRESERVED_FIELDS = ["slug", "category", "author", "canonicalUrl", "contentType"];
+
+/**
+ * Read any post bloggen has written (JSON, markdown with front matter,
+ * plain text with a metadata header, or the older text layout) or a bare
+ * markdown/text file, as { format, title, content, category, author,
+ * tags, date, datetime, metadata }
+ */
+async function loadPost(filepath, fileManager = new FileManager()) {
+  if (!(await fs.pathExists(filepath))) {
+    throw new Error(`File not found: ${filepath}`);
+  }
+
+  const text = await fs.readFile(filepath, "utf8");
+  if (path.extname(filepath).toLowerCase() === ".json" || /^\s*\{/.test(text)) {
+    const post = await fileManager.readBlogPost(filepath);
+    return { ...post, format: "json" };
+  }
+
+  return parsePost(text, path.basename(filepath));
+}
+
+/**
+ * Parse a non-JSON post from its text
+ */
+function parsePost(text, filename = null) {
+  if (/^---\r?\n[\s\S]*?\r?\n---\r?\n/.test(text)) {
+    return parseFrontMatter(text, filename);
+  }
+  if (/^=== BLOG POST METADATA ===/m.test(text) || /^=== SEO (OPTIMIZED )?CONTENT ===/m.test(text)) {
+    return parseTextPost(text, filename);
+  }
+
+  const document = MarkdownDocument.from(text);
+  return buildPost("plain", {
+    title: document.title || (filename ? path.parse(filename).name : "Untitled"),
+    content: text.trim(),
+  });
+}
+
+/**
+ * Markdown export: YAML front matter plus a body without the H1, which is
+ * put back so the content analyzes like the original post
+ */
+function parseFrontMatter(text, filename) {
+  const document = MarkdownDocument.from(text);
+  let data = {};
+  try {
+    data = yaml.load(document.frontMatter.replace(/^---\r?\n|---\r?\n$/g, "")) || {};
+  } catch (error) {
+    throw new Error(`${filename || "Post"} has invalid front matter: ${error.message}`);
+  }
+
+  const body = document.body.trim();
+  const bodyTitle = MarkdownDocument.from(body).title;
+  const title = data.title || bodyTitle || "Untitled";
+  const date = data.date instanceof Date ? data.date.toISOString() : data.date;
+
+  return buildPost("markdown", {
+    title,
+    content: bodyTitle ? body : `# ${title}\n\n${body}`,
+    category: Array.isArray(data.categories) ? data.categories[0] : data.category,
+    author: data.author,
+    tags: data.tags,
+    datetime: date,
+    metadata: {
+      slug: data.slug,
+      metaDescription: data.description,
+      canonicalUrl: data.canonicalURL || data.canonicalUrl,
+      topic: data.topic,
+    },
+  });
+}
+
+/**
+ * Text export ("=== BLOG POST METADATA ===" header, "=== SEO CONTENT ===")
+ * and the older layout ("=== SEO OPTIMIZED CONTENT ===", "=== TECHNICAL
+ * DETAILS ===")
+ */
+function parseTextPost(text, filename) {
+  const blocks = {};
+  let current = null;
+  text.split(/\r?\n/).forEach((line) => {
+    const header = line.match(/^=== (.+) ===$/);
+    if (header) {
+      current = header[1].trim().toUpperCase();
+      blocks[current] = [];
+    } else if (current) {
+      blocks[current].push(line);
+    }
+  });
+
+  // "Key: value" lines from the header and "- Key: value" lines from the footer
+  const fields = {};
+  ["BLOG POST METADATA", "GENERATION INFO", "TECHNICAL DETAILS"].forEach((name) => {
+    (blocks[name] || []).forEach((line) => {
+      const field = line.match(/^(?:- )?([A-Za-z][A-Za-z ]*?):\s*(.+)$/);
+      if (field && fields[field[1].toLowerCase()] === undefined) {
+        fields[field[1].toLowerCase()] = field[2].trim();
+      }
+    });
+  });
+
+  const content = (blocks["SEO CONTENT"] || blocks["SEO OPTIMIZED CONTENT"] || []).join("\n").trim();
+  const value = (name) => (fields[name] && fields[name] !== "undefined" ? fields[name] : undefined);
+  const wordCount = parseInt(value("word count"));
+
+  return buildPost("text", {
+    title: value("title") || MarkdownDocument.from(content).title || (filename ? path.parse(filename).name : "Untitled"),
+    content,
+    category: value("category"),
+    author: value("author"),
+    tags: value("keywords") ? value("keywords").split(/,\s*/).filter(Boolean) : [],
+    datetime: value("generated") || value("date"),
+    metadata: {
+      topic: value("topic"),
+      slug: value("slug"),
+      metaDescription: value("meta description"),
+      canonicalUrl: value("canonical url"),
+      modelUsed: value("model used"),
+      wordCount: Number.isNaN(wordCount) ? undefined : wordCount,
+      generatedAt: value("generated"),
+    },
+  });
+}
+
+/**
+ * Same shape as a JSON post; unknown fields are left out rather than
+ * guessed
+ */
+function buildPost(format, fields) {
+  const metadata = {};
+  Object.entries(fields.metadata || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") metadata[key] = value;
+  });
+
+  return {
+    format,
+    title: fields.title,
+    content: fields.content,
+    category: fields.category || null,
+    author: fields.author || null,
+    tags: fields.tags || [],
+    date: fields.datetime ? String(fields.datetime).split("T")[0] : null,
+    datetime: fields.datetime || null,
+    metadata,
+  };
+}
+
+/**
+ * Slug, category, author and canonical URL of a post, for a rewrite to
+ * carry over
+ */
+function getPreservedFields(post) {
+  const values = {
+    slug: post.metadata.slug,
+    category: post.category,
+    author: post.author,
+    canonicalUrl: post.metadata.canonicalUrl,
+    contentType: post.metadata.contentType,
+  };
+
+  return PRESERVED_FIELDS.reduce((preserved, key) => {
+    if (values[key]) preserved[key] = values[key];
+    return preserved;
+  }, {});
+}
+
+module.exports = {
+  loadPost,
+  parsePost,
+  getPreservedFields,
+};
@@ -0,0 +1,107 @@
+// src/providers/caching-provider.js
+const ResponseCache = require("../response-cache");
+
+/**
+ * Wraps a provider and answers repeated requests from the on-disk
+ * response cache instead of calling the model again. Generation and
+ * rewrites go to the model unless options.generation is set, so rerunning
+ * a topic writes a new post
+ */
+class CachingProvider {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.cache = options.cache || new ResponseCache(options);
+    this.cacheGeneration = Boolean(options.generation);
+
+    this.name = provider.name;
+    this.displayName = provider.displayName;
+    this.generationModels = provider.generationModels;
+    this.parsingModels = provider.parsingModels;
+    this.supportsSchema = provider.supportsSchema;
+    this.governor = provider.governor;
+    this.hits = 0;
+    this.misses = 0;
+
+    // Only offer streaming when the wrapped provider can
+    if (typeof provider.stream === "function") {
+      this.stream = this.cachedStream;
+    }
+  }
+
+  /**
+   * Calls without a stage, or from the parser, are always cached
+   */
+  isCacheable(options = {}) {
+    return this.cacheGeneration || !options.stage || options.stage === "parsing";
+  }
+
+  getRequest(modelName, prompt, options = {}) {
+    return {
+      provider: this.provider.name,
+      model: modelName,
+      prompt,
+      // A changed response schema must not be answered with old replies
+      params: options.schema ? { ...options.params, schema: options.schema } : options.params,
+    };
+  }
+
+  /**
+   * Generate text, from the cache when the same request was made before
+   */
+  async generate(modelName, prompt, options = {}) {
+    if (!this.isCacheable(options)) {
+      return this.provider.generate(modelName, prompt, options);
+    }
+
+    const request = this.getRequest(modelName, prompt, options);
+    const cached = await this.cache.get(request);
+    if (cached) {
+      this.hits++;
+      return { text: cached.text, cached: true };
+    }
+
+    this.misses++;
+    const result = await this.provider.generate(modelName, prompt, options);
+    if (result && result.text) {
+      await this.cache.set(request, result.text);
+    }
+    return result;
+  }
+
+  /**
+   * Stream with the wrapped provider; a cached response arrives as one
+   * piece. Complete streams are stored, and so are streams the caller
+   * stopped at params.wordLimit, since the same request stops there again
+   */
+  async cachedStream(modelName, prompt, options = {}) {
+    if (!this.isCacheable(options)) {
+      return this.provider.stream(modelName, prompt, options);
+    }
+
+    const request = this.getRequest(modelName, prompt, options);
+    const cached = await this.cache.get(request);
+    if (cached) {
+      this.hits++;
+      options.onText(cached.text, cached.text);
+      return { text: cached.text, aborted: false, cached: true };
+    }
+
+    this.misses++;
+    const result = await this.provider.stream(modelName, prompt, options);
+    const limit = options.params && options.params.wordLimit;
+    const reachedLimit = limit && result && result.text && result.text.trim().split(/\s+/).length > limit;
+    if (result && result.text && (!result.aborted || reachedLimit)) {
+      await this.cache.set(request, result.text);
+    }
+    return result;
+  }
+
+  /**
+   * Drop a cached response the caller could not use (e.g. invalid JSON)
+   */
+  async forget(modelName, prompt, options = {}) {
+    await this.cache.delete(this.getRequest(modelName, prompt, options));
+  }
+}
+
+module.exports = CachingProvider;
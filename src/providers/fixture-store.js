@@ -0,0 +1,76 @@
+// src/providers/fixture-store.js
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+
+/**
+ * Recorded model responses on disk, one JSON file per prompt hash
+ */
+class FixtureStore {
+  constructor(directory) {
+    this.directory = directory || "./fixtures";
+  }
+
+  /**
+   * Normalize volatile parts of a prompt (dates, whitespace) so
+   * recordings replay on any day
+   */
+  normalizePrompt(prompt) {
+    return prompt
+      .replace(/\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?/g, "<date>")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Stable key for a prompt
+   */
+  getKey(prompt) {
+    return crypto
+      .createHash("sha256")
+      .update(this.normalizePrompt(prompt))
+      .digest("hex")
+      .substring(0, 16);
+  }
+
+  getFixturePath(prompt) {
+    return path.join(this.directory, `${this.getKey(prompt)}.json`);
+  }
+
+  /**
+   * Load a recorded response, or null when none exists
+   */
+  async load(prompt) {
+    const filepath = this.getFixturePath(prompt);
+
+    if (!(await fs.pathExists(filepath))) {
+      return null;
+    }
+
+    return fs.readJson(filepath);
+  }
+
+  /**
+   * Record a response for later replay
+   */
+  async save(prompt, modelName, text) {
+    await fs.ensureDir(this.directory);
+    const filepath = this.getFixturePath(prompt);
+
+    await fs.writeJson(
+      filepath,
+      {
+        key: this.getKey(prompt),
+        model: modelName,
+        recordedAt: new Date().toISOString(),
+        prompt: this.normalizePrompt(prompt),
+        text,
+      },
+      { spaces: 2 }
+    );
+
+    return filepath;
+  }
+}
+
+module.exports = FixtureStore;
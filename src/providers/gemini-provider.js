@@ -0,0 +1,75 @@
+// src/providers/gemini-provider.js
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const ModelRegistry = require("../model-registry");
+
+// Fallback chains come from the model registry (newest/best first)
+const DEFAULT_GENERATION_MODELS = ModelRegistry.getDefaultChain("gemini", "generation");
+const DEFAULT_PARSING_MODELS = ModelRegistry.toParsingModels(ModelRegistry.getDefaultChain("gemini", "parsing"));
+
+/**
+ * Token counts from a response's usageMetadata
+ */
+function getUsage(metadata) {
+  if (!metadata) return undefined;
+  return {
+    promptTokens: metadata.promptTokenCount || 0,
+    completionTokens: metadata.candidatesTokenCount || 0,
+  };
+}
+
+class GeminiProvider {
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error("Gemini API key is required");
+    }
+
+    this.name = "gemini";
+    this.displayName = "Gemini";
+    // SDK 0.2 calls the v1 API, which rejects responseMimeType and
+    // responseSchema; the parser asks for JSON in the prompt instead
+    this.supportsSchema = false;
+    this.genAI = new GoogleGenerativeAI(options.apiKey);
+
+    this.generationModels =
+      options.generationModels || DEFAULT_GENERATION_MODELS;
+    this.parsingModels = options.parsingModels || DEFAULT_PARSING_MODELS;
+  }
+
+  /**
+   * Generate text for a single prompt with a specific model
+   */
+  async generate(modelName, prompt) {
+    const model = this.genAI.getGenerativeModel({ model: modelName });
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+
+    return { text: response.text(), usage: getUsage(response.usageMetadata) };
+  }
+
+  /**
+   * Generate text chunk by chunk, passing each piece to onText
+   */
+  async stream(modelName, prompt, options = {}) {
+    const model = this.genAI.getGenerativeModel({ model: modelName });
+    const result = await model.generateContentStream(prompt);
+    let text = "";
+    let usage;
+
+    for await (const chunk of result.stream) {
+      if (options.signal && options.signal.aborted) {
+        return { text, aborted: true };
+      }
+      // Every chunk carries the running totals; the last one wins
+      usage = getUsage(chunk.usageMetadata) || usage;
+      const piece = chunk.text();
+      text += piece;
+      options.onText(piece, text);
+    }
+
+    return { text, aborted: false, usage };
+  }
+}
+
+GeminiProvider.defaultGenerationModels = DEFAULT_GENERATION_MODELS;
+
+module.exports = GeminiProvider;
@@ -0,0 +1,80 @@
+// src/providers/governed-provider.js
+const chalk = require("chalk");
+const Governor = require("../governor");
+
+/**
+ * Wraps a provider so every call goes through the governor: rate and
+ * token limits first, then retries with backoff on transient errors, with
+ * the outcome recorded in the persisted model health
+ */
+class GovernedProvider {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.governor = options.governor || new Governor(options);
+
+    this.name = provider.name;
+    this.displayName = provider.displayName;
+    this.generationModels = provider.generationModels;
+    this.parsingModels = provider.parsingModels;
+    this.supportsSchema = provider.supportsSchema;
+
+    // Only offer streaming when the wrapped provider can
+    if (typeof provider.stream === "function") {
+      this.stream = this.governedStream;
+    }
+  }
+
+  async generate(modelName, prompt, options = {}) {
+    return this.call(modelName, prompt, () => this.provider.generate(modelName, prompt, options));
+  }
+
+  /**
+   * A stream is only retried when it failed before any text arrived, so
+   * onText never sees the same words twice
+   */
+  async governedStream(modelName, prompt, options = {}) {
+    let received = false;
+    const onText = (piece, text) => {
+      received = true;
+      options.onText(piece, text);
+    };
+
+    return this.call(
+      modelName,
+      prompt,
+      () => this.provider.stream(modelName, prompt, { ...options, onText }),
+      () => !received
+    );
+  }
+
+  async call(modelName, prompt, send, canRetry = () => true) {
+    const governor = this.governor;
+    let attempt = 0;
+
+    for (;;) {
+      await governor.acquire(modelName);
+
+      try {
+        const result = await send();
+        governor.recordSuccess(modelName, prompt, result);
+        return result;
+      } catch (error) {
+        attempt++;
+        if (attempt > governor.maxRetries || !governor.isRetryable(error) || !canRetry()) {
+          governor.recordFailure(modelName, error);
+          throw error;
+        }
+
+        const delay = governor.getDelay(error, attempt);
+        console.log(
+          chalk.yellow(
+            `🔁 ${modelName}: ${error.message.substring(0, 80)} - retry ${attempt}/${governor.maxRetries} in ${(delay / 1000).toFixed(1)}s`
+          )
+        );
+        await governor.sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = GovernedProvider;
@@ -0,0 +1,92 @@
+// src/providers/index.js
+const GeminiProvider = require("./gemini-provider");
+const OpenAIProvider = require("./openai-provider");
+const OllamaProvider = require("./ollama-provider");
+const MockProvider = require("./mock-provider");
+const RecordingProvider = require("./recording-provider");
+const CachingProvider = require("./caching-provider");
+const GovernedProvider = require("./governed-provider");
+const ResponseCache = require("../response-cache");
+const Governor = require("../governor");
+const ModelRegistry = require("../model-registry");
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider,
+};
+
+/**
+ * Build provider options from the effective bloggen config; both model
+ * chains come from the registry
+ */
+function getProviderOptions(config) {
+  const name = config.provider.name;
+  const registry = new ModelRegistry(config);
+
+  return {
+    name,
+    apiKey: config.provider.apiKey || (config.apiKeys && config.apiKeys[name]) || undefined,
+    baseUrl: config.provider.baseUrl || undefined,
+    generationModels: registry.getChain("generation"),
+    parsingModels: registry.getParsingModels(),
+    fixturesDir: config.provider.fixturesDir,
+    record: config.provider.record,
+    strict: config.provider.strict,
+    cache: config.cache,
+    limits: config.limits,
+  };
+}
+
+/**
+ * Create an LLM provider by name
+ */
+function createProvider(options = {}) {
+  const name = (options.name || "gemini").toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+
+  const provider = new Provider({
+    apiKey: options.apiKey,
+    baseUrl: options.baseUrl,
+    fixturesDir: options.fixturesDir,
+    strict: options.strict,
+    generationModels: options.generationModels || undefined,
+    parsingModels: options.parsingModels || undefined,
+  });
+
+  let wrapped = provider;
+
+  // Record live responses so they can be replayed with the mock provider
+  if (options.record && name !== "mock") {
+    wrapped = new RecordingProvider(wrapped, { fixturesDir: options.fixturesDir });
+  }
+
+  // Rate limits, retries and model health for every call that reaches
+  // the model (cache hits below never do), once a limit is configured
+  if (Governor.hasLimits(options.limits) && name !== "mock") {
+    wrapped = new GovernedProvider(wrapped, { governor: new Governor(options.limits) });
+  }
+
+  // Answer repeated requests from disk; mock replies cost nothing
+  if (options.cache && options.cache.enabled && name !== "mock") {
+    wrapped = new CachingProvider(wrapped, {
+      cache: new ResponseCache(options.cache),
+      generation: options.cache.generation,
+    });
+  }
+
+  return wrapped;
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  getProviderOptions,
+};
@@ -0,0 +1,191 @@
+// src/providers/mock-provider.js
+const FixtureStore = require("./fixture-store");
+const ModelRegistry = require("../model-registry");
+
+const DEFAULT_GENERATION_MODELS = ModelRegistry.getDefaultChain("mock", "generation");
+
+// Streamed replies arrive a few words at a time, slowly enough to cancel
+const STREAM_CHUNK_WORDS = 4;
+const STREAM_DELAY_MS = 20;
+
+/**
+ * Offline provider: replays recorded fixtures keyed by prompt hash and
+ * falls back to deterministic canned responses
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.name = "mock";
+    this.displayName = "Mock (offline)";
+    this.supportsSchema = true;
+    this.fixtures = new FixtureStore(options.fixturesDir);
+    this.strict = Boolean(options.strict);
+
+    this.generationModels =
+      options.generationModels || DEFAULT_GENERATION_MODELS;
+    this.parsingModels =
+      options.parsingModels ||
+      this.generationModels.map((name, index) => ({
+        name,
+        description: index === 0 ? "Primary (offline)" : `Fallback ${index} (offline)`,
+      }));
+  }
+
+  /**
+   * Generate text for a single prompt with a specific model
+   */
+  async generate(modelName, prompt) {
+    const fixture = await this.fixtures.load(prompt);
+
+    if (fixture) {
+      return { text: fixture.text, fixture: fixture.key };
+    }
+
+    if (this.strict) {
+      throw new Error(
+        `No recorded fixture for prompt ${this.fixtures.getKey(prompt)} (not found)`
+      );
+    }
+
+    return { text: this.buildCannedResponse(prompt) };
+  }
+
+  /**
+   * Replay the same response a few words at a time, like a live stream
+   */
+  async stream(modelName, prompt, options = {}) {
+    const { text: full } = await this.generate(modelName, prompt);
+    const pieces = full.match(/\S+\s*|\s+/g) || [];
+    let text = "";
+
+    for (let index = 0; index < pieces.length; index += STREAM_CHUNK_WORDS) {
+      if (options.signal && options.signal.aborted) {
+        return { text, aborted: true };
+      }
+      const piece = pieces.slice(index, index + STREAM_CHUNK_WORDS).join("");
+      text += piece;
+      options.onText(piece, text);
+      await new Promise((resolve) => setTimeout(resolve, STREAM_DELAY_MS));
+    }
+
+    return { text, aborted: false };
+  }
+
+  /**
+   * Deterministic response shaped like what a real model returns
+   */
+  buildCannedResponse(prompt) {
+    if (prompt.includes("structured JSON")) {
+      return this.buildCannedWorkflow(prompt);
+    }
+
+    const section = prompt.match(/SECTION TO IMPROVE:\n([\s\S]*?)\n\nISSUES IN THIS SECTION:/);
+    if (section) {
+      return `${section[1].trim()}
+
+In short: focus on the skills employers ask for most and keep your portfolio current.`;
+    }
+
+    const original = prompt.match(
+      /ORIGINAL CONTENT TO IMPROVE:\n([\s\S]*?)\n\nSPECIFIC IMPROVEMENT REQUIREMENTS:/
+    );
+    if (original) {
+      return `${original[1].trim()}
+
+## Key Takeaways
+
+- Review the skills employers list most often and close the gaps first
+- Keep your portfolio and résumé aligned with current market demand
+- Revisit salary benchmarks before every negotiation`;
+    }
+
+    return this.buildCannedPost(prompt);
+  }
+
+  buildCannedWorkflow(prompt) {
+    const instructionMatch = prompt.match(/User Instruction: "([\s\S]*?)"\n/);
+    const instruction = instructionMatch ? instructionMatch[1] : "IT job market";
+    const topic = instruction
+      .replace(/^(write|create|generate|make)\s+(an?\s+)?/i, "")
+      .replace(/^(\w+\s+)?(blog post|article|guide|post)\s+/i, "")
+      .replace(/^(about|on)\s+/i, "")
+      .trim();
+
+    return JSON.stringify({
+      contentType: "blog-post",
+      topic: topic || instruction,
+      audience: {
+        level: "professionals",
+        industry: "tech",
+        expertise: "intermediate",
+      },
+      lengthConstraints: {
+        wordLimit: null,
+        constraintType: "flexible",
+        priority: "suggestion",
+        reasoning: "No specific length constraints detected",
+        hasCriticalLimit: false,
+      },
+      styleConstraints: {
+        tone: "professional",
+        complexity: "moderate",
+        format: "standard",
+        voice: "active",
+        perspective: "third-person",
+      },
+      contentConstraints: {
+        mustInclude: [],
+        shouldInclude: ["examples", "current trends"],
+        mustExclude: [],
+        dataRequirements: "examples",
+        depthLevel: "moderate",
+      },
+      seoConstraints: {
+        primaryKeywords: (topic || instruction).toLowerCase().split(/\s+/).slice(0, 3),
+        keywordDensity: "natural",
+        searchIntent: "informational",
+      },
+      conflictResolution: {
+        hasConflicts: false,
+        conflictTypes: [],
+        recommendedPriority: "word count > audience > style",
+      },
+    });
+  }
+
+  buildCannedPost(prompt) {
+    const topicMatch = prompt.match(/about:? "([^"]+)"/);
+    const topic = topicMatch ? topicMatch[1] : "the IT job market";
+    const urlMatch = prompt.match(/https?:\/\/[^\s)]+/);
+    const url = urlMatch ? urlMatch[0].replace(/[.,]$/, "") : "https://yoursite.com";
+
+    return `# ${topic}: What IT Professionals Need to Know
+
+The tech job market keeps shifting, and ${topic} is a question many developers and career changers are asking right now. This guide covers demand, skills, salaries and practical next steps.
+
+## Current Market Demand
+
+Hiring for software engineers remains steady, with strong demand for cloud, data and security skills. Remote and hybrid roles are common, but competition for them is higher.
+
+## Skills Employers Want
+
+- Solid programming fundamentals in at least one language
+- Experience with cloud platforms and CI/CD
+- Clear written communication for distributed teams
+
+## Salary Expectations
+
+Compensation depends on location, seniority and specialization. Benchmarks from [our career insights](${url}) help you set realistic expectations.
+
+## How to Get Started
+
+Build small projects, contribute to open source, and tailor your résumé to each role. Track trends so your skills stay relevant.
+
+## Conclusion
+
+${topic} rewards preparation. Focus on in-demand skills, keep learning, and use trusted resources to guide your next career move.`;
+  }
+}
+
+MockProvider.defaultGenerationModels = DEFAULT_GENERATION_MODELS;
+
+module.exports = MockProvider;
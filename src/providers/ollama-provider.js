@@ -0,0 +1,90 @@
+// src/providers/ollama-provider.js
+const { requestJSON, streamLines } = require("../http-client");
+const { toJSONSchema } = require("../response-schema");
+const ModelRegistry = require("../model-registry");
+
+const DEFAULT_GENERATION_MODELS = ModelRegistry.getDefaultChain("ollama", "generation");
+
+/**
+ * Token counts from the final response object
+ */
+function getUsage(data) {
+  if (!data || data.eval_count === undefined) return undefined;
+  return {
+    promptTokens: data.prompt_eval_count || 0,
+    completionTokens: data.eval_count || 0,
+  };
+}
+
+/**
+ * Local Ollama server (https://ollama.com) using the /api/generate endpoint
+ */
+class OllamaProvider {
+  constructor(options = {}) {
+    this.name = "ollama";
+    this.displayName = "Ollama";
+    this.supportsSchema = true;
+    this.baseUrl = (options.baseUrl || "http://localhost:11434").replace(
+      /\/+$/,
+      ""
+    );
+
+    this.generationModels =
+      options.generationModels || DEFAULT_GENERATION_MODELS;
+    this.parsingModels =
+      options.parsingModels ||
+      this.generationModels.map((name, index) => ({
+        name,
+        description: index === 0 ? "Primary (local)" : `Fallback ${index} (local)`,
+      }));
+  }
+
+  /**
+   * Generate text for a single prompt with a specific model; with
+   * options.schema the reply is JSON constrained to that schema
+   */
+  async generate(modelName, prompt, options = {}) {
+    const body = { model: modelName, prompt, stream: false };
+    if (options.schema) {
+      body.format = toJSONSchema(options.schema);
+    }
+
+    const { data } = await requestJSON(`${this.baseUrl}/api/generate`, {
+      method: "POST",
+      body,
+    });
+
+    return { text: (data && data.response) || "", usage: getUsage(data) };
+  }
+
+  /**
+   * Generate text as newline-delimited JSON, passing each piece to onText
+   */
+  async stream(modelName, prompt, options = {}) {
+    let text = "";
+    let usage;
+    const { aborted } = await streamLines(`${this.baseUrl}/api/generate`, {
+      signal: options.signal,
+      body: { model: modelName, prompt, stream: true },
+      onLine: (line) => {
+        const event = JSON.parse(line);
+        if (event.error) {
+          throw new Error(event.error);
+        }
+        if (event.response) {
+          text += event.response;
+          options.onText(event.response, text);
+        }
+        if (event.done) {
+          usage = getUsage(event);
+        }
+      },
+    });
+
+    return { text, aborted, usage };
+  }
+}
+
+OllamaProvider.defaultGenerationModels = DEFAULT_GENERATION_MODELS;
+
+module.exports = OllamaProvider;
@@ -0,0 +1,119 @@
+// src/providers/openai-provider.js
+const { requestJSON, streamLines } = require("../http-client");
+const { toJSONSchema } = require("../response-schema");
+const ModelRegistry = require("../model-registry");
+
+const DEFAULT_GENERATION_MODELS = ModelRegistry.getDefaultChain("openai", "generation");
+
+/**
+ * Token counts from a chat completions `usage` object
+ */
+function getUsage(usage) {
+  if (!usage) return undefined;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+  };
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API
+ * (OpenAI, Azure-style gateways, llama.cpp server, vLLM, LM Studio...)
+ */
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = "openai";
+    this.displayName = "OpenAI-compatible endpoint";
+    this.supportsSchema = true;
+    this.baseUrl = (options.baseUrl || "https://api.openai.com/v1").replace(
+      /\/+$/,
+      ""
+    );
+    this.apiKey = options.apiKey || null;
+
+    this.generationModels =
+      options.generationModels || DEFAULT_GENERATION_MODELS;
+    this.parsingModels =
+      options.parsingModels ||
+      this.generationModels.map((name, index) => ({
+        name,
+        description: index === 0 ? "Primary" : `Fallback ${index}`,
+      }));
+  }
+
+  /**
+   * Generate text for a single prompt with a specific model; with
+   * options.schema the reply is JSON constrained to that schema
+   */
+  async generate(modelName, prompt, options = {}) {
+    const headers = {};
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const body = {
+      model: modelName,
+      messages: [{ role: "user", content: prompt }],
+    };
+    if (options.schema) {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: "response", schema: toJSONSchema(options.schema) },
+      };
+    }
+
+    const { data } = await requestJSON(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers,
+      body,
+    });
+
+    const choice = data && data.choices && data.choices[0];
+    return {
+      text: choice && choice.message ? choice.message.content || "" : "",
+      usage: getUsage(data && data.usage),
+    };
+  }
+
+  /**
+   * Generate text as server-sent events, passing each piece to onText
+   */
+  async stream(modelName, prompt, options = {}) {
+    const headers = {};
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let text = "";
+    let usage;
+    const { aborted } = await streamLines(`${this.baseUrl}/chat/completions`, {
+      headers,
+      signal: options.signal,
+      body: {
+        model: modelName,
+        messages: [{ role: "user", content: prompt }],
+        stream: true,
+        // Ask for a final event with token counts
+        stream_options: { include_usage: true },
+      },
+      onLine: (line) => {
+        const data = line.replace(/^data:\s*/, "");
+        if (!line.startsWith("data:") || data === "[DONE]") return;
+
+        const event = JSON.parse(data);
+        usage = getUsage(event.usage) || usage;
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (delta && delta.content) {
+          text += delta.content;
+          options.onText(delta.content, text);
+        }
+      },
+    });
+
+    return { text, aborted, usage };
+  }
+}
+
+OpenAIProvider.defaultGenerationModels = DEFAULT_GENERATION_MODELS;
+
+module.exports = OpenAIProvider;
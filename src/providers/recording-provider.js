@@ -0,0 +1,51 @@
+// src/providers/recording-provider.js
+const FixtureStore = require("./fixture-store");
+
+/**
+ * Wraps a live provider and records every response as a replayable fixture
+ */
+class RecordingProvider {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.fixtures = new FixtureStore(options.fixturesDir);
+
+    this.name = provider.name;
+    this.displayName = `${provider.displayName} (recording)`;
+    this.generationModels = provider.generationModels;
+    this.parsingModels = provider.parsingModels;
+    this.supportsSchema = provider.supportsSchema;
+
+    // Only offer streaming when the wrapped provider can
+    if (typeof provider.stream === "function") {
+      this.stream = this.recordStream;
+    }
+  }
+
+  /**
+   * Generate text with the wrapped provider and save the response
+   */
+  async generate(modelName, prompt, options = {}) {
+    const result = await this.provider.generate(modelName, prompt, options);
+
+    if (result && result.text) {
+      await this.fixtures.save(prompt, modelName, result.text);
+    }
+
+    return result;
+  }
+
+  /**
+   * Stream with the wrapped provider; only complete responses are saved
+   */
+  async recordStream(modelName, prompt, options = {}) {
+    const result = await this.provider.stream(modelName, prompt, options);
+
+    if (result && result.text && !result.aborted) {
+      await this.fixtures.save(prompt, modelName, result.text);
+    }
+
+    return result;
+  }
+}
+
+module.exports = RecordingProvider;
@@ -0,0 +1,80 @@
+// src/publishers/devto-publisher.js
+const { requestJSON } = require("../http-client");
+const MarkdownDocument = require("../markdown-document");
+
+/**
+ * Forem / Dev.to articles API
+ */
+class DevtoPublisher {
+  constructor(options = {}) {
+    this.name = "devto";
+    this.displayName = "Dev.to";
+    this.baseUrl = (options.url || "https://dev.to/api").replace(/\/+$/, "");
+    this.apiKey = options.apiKey;
+  }
+
+  /**
+   * Ensure credentials are configured
+   */
+  validate() {
+    if (!this.apiKey) {
+      throw new Error("Dev.to publishing needs DEVTO_API_KEY");
+    }
+  }
+
+  /**
+   * Dev.to allows at most four lowercase alphanumeric tags
+   */
+  normalizeTags(tags) {
+    const normalized = tags
+      .map((tag) => tag.toLowerCase().replace(/[^a-z0-9]/g, ""))
+      .filter((tag) => tag.length > 0);
+
+    return [...new Set(normalized)].slice(0, 4);
+  }
+
+  /**
+   * Map a Bloggen post to a Dev.to article body
+   */
+  buildPayload(post, status) {
+    return {
+      article: {
+        title: post.title,
+        // Dev.to renders the title itself
+        body_markdown: MarkdownDocument.from(post.content).getBodyWithoutTitle(),
+        published: status === "published",
+        tags: this.normalizeTags(post.tags),
+        description: post.metadata.metaDescription,
+        canonical_url: post.metadata.canonicalUrl,
+      },
+    };
+  }
+
+  /**
+   * Create the article, or update it when it was published before
+   */
+  async publish(post, options = {}) {
+    this.validate();
+
+    const previous = options.previous;
+    const url =
+      previous && previous.id
+        ? `${this.baseUrl}/articles/${previous.id}`
+        : `${this.baseUrl}/articles`;
+
+    const { data } = await requestJSON(url, {
+      method: previous && previous.id ? "PUT" : "POST",
+      headers: { "api-key": this.apiKey },
+      body: this.buildPayload(post, options.status),
+    });
+
+    return {
+      id: data.id,
+      url: data.url || null,
+      status: data.published ? "published" : "draft",
+      updatedAt: data.edited_at || data.published_at || null,
+    };
+  }
+}
+
+module.exports = DevtoPublisher;
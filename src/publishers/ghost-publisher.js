@@ -0,0 +1,123 @@
+// src/publishers/ghost-publisher.js
+const crypto = require("crypto");
+const { marked } = require("marked");
+const { requestJSON } = require("../http-client");
+const MarkdownDocument = require("../markdown-document");
+
+/**
+ * Ghost Admin API using a staff/integration Admin API key ("id:secret")
+ */
+class GhostPublisher {
+  constructor(options = {}) {
+    this.name = "ghost";
+    this.displayName = "Ghost";
+    this.baseUrl = (options.url || "").replace(/\/+$/, "");
+    this.adminApiKey = options.adminApiKey;
+  }
+
+  /**
+   * Ensure credentials are configured
+   */
+  validate() {
+    if (!this.baseUrl || !this.adminApiKey) {
+      throw new Error("Ghost publishing needs GHOST_URL and GHOST_ADMIN_API_KEY");
+    }
+
+    if (!this.adminApiKey.includes(":")) {
+      throw new Error('GHOST_ADMIN_API_KEY must look like "<id>:<secret>"');
+    }
+  }
+
+  /**
+   * Short-lived HS256 token as required by the Admin API
+   */
+  createToken() {
+    const [id, secret] = this.adminApiKey.split(":");
+    const toBase64Url = (buffer) =>
+      buffer
+        .toString("base64")
+        .replace(/=+$/, "")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_");
+    const encode = (value) => toBase64Url(Buffer.from(JSON.stringify(value)));
+    const now = Math.floor(Date.now() / 1000);
+
+    const unsigned = `${encode({ alg: "HS256", typ: "JWT", kid: id })}.${encode({
+      iat: now,
+      exp: now + 300,
+      aud: "/admin/",
+    })}`;
+    const signature = toBase64Url(
+      crypto
+        .createHmac("sha256", Buffer.from(secret, "hex"))
+        .update(unsigned)
+        .digest()
+    );
+
+    return `${unsigned}.${signature}`;
+  }
+
+  getHeaders() {
+    return {
+      Authorization: `Ghost ${this.createToken()}`,
+      "Accept-Version": "v5.0",
+    };
+  }
+
+  /**
+   * Map a Bloggen post to a Ghost post body
+   */
+  buildPayload(post, status) {
+    // Ghost treats the first tag as the primary one, so lead with the category
+    const tagNames = [post.category, ...post.tags].filter(Boolean);
+
+    return {
+      title: post.title,
+      html: marked.parse(MarkdownDocument.from(post.content).getBodyWithoutTitle()), // title is a separate field
+      slug: post.metadata.slug,
+      status: status === "published" ? "published" : "draft",
+      tags: [...new Set(tagNames)].map((name) => ({ name })),
+      custom_excerpt: (post.metadata.metaDescription || "").substring(0, 300),
+      meta_title: post.metadata.ogTitle || post.title,
+      meta_description: post.metadata.metaDescription,
+      og_title: post.metadata.ogTitle,
+      og_description: post.metadata.ogDescription,
+      canonical_url: post.metadata.canonicalUrl,
+    };
+  }
+
+  /**
+   * Create the post, or update it when it was published before
+   */
+  async publish(post, options = {}) {
+    this.validate();
+
+    const payload = this.buildPayload(post, options.status);
+    const previous = options.previous;
+    let url = `${this.baseUrl}/ghost/api/admin/posts/?source=html`;
+    let method = "POST";
+
+    if (previous && previous.id) {
+      url = `${this.baseUrl}/ghost/api/admin/posts/${previous.id}/?source=html`;
+      method = "PUT";
+      // Ghost rejects updates without the last known updated_at
+      payload.updated_at = previous.updatedAt;
+    }
+
+    const { data } = await requestJSON(url, {
+      method,
+      headers: this.getHeaders(),
+      body: { posts: [payload] },
+    });
+    const remote = data.posts[0];
+
+    return {
+      id: remote.id,
+      url: remote.url || null,
+      status: remote.status,
+      updatedAt: remote.updated_at || null,
+    };
+  }
+}
+
+module.exports = GhostPublisher;
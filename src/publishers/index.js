@@ -0,0 +1,46 @@
+// src/publishers/index.js
+const WordPressPublisher = require("./wordpress-publisher");
+const GhostPublisher = require("./ghost-publisher");
+const DevtoPublisher = require("./devto-publisher");
+const { getConfig } = require("../config");
+
+const PUBLISHERS = {
+  wordpress: WordPressPublisher,
+  ghost: GhostPublisher,
+  devto: DevtoPublisher,
+};
+
+/**
+ * Publisher credentials from the effective config (config file, the
+ * WORDPRESS_* / GHOST_* / DEVTO_* variables, --set)
+ */
+function getPublisherOptions(name, config = getConfig()) {
+  const options = (config.publishers && config.publishers[name]) || {};
+  const defined = {};
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== null) defined[key] = value;
+  });
+  return defined;
+}
+
+/**
+ * Create a publishing adapter by name
+ */
+function createPublisher(name, options = null) {
+  const target = (name || "").toLowerCase();
+  const Publisher = PUBLISHERS[target];
+
+  if (!Publisher) {
+    throw new Error(
+      `Unknown publish target "${name}". Available: ${Object.keys(PUBLISHERS).join(", ")}`
+    );
+  }
+
+  return new Publisher(options || getPublisherOptions(target));
+}
+
+module.exports = {
+  PUBLISHERS,
+  createPublisher,
+  getPublisherOptions,
+};
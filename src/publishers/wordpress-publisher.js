@@ -0,0 +1,128 @@
+// src/publishers/wordpress-publisher.js
+const { marked } = require("marked");
+const { requestJSON } = require("../http-client");
+const MarkdownDocument = require("../markdown-document");
+
+/**
+ * WordPress REST API (wp/v2) using an application password
+ */
+class WordPressPublisher {
+  constructor(options = {}) {
+    this.name = "wordpress";
+    this.displayName = "WordPress";
+    this.baseUrl = (options.url || "").replace(/\/+$/, "");
+    this.username = options.username;
+    this.password = options.password;
+  }
+
+  /**
+   * Ensure credentials are configured
+   */
+  validate() {
+    if (!this.baseUrl || !this.username || !this.password) {
+      throw new Error(
+        "WordPress publishing needs WORDPRESS_URL, WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD"
+      );
+    }
+  }
+
+  getHeaders() {
+    const token = Buffer.from(`${this.username}:${this.password}`).toString(
+      "base64"
+    );
+    return { Authorization: `Basic ${token}` };
+  }
+
+  /**
+   * Map a Bloggen post to a wp/v2 post body (terms are resolved to IDs on publish).
+   * Core WordPress has no canonical field, so the canonical URL goes to the
+   * Yoast SEO meta key. WordPress drops it unless the site registers that
+   * key for REST, which publish reports
+   */
+  buildPayload(post, status) {
+    const payload = {
+      title: post.title,
+      content: marked.parse(MarkdownDocument.from(post.content).getBodyWithoutTitle()), // title is a separate field
+      excerpt: post.metadata.metaDescription,
+      slug: post.metadata.slug,
+      status: status === "published" ? "publish" : "draft",
+      tags: post.tags,
+      categories: post.category ? [post.category] : [],
+    };
+
+    if (post.metadata.canonicalUrl) {
+      payload.meta = { _yoast_wpseo_canonical: post.metadata.canonicalUrl };
+    }
+    return payload;
+  }
+
+  /**
+   * Find or create taxonomy terms and return their IDs
+   */
+  async resolveTerms(taxonomy, names) {
+    const ids = [];
+
+    for (const name of names) {
+      const { data } = await requestJSON(
+        `${this.baseUrl}/wp-json/wp/v2/${taxonomy}?search=${encodeURIComponent(name)}&per_page=100`,
+        { headers: this.getHeaders() }
+      );
+      const existing = (data || []).find(
+        (term) => term.name.toLowerCase() === name.toLowerCase()
+      );
+
+      if (existing) {
+        ids.push(existing.id);
+        continue;
+      }
+
+      const created = await requestJSON(`${this.baseUrl}/wp-json/wp/v2/${taxonomy}`, {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: { name },
+      });
+      ids.push(created.data.id);
+    }
+
+    return ids;
+  }
+
+  /**
+   * Create the post, or update it when it was published before
+   */
+  async publish(post, options = {}) {
+    this.validate();
+
+    const payload = this.buildPayload(post, options.status);
+    payload.tags = await this.resolveTerms("tags", payload.tags);
+    payload.categories = await this.resolveTerms("categories", payload.categories);
+
+    const remoteId = options.previous && options.previous.id;
+    const url = remoteId
+      ? `${this.baseUrl}/wp-json/wp/v2/posts/${remoteId}`
+      : `${this.baseUrl}/wp-json/wp/v2/posts`;
+
+    const { data } = await requestJSON(url, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: payload,
+    });
+
+    const remote = {
+      id: data.id,
+      url: data.link || null,
+      status: data.status === "publish" ? "published" : data.status,
+      updatedAt: data.modified_gmt || data.modified || null,
+    };
+
+    const canonicalUrl = payload.meta && payload.meta._yoast_wpseo_canonical;
+    if (canonicalUrl && (data.meta || {})._yoast_wpseo_canonical !== canonicalUrl) {
+      remote.warnings = [
+        'Canonical URL was not applied: the site does not expose the "_yoast_wpseo_canonical" meta key over REST (register it with register_post_meta and show_in_rest)',
+      ];
+    }
+    return remote;
+  }
+}
+
+module.exports = WordPressPublisher;
@@ -0,0 +1,153 @@
+// src/readability.js
+const MarkdownDocument = require("./markdown-document");
+
+// Abbreviations whose trailing period does not end a sentence
+const ABBREVIATIONS = ["e.g.", "i.e.", "etc.", "vs.", "approx.", "mr.", "mrs.", "ms.", "dr.", "inc.", "u.s."];
+
+/**
+ * Split a paragraph into sentences
+ */
+function splitSentences(paragraph) {
+  let text = paragraph;
+  ABBREVIATIONS.forEach((abbreviation, index) => {
+    const pattern = new RegExp(abbreviation.replace(/\./g, "\\."), "gi");
+    text = text.replace(pattern, `\u0000${index}\u0000`);
+  });
+
+  return text
+    .split(/(?<=[.!?])\s*\n\s*|(?<=[.!?])\s+(?=["'(\[]?[A-Z0-9])/)
+    .map((sentence) =>
+      sentence
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => ABBREVIATIONS[index])
+        .replace(/\s+/g, " ")
+        .trim()
+    )
+    .filter((sentence) => getWords(sentence).length > 0);
+}
+
+function getWords(text) {
+  return (text.match(/[A-Za-z][A-Za-z'’-]*/g) || []).filter(
+    (word) => /[a-z]/i.test(word)
+  );
+}
+
+/**
+ * Estimate English syllables with the usual vowel-group heuristic
+ */
+function countSyllables(word) {
+  let clean = word.toLowerCase().replace(/[^a-z]/g, "");
+  if (!clean) return 0;
+  if (clean.length <= 3) return 1;
+
+  clean = clean
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, "")
+    .replace(/^y/, "");
+
+  const groups = clean.match(/[aeiouy]{1,2}/g);
+  return groups ? groups.length : 1;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Core counts and formulas for a list of sentences
+ */
+function measure(sentences) {
+  let words = 0;
+  let syllables = 0;
+  let polysyllables = 0;
+
+  sentences.forEach((sentence) => {
+    getWords(sentence).forEach((word) => {
+      const count = countSyllables(word);
+      words++;
+      syllables += count;
+      if (count >= 3) polysyllables++;
+    });
+  });
+
+  const sentenceCount = Math.max(1, sentences.length);
+  const wordCount = Math.max(1, words);
+  const wordsPerSentence = wordCount / sentenceCount;
+  const syllablesPerWord = syllables / wordCount;
+
+  return {
+    sentences: sentences.length,
+    words,
+    syllables,
+    polysyllables,
+    wordsPerSentence,
+    syllablesPerWord,
+    fleschReadingEase: 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord,
+    fleschKincaidGrade: 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59,
+    gunningFog: 0.4 * (wordsPerSentence + 100 * (polysyllables / wordCount)),
+    smog: 1.043 * Math.sqrt(polysyllables * (30 / sentenceCount)) + 3.1291,
+  };
+}
+
+/**
+ * Readability of markdown content, with the hardest sentence of the
+ * hardest paragraphs as hotspots. Content without words has null scores
+ */
+function analyzeText(markdown, options = {}) {
+  const maxHotspots = options.maxHotspots || 5;
+  const paragraphs = MarkdownDocument.from(markdown).proseBlocks.map((text, index) => ({
+    index,
+    text,
+    sentences: splitSentences(text),
+  }));
+
+  const allSentences = paragraphs.reduce(
+    (list, paragraph) => list.concat(paragraph.sentences),
+    []
+  );
+  const totals = measure(allSentences);
+
+  const hotspots = paragraphs
+    .filter((paragraph) => paragraph.sentences.length > 0)
+    .map((paragraph) => {
+      const hardest = paragraph.sentences
+        .map((sentence) => ({
+          sentence,
+          grade: measure([sentence]).fleschKincaidGrade,
+          words: getWords(sentence).length,
+        }))
+        .sort((a, b) => b.grade - a.grade)[0];
+
+      return {
+        paragraph: paragraph.index + 1,
+        grade: round(measure(paragraph.sentences).fleschKincaidGrade),
+        sentence: hardest.sentence,
+        sentenceGrade: round(hardest.grade),
+        words: hardest.words,
+      };
+    })
+    .sort((a, b) => b.grade - a.grade)
+    .slice(0, maxHotspots);
+
+  // Formulas over zero words would read as the easiest possible text
+  const score = (value) => (totals.words > 0 ? round(value) : null);
+
+  return {
+    paragraphs: paragraphs.length,
+    sentences: totals.sentences,
+    words: totals.words,
+    syllables: totals.syllables,
+    polysyllables: totals.polysyllables,
+    avgWordsPerSentence: totals.words > 0 ? round(totals.wordsPerSentence) : 0,
+    avgSyllablesPerWord: Math.round(totals.syllablesPerWord * 100) / 100,
+    fleschReadingEase: score(totals.fleschReadingEase),
+    fleschKincaidGrade: score(totals.fleschKincaidGrade),
+    gunningFog: score(totals.gunningFog),
+    smog: score(totals.smog),
+    hotspots,
+  };
+}
+
+module.exports = {
+  analyzeText,
+  splitSentences,
+  countSyllables,
+};
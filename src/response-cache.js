@@ -0,0 +1,201 @@
+// src/response-cache.js
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Model responses on disk, one JSON file per request, keyed by provider,
+ * model, normalized prompt and generation parameters. Entries expire after
+ * the TTL and the least recently used ones are dropped past the size limit
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.directory = options.directory || "./.bloggen-cache";
+    this.ttlHours = options.ttlHours === undefined ? 168 : options.ttlHours;
+    this.maxSizeMb = options.maxSizeMb || 50;
+  }
+
+  /**
+   * Whitespace differences do not make a different request
+   */
+  normalizePrompt(prompt) {
+    return String(prompt).replace(/\s+/g, " ").trim();
+  }
+
+  getKey(request) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          provider: request.provider,
+          model: request.model,
+          prompt: this.normalizePrompt(request.prompt),
+          params: request.params || {},
+        })
+      )
+      .digest("hex")
+      .substring(0, 24);
+  }
+
+  getEntryPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return this.ttlHours > 0 && now - Date.parse(entry.createdAt) > this.ttlHours * HOUR_MS;
+  }
+
+  /**
+   * Cached text for a request, or null. Expired or unreadable entries are
+   * removed on the way
+   */
+  async get(request) {
+    const filepath = this.getEntryPath(this.getKey(request));
+    if (!(await fs.pathExists(filepath))) {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = await fs.readJson(filepath);
+    } catch (error) {
+      await fs.remove(filepath);
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      await fs.remove(filepath);
+      return null;
+    }
+
+    entry.hits = (entry.hits || 0) + 1;
+    entry.lastUsedAt = new Date().toISOString();
+    await fs.writeJson(filepath, entry, { spaces: 2 });
+    return entry;
+  }
+
+  async set(request, text) {
+    await fs.ensureDir(this.directory);
+    const key = this.getKey(request);
+    const now = new Date().toISOString();
+
+    await fs.writeJson(
+      this.getEntryPath(key),
+      {
+        key,
+        provider: request.provider,
+        model: request.model,
+        params: request.params || {},
+        createdAt: now,
+        lastUsedAt: now,
+        hits: 0,
+        prompt: this.normalizePrompt(request.prompt),
+        text,
+      },
+      { spaces: 2 }
+    );
+
+    await this.prune();
+    return key;
+  }
+
+  async delete(request) {
+    await fs.remove(this.getEntryPath(this.getKey(request)));
+  }
+
+  /**
+   * Every entry file with its size and last use, skipping unreadable ones
+   */
+  async listEntries() {
+    if (!(await fs.pathExists(this.directory))) {
+      return [];
+    }
+
+    const files = (await fs.readdir(this.directory)).filter((file) => file.endsWith(".json"));
+    const entries = [];
+    for (const file of files) {
+      const filepath = path.join(this.directory, file);
+      try {
+        const entry = await fs.readJson(filepath);
+        const { size } = await fs.stat(filepath);
+        entries.push({ ...entry, filepath, size });
+      } catch (error) {
+        entries.push({ filepath, size: 0, corrupt: true });
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Drop expired entries, then the least recently used until the cache
+   * fits its size limit
+   */
+  async prune() {
+    const entries = await this.listEntries();
+    const removed = [];
+    const keep = [];
+
+    entries.forEach((entry) => {
+      (entry.corrupt || this.isExpired(entry) ? removed : keep).push(entry);
+    });
+
+    keep.sort((a, b) => Date.parse(a.lastUsedAt) - Date.parse(b.lastUsedAt));
+    let size = keep.reduce((total, entry) => total + entry.size, 0);
+    const limit = this.maxSizeMb * 1024 * 1024;
+    while (size > limit && keep.length > 0) {
+      const oldest = keep.shift();
+      size -= oldest.size;
+      removed.push(oldest);
+    }
+
+    await Promise.all(removed.map((entry) => fs.remove(entry.filepath)));
+    return removed.length;
+  }
+
+  async stats() {
+    const entries = await this.listEntries();
+    const valid = entries.filter((entry) => !entry.corrupt);
+    const byModel = {};
+
+    valid.forEach((entry) => {
+      const name = `${entry.provider}/${entry.model}`;
+      byModel[name] = byModel[name] || { entries: 0, hits: 0, size: 0 };
+      byModel[name].entries++;
+      byModel[name].hits += entry.hits || 0;
+      byModel[name].size += entry.size;
+    });
+
+    const dates = valid.map((entry) => entry.createdAt).sort();
+    return {
+      directory: this.directory,
+      entries: entries.length,
+      size: entries.reduce((total, entry) => total + entry.size, 0),
+      maxSize: this.maxSizeMb * 1024 * 1024,
+      ttlHours: this.ttlHours,
+      expired: valid.filter((entry) => this.isExpired(entry)).length,
+      hits: valid.reduce((total, entry) => total + (entry.hits || 0), 0),
+      oldest: dates[0] || null,
+      newest: dates[dates.length - 1] || null,
+      byModel,
+    };
+  }
+
+  /**
+   * Remove entries: all of them, only expired ones, or one model's
+   */
+  async clear(options = {}) {
+    const entries = await this.listEntries();
+    const removed = entries.filter((entry) => {
+      if (options.expired && !(entry.corrupt || this.isExpired(entry))) return false;
+      if (options.model && entry.model !== options.model) return false;
+      return true;
+    });
+
+    await Promise.all(removed.map((entry) => fs.remove(entry.filepath)));
+    return removed.length;
+  }
+}
+
+module.exports = ResponseCache;
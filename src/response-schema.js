@@ -0,0 +1,166 @@
+// src/response-schema.js
+
+// Schemas are written in the OpenAPI subset Gemini accepts as a
+// responseSchema: one `type` per node, `nullable`, `enum`, `properties`,
+// `required` and `items`. Other providers get them as JSON Schema
+
+/**
+ * The same schema in JSON Schema form for OpenAI-compatible servers and
+ * Ollama (`nullable` becomes a "null" type)
+ */
+function toJSONSchema(schema) {
+  const converted = { type: schema.nullable ? [schema.type, "null"] : schema.type };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.nullable ? [...schema.enum, null] : schema.enum;
+  if (schema.items) converted.items = toJSONSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = {};
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      converted.properties[key] = toJSONSchema(property);
+    });
+    converted.required = schema.required || [];
+  }
+  return converted;
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Every way a value breaks the schema, as { path, message }
+ */
+function validateSchema(value, schema, path = "") {
+  const at = path || "(root)";
+
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [{ path: at, message: "must not be null" }];
+  }
+
+  const matchesType = {
+    string: typeof value === "string",
+    number: typeof value === "number" && Number.isFinite(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === "boolean",
+    array: Array.isArray(value),
+    object: typeof value === "object" && !Array.isArray(value),
+  }[schema.type];
+  if (!matchesType) {
+    return [{ path: at, message: `must be ${schema.type === "integer" ? "an" : "a"} ${schema.type}, got ${describeType(value)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: at, message: `must be one of ${schema.enum.join(", ")}, got "${value}"` }];
+  }
+
+  const errors = [];
+  if (schema.type === "array" && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (schema.type === "object" && schema.properties) {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+      }
+    });
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], property, path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Closest allowed value for a near miss such as "Beginner" or "step by
+ * step", or undefined
+ */
+function matchEnum(value, options) {
+  const normalized = String(value).trim().toLowerCase().replace(/[\s_]+/g, "-");
+  const candidates = [normalized, `${normalized}s`, normalized.replace(/s$/, "")];
+  return options.find((option) => candidates.includes(option));
+}
+
+/**
+ * Fix what can be fixed without asking the model again: numbers and
+ * booleans sent as strings, a single string where a list belongs, and
+ * enum values with the wrong case, spacing or plural. Returns the repaired
+ * copy and a note per change
+ */
+function repairToSchema(value, schema, path = "", repairs = []) {
+  const note = (from, to) => {
+    repairs.push(`${path || "(root)"}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+    return to;
+  };
+
+  if (value === undefined) {
+    return { value, repairs };
+  }
+
+  if (value === null || value === "" || value === "null") {
+    if (schema.nullable && value !== null) return { value: note(value, null), repairs };
+    if (schema.type === "array" && value !== "") return { value: note(value, []), repairs };
+  }
+
+  let repaired = value;
+  if ((schema.type === "integer" || schema.type === "number") && typeof value === "string") {
+    const number = parseFloat(value.replace(/,/g, ""));
+    if (!Number.isNaN(number)) repaired = note(value, schema.type === "integer" ? Math.round(number) : number);
+  } else if (schema.type === "integer" && typeof value === "number" && !Number.isInteger(value)) {
+    repaired = note(value, Math.round(value));
+  } else if (schema.type === "boolean" && typeof value === "string") {
+    const lower = value.trim().toLowerCase();
+    if (["true", "yes"].includes(lower)) repaired = note(value, true);
+    if (["false", "no"].includes(lower)) repaired = note(value, false);
+  } else if (schema.type === "string" && (typeof value === "number" || typeof value === "boolean")) {
+    repaired = note(value, String(value));
+  } else if (schema.type === "array" && typeof value === "string") {
+    repaired = note(
+      value,
+      value
+        .split(",")
+        .map((item) => item.trim())
+        .filter((item) => item.length > 0)
+    );
+  }
+
+  if (schema.enum && typeof repaired === "string" && !schema.enum.includes(repaired)) {
+    const match = matchEnum(repaired, schema.enum);
+    if (match) repaired = note(repaired, match);
+  }
+
+  if (schema.type === "array" && schema.items && Array.isArray(repaired)) {
+    repaired = repaired.map((item, index) => repairToSchema(item, schema.items, `${path}[${index}]`, repairs).value);
+  }
+
+  if (schema.type === "object" && schema.properties && describeType(repaired) === "object") {
+    repaired = { ...repaired };
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      repaired[key] = repairToSchema(repaired[key], property, path ? `${path}.${key}` : key, repairs).value;
+      if (repaired[key] === undefined) delete repaired[key];
+    });
+  }
+
+  return { value: repaired, repairs };
+}
+
+/**
+ * One line per error, for logs and for asking the model to correct itself
+ */
+function formatSchemaErrors(errors) {
+  return errors.map((error) => `- ${error.path}: ${error.message}`).join("\n");
+}
+
+module.exports = {
+  toJSONSchema,
+  validateSchema,
+  repairToSchema,
+  formatSchemaErrors,
+};
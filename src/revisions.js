@@ -0,0 +1,85 @@
+// src/revisions.js
+const crypto = require("crypto");
+
+function hash(text) {
+  return crypto.createHash("sha256").update(String(text || "")).digest("hex").substring(0, 10);
+}
+
+/**
+ * One entry in a post's revision history. The id is a hash of the content,
+ * so the same text always gets the same id
+ */
+function createRevision(content, details = {}) {
+  return {
+    id: hash(content),
+    parent: details.parent || null,
+    createdAt: details.createdAt !== undefined ? details.createdAt : new Date().toISOString(),
+    source: details.source || "generate",
+    prompt: details.prompt || null,
+    promptHash: details.fullPrompt ? hash(details.fullPrompt) : null,
+    model: details.model || null,
+    seoScore: details.seoScore === undefined ? null : details.seoScore,
+    wordCount: details.wordCount || null,
+    file: details.file || null,
+  };
+}
+
+/**
+ * Revision history of a saved post. Posts saved before revisions existed
+ * get a single "original" entry, and content edited since the last
+ * revision (e.g. inserted links) gets an "edit" entry
+ */
+function getRevisions(post, filename = null) {
+  const metadata = post.metadata || {};
+  if (Array.isArray(metadata.revisions) && metadata.revisions.length > 0) {
+    const latest = metadata.revisions[metadata.revisions.length - 1];
+    if (latest.id === hash(post.content)) {
+      return metadata.revisions;
+    }
+
+    return [
+      ...metadata.revisions,
+      createRevision(post.content, {
+        parent: latest.id,
+        // When the edit happened is unknown
+        createdAt: null,
+        source: "edit",
+        model: null,
+        seoScore: null,
+        file: filename,
+      }),
+    ];
+  }
+
+  return [
+    createRevision(post.content, {
+      createdAt: metadata.generatedAt || post.datetime || null,
+      source: "original",
+      prompt: metadata.topic || null,
+      model: metadata.modelUsed,
+      seoScore: metadata.seoScore,
+      wordCount: metadata.wordCount,
+      file: filename,
+    }),
+  ];
+}
+
+/**
+ * How two posts relate through their histories
+ */
+function getRelationship(revisionsA, revisionsB) {
+  const latestA = revisionsA[revisionsA.length - 1];
+  const latestB = revisionsB[revisionsB.length - 1];
+
+  if (latestA.id === latestB.id) return "same";
+  if (revisionsB.some((revision) => revision.id === latestA.id)) return "ancestor";
+  if (revisionsA.some((revision) => revision.id === latestB.id)) return "descendant";
+  return revisionsA[0].id === revisionsB[0].id ? "sibling" : "unrelated";
+}
+
+module.exports = {
+  hash,
+  createRevision,
+  getRevisions,
+  getRelationship,
+};
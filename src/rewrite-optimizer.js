@@ -0,0 +1,212 @@
+// src/rewrite-optimizer.js
+const SEOOptimizer = require("./seo-optimizer");
+const { getConfig } = require("./config");
+
+const DEFAULT_MAX_ITERATIONS = 3;
+
+/**
+ * Iterative SEO rewrite: re-analyze, ask for fixes to the remaining
+ * suggestions, and repeat until the target score is reached or the
+ * iterations run out. A pass is kept only if it raises the score; the
+ * first one that does not (a tie or a drop) ends the loop. With a
+ * section rewriter each pass regenerates only the sections at fault
+ */
+class RewriteOptimizer {
+  constructor(options = {}) {
+    this.generator = options.generator;
+    this.seoOptimizer = options.seoOptimizer || new SEOOptimizer();
+    this.config = options.config || getConfig();
+    this.keyword = options.keyword;
+    this.targetScore = options.targetScore || 85;
+    this.maxIterations = options.maxIterations || DEFAULT_MAX_ITERATIONS;
+    this.sectionRewriter = options.sectionRewriter || null;
+    // The original post's metadata, so every pass is scored with its profile
+    this.metadata = options.metadata || {};
+  }
+
+  /**
+   * The numbers the progress table shows for one pass
+   */
+  getMetrics(analysis) {
+    return {
+      score: analysis.seoScore.percentage,
+      grade: analysis.seoScore.grade,
+      words: analysis.analysis.wordCount,
+      density: Number(analysis.analysis.keywordAnalysis.primary.density.toFixed(1)),
+      readability: analysis.analysis.readability.readabilityScore,
+      suggestions: analysis.suggestions.length,
+    };
+  }
+
+  /**
+   * Prompt asking the model to fix the issues an analysis found. Later
+   * passes are told to keep what already works
+   */
+  buildPrompt(content, analysis, iteration = 1) {
+    const keyword = this.keyword;
+    const instructions = [];
+
+    analysis.suggestions.forEach((issue) => {
+      switch (issue.type) {
+        case "content":
+          if (issue.message.includes("too short")) {
+            instructions.push("- Expand the content with more detailed sections, examples, and actionable advice");
+            instructions.push("- Add more comprehensive coverage of the topic with deeper insights");
+          } else if (issue.message.includes("too long")) {
+            instructions.push("- Tighten the content: cut repetition and merge overlapping sections");
+          }
+          break;
+        case "keywords":
+          if (issue.message.includes("low")) {
+            instructions.push(`- Naturally integrate more variations of "${keyword}" throughout the content`);
+            instructions.push("- Include related keywords and synonyms in headings and paragraphs");
+          } else {
+            instructions.push(`- Reduce keyword stuffing and make "${keyword}" usage more natural`);
+          }
+          break;
+        case "structure":
+          instructions.push("- Improve heading hierarchy with proper H1, H2, H3 structure");
+          instructions.push("- Add more subheadings to break up content into digestible sections");
+          break;
+        case "readability":
+          instructions.push("- Use shorter sentences and simpler language");
+          instructions.push("- Add more bullet points, lists, and structured formatting");
+          break;
+      }
+    });
+
+    // The exact findings, so later passes can target what is still failing
+    analysis.suggestions.forEach((issue) => {
+      instructions.push(`- Fix: ${issue.message}`);
+    });
+
+    const currentWordCount = analysis.analysis.wordCount;
+    const targetWordCount = Math.max(1400, currentWordCount + 200);
+    const intro =
+      iteration > 1
+        ? `This blog post already went through ${iteration - 1} SEO revision(s) and scores ${analysis.seoScore.percentage}%. Keep everything that already works and fix only the remaining issues listed below.`
+        : "Please rewrite and significantly improve the following blog post to achieve better SEO optimization.";
+
+    return `${intro}
+
+ORIGINAL CONTENT TO IMPROVE:
+${content}
+
+SPECIFIC IMPROVEMENT REQUIREMENTS:
+${[...new Set(instructions)].join("\n")}
+
+TARGET SEO GOALS:
+- Primary keyword: "${keyword}" with 1.5-2.5% density (natural integration)
+- Target word count: ${targetWordCount}+ words
+- SEO score target: ${this.targetScore}%+
+- Better heading structure with clear H1, H2, H3 hierarchy
+- Improved readability with shorter paragraphs and clearer language
+- More actionable insights and practical advice
+- Enhanced user engagement and value
+
+CONTENT REQUIREMENTS:
+- Keep the IT job market focus and professional tone
+- Expand with more detailed examples and case studies
+- Add more structured lists and bullet points for readability
+- Include more actionable career advice and specific tips
+- Integrate backlinks to ${this.config.websiteUrl} naturally (1-2 times)
+- Use current market data and trends (2025 context)
+- Make the content more comprehensive and authoritative
+
+STRUCTURE REQUIREMENTS:
+- Clear H1 title with keyword integration
+- Multiple H2 sections for main topics
+- H3 subsections for detailed coverage
+- Bullet points and lists for key information
+- Strong introduction and conclusion
+- Logical flow between sections
+
+Generate a completely rewritten, expanded, and SEO-optimized version that addresses all the identified issues while maintaining high quality and value for IT professionals.`;
+  }
+
+  /**
+   * Run the loop from an already analyzed post. Returns every pass, the
+   * best one (the last pass that raised the score), why it stopped and
+   * the model calls all passes made
+   */
+  async optimize(content, topic, analysis, options = {}) {
+    const onStart = options.onStart || (() => {});
+    const onIteration = options.onIteration || (() => {});
+    const baseline = {
+      iteration: 0,
+      content,
+      result: null,
+      analysis,
+      metrics: this.getMetrics(analysis),
+      accepted: true,
+    };
+    const iterations = [baseline];
+    // Calls of every pass, rejected ones included
+    const usage = [];
+    let best = baseline;
+    let stopReason = "max-iterations";
+
+    for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+      if (best.metrics.score >= this.targetScore) {
+        stopReason = "target";
+        break;
+      }
+
+      let result;
+      if (this.sectionRewriter) {
+        const plan = this.sectionRewriter.plan(best.content, best.analysis);
+        if (plan.targets.length === 0) {
+          stopReason = "nothing-to-fix";
+          break;
+        }
+
+        onStart(iteration);
+        const rewrite = await this.sectionRewriter.rewrite(best.content, best.analysis, options);
+        result = {
+          ...this.generator.processContent(rewrite.content, topic, rewrite.modelName),
+          prompt: rewrite.prompt,
+          sections: rewrite.rewritten,
+          unassigned: rewrite.unassigned,
+        };
+        result.metadata.usage = rewrite.usage;
+      } else {
+        onStart(iteration);
+        result = await this.generator.generateContent(topic, {
+          customPrompt: this.buildPrompt(best.content, best.analysis, iteration),
+          stage: "rewrite",
+        });
+      }
+      usage.push(...result.metadata.usage);
+      const newAnalysis = this.seoOptimizer.optimizeContent(result.content, this.keyword, {
+        ...this.metadata,
+        ...result.metadata,
+      });
+      const pass = {
+        iteration,
+        content: result.content,
+        result,
+        analysis: newAnalysis,
+        metrics: this.getMetrics(newAnalysis),
+        accepted: newAnalysis.seoScore.percentage > best.metrics.score,
+      };
+      iterations.push(pass);
+      onIteration(pass, best);
+
+      if (!pass.accepted) {
+        stopReason = pass.metrics.score === best.metrics.score ? "no-improvement" : "regression";
+        break;
+      }
+      best = pass;
+    }
+
+    if (stopReason === "max-iterations" && best.metrics.score >= this.targetScore) {
+      stopReason = "target";
+    }
+
+    return { baseline, best, iterations, stopReason, usage };
+  }
+}
+
+RewriteOptimizer.DEFAULT_MAX_ITERATIONS = DEFAULT_MAX_ITERATIONS;
+
+module.exports = RewriteOptimizer;
@@ -0,0 +1,272 @@
+// src/section-rewriter.js
+const SEOOptimizer = require("./seo-optimizer");
+const MarkdownDocument = require("./markdown-document");
+const { analyzeText } = require("./readability");
+const { RULES } = require("./seo-rules");
+const { getConfig } = require("./config");
+
+// Most sections one suggestion is blamed on, so a pass stays surgical
+const MAX_SECTIONS_PER_ISSUE = 2;
+
+/**
+ * Targeted rewrites: work out which sections (by H2 heading) cause each
+ * SEO suggestion, regenerate only those sections and splice them back
+ * into the post, leaving everything else untouched
+ */
+class SectionRewriter {
+  constructor(options = {}) {
+    this.generator = options.generator;
+    this.seoOptimizer = options.seoOptimizer || new SEOOptimizer();
+    this.config = options.config || getConfig();
+    this.keyword = options.keyword;
+    this.sections = options.sections || [];
+    this.only = (options.only || []).map((value) => value.toLowerCase());
+
+    const scopes = [
+      ...new Set([
+        ...Object.values(RULES).map((rule) => rule.type),
+        ...Object.keys(RULES).map((name) => name.toLowerCase()),
+      ]),
+    ];
+    this.only.forEach((value) => {
+      if (!scopes.includes(value)) {
+        throw new Error(`Unknown --only value "${value}". Use a suggestion type or rule: ${scopes.join(", ")}`);
+      }
+    });
+  }
+
+  /**
+   * Sections of a post with the numbers used to blame suggestions on them
+   */
+  getSections(content) {
+    return MarkdownDocument.from(content)
+      .getSections()
+      .map((section) => {
+        const document = MarkdownDocument.from(section.markdown);
+        return {
+          ...section,
+          text: document.getText(),
+          words: document.getWordCount(),
+          density: this.seoOptimizer.analyzeKeywords(section.markdown, this.keyword).primary.density,
+          grade: analyzeText(section.markdown).fleschKincaidGrade,
+          headings: document.headings.map((heading) => heading.text),
+          missingAlt: document.images.filter((image) => !image.alt.trim()).length,
+        };
+      });
+  }
+
+  /**
+   * Suggestions left after --only (matches a suggestion type or rule name)
+   */
+  filterSuggestions(suggestions) {
+    if (this.only.length === 0) return suggestions;
+    return suggestions.filter(
+      (suggestion) =>
+        this.only.includes(suggestion.type) || this.only.includes(String(suggestion.rule).toLowerCase())
+    );
+  }
+
+  /**
+   * Sections named with --section; an unknown name is an error listing
+   * the headings that exist
+   */
+  selectSections(sections) {
+    if (this.sections.length === 0) return sections;
+
+    return this.sections.reduce((selected, name) => {
+      const matches = sections.filter(
+        (section) => section.heading && section.heading.toLowerCase().includes(name.toLowerCase())
+      );
+      if (matches.length === 0) {
+        const headings = sections.filter((section) => section.heading).map((section) => `"${section.heading}"`);
+        throw new Error(`No section matches "${name}". Sections: ${headings.join(", ")}`);
+      }
+      return selected.concat(matches.filter((section) => !selected.includes(section)));
+    }, []);
+  }
+
+  /**
+   * Sections a suggestion is caused by. Empty when it is not tied to any
+   * part of the text
+   */
+  findCauses(suggestion, sections, analysis) {
+    const body = sections.filter((section) => section.heading);
+    const candidates = body.length > 0 ? body : sections;
+    const by = (key, direction = 1) =>
+      candidates.slice().sort((a, b) => (a[key] - b[key]) * direction || b.words - a.words);
+    const intro = sections[0] && !sections[0].heading ? [sections[0]] : [];
+
+    switch (suggestion.rule) {
+      case "wordCount":
+        return suggestion.message.includes("too long")
+          ? by("words", -1).slice(0, MAX_SECTIONS_PER_ISSUE)
+          : by("words").slice(0, MAX_SECTIONS_PER_ISSUE);
+      case "keywordDensity":
+        return suggestion.message.includes("low")
+          ? by("density").slice(0, MAX_SECTIONS_PER_ISSUE)
+          : by("density", -1).slice(0, MAX_SECTIONS_PER_ISSUE);
+      case "readability": {
+        // Sections holding the hardest sentences, else the hardest sections
+        const hotspots = analysis.analysis.readability.hotspots || [];
+        const hot = sections.filter((section) =>
+          hotspots.slice(0, MAX_SECTIONS_PER_ISSUE).some((hotspot) => section.text.includes(hotspot.sentence))
+        );
+        if (hot.length > 0) return hot;
+
+        const overall = analysis.analysis.readability.fleschKincaidGrade;
+        const hard = by("grade", -1).filter((section) => section.grade > overall);
+        return (hard.length > 0 ? hard : by("grade", -1)).slice(0, MAX_SECTIONS_PER_ISSUE);
+      }
+      case "headingStructure": {
+        const skip = suggestion.message.match(/at "(.+)"\./);
+        if (skip) {
+          return sections.filter((section) => section.headings.includes(skip[1]));
+        }
+        return by("words", -1).slice(0, 1);
+      }
+      case "internalLinks":
+        return by("words", -1).slice(0, 1);
+      case "linkQuality": {
+        const hrefs = analysis.analysis.links.issues.map((issue) => issue.href).filter(Boolean);
+        return sections.filter((section) => hrefs.some((href) => section.markdown.includes(`](${href}`)));
+      }
+      case "titleLength":
+      case "metaLength":
+        return intro;
+      case "imageAltText":
+        return sections.filter((section) => section.missingAlt > 0);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Which sections to rewrite and the suggestions each one should fix.
+   * Suggestions no selected section causes are returned as unassigned
+   */
+  plan(content, analysis) {
+    const sections = this.getSections(content);
+    const selected = this.selectSections(sections);
+    const suggestions = this.filterSuggestions(analysis.suggestions);
+    const targets = new Map();
+    const unassigned = [];
+
+    suggestions.forEach((suggestion) => {
+      const causes = this.findCauses(suggestion, sections, analysis).filter((section) =>
+        selected.includes(section)
+      );
+      if (causes.length === 0) {
+        unassigned.push(suggestion);
+        return;
+      }
+      causes.forEach((section) => {
+        if (!targets.has(section)) targets.set(section, []);
+        targets.get(section).push(suggestion);
+      });
+    });
+
+    // Sections named explicitly are rewritten even when no suggestion
+    // points at them, against every suggestion in scope
+    if (this.sections.length > 0) {
+      selected.forEach((section) => {
+        if (!targets.has(section) && suggestions.length > 0) targets.set(section, suggestions);
+      });
+    }
+
+    return {
+      sections,
+      targets: Array.from(targets, ([section, issues]) => ({ section, suggestions: issues })).sort(
+        (a, b) => a.section.index - b.section.index
+      ),
+      unassigned,
+    };
+  }
+
+  /**
+   * Prompt for one section; the rest of the post is left out so the model
+   * cannot change it
+   */
+  buildPrompt(section, suggestions, title) {
+    const keepHeading = section.heading
+      ? `- Keep the heading line "${section.markdown.split("\n")[0].trim()}" exactly as it is`
+      : suggestions.some((suggestion) => suggestion.rule === "titleLength")
+      ? "- Keep the H1 title line but adjust its length as required"
+      : "- Keep the H1 title line exactly as it is";
+
+    return `Rewrite one section of the blog post "${title}" to fix the SEO issues listed below.
+
+SECTION TO IMPROVE:
+${section.markdown.trim()}
+
+ISSUES IN THIS SECTION:
+${suggestions.map((suggestion) => `- ${suggestion.message}`).join("\n")}
+
+RULES:
+${keepHeading}
+- Keep every fact, figure, name and link that is already there
+- Primary keyword: "${this.keyword}" (natural integration, 1.5-2.5% density)
+- Link to ${this.config.websiteUrl} only if an issue asks for links to your site
+- Do not add new H2 sections or content from other parts of the post
+- Return only the rewritten section in markdown, with no commentary or code fences`;
+  }
+
+  /**
+   * Tidy a model's section: drop code fences, restore a missing heading
+   * and keep the original spacing before the next section
+   */
+  cleanSection(text, section) {
+    let cleaned = text.trim().replace(/^```(?:markdown|md)?\n([\s\S]*?)\n```$/i, "$1").trim();
+    const headingLine = section.markdown.split("\n")[0].trim();
+
+    if (section.heading && !/^#{1,6}\s/.test(cleaned)) {
+      cleaned = `${headingLine}\n\n${cleaned}`;
+    }
+
+    const trailing = section.markdown.match(/\s*$/)[0];
+    return `${cleaned}${trailing || "\n"}`;
+  }
+
+  /**
+   * Regenerate the sections a plan targets and splice them into the post
+   */
+  async rewrite(content, analysis, options = {}) {
+    const onSection = options.onSection || (() => {});
+    const plan = this.plan(content, analysis);
+    const title = MarkdownDocument.from(content).title || this.keyword;
+    const replaced = new Map();
+    const prompts = [];
+    const usage = [];
+    let modelName = null;
+
+    for (const target of plan.targets) {
+      onSection(target);
+      const prompt = this.buildPrompt(target.section, target.suggestions, title);
+      const response = await this.generator.generateText(prompt, { stage: "rewrite" });
+      replaced.set(target.section.index, this.cleanSection(response.text, target.section));
+      prompts.push(prompt);
+      usage.push(...response.usage);
+      modelName = response.modelName;
+    }
+
+    const document = MarkdownDocument.from(content);
+    const spliced =
+      (document.frontMatter || "") +
+      plan.sections
+        .map((section) => (replaced.has(section.index) ? replaced.get(section.index) : section.markdown))
+        .join("");
+
+    return {
+      content: spliced,
+      prompt: prompts.join("\n\n"),
+      modelName,
+      usage,
+      rewritten: plan.targets.map((target) => ({
+        heading: target.section.heading || "(introduction)",
+        suggestions: target.suggestions.map((suggestion) => suggestion.message),
+      })),
+      unassigned: plan.unassigned,
+    };
+  }
+}
+
+module.exports = SectionRewriter;
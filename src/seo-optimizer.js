@@ -1,13 +1,24 @@
 // src/seo-optimizer.js
-const chalk = require("chalk");
+const { getConfig } = require("./config");
+const {
+  SEVERITY_PRIORITY,
+  getProfileName,
+  resolveRules,
+  evaluateRules,
+} = require("./seo-rules");
+const { analyzeText } = require("./readability");
+const MarkdownDocument = require("./markdown-document");
+const { auditLinks } = require("./link-audit");
 
 class SEOOptimizer {
-  constructor(websiteUrl) {
-    this.websiteUrl = websiteUrl || "https://yoursite.com";
-    this.targetKeywordDensity = { min: 1, max: 3 }; // 1-3% keyword density
-    this.optimalWordCount = { min: 1200, max: 1800 };
-    this.optimalTitleLength = { min: 50, max: 60 };
-    this.optimalMetaLength = { min: 140, max: 160 };
+  constructor(websiteUrl, config = getConfig()) {
+    this.websiteUrl = websiteUrl || config.websiteUrl;
+    this.brandName = config.brandName;
+    this.targetKeywordDensity = config.seo.keywordDensity; // % keyword density
+    this.optimalWordCount = config.seo.wordCount;
+    this.optimalTitleLength = config.seo.titleLength;
+    this.optimalMetaLength = config.seo.metaLength;
+    this.seoConfig = config.seo;
   }
 
   /**
@@ -20,8 +31,8 @@ class SEOOptimizer {
       primaryKeyword,
       metadata
     );
-    const suggestions = this.generateOptimizationSuggestions(analysis);
-    const seoScore = this.calculateSEOScore(analysis);
+    const seoScore = this.calculateSEOScore(analysis, this.getProfile(metadata));
+    const suggestions = this.generateOptimizationSuggestions(analysis, seoScore);
 
     return {
       analysis,
@@ -37,11 +48,14 @@ class SEOOptimizer {
    * Analyze content for SEO factors
    */
   analyzeContent(content, primaryKeyword) {
-    const wordCount = this.getWordCount(content);
+    // Parse once; every analyzer below reuses the cached document
+    const document = MarkdownDocument.from(content);
+    const wordCount = document.getWordCount();
     const keywordAnalysis = this.analyzeKeywords(content, primaryKeyword);
     const headingStructure = this.analyzeHeadingStructure(content);
     const readability = this.analyzeReadability(content);
-    const internalLinks = this.analyzeInternalLinks(content);
+    const links = this.analyzeLinks(content);
+    const internalLinks = this.analyzeInternalLinks(content, links);
 
     return {
       wordCount,
@@ -49,15 +63,58 @@ class SEOOptimizer {
       headingStructure,
       readability,
       internalLinks,
+      links,
+      meta: this.analyzeMeta(content, primaryKeyword),
+      images: this.analyzeImages(content),
       contentStructure: this.analyzeContentStructure(content),
     };
   }
 
+  /**
+   * Scoring profile: explicit choice, then config, then the content type
+   */
+  getProfile(metadata = {}) {
+    return getProfileName(
+      metadata.profile ||
+        this.seoConfig.profile ||
+        metadata.contentType ||
+        (metadata.workflow && metadata.workflow.contentType),
+      this.seoConfig
+    );
+  }
+
+  /**
+   * Measure title and meta description lengths
+   */
+  analyzeMeta(content, primaryKeyword) {
+    const title = this.extractTitle(content);
+    const description = this.generateMetaDescription(content, primaryKeyword);
+
+    return {
+      title,
+      titleLength: title.length,
+      description,
+      descriptionLength: description.length,
+    };
+  }
+
+  /**
+   * Count markdown images and those without alt text
+   */
+  analyzeImages(content) {
+    const images = MarkdownDocument.from(content).images;
+
+    return {
+      count: images.length,
+      missingAlt: images.filter((image) => image.alt.trim().length === 0).length,
+    };
+  }
+
   /**
    * Analyze keyword usage and density
    */
   analyzeKeywords(content, primaryKeyword) {
-    const contentLower = content.toLowerCase();
+    const contentLower = MarkdownDocument.from(content).getText().toLowerCase();
     const words = contentLower.split(/\s+/).filter((word) => word.length > 0);
     const totalWords = words.length;
 
@@ -127,60 +184,58 @@ class SEOOptimizer {
    * Analyze heading structure
    */
   analyzeHeadingStructure(content) {
-    const lines = content.split("\n");
+    const document = MarkdownDocument.from(content);
+    const count = (depth) =>
+      document.headings.filter((heading) => heading.depth === depth).length;
 
     const headings = {
-      h1: lines.filter((line) => line.startsWith("# ")).length,
-      h2: lines.filter((line) => line.startsWith("## ")).length,
-      h3: lines.filter((line) => line.startsWith("### ")).length,
-      h4: lines.filter((line) => line.startsWith("#### ")).length,
+      h1: count(1),
+      h2: count(2),
+      h3: count(3),
+      h4: count(4),
     };
 
-    const totalHeadings = Object.values(headings).reduce(
-      (sum, count) => sum + count,
-      0
-    );
-    const properStructure = headings.h1 === 1 && headings.h2 >= 2;
+    const totalHeadings = document.headings.length;
+    const skips = document.getHeadingSkips();
+    const properStructure =
+      headings.h1 === 1 && headings.h2 >= 2 && skips.length === 0;
 
     return {
       ...headings,
       total: totalHeadings,
       properStructure,
+      skips,
+      outline: document.getOutline(),
       ratio:
-        totalHeadings /
-        Math.max(1, Math.floor(this.getWordCount(content) / 300)),
+        totalHeadings / Math.max(1, Math.floor(document.getWordCount() / 300)),
     };
   }
 
   /**
-   * Analyze content readability
+   * Analyze content readability on markdown-stripped prose; null scores
+   * and an "n/a" grade when there is no prose
    */
   analyzeReadability(content) {
-    // Simple readability analysis
-    const sentences = content
-      .split(/[.!?]+/)
-      .filter((s) => s.trim().length > 0);
-    const words = content.split(/\s+/).filter((w) => w.length > 0);
-    const avgWordsPerSentence =
-      sentences.length > 0 ? words.length / sentences.length : 0;
-
-    // Simple complexity measure based on word length
-    const complexWords = words.filter((word) => word.length >= 7).length;
-    const complexWordsPercentage =
-      words.length > 0 ? (complexWords / words.length) * 100 : 0;
-
-    // Simple readability score
-    const readabilityScore = Math.max(
-      0,
-      100 - avgWordsPerSentence - complexWordsPercentage
-    );
+    const metrics = analyzeText(content);
+    const readabilityScore =
+      metrics.fleschReadingEase === null ? null : Math.max(0, Math.min(100, metrics.fleschReadingEase));
 
     return {
-      sentences: sentences.length,
-      avgWordsPerSentence: Math.round(avgWordsPerSentence * 10) / 10,
-      complexWordsPercentage: Math.round(complexWordsPercentage * 10) / 10,
-      readabilityScore: Math.round(readabilityScore),
-      grade: this.getReadabilityGrade(readabilityScore),
+      sentences: metrics.sentences,
+      avgWordsPerSentence: metrics.avgWordsPerSentence,
+      avgSyllablesPerWord: metrics.avgSyllablesPerWord,
+      // Words of three or more syllables
+      complexWordsPercentage:
+        metrics.words > 0
+          ? Math.round((metrics.polysyllables / metrics.words) * 1000) / 10
+          : 0,
+      readabilityScore: readabilityScore === null ? null : Math.round(readabilityScore),
+      grade: readabilityScore === null ? "n/a" : this.getReadabilityGrade(readabilityScore),
+      fleschReadingEase: metrics.fleschReadingEase,
+      fleschKincaidGrade: metrics.fleschKincaidGrade,
+      gunningFog: metrics.gunningFog,
+      smog: metrics.smog,
+      hotspots: metrics.hotspots,
     };
   }
 
@@ -196,17 +251,26 @@ class SEOOptimizer {
   }
 
   /**
-   * Analyze internal links
+   * Audit every link: internal, external, backlinks and anchor problems
    */
-  analyzeInternalLinks(content) {
-    // Simple approach - look for the website URL in content
-    const linkCount = (content.match(new RegExp(this.websiteUrl, "g")) || [])
-      .length;
+  analyzeLinks(content) {
+    return auditLinks(content, { websiteUrl: this.websiteUrl });
+  }
+
+  /**
+   * Links pointing at pages on our site (relative paths and backlinks)
+   */
+  analyzeInternalLinks(content, links = this.analyzeLinks(content)) {
+    const siteLinks = links.links.filter(
+      (link) =>
+        !link.malformed &&
+        (link.kind === "backlink" || (link.kind === "internal" && !link.inDocument))
+    );
 
     return {
-      count: linkCount,
-      optimal: linkCount >= 1 && linkCount <= 3,
-      links: linkCount > 0 ? [this.websiteUrl] : [],
+      count: siteLinks.length,
+      optimal: siteLinks.length >= 1 && siteLinks.length <= 3,
+      links: [...new Set(siteLinks.map((link) => link.href))],
     };
   }
 
@@ -214,20 +278,18 @@ class SEOOptimizer {
    * Analyze content structure (simplified)
    */
   analyzeContentStructure(content) {
-    const paragraphs = content.split("\n\n").filter((p) => p.trim().length > 0);
-    const bulletPoints = content
-      .split("\n")
-      .filter(
-        (line) => line.trim().startsWith("*") || line.trim().startsWith("-")
-      ).length;
+    const document = MarkdownDocument.from(content);
+    const paragraphs = document.paragraphs;
 
     return {
       paragraphs: paragraphs.length,
-      lists: bulletPoints,
+      lists: document.lists.reduce((sum, list) => sum + list.items, 0),
+      tables: document.tables.length,
+      codeBlocks: document.codeBlocks.length,
+      blockquotes: document.blockquotes,
       avgParagraphLength:
         paragraphs.length > 0
-          ? paragraphs.reduce((sum, p) => sum + p.split(" ").length, 0) /
-            paragraphs.length
+          ? paragraphs.reduce((sum, p) => sum + p.words, 0) / paragraphs.length
           : 0,
     };
   }
@@ -268,16 +330,7 @@ class SEOOptimizer {
    * Extract title from content (safe version)
    */
   extractTitle(content) {
-    try {
-      const lines = content.split("\n");
-      const titleLine = lines.find((line) => line.startsWith("# "));
-      if (titleLine) {
-        return titleLine.replace("# ", "").trim();
-      }
-    } catch (error) {
-      console.log(chalk.yellow("⚠️ Could not extract title"));
-    }
-    return "IT Job Market Insights";
+    return MarkdownDocument.from(content).title || "IT Job Market Insights";
   }
 
   /**
@@ -300,26 +353,13 @@ class SEOOptimizer {
    */
   generateMetaDescription(content, primaryKeyword) {
     try {
-      const paragraphs = content
-        .split("\n\n")
-        .filter(
-          (p) =>
-            p.trim() &&
-            !p.startsWith("#") &&
-            !p.startsWith("*") &&
-            !p.startsWith("-")
-        );
+      const paragraphs = MarkdownDocument.from(content).paragraphs;
 
       let description =
         "Expert insights on the IT job market with actionable career advice for tech professionals.";
 
-      if (paragraphs.length > 0 && paragraphs[0]) {
-        description = paragraphs[0]
-          .replace(/\*\*/g, "")
-          .replace(/__/g, "")
-          .replace(/##/g, "")
-          .replace(/#/g, "")
-          .trim();
+      if (paragraphs.length > 0) {
+        description = paragraphs[0].text;
       }
 
       // Include primary keyword if not present
@@ -354,108 +394,34 @@ class SEOOptimizer {
   }
 
   /**
-   * Generate optimization suggestions
+   * Generate optimization suggestions from failed SEO rules
    */
-  generateOptimizationSuggestions(analysis) {
-    const suggestions = [];
-
-    // Word count suggestions
-    if (analysis.wordCount < this.optimalWordCount.min) {
-      suggestions.push({
-        type: "content",
-        priority: "high",
-        message: `Content is too short (${analysis.wordCount} words). Aim for ${this.optimalWordCount.min}-${this.optimalWordCount.max} words.`,
-      });
-    }
-
-    // Keyword density suggestions
-    if (!analysis.keywordAnalysis.primary.optimal) {
-      const density = analysis.keywordAnalysis.primary.density;
-      if (density < this.targetKeywordDensity.min) {
-        suggestions.push({
-          type: "keywords",
-          priority: "medium",
-          message: `Primary keyword density is low (${density.toFixed(
-            1
-          )}%). Add more variations naturally.`,
-        });
-      } else {
-        suggestions.push({
-          type: "keywords",
-          priority: "high",
-          message: `Primary keyword density is too high (${density.toFixed(
-            1
-          )}%). Reduce to avoid keyword stuffing.`,
-        });
-      }
-    }
-
-    // Heading structure suggestions
-    if (!analysis.headingStructure.properStructure) {
-      suggestions.push({
-        type: "structure",
-        priority: "medium",
-        message:
-          "Improve heading structure. Use one H1 and multiple H2s for better SEO.",
-      });
-    }
-
-    // Readability suggestions
-    if (analysis.readability.readabilityScore < 60) {
-      suggestions.push({
-        type: "readability",
-        priority: "medium",
-        message:
-          "Content readability could be improved. Use shorter sentences and simpler words.",
-      });
-    }
-
-    return suggestions;
+  generateOptimizationSuggestions(analysis, seoScore = this.calculateSEOScore(analysis)) {
+    return seoScore.rules
+      .filter((result) => !result.passed && result.message)
+      .map((result) => ({
+        type: result.type,
+        rule: result.rule,
+        priority: SEVERITY_PRIORITY[result.severity] || "medium",
+        message: result.message,
+      }));
   }
 
   /**
-   * Calculate SEO score
+   * Calculate SEO score from the weighted rules of a content profile
    */
-  calculateSEOScore(analysis) {
-    let score = 0;
-    let maxScore = 100;
-
-    // Word count (25 points)
-    if (
-      analysis.wordCount >= this.optimalWordCount.min &&
-      analysis.wordCount <= this.optimalWordCount.max
-    ) {
-      score += 25;
-    } else if (analysis.wordCount >= this.optimalWordCount.min * 0.8) {
-      score += 15;
-    } else {
-      score += 5;
-    }
-
-    // Keyword optimization (25 points)
-    if (analysis.keywordAnalysis.primary.optimal) {
-      score += 25;
-    } else {
-      score += 10;
-    }
-
-    // Heading structure (25 points)
-    if (analysis.headingStructure.properStructure) {
-      score += 25;
-    } else if (analysis.headingStructure.h1 === 1) {
-      score += 15;
-    } else {
-      score += 5;
-    }
-
-    // Readability (25 points)
-    score += Math.round((analysis.readability.readabilityScore / 100) * 25);
+  calculateSEOScore(analysis, profile = "blog-post") {
+    const rules = resolveRules(this.seoConfig, profile);
+    const { score, maxScore, results } = evaluateRules(analysis, rules);
+    const percentage = maxScore > 0 ? Math.round((score / maxScore) * 100) : 0;
 
     return {
       score,
       maxScore,
-      percentage: Math.round((score / maxScore) * 100),
-      grade: this.getSEOGrade((score / maxScore) * 100),
+      percentage,
+      grade: this.getSEOGrade(percentage),
+      profile,
+      rules: results,
     };
   }
 
@@ -484,12 +450,12 @@ class SEOOptimizer {
       description: this.generateMetaDescription(content, metadata.topic || ""),
       author: {
         "@type": "Organization",
-        name: "IT Career Insights",
+        name: this.brandName,
         url: this.websiteUrl,
       },
       publisher: {
         "@type": "Organization",
-        name: "IT Career Insights",
+        name: this.brandName,
         url: this.websiteUrl,
       },
       datePublished: metadata.generatedAt || new Date().toISOString(),
@@ -531,7 +497,7 @@ class SEOOptimizer {
       "og:url": `${this.websiteUrl}/${
         metadata.slug || this.generateSlug(title)
       }`,
-      "og:site_name": "IT Career Insights",
+      "og:site_name": this.brandName,
     };
   }
 
@@ -548,7 +514,7 @@ class SEOOptimizer {
 
   // Helper methods
   getWordCount(content) {
-    return content.split(/\s+/).filter((word) => word.length > 0).length;
+    return MarkdownDocument.from(content).getWordCount();
   }
 
   generateSlug(title) {
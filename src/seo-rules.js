@@ -0,0 +1,378 @@
+// src/seo-rules.js
+
+// Suggestion priority for each rule severity
+const SEVERITY_PRIORITY = {
+  error: "high",
+  warning: "medium",
+  info: "low",
+};
+
+/**
+ * Built-in SEO checks. Each rule returns a ratio (0-1) of its weight earned,
+ * whether it passed, and a suggestion message when it did not
+ */
+const RULES = {
+  wordCount: {
+    label: "Word count",
+    type: "content",
+    weight: 20,
+    severity: "error",
+    min: 1200,
+    max: 1800,
+    evaluate(analysis, rule) {
+      const words = analysis.wordCount;
+      const range = `${rule.min}-${rule.max}`;
+
+      if (words >= rule.min && words <= rule.max) {
+        return { ratio: 1, passed: true, value: words };
+      }
+      if (words > rule.max) {
+        return {
+          ratio: 0.6,
+          passed: false,
+          value: words,
+          message: `Content is too long (${words} words). Aim for ${range} words.`,
+        };
+      }
+      return {
+        ratio: words >= rule.min * 0.8 ? 0.6 : 0.2,
+        passed: false,
+        value: words,
+        message: `Content is too short (${words} words). Aim for ${range} words.`,
+      };
+    },
+  },
+
+  keywordDensity: {
+    label: "Keyword density",
+    type: "keywords",
+    weight: 18,
+    severity: "warning",
+    min: 1,
+    max: 3,
+    evaluate(analysis, rule) {
+      const density = analysis.keywordAnalysis.primary.density;
+      const value = `${density.toFixed(1)}%`;
+
+      if (density >= rule.min && density <= rule.max) {
+        return { ratio: 1, passed: true, value };
+      }
+      if (density < rule.min) {
+        return {
+          ratio: 0.4,
+          passed: false,
+          value,
+          message: `Primary keyword density is low (${value}). Add more variations naturally.`,
+        };
+      }
+      return {
+        ratio: 0.4,
+        passed: false,
+        value,
+        message: `Primary keyword density is too high (${value}). Reduce to avoid keyword stuffing.`,
+      };
+    },
+  },
+
+  headingStructure: {
+    label: "Heading structure",
+    type: "structure",
+    weight: 18,
+    severity: "warning",
+    minH2: 2,
+    evaluate(analysis, rule) {
+      const headings = analysis.headingStructure;
+      const value = `H1(${headings.h1}) H2(${headings.h2})`;
+
+      const skips = headings.skips || [];
+
+      if (headings.h1 === 1 && headings.h2 >= rule.minH2 && skips.length === 0) {
+        return { ratio: 1, passed: true, value };
+      }
+      if (headings.h1 === 1 && headings.h2 >= rule.minH2) {
+        const skip = skips[0];
+        return {
+          ratio: 0.8,
+          passed: false,
+          value,
+          message: `Heading levels skip from H${skip.from} to H${skip.to} at "${skip.heading}". Don't skip levels.`,
+        };
+      }
+      return {
+        ratio: headings.h1 === 1 ? 0.6 : 0.2,
+        passed: false,
+        value,
+        message: `Improve heading structure. Use one H1 and at least ${rule.minH2} H2s for better SEO.`,
+      };
+    },
+  },
+
+  readability: {
+    label: "Readability",
+    type: "readability",
+    weight: 20,
+    severity: "warning",
+    minScore: 60,
+    // Flesch-Kincaid grade ceiling for the audience; null to skip
+    maxGrade: null,
+    evaluate(analysis, rule) {
+      const readability = analysis.readability;
+      const score = readability.readabilityScore;
+      const grade = readability.fleschKincaidGrade;
+      if (score === null) {
+        return { ratio: 0, passed: false, value: "n/a", message: "There is no prose to score for readability." };
+      }
+
+      const value = `${score}/100, grade ${grade}`;
+      const hotspot = (readability.hotspots || [])[0];
+      const hint = hotspot
+        ? ` Hardest passage is paragraph ${hotspot.paragraph} (grade ${hotspot.grade}).`
+        : "";
+
+      if (rule.maxGrade !== null && rule.maxGrade !== undefined && grade > rule.maxGrade) {
+        return {
+          ratio: Math.max(0, Math.min(1, score / 100)),
+          passed: false,
+          value,
+          message: `Reading grade ${grade} is above the target of ${rule.maxGrade}. Use shorter sentences and simpler words.${hint}`,
+        };
+      }
+
+      return {
+        ratio: Math.max(0, Math.min(1, score / 100)),
+        passed: score >= rule.minScore,
+        value,
+        message:
+          score >= rule.minScore
+            ? null
+            : `Content readability could be improved. Use shorter sentences and simpler words.${hint}`,
+      };
+    },
+  },
+
+  internalLinks: {
+    label: "Internal links",
+    type: "links",
+    weight: 8,
+    severity: "warning",
+    min: 1,
+    max: 3,
+    evaluate(analysis, rule) {
+      const count = analysis.internalLinks.count;
+
+      if (count >= rule.min && count <= rule.max) {
+        return { ratio: 1, passed: true, value: count };
+      }
+      return {
+        ratio: count > rule.max ? 0.5 : 0,
+        passed: false,
+        value: count,
+        message:
+          count > rule.max
+            ? `Too many links to your site (${count}). Keep it to ${rule.max} or fewer.`
+            : `Add ${rule.min}-${rule.max} links to your site (found ${count}).`,
+      };
+    },
+  },
+
+  linkQuality: {
+    label: "Link quality",
+    type: "links",
+    weight: 4,
+    severity: "warning",
+    evaluate(analysis) {
+      const { total, issues } = analysis.links;
+
+      if (issues.length === 0) {
+        return { ratio: 1, passed: true, value: `${total} links` };
+      }
+
+      const counts = {};
+      issues.forEach((issue) => {
+        counts[issue.type] = (counts[issue.type] || 0) + 1;
+      });
+      const summary = Object.entries(counts)
+        .map(([type, count]) => `${count} ${type.replace(/-/g, " ")}`)
+        .join(", ");
+
+      return {
+        ratio: Math.max(0, 1 - issues.length / Math.max(1, total)),
+        passed: false,
+        value: `${issues.length} issues`,
+        message: `Fix link problems: ${summary}.`,
+      };
+    },
+  },
+
+  titleLength: {
+    label: "Title length",
+    type: "meta",
+    weight: 4,
+    severity: "info",
+    min: 50,
+    max: 60,
+    evaluate(analysis, rule) {
+      const length = analysis.meta.titleLength;
+
+      if (length >= rule.min && length <= rule.max) {
+        return { ratio: 1, passed: true, value: length };
+      }
+      return {
+        ratio: length > 0 ? 0.5 : 0,
+        passed: false,
+        value: length,
+        message: `Title is ${length} characters. Aim for ${rule.min}-${rule.max}.`,
+      };
+    },
+  },
+
+  metaLength: {
+    label: "Meta description length",
+    type: "meta",
+    weight: 4,
+    severity: "info",
+    min: 140,
+    max: 160,
+    evaluate(analysis, rule) {
+      const length = analysis.meta.descriptionLength;
+
+      if (length >= rule.min && length <= rule.max) {
+        return { ratio: 1, passed: true, value: length };
+      }
+      return {
+        ratio: 0.5,
+        passed: false,
+        value: length,
+        message: `Meta description is ${length} characters. Make the opening paragraph ${rule.min}-${rule.max} characters.`,
+      };
+    },
+  },
+
+  imageAltText: {
+    label: "Image alt text",
+    type: "images",
+    weight: 4,
+    severity: "info",
+    evaluate(analysis) {
+      const { count, missingAlt } = analysis.images;
+
+      // Posts without images are not penalized
+      if (count === 0 || missingAlt === 0) {
+        return { ratio: 1, passed: true, value: `${count - missingAlt}/${count}` };
+      }
+      return {
+        ratio: (count - missingAlt) / count,
+        passed: false,
+        value: `${count - missingAlt}/${count}`,
+        message: `${missingAlt} of ${count} images are missing alt text.`,
+      };
+    },
+  },
+};
+
+/**
+ * Threshold overrides per content type (matches workflow contentType)
+ */
+const PROFILES = {
+  "blog-post": {},
+  guide: {
+    wordCount: { min: 1500, max: 3000 },
+    headingStructure: { minH2: 4 },
+  },
+  tutorial: {
+    wordCount: { min: 1200, max: 3000 },
+    headingStructure: { minH2: 3 },
+  },
+  listicle: {
+    wordCount: { min: 800, max: 2000 },
+    headingStructure: { minH2: 5 },
+  },
+  "news-article": {
+    wordCount: { min: 400, max: 900 },
+    headingStructure: { minH2: 1 },
+    readability: { minScore: 65 },
+    internalLinks: { min: 1, max: 2 },
+  },
+  summary: {
+    wordCount: { min: 300, max: 700 },
+    headingStructure: { minH2: 1 },
+  },
+};
+
+const PROFILE_ALIASES = {
+  news: "news-article",
+  post: "blog-post",
+  blog: "blog-post",
+};
+
+/**
+ * Resolve a content type to a profile name
+ */
+function getProfileName(contentType, seoConfig = {}) {
+  const name = String(contentType || "blog-post").toLowerCase();
+  const resolved = PROFILE_ALIASES[name] || name;
+  const known = { ...PROFILES, ...(seoConfig.profiles || {}) };
+
+  return known[resolved] ? resolved : "blog-post";
+}
+
+/**
+ * Build the rule set for a profile: built-in defaults → seo ranges →
+ * seo.rules → built-in profile → seo.profiles from the config
+ */
+function resolveRules(seoConfig = {}, profileName = "blog-post") {
+  const ranges = {
+    wordCount: seoConfig.wordCount,
+    keywordDensity: seoConfig.keywordDensity,
+    titleLength: seoConfig.titleLength,
+    metaLength: seoConfig.metaLength,
+  };
+  const layers = [
+    ranges,
+    seoConfig.rules || {},
+    PROFILES[profileName] || {},
+    (seoConfig.profiles || {})[profileName] || {},
+  ];
+
+  return Object.entries(RULES).map(([name, definition]) => {
+    const rule = { name, enabled: true, ...definition };
+    layers.forEach((layer) => Object.assign(rule, layer[name] || {}));
+    return rule;
+  });
+}
+
+/**
+ * Score an analysis against a rule set
+ */
+function evaluateRules(analysis, rules) {
+  const results = rules
+    .filter((rule) => rule.enabled !== false && rule.weight > 0)
+    .map((rule) => {
+      const outcome = rule.evaluate(analysis, rule);
+      return {
+        rule: rule.name,
+        label: rule.label,
+        type: rule.type,
+        severity: rule.severity,
+        points: Math.round(rule.weight * outcome.ratio),
+        maxPoints: rule.weight,
+        passed: outcome.passed,
+        value: outcome.value,
+        message: outcome.passed ? null : outcome.message,
+      };
+    });
+
+  const score = results.reduce((sum, result) => sum + result.points, 0);
+  const maxScore = results.reduce((sum, result) => sum + result.maxPoints, 0);
+
+  return { score, maxScore, results };
+}
+
+module.exports = {
+  RULES,
+  PROFILES,
+  SEVERITY_PRIORITY,
+  getProfileName,
+  resolveRules,
+  evaluateRules,
+};
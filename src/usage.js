@@ -0,0 +1,191 @@
+// src/usage.js
+const ModelRegistry = require("./model-registry");
+
+// USD per million tokens from the model registry; override or extend with
+// `pricing` (or `models.catalog`) in the config
+const DEFAULT_PRICES = new ModelRegistry().getPrices();
+
+// Providers that run locally or offline and never bill
+const FREE_PROVIDERS = ["ollama", "mock"];
+
+const REPORT_GROUPS = ["day", "month", "model", "category", "post"];
+
+/**
+ * Rough token count for providers that report none (about 4 characters
+ * per token for English text)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+/**
+ * One model call as stored in a post's metadata. Failed calls are kept so
+ * fallbacks show up, but count no tokens; cache hits count none either
+ */
+function createAttempt({ stage, provider, model, prompt, response, error, status }) {
+  const attempt = {
+    stage,
+    provider,
+    model,
+    status: status || (error ? "failed" : "success"),
+    promptTokens: 0,
+    completionTokens: 0,
+    estimated: false,
+    cached: Boolean(response && response.cached),
+    at: new Date().toISOString(),
+  };
+
+  if (error) {
+    attempt.error = error.message;
+  }
+
+  if (response && !attempt.cached) {
+    if (response.usage) {
+      attempt.promptTokens = response.usage.promptTokens || 0;
+      attempt.completionTokens = response.usage.completionTokens || 0;
+    } else {
+      attempt.promptTokens = estimateTokens(prompt);
+      attempt.completionTokens = estimateTokens(response.text);
+      attempt.estimated = true;
+    }
+  }
+
+  return attempt;
+}
+
+/**
+ * Registry prices with the config's catalog and `pricing` table on top
+ */
+function getPrices(config = {}) {
+  return new ModelRegistry(config).getPrices();
+}
+
+/**
+ * Cost of one attempt in USD, or null when the model has no price
+ */
+function priceAttempt(attempt, prices = DEFAULT_PRICES) {
+  if (attempt.cached || FREE_PROVIDERS.includes(attempt.provider)) return 0;
+  if (!attempt.promptTokens && !attempt.completionTokens) return 0;
+
+  const price = prices[attempt.model];
+  if (!price) return null;
+  return (attempt.promptTokens * price.input + attempt.completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Token totals for a list of attempts, kept with the attempts themselves
+ * as `metadata.usage` on saved posts
+ */
+function summarizeUsage(attempts = []) {
+  const promptTokens = attempts.reduce((total, attempt) => total + attempt.promptTokens, 0);
+  const completionTokens = attempts.reduce((total, attempt) => total + attempt.completionTokens, 0);
+
+  return {
+    calls: attempts.filter((attempt) => attempt.status !== "failed" && !attempt.cached).length,
+    failedCalls: attempts.filter((attempt) => attempt.status === "failed").length,
+    cachedCalls: attempts.filter((attempt) => attempt.cached).length,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: attempts.some((attempt) => attempt.estimated),
+    attempts,
+  };
+}
+
+/**
+ * Group the attempts of indexed posts by day, month, model, category or
+ * post, pricing each with the given table. `since`/`until` (YYYY-MM-DD)
+ * and `month` (YYYY-MM) filter by the day of the call
+ */
+function buildUsageReport(entries, options = {}) {
+  const by = options.by || "day";
+  const prices = options.prices || DEFAULT_PRICES;
+
+  if (!REPORT_GROUPS.includes(by)) {
+    throw new Error(`Unknown --by value "${by}". Use: ${REPORT_GROUPS.join(", ")}`);
+  }
+  if (options.month && !/^\d{4}-\d{2}$/.test(options.month)) {
+    throw new Error(`Invalid month "${options.month}". Use YYYY-MM`);
+  }
+  [options.since, options.until].forEach((date) => {
+    if (date && Number.isNaN(Date.parse(date))) {
+      throw new Error(`Invalid date "${date}". Use YYYY-MM-DD`);
+    }
+  });
+
+  const groupKey = (entry, attempt, day) => {
+    if (by === "day") return day;
+    if (by === "month") return day.substring(0, 7);
+    if (by === "model") return `${attempt.provider}/${attempt.model}`;
+    if (by === "category") return entry.category || "(none)";
+    return entry.filename;
+  };
+
+  const groups = new Map();
+  const unpriced = new Set();
+  const totals = { posts: 0, calls: 0, failedCalls: 0, cachedCalls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+  const counted = new Set();
+
+  entries.forEach((entry) => {
+    (entry.usage || []).forEach((attempt) => {
+      const day = (attempt.at || entry.datetime || "").split("T")[0] || "unknown";
+      if (options.month && !day.startsWith(options.month)) return;
+      if (options.since && day < options.since) return;
+      if (options.until && day > options.until) return;
+
+      const key = groupKey(entry, attempt, day);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          posts: new Set(),
+          calls: 0,
+          failedCalls: 0,
+          cachedCalls: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          cost: 0,
+          estimated: false,
+        });
+      }
+
+      const group = groups.get(key);
+      const cost = priceAttempt(attempt, prices);
+      if (cost === null) unpriced.add(attempt.model);
+
+      group.posts.add(entry.filename);
+      if (attempt.status === "failed") group.failedCalls++;
+      else if (attempt.cached) group.cachedCalls++;
+      else group.calls++;
+      group.promptTokens += attempt.promptTokens;
+      group.completionTokens += attempt.completionTokens;
+      group.cost += cost || 0;
+      group.estimated = group.estimated || attempt.estimated;
+      counted.add(entry.filename);
+    });
+  });
+
+  const rows = Array.from(groups.values())
+    .map((group) => ({ ...group, posts: group.posts.size, totalTokens: group.promptTokens + group.completionTokens }))
+    .sort((a, b) => (by === "day" || by === "month" ? a.key.localeCompare(b.key) : b.cost - a.cost || b.totalTokens - a.totalTokens));
+
+  rows.forEach((row) => {
+    ["calls", "failedCalls", "cachedCalls", "promptTokens", "completionTokens", "cost"].forEach((field) => {
+      totals[field] += row[field];
+    });
+  });
+  totals.posts = counted.size;
+  totals.totalTokens = totals.promptTokens + totals.completionTokens;
+
+  return { by, rows, totals, unpriced: Array.from(unpriced) };
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  REPORT_GROUPS,
+  estimateTokens,
+  createAttempt,
+  getPrices,
+  priceAttempt,
+  summarizeUsage,
+  buildUsageReport,
+};
@@ -0,0 +1,182 @@
+// test/batch-runner.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const BatchRunner = require("../src/batch-runner");
+const MockProvider = require("../src/providers/mock-provider");
+
+describe("BatchRunner", () => {
+  let dir;
+  let runner;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-batch-"));
+    runner = new BatchRunner({ provider: new MockProvider(), outputDir: dir, formats: ["json"] });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  describe("parseCSV", () => {
+    it("maps rows onto the header and trims values", () => {
+      const rows = runner.parseCSV("instruction, keyword\nWrite about Rust , rust jobs\n");
+
+      assert.deepStrictEqual(rows, [{ instruction: "Write about Rust", keyword: "rust jobs" }]);
+    });
+
+    it("handles quoted commas, escaped quotes and newlines inside quotes", () => {
+      const rows = runner.parseCSV(
+        'instruction,audience\n"Write about Rust, Go and Zig","teams that say ""ship it"""\n"A two\nline topic",\n'
+      );
+
+      assert.deepStrictEqual(rows, [
+        { instruction: "Write about Rust, Go and Zig", audience: 'teams that say "ship it"' },
+        { instruction: "A two\nline topic", audience: "" },
+      ]);
+    });
+
+    it("accepts CRLF line endings, skips blank rows and fills short rows", () => {
+      const rows = runner.parseCSV("instruction,keyword,words\r\n\r\nWrite about Go\r\n , , \r\nWrite about Zig,zig,800");
+
+      assert.deepStrictEqual(rows, [
+        { instruction: "Write about Go", keyword: "", words: "" },
+        { instruction: "Write about Zig", keyword: "zig", words: "800" },
+      ]);
+    });
+
+    it("returns nothing for an empty file", () => {
+      assert.deepStrictEqual(runner.parseCSV("\n\n"), []);
+    });
+  });
+
+  describe("loadTopics", () => {
+    async function load(name, content) {
+      const filepath = path.join(dir, name);
+      await fs.writeFile(filepath, content);
+      return runner.loadTopics(filepath);
+    }
+
+    it("reads every supported format into normalized rows", async () => {
+      const expected = [
+        { index: 0, instruction: "Write about Rust", keyword: "rust", audience: null, wordLimit: 600, output: null },
+      ];
+
+      assert.deepStrictEqual(await load("topics.csv", "topic,keyword,word_limit\nWrite about Rust,rust,600\n"), expected);
+      assert.deepStrictEqual(
+        await load("topics.jsonl", '// comment\n{"instruction":"Write about Rust","keyword":"rust","words":"600"}\n\n'),
+        expected
+      );
+      assert.deepStrictEqual(
+        await load("topics.yaml", "topics:\n  - instruction: Write about Rust\n    keyword: rust\n    wordLimit: 600\n"),
+        expected
+      );
+    });
+
+    it("accepts plain strings and drops rows without an instruction", async () => {
+      const rows = await load("topics.json", JSON.stringify(["Write about Go", { keyword: "orphan" }, { filename: "zig.json", topic: "Zig" }]));
+
+      assert.deepStrictEqual(
+        rows.map((row) => [row.index, row.instruction, row.output]),
+        [[0, "Write about Go", null], [2, "Zig", "zig.json"]]
+      );
+    });
+
+    it("rejects unsupported files, bad JSONL lines and non-list files", async () => {
+      await assert.rejects(load("topics.txt", "Write about Rust"), /Unsupported topics file "\.txt"/);
+      await assert.rejects(load("topics.jsonl", '{"instruction":"ok"}\n{broken\n'), /Invalid JSON on line 2/);
+      await assert.rejects(load("topics.json", '{"instruction":"Write about Rust"}'), /must contain a list of topics/);
+    });
+  });
+
+  describe("applyOverrides", () => {
+    it("puts the row keyword first and applies audience and word limit", () => {
+      const workflow = runner.applyOverrides(
+        {
+          topic: "Rust jobs",
+          audience: { level: "beginners", industry: "tech" },
+          seoConstraints: { primaryKeywords: ["rust careers", "rust jobs"] },
+        },
+        { keyword: "rust jobs", audience: "hiring managers", wordLimit: 400 }
+      );
+
+      assert.deepStrictEqual(workflow.seoKeywords, ["rust jobs", "rust careers"]);
+      assert.deepStrictEqual(workflow.audience, { level: "hiring managers", industry: "tech" });
+      assert.strictEqual(workflow.lengthConstraints.wordLimit, 400);
+      assert.strictEqual(workflow.lengthConstraints.hasCriticalLimit, true);
+    });
+
+    it("leaves the workflow alone without overrides", () => {
+      const workflow = { topic: "Rust jobs", audience: { level: "beginners" } };
+
+      assert.deepStrictEqual(runner.applyOverrides({ ...workflow }, { keyword: null, audience: null, wordLimit: null }), workflow);
+    });
+  });
+
+  describe("budget", () => {
+    const rows = [
+      { index: 0, instruction: "Write about Rust", wordLimit: 500 },
+      { index: 1, instruction: "Write about Go", wordLimit: null },
+    ];
+
+    it("estimates a parse and a generation call per row", () => {
+      const estimate = runner.estimateRun(rows);
+
+      assert.strictEqual(estimate.rows, 2);
+      assert.ok(estimate.completionTokens > 2 * Math.ceil(500 * 1.4));
+      assert.strictEqual(estimate.tokens, estimate.promptTokens + estimate.completionTokens);
+    });
+
+    it("refuses runs over the budget or today's token limit", () => {
+      assert.throws(
+        () => runner.checkBudget({ cost: 2.5, tokens: 100 }, 1),
+        /estimated cost \$2\.50 exceeds the \$1 budget/
+      );
+
+      runner.provider.governor = { tokensPerDay: 1000, getTokensToday: () => 950 };
+      assert.throws(() => runner.checkBudget({ cost: 0, tokens: 100 }), (error) => {
+        assert.match(error.message, /exceed the 50 left of today's 1,000-token limit/);
+        assert.deepStrictEqual(error.estimate, { cost: 0, tokens: 100 });
+        return true;
+      });
+
+      runner.checkBudget({ cost: 0, tokens: 50 }, 1);
+    });
+  });
+
+  describe("run", () => {
+    let logSpy;
+
+    beforeEach(() => {
+      logSpy = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(() => {
+      console.log = logSpy;
+    });
+
+    it("stops after a quota error and reports unstarted rows as pending", async () => {
+      const rows = [
+        runner.normalizeRow("Write about Rust", 0),
+        runner.normalizeRow("Write about Go", 1),
+        runner.normalizeRow("Write about Zig", 2),
+      ];
+      runner.concurrency = 1;
+      runner.parser.parseInstruction = async () => {
+        throw new Error("You exceeded your current quota");
+      };
+
+      const report = await runner.run(rows);
+
+      assert.deepStrictEqual([report.total, report.failed, report.pending], [3, 1, 2]);
+      assert.strictEqual(report.halted.errorType, "quota");
+      assert.deepStrictEqual(report.items.map((item) => item.status), ["failed", "pending", "pending"]);
+
+      const filepath = await runner.writeReport(report);
+      assert.strictEqual(path.dirname(filepath), path.join(dir, "reports"));
+      assert.strictEqual((await fs.readJson(filepath)).pending, 2);
+    });
+  });
+});
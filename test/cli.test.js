@@ -0,0 +1,155 @@
+// test/cli.test.js
+const assert = require("assert");
+const { execFile } = require("child_process");
+const fs = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { ENV_MAPPING } = require("../src/config");
+const MarkdownDocument = require("../src/markdown-document");
+
+const BIN = path.join(__dirname, "..", "bin", "bloggen.js");
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "llm");
+const INSTRUCTION = "Write a blog post about rust developer jobs in under 500 words";
+
+// Only the recorded responses in test/fixtures/llm answer; a prompt
+// without one fails instead of falling back to canned text
+function getEnv() {
+  const env = { ...process.env };
+  ENV_MAPPING.forEach((mapping) => delete env[mapping.env]);
+  delete env.BLOGGEN_CONFIG;
+
+  return {
+    ...env,
+    LLM_PROVIDER: "mock",
+    LLM_FIXTURES_DIR: FIXTURES_DIR,
+    LLM_MOCK_STRICT: "true",
+    WEBSITE_URL: "https://example.dev",
+    FORCE_COLOR: "0",
+  };
+}
+
+function run(args, cwd, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [BIN, ...args], { cwd, env: { ...getEnv(), ...env }, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, output: `${stdout}${stderr}` });
+    });
+  });
+}
+
+function listPosts(cwd) {
+  const dir = path.join(cwd, "blog-posts");
+  return fs.pathExistsSync(dir) ? fs.readdirSync(dir).filter((file) => file.endsWith(".json")).sort() : [];
+}
+
+describe("bloggen with recorded fixtures", function () {
+  this.timeout(60000);
+  let cwd;
+
+  before(async () => {
+    cwd = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-test-"));
+  });
+
+  after(async () => {
+    await fs.remove(cwd);
+  });
+
+  it("parses the instruction into a workflow without saving anything", async () => {
+    const { code, output } = await run([INSTRUCTION, "--preview"], cwd);
+
+    assert.strictEqual(code, 0, output);
+    assert.match(output, /Topic: rust developer jobs/);
+    assert.match(output, /Length: maximum 500 words \(critical\)/);
+    assert.deepStrictEqual(listPosts(cwd), []);
+  });
+
+  it("generates and saves a post", async () => {
+    const { code, output } = await run([INSTRUCTION], cwd);
+
+    assert.strictEqual(code, 0, output);
+    const files = listPosts(cwd);
+    assert.strictEqual(files.length, 1);
+
+    const post = await fs.readJson(path.join(cwd, "blog-posts", files[0]));
+    assert.strictEqual(post.title, "Rust Developer Jobs: Demand, Skills and Salaries");
+    assert.strictEqual(post.metadata.slug, "rust-developer-jobs");
+    assert.ok(post.metadata.wordCount <= 500);
+    assert.strictEqual(post.metadata.wordCount, MarkdownDocument.from(post.content).getWordCount());
+    assert.deepStrictEqual(
+      post.metadata.usage.attempts.map((attempt) => `${attempt.stage}:${attempt.status}`),
+      ["parsing:success", "generation:success"]
+    );
+  });
+
+  it("keeps a rewrite pass that raises the score and stops at one that does not", async () => {
+    const [original] = listPosts(cwd);
+    const { code, output } = await run(["rewrite", path.join("blog-posts", original), "-i", "2"], cwd);
+
+    assert.strictEqual(code, 0, output);
+    assert.match(output, /stopped because pass 2 did not raise the score/);
+
+    const improvedFile = original.replace(/\.json$/, "-improved.json");
+    assert.deepStrictEqual(listPosts(cwd), [improvedFile, original].sort());
+
+    const improved = await fs.readJson(path.join(cwd, "blog-posts", improvedFile));
+    assert.deepStrictEqual(
+      improved.metadata.revisions.map((revision) => revision.source),
+      ["generate", "rewrite"]
+    );
+    assert.ok(improved.metadata.seoScore > improved.metadata.revisions[0].seoScore);
+  });
+
+  it("keeps a live post live when it is published again without --status", async () => {
+    const [, original] = listPosts(cwd);
+    const file = path.join(cwd, "blog-posts", original);
+    const post = await fs.readJson(file);
+    post.metadata.published = { devto: { id: 9, status: "published" } };
+    await fs.writeJson(file, post);
+
+    const articles = [];
+    const server = http.createServer((req, res) => {
+      let raw = "";
+      req.on("data", (chunk) => (raw += chunk));
+      req.on("end", () => {
+        const { article } = JSON.parse(raw);
+        articles.push({ method: req.method, url: req.url, published: article.published });
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ id: 9, url: "https://dev.to/me/rust", published: article.published }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const { code, output } = await run(["publish", file, "--target", "devto"], cwd, {
+        DEVTO_API_URL: `http://127.0.0.1:${server.address().port}`,
+        DEVTO_API_KEY: "secret",
+      });
+
+      assert.strictEqual(code, 0, output);
+      assert.deepStrictEqual(articles, [{ method: "PUT", url: "/articles/9", published: true }]);
+      assert.strictEqual((await fs.readJson(file)).metadata.published.devto.status, "published");
+    } finally {
+      server.close();
+    }
+  });
+
+  it("reads markdown posts in publish and links suggest", async () => {
+    const file = path.join(cwd, "rust.md");
+    await fs.writeFile(file, '---\ntitle: "Rust Jobs"\nslug: rust-jobs\n---\n\nRust keeps growing.\n');
+
+    const publish = await run(["publish", file, "--target", "devto", "--dry-run"], cwd);
+    assert.strictEqual(publish.code, 0, publish.output);
+    assert.match(publish.output, /"body_markdown": "Rust keeps growing\."/);
+
+    const suggest = await run(["links", "suggest", file], cwd);
+    assert.strictEqual(suggest.code, 0, suggest.output);
+    assert.match(suggest.output, /Internal Links for: Rust Jobs/);
+  });
+
+  it("fails when a prompt has no recorded response", async () => {
+    const { code, output } = await run(["Write a blog post about cobol jobs"], cwd);
+
+    assert.notStrictEqual(code, 0);
+    assert.match(output, /No recorded fixture for prompt/);
+  });
+});
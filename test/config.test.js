@@ -0,0 +1,116 @@
+// test/config.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { DEFAULTS, loadConfig, parseOverrides, describeConfig } = require("../src/config");
+
+describe("config", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-config-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("uses the defaults without a config file or environment", () => {
+    const config = loadConfig({ cwd: dir, env: {} });
+
+    assert.strictEqual(config.file, null);
+    assert.strictEqual(config.values.websiteUrl, DEFAULTS.websiteUrl);
+    assert.strictEqual(config.sources.websiteUrl, "default");
+    assert.strictEqual(config.values.limits.stateFile, path.join("./blog-posts", "reports", "governor.json"));
+  });
+
+  it("layers the file, then the environment, then CLI overrides", async () => {
+    await fs.writeJson(path.join(dir, ".bloggenrc.json"), {
+      websiteUrl: "https://file.example",
+      author: "File Author",
+      brandName: "File Brand",
+      seo: { wordCount: { min: 900 } },
+    });
+
+    const { values, sources, file } = loadConfig({
+      cwd: dir,
+      env: { WEBSITE_URL: "https://env.example", AUTHOR_NAME: "Env Author", LLM_CACHE: "no", LLM_MODELS: "a, b," },
+      overrides: parseOverrides(["websiteUrl=https://cli.example", "seo.wordCount.max=1800"]),
+    });
+
+    assert.strictEqual(file, path.join(dir, ".bloggenrc.json"));
+    assert.deepStrictEqual(
+      [values.websiteUrl, values.author, values.brandName],
+      ["https://cli.example", "Env Author", "File Brand"]
+    );
+    assert.deepStrictEqual(
+      [sources.websiteUrl, sources.author, sources.brandName],
+      ["cli", "env:AUTHOR_NAME", "file:.bloggenrc.json"]
+    );
+
+    // Nested values merge leaf by leaf
+    assert.deepStrictEqual(values.seo.wordCount, { min: 900, max: 1800 });
+    assert.deepStrictEqual([sources["seo.wordCount.min"], sources["seo.wordCount.max"]], ["file:.bloggenrc.json", "cli"]);
+
+    // Environment strings are coerced to the expected type
+    assert.strictEqual(values.cache.enabled, false);
+    assert.deepStrictEqual(values.models.generation, ["a", "b"]);
+  });
+
+  it("prefers earlier config file names and honours an explicit path", async () => {
+    await fs.writeFile(path.join(dir, ".bloggenrc.yaml"), "author: Yaml Author\n");
+    await fs.writeFile(path.join(dir, "bloggen.config.js"), 'module.exports = { author: "Script Author" };\n');
+    await fs.writeJson(path.join(dir, "other.json"), { author: "Other Author" });
+
+    assert.strictEqual(loadConfig({ cwd: dir, env: {} }).values.author, "Script Author");
+    assert.strictEqual(loadConfig({ cwd: dir, env: { BLOGGEN_CONFIG: "other.json" } }).values.author, "Other Author");
+    assert.throws(() => loadConfig({ cwd: dir, env: {}, configPath: "missing.json" }), /Config file not found: missing\.json/);
+  });
+
+  it("keeps an explicit governor state file", () => {
+    const { values } = loadConfig({ cwd: dir, env: {}, overrides: { outputDir: "./out", limits: { stateFile: "./state.json" } } });
+
+    assert.strictEqual(values.limits.stateFile, "./state.json");
+  });
+
+  it("names the source of every invalid value", async () => {
+    await fs.writeJson(path.join(dir, ".bloggenrc.json"), { seo: { wordCount: { min: 900, max: 100 } } });
+
+    assert.throws(
+      () =>
+        loadConfig({
+          cwd: dir,
+          env: { WEBSITE_URL: "yoursite", LLM_TOKENS_PER_DAY: "lots" },
+          overrides: { provider: { name: "claude" } },
+        }),
+      (error) => {
+        assert.match(error.message, /^Invalid configuration:/);
+        assert.match(error.message, /websiteUrl: must be an http\(s\) URL, got "yoursite" \(from env:WEBSITE_URL\)/);
+        assert.match(error.message, /provider\.name: must be one of gemini, openai, ollama, mock \(from cli\)/);
+        assert.match(error.message, /limits\.tokensPerDay: .* \(from env:LLM_TOKENS_PER_DAY\)/);
+        assert.match(error.message, /seo\.wordCount: .* \(from file:\.bloggenrc\.json\)/);
+        return true;
+      }
+    );
+  });
+
+  it("rejects malformed --set pairs and parses JSON values", () => {
+    assert.throws(() => parseOverrides(["seo.wordCount.min"]), /Invalid --set "seo\.wordCount\.min"/);
+    assert.deepStrictEqual(parseOverrides(["cache.enabled=false", "author=Jane Doe", "models.generation=[\"a\"]"]), {
+      cache: { enabled: false },
+      author: "Jane Doe",
+      models: { generation: ["a"] },
+    });
+  });
+
+  it("masks secrets when described", () => {
+    const config = loadConfig({ cwd: dir, env: { OPENAI_API_KEY: "sk-abcdef123456" } });
+    const rows = describeConfig(config);
+    const secret = rows.find((row) => row.path === "apiKeys.openai");
+
+    assert.deepStrictEqual(secret, { path: "apiKeys.openai", value: "sk-a…(set)", source: "env:OPENAI_API_KEY" });
+    assert.ok(!JSON.stringify(rows).includes("abcdef123456"));
+    assert.strictEqual(rows.find((row) => row.path === "apiKeys.gemini").value, null);
+  });
+});
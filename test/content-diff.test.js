@@ -0,0 +1,57 @@
+// test/content-diff.test.js
+const assert = require("assert");
+const { tokenize, diffWords, summarizeDiff, getHunks } = require("../src/content-diff");
+
+describe("content-diff", () => {
+  it("tokenizes words with their trailing whitespace", () => {
+    assert.deepStrictEqual(tokenize("Rust jobs\n\nare  growing"), ["Rust ", "jobs\n\n", "are  ", "growing"]);
+    assert.deepStrictEqual(tokenize(""), []);
+  });
+
+  it("diffs word by word and rebuilds the newer text from the unchanged and added parts", () => {
+    const before = "Rust jobs are growing fast in cloud teams.";
+    const after = "Rust jobs are growing steadily in cloud and embedded teams.";
+    const changes = diffWords(before, after);
+
+    assert.deepStrictEqual(changes, [
+      { type: "equal", text: "Rust jobs are growing " },
+      { type: "removed", text: "fast " },
+      { type: "added", text: "steadily " },
+      { type: "equal", text: "in cloud " },
+      { type: "added", text: "and embedded " },
+      { type: "equal", text: "teams." },
+    ]);
+    assert.strictEqual(
+      changes
+        .filter((change) => change.type !== "removed")
+        .map((change) => change.text)
+        .join(""),
+      after
+    );
+  });
+
+  it("ignores whitespace-only changes", () => {
+    const changes = diffWords("Rust jobs are growing", "Rust  jobs\nare growing");
+
+    assert.ok(changes.every((change) => change.type === "equal"));
+  });
+
+  it("counts added, removed and unchanged words", () => {
+    const summary = summarizeDiff(diffWords("one two three four", "one two five four six"));
+
+    assert.deepStrictEqual(summary, { added: 2, removed: 1, unchanged: 3, changedPercentage: 40 });
+  });
+
+  it("collapses long unchanged stretches into separate hunks", () => {
+    const words = Array.from({ length: 40 }, (value, index) => `w${index}`);
+    const after = [...words];
+    after[2] = "changed";
+    after[35] = "edited";
+    const hunks = getHunks(diffWords(words.join(" "), after.join(" ")), 3);
+
+    assert.strictEqual(hunks.length, 2);
+    assert.ok(hunks[0].parts.some((part) => part.type === "added" && part.text.trim() === "changed"));
+    assert.ok(hunks[1].parts.some((part) => part.type === "added" && part.text.trim() === "edited"));
+    assert.strictEqual(hunks[1].parts[0].trimmedBefore, true);
+  });
+});
@@ -0,0 +1,113 @@
+// test/gemini-workflow-parser.test.js
+const assert = require("assert");
+const GeminiWorkflowParser = require("../src/gemini-workflow-parser");
+const GeminiProvider = require("../src/providers/gemini-provider");
+const MockProvider = require("../src/providers/mock-provider");
+
+const INSTRUCTION = "Write a blog post about rust developer jobs";
+
+/**
+ * Provider that answers with the mock's canned workflow and remembers
+ * whether each call carried a schema
+ */
+function createFakeProvider(fields = {}) {
+  const mock = new MockProvider();
+  return {
+    name: "openai",
+    displayName: "Fake",
+    parsingModels: [{ name: "fake-model", description: "Primary" }],
+    supportsSchema: true,
+    calls: [],
+    async generate(modelName, prompt, options = {}) {
+      this.calls.push(options.schema ? "schema" : "plain");
+      return { text: mock.buildCannedWorkflow(prompt) };
+    },
+    ...fields,
+  };
+}
+
+describe("GeminiWorkflowParser", () => {
+  let log;
+
+  beforeEach(() => {
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(() => {
+    console.log = log;
+  });
+
+  it("sends the workflow schema to providers that support it", async () => {
+    const provider = createFakeProvider();
+    const workflow = await new GeminiWorkflowParser(null, { provider }).parseInstruction(INSTRUCTION);
+
+    assert.strictEqual(workflow.topic, "rust developer jobs");
+    assert.deepStrictEqual(provider.calls, ["schema"]);
+  });
+
+  it("never sends a schema to a provider without support", async () => {
+    const provider = createFakeProvider({ supportsSchema: false });
+    const workflow = await new GeminiWorkflowParser(null, { provider }).parseInstruction(INSTRUCTION);
+
+    assert.strictEqual(workflow.topic, "rust developer jobs");
+    assert.deepStrictEqual(provider.calls, ["plain"]);
+    assert.deepStrictEqual(workflow.usage.map((attempt) => attempt.status), ["success"]);
+  });
+
+  it("falls back to plain JSON once a model rejects the schema, for the rest of the run", async () => {
+    const provider = createFakeProvider();
+    const generate = provider.generate;
+    provider.generate = async function (modelName, prompt, options = {}) {
+      if (options.schema) {
+        this.calls.push("schema");
+        throw Object.assign(new Error("[400 Bad Request] Unknown name \"responseSchema\""), { status: 400 });
+      }
+      return generate.call(this, modelName, prompt, options);
+    };
+    const parser = new GeminiWorkflowParser(null, { provider });
+
+    const first = await parser.parseInstruction(INSTRUCTION);
+    assert.strictEqual(first.topic, "rust developer jobs");
+    assert.deepStrictEqual(first.usage.map((attempt) => attempt.status), ["failed", "success"]);
+
+    const second = await parser.parseInstruction(INSTRUCTION);
+    assert.deepStrictEqual(second.usage.map((attempt) => attempt.status), ["success"]);
+    assert.deepStrictEqual(provider.calls, ["schema", "plain", "plain"]);
+  });
+
+  it("does not treat an invalid API key as a rejected schema", async () => {
+    const provider = createFakeProvider({
+      async generate() {
+        throw Object.assign(new Error("[400 Bad Request] API key not valid"), { status: 400 });
+      },
+    });
+    const workflow = await new GeminiWorkflowParser(null, { provider }).parseInstruction(INSTRUCTION);
+
+    assert.deepStrictEqual(workflow.usage.map((attempt) => attempt.status), ["failed"]);
+    assert.strictEqual(workflow.modelUsed, "regex-fallback");
+  });
+});
+
+describe("GeminiProvider", () => {
+  it("does not send a response schema through the v1 SDK", async () => {
+    const provider = new GeminiProvider({ apiKey: "test-key" });
+    const requested = [];
+    provider.genAI = {
+      getGenerativeModel(params) {
+        requested.push(params);
+        return {
+          async generateContent() {
+            return { response: { text: () => "{}", usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 1 } } };
+          },
+        };
+      },
+    };
+
+    const result = await provider.generate("gemini-2.5-flash", "prompt", { schema: GeminiWorkflowParser.WORKFLOW_SCHEMA });
+
+    assert.strictEqual(provider.supportsSchema, false);
+    assert.deepStrictEqual(requested, [{ model: "gemini-2.5-flash" }]);
+    assert.deepStrictEqual(result.usage, { promptTokens: 3, completionTokens: 1 });
+  });
+});
@@ -0,0 +1,107 @@
+// test/governor.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const Governor = require("../src/governor");
+const { loadConfig } = require("../src/config");
+
+function httpError(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+describe("Governor", () => {
+  let dir;
+  let stateFile;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-governor-"));
+    stateFile = path.join(dir, "governor.json");
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("governs calls only once a request or token limit is set", () => {
+    const { limits } = loadConfig({ cwd: dir, env: {} }).values;
+
+    assert.strictEqual(Governor.hasLimits(limits), false);
+    assert.strictEqual(Governor.hasLimits({ ...limits, tokensPerDay: 1000 }), true);
+    assert.strictEqual(limits.stateFile, path.join("blog-posts", "reports", "governor.json"));
+  });
+
+  describe("isRetryable", () => {
+    const governor = new Governor({ retryMaxMs: 60000 });
+
+    it("retries rate limits, overload and dropped connections", () => {
+      assert.strictEqual(governor.isRetryable(httpError("Too many requests", { status: 429 })), true);
+      assert.strictEqual(governor.isRetryable(httpError("The model is overloaded")), true);
+      assert.strictEqual(governor.isRetryable(httpError("connect ECONNREFUSED 127.0.0.1:443")), true);
+    });
+
+    it("does not retry bad requests, quotas or waits longer than retryMaxMs", () => {
+      assert.strictEqual(governor.isRetryable(httpError("Invalid API key", { status: 400 })), false);
+      assert.strictEqual(governor.isRetryable(httpError("Daily quota exceeded", { status: 429 })), false);
+      assert.strictEqual(governor.isRetryable(httpError("Slow down", { status: 429, retryAfter: 3600 })), false);
+      assert.strictEqual(governor.isRetryable(httpError("Slow down", { status: 429, retryAfter: 2 })), true);
+    });
+  });
+
+  describe("getDelay", () => {
+    it("waits as long as the server asks, up to retryMaxMs", () => {
+      const governor = new Governor({ retryMaxMs: 10000 });
+
+      assert.strictEqual(governor.getDelay(httpError("busy", { retryAfter: 2 }), 1), 2000);
+      assert.strictEqual(governor.getDelay(httpError("busy", { retryAfter: 30 }), 1), 10000);
+      assert.strictEqual(governor.getDelay(httpError("Please retry in 1.5s"), 1), 1500);
+      assert.strictEqual(
+        governor.getDelay(httpError("busy", { errorDetails: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "4s" }] }), 1),
+        4000
+      );
+    });
+
+    it("backs off exponentially with jitter otherwise", () => {
+      const governor = new Governor({ retryBaseMs: 1000, retryMaxMs: 5000 });
+
+      for (let attempt = 1; attempt <= 5; attempt++) {
+        const backoff = Math.min(5000, 1000 * 2 ** (attempt - 1));
+        const delay = governor.getDelay(httpError("busy", { status: 503 }), attempt);
+        assert.ok(delay >= backoff / 2 && delay <= backoff, `attempt ${attempt}: ${delay}ms`);
+      }
+    });
+  });
+
+  it("blocks a model after repeated failures, across runs, until it succeeds", () => {
+    const first = new Governor({ stateFile, failureThreshold: 2, blockMinutes: 15 });
+    first.recordFailure("gpt-4o-mini", httpError("boom", { status: 500 }));
+    assert.strictEqual(first.isBlocked("gpt-4o-mini"), false);
+    first.recordFailure("gpt-4o-mini", httpError("boom", { status: 500 }));
+    assert.strictEqual(first.isBlocked("gpt-4o-mini"), true);
+
+    const second = new Governor({ stateFile });
+    assert.strictEqual(second.isBlocked("gpt-4o-mini"), true);
+    assert.strictEqual(second.getHealth(["gpt-4o-mini"])["gpt-4o-mini"].recentFailures, 2);
+
+    second.recordSuccess("gpt-4o-mini", "prompt", { text: "reply", usage: { promptTokens: 10, completionTokens: 5 } });
+    assert.strictEqual(new Governor({ stateFile }).isBlocked("gpt-4o-mini"), false);
+  });
+
+  it("refuses calls once the daily token limit is used up", async () => {
+    const governor = new Governor({ stateFile, tokensPerDay: 100 });
+    await governor.acquire("gpt-4o-mini");
+    governor.recordSuccess("gpt-4o-mini", "prompt", { text: "reply", usage: { promptTokens: 60, completionTokens: 40 } });
+
+    const nextRun = new Governor({ stateFile, tokensPerDay: 100 });
+    assert.strictEqual(nextRun.getTokensToday(), 100);
+    await assert.rejects(nextRun.acquire("gpt-4o-mini"), (error) => error.type === "quota");
+  });
+
+  it("starts fresh from a damaged state file", () => {
+    fs.writeFileSync(stateFile, "{ not json");
+    const governor = new Governor({ stateFile });
+
+    assert.strictEqual(governor.getTokensToday(), 0);
+    assert.strictEqual(governor.isBlocked("gpt-4o-mini"), false);
+  });
+});
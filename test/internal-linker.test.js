@@ -0,0 +1,99 @@
+// test/internal-linker.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const InternalLinker = require("../src/internal-linker");
+const FileManager = require("../src/file-manager");
+const { loadConfig } = require("../src/config");
+
+function post(title, slug, fields = {}) {
+  return {
+    title,
+    content: `# ${title}\n\nIntro.`,
+    category: "Programming Languages",
+    tags: ["rust", "systems programming"],
+    metadata: { slug, generatedAt: "2026-10-01T08:00:00.000Z" },
+    ...fields,
+  };
+}
+
+describe("InternalLinker", () => {
+  let dir;
+  let linker;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-internal-linker-"));
+    await fs.writeJson(path.join(dir, "salaries.json"), post("Rust Developer Salaries", "rust-salaries"));
+    await fs.writeJson(path.join(dir, "salaries-improved.json"), post("Rust Developer Salaries Revised", "rust-salaries", {
+      content: "# Rust Developer Salaries Revised\n\nPay is high. Most teams use async rust in production.",
+      metadata: { slug: "rust-salaries", generatedAt: "2026-10-02T08:00:00.000Z" },
+    }));
+    await fs.writeJson(path.join(dir, "async.json"), post("Async Rust in Production", "async-rust"));
+    await fs.writeJson(path.join(dir, "baking.json"), post("Sourdough Baking", "sourdough", {
+      category: "Food",
+      tags: ["bread"],
+    }));
+
+    const config = { ...loadConfig({ cwd: dir, env: {} }).values, websiteUrl: "https://example.dev/", outputDir: dir };
+    linker = new InternalLinker({ config, fileManager: new FileManager(config) });
+    await linker.buildIndex(dir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("indexes one entry per URL, keeping the newest revision", () => {
+    assert.deepStrictEqual(linker.posts.map((entry) => entry.title).sort(), [
+      "Async Rust in Production",
+      "Rust Developer Salaries Revised",
+      "Sourdough Baking",
+    ]);
+    assert.strictEqual(linker.posts.find((entry) => entry.slug === "async-rust").url, "https://example.dev/async-rust");
+  });
+
+  it("ranks related posts by shared keywords, terms and category", () => {
+    const related = linker.findRelatedToTopic("Rust developer interview questions", ["rust"]);
+
+    assert.deepStrictEqual(related.map((match) => match.post.slug), ["rust-salaries", "async-rust"]);
+    assert.ok(related[0].reasons.includes("keywords: rust"));
+  });
+
+  it("finds an unlinked anchor outside headings, code and existing links", () => {
+    const target = linker.posts.find((entry) => entry.slug === "async-rust");
+    const content = "# Rust in Production\n\n`rust in production` and [rust in production](https://x.dev) stay.\n\nWe run Rust in production daily.";
+
+    // "async rust in" ends on a filler word, so the title run is "rust in production"
+    const anchor = linker.findAnchor(content, target);
+    assert.deepStrictEqual(anchor, { phrase: "rust in production", line: 4, start: 7, end: 25, text: "Rust in production" });
+  });
+
+  it("suggests and inserts links only to posts not linked yet", () => {
+    const draft = post("Rust Interview Questions", "rust-interviews", {
+      content: "# Rust Interview Questions\n\nKnow async rust in production and rust developer salaries.\n\nSee [pay](https://example.dev/rust-salaries).",
+    });
+
+    const suggestions = linker.suggest(draft);
+    assert.deepStrictEqual(suggestions.map((suggestion) => suggestion.post.slug), ["async-rust"]);
+
+    const result = linker.insertLinks(draft.content, suggestions);
+    assert.deepStrictEqual(result.inserted, [
+      { text: "rust in production", url: "https://example.dev/async-rust", title: "Async Rust in Production" },
+    ]);
+    assert.ok(result.content.includes("Know async [rust in production](https://example.dev/async-rust) and"));
+  });
+
+  it("links older posts back to a new post", async () => {
+    const draft = post("Async Rust Jobs", "async-rust-jobs", { tags: ["rust", "async rust"] });
+
+    const reverse = await linker.suggestReverse(draft, { limit: 5 });
+    const fromSalaries = reverse.find((suggestion) => suggestion.source.slug === "rust-salaries");
+    assert.strictEqual(fromSalaries.anchor.text, "async rust");
+
+    const updated = await linker.applyReverse([fromSalaries]);
+    assert.strictEqual(updated.length, 1);
+    const saved = await fs.readJson(updated[0].filepath);
+    assert.ok(saved.content.includes("[async rust](https://example.dev/async-rust-jobs)"));
+  });
+});
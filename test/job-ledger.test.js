@@ -0,0 +1,159 @@
+// test/job-ledger.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const JobLedger = require("../src/job-ledger");
+const BatchRunner = require("../src/batch-runner");
+const MockProvider = require("../src/providers/mock-provider");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "llm");
+const ROW = {
+  index: 0,
+  instruction: "Write about Rust developer jobs",
+  keyword: "rust jobs",
+  audience: null,
+  wordLimit: 500,
+  output: null,
+};
+
+describe("JobLedger", () => {
+  let dir;
+  let filepath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-ledger-"));
+    filepath = path.join(dir, "reports", "topics.ledger.json");
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("keys rows by instruction and overrides, ignoring case and row order", () => {
+    const ledger = new JobLedger(filepath);
+    const key = ledger.getItemKey(ROW);
+
+    assert.strictEqual(ledger.getItemKey({ ...ROW, index: 4, instruction: " write about rust developer jobs " }), key);
+    assert.notStrictEqual(ledger.getItemKey({ ...ROW, wordLimit: 800 }), key);
+    assert.notStrictEqual(ledger.getItemKey({ ...ROW, output: "rust.json" }), key);
+  });
+
+  it("moves a row through the stages and persists each one", async () => {
+    const ledger = await new JobLedger(filepath).load("topics.csv");
+    assert.strictEqual(ledger.getItem(ROW).state, "pending");
+
+    await ledger.update(ROW, "parsed", { workflow: { topic: "Rust jobs" } });
+    const item = ledger.getItem(ROW);
+    assert.ok(ledger.hasReached(item, "parsed"));
+    assert.ok(!ledger.hasReached(item, "generated"));
+
+    await ledger.update(ROW, "saved", { file: "rust.json" });
+    assert.ok(ledger.isComplete(ROW));
+
+    const reloaded = await new JobLedger(filepath).load();
+    assert.strictEqual(reloaded.data.source, "topics.csv");
+    assert.deepStrictEqual(reloaded.getItem(ROW).workflow, { topic: "Rust jobs" });
+    assert.strictEqual(reloaded.getItem(ROW).file, "rust.json");
+    assert.strictEqual(await fs.pathExists(`${filepath}.tmp`), false);
+  });
+
+  it("records a failure at the next stage and keeps the progress made", async () => {
+    const ledger = await new JobLedger(filepath).load();
+    await ledger.update(ROW, "parsed", { workflow: { topic: "Rust jobs" } });
+
+    const item = await ledger.markFailed(ROW, new Error("quota exceeded"), "quota");
+    assert.strictEqual(item.state, "failed");
+    assert.strictEqual(item.completedStage, "parsed");
+    assert.strictEqual(item.failedStage, "generated");
+    assert.ok(ledger.hasReached(item, "parsed"));
+
+    // Getting past the stage clears the error
+    await ledger.update(ROW, "generated", { result: {} });
+    assert.deepStrictEqual([item.error, item.errorType, item.failedStage], [null, null, null]);
+  });
+
+  it("counts entries by state", async () => {
+    const ledger = await new JobLedger(filepath).load();
+    await ledger.update(ROW, "saved");
+    await ledger.markFailed({ ...ROW, index: 1, instruction: "Write about Go jobs" }, new Error("boom"), "unknown");
+    ledger.getItem({ ...ROW, index: 2, instruction: "Write about Zig jobs" });
+
+    assert.deepStrictEqual(ledger.getSummary(), { pending: 1, parsed: 0, generated: 0, saved: 1, failed: 1 });
+  });
+
+  describe("resuming a batch", function () {
+    this.timeout(20000);
+
+    let logSpy;
+
+    beforeEach(() => {
+      logSpy = console.log;
+      console.log = () => {};
+    });
+
+    afterEach(() => {
+      console.log = logSpy;
+    });
+
+    function createRunner(ledger) {
+      return new BatchRunner({
+        provider: new MockProvider({ fixturesDir: FIXTURES_DIR }),
+        concurrency: 1,
+        outputDir: dir,
+        ledger,
+        formats: ["json"],
+      });
+    }
+
+    it("picks up from the last completed stage instead of repeating calls", async () => {
+      const ledger = await new JobLedger(filepath).load();
+      const first = createRunner(ledger);
+      first.generator.generateWorkflowContent = async () => {
+        throw new Error("Generation quota exceeded");
+      };
+
+      const failed = await first.run([ROW]);
+      assert.deepStrictEqual([failed.failed, failed.halted.errorType], [1, "quota"]);
+      assert.strictEqual(ledger.getItem(ROW).completedStage, "parsed");
+
+      // Resumed from the parsed workflow, so the parser is never called
+      const second = createRunner(await new JobLedger(filepath).load());
+      second.parser.parseInstruction = async () => {
+        throw new Error("parser should not run");
+      };
+
+      const resumed = await second.run([ROW]);
+      assert.strictEqual(resumed.succeeded, 1);
+      assert.strictEqual(resumed.items[0].skipped, undefined);
+      assert.ok(resumed.items[0].file.startsWith(dir));
+      assert.ok(await fs.pathExists(resumed.items[0].file));
+
+      // A saved row is skipped without touching the model
+      const third = createRunner(await new JobLedger(filepath).load());
+      third.generator.generateWorkflowContent = async () => {
+        throw new Error("generator should not run");
+      };
+
+      const skipped = await third.run([ROW]);
+      assert.deepStrictEqual([skipped.succeeded, skipped.skipped], [1, 1]);
+      assert.strictEqual(skipped.items[0].file, resumed.items[0].file);
+    });
+
+    it("leaves a generated row's content in the ledger for the next run", async () => {
+      const ledger = await new JobLedger(filepath).load();
+      const runner = createRunner(ledger);
+      runner.fileManager.saveBlogPost = async () => {
+        throw new Error("Disk full");
+      };
+
+      await runner.run([ROW]);
+      const item = ledger.getItem(ROW);
+      assert.deepStrictEqual([item.state, item.completedStage, item.failedStage], ["failed", "generated", "saved"]);
+      assert.ok(item.result.content);
+
+      // Nothing left to parse or generate
+      assert.strictEqual(createRunner(ledger).estimateRun([ROW]).rows, 0);
+    });
+  });
+});
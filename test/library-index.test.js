@@ -0,0 +1,95 @@
+// test/library-index.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const LibraryIndex = require("../src/library-index");
+const FileManager = require("../src/file-manager");
+const { loadConfig } = require("../src/config");
+
+function post(title, fields = {}, metadata = {}) {
+  return {
+    title,
+    content: `# ${title}\n\nRust teams keep hiring.`,
+    category: "Programming Languages",
+    tags: ["rust"],
+    datetime: "2026-10-01T08:00:00.000Z",
+    ...fields,
+    metadata: { seoScore: 70, wordCount: 1200, modelUsed: "gemini-2.5-flash", ...metadata },
+  };
+}
+
+describe("LibraryIndex", () => {
+  let dir;
+  let library;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-library-index-"));
+    await fs.writeJson(path.join(dir, "a.json"), post("Rust Salaries", { tags: ["rust", "pay"] }, {
+      seoScore: 90,
+      published: { ghost: { status: "draft" }, devto: { status: "published" } },
+    }));
+    await fs.writeJson(path.join(dir, "b.json"), post("Trusted Go Teams", {
+      category: "Cloud",
+      tags: ["go"],
+      datetime: "2026-09-15T08:00:00.000Z",
+      content: "# Trusted Go Teams\n\nGo services, and a little rust.",
+    }, { seoScore: 50, wordCount: 800, modelUsed: "gpt-4o-mini", draft: true }));
+    await fs.writeJson(path.join(dir, "c.json"), post("Kubernetes Jobs", { category: null, tags: [] }, { seoScore: undefined }));
+    await fs.writeJson(path.join(dir, "topics.json"), ["not", "a", "post"]);
+
+    const config = { ...loadConfig({ cwd: dir, env: {} }).values, outputDir: dir };
+    library = new LibraryIndex({ fileManager: new FileManager(config), directory: dir });
+    await library.refresh();
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("indexes posts with their publish status and saves the index", async () => {
+    const byTitle = Object.fromEntries(library.entries.map((entry) => [entry.title, entry]));
+
+    assert.deepStrictEqual(Object.keys(byTitle).sort(), ["Kubernetes Jobs", "Rust Salaries", "Trusted Go Teams"]);
+    assert.strictEqual(byTitle["Rust Salaries"].status, "published");
+    assert.deepStrictEqual(byTitle["Rust Salaries"].platforms, ["ghost", "devto"]);
+    assert.strictEqual(byTitle["Trusted Go Teams"].status, "draft");
+    assert.strictEqual(byTitle["Kubernetes Jobs"].status, "unpublished");
+    assert.strictEqual(byTitle["Kubernetes Jobs"].seoScore, null);
+    assert.ok(await fs.pathExists(path.join(dir, "reports", "library-index.json")));
+  });
+
+  it("re-reads only posts that changed and drops removed ones", async () => {
+    const saved = await fs.readJson(library.filepath);
+    saved.entries.find((entry) => entry.filename === "a.json").title = "Kept from the index";
+    await fs.writeJson(library.filepath, saved);
+    await fs.remove(path.join(dir, "c.json"));
+    await fs.writeJson(path.join(dir, "b.json"), post("Go Teams Updated", { datetime: "2026-09-15T08:00:00.000Z" }));
+
+    await library.refresh();
+    assert.deepStrictEqual(library.entries.map((entry) => entry.title).sort(), ["Go Teams Updated", "Kept from the index"]);
+
+    await library.refresh({ rebuild: true });
+    assert.ok(library.entries.some((entry) => entry.title === "Rust Salaries"));
+  });
+
+  it("filters and sorts", () => {
+    const titles = (filters) => library.query(filters).map((entry) => entry.title);
+
+    assert.deepStrictEqual(titles({ minScore: 60 }), ["Rust Salaries"]);
+    assert.deepStrictEqual(titles({ status: "draft" }), ["Trusted Go Teams"]);
+    assert.deepStrictEqual(titles({ model: "gpt", maxWords: 1000 }), ["Trusted Go Teams"]);
+    assert.deepStrictEqual(titles({ since: "2026-09-30", sort: "title", order: "asc" }), ["Kubernetes Jobs", "Rust Salaries"]);
+    assert.deepStrictEqual(titles({ sort: "score", limit: "2" }), ["Rust Salaries", "Trusted Go Teams"]);
+    assert.throws(() => library.query({ status: "live" }), /Unknown status "live"/);
+    assert.throws(() => library.query({ sort: "size" }), /Unknown sort field "size"/);
+  });
+
+  it("searches whole words and ranks title and tag hits first", async () => {
+    const results = await library.search("rust");
+
+    assert.deepStrictEqual(results.map((entry) => entry.title), ["Rust Salaries", "Kubernetes Jobs", "Trusted Go Teams"]);
+    assert.strictEqual(results[2].snippet, "Trusted Go Teams Go services, and a little rust.");
+    assert.deepStrictEqual((await library.search("rust pay")).map((entry) => entry.title), ["Rust Salaries"]);
+  });
+});
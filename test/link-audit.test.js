@@ -0,0 +1,59 @@
+// test/link-audit.test.js
+const assert = require("assert");
+const { auditLinks, classifyLink } = require("../src/link-audit");
+
+describe("link-audit", () => {
+  describe("classifyLink", () => {
+    it("tells our site, relative paths and anchors from external links", () => {
+      assert.strictEqual(classifyLink("https://www.example.dev/jobs", "example.dev").kind, "backlink");
+      assert.strictEqual(classifyLink("https://rust-lang.org", "example.dev").kind, "external");
+      assert.deepStrictEqual(classifyLink("/jobs/rust", "example.dev"), { kind: "internal", malformed: false });
+      assert.deepStrictEqual(classifyLink("#salaries", "example.dev"), { kind: "internal", anchor: "salaries" });
+      assert.deepStrictEqual(classifyLink("mailto:jobs@example.dev", "example.dev"), { kind: "external" });
+    });
+
+    it("flags URLs that are written wrong", () => {
+      assert.strictEqual(classifyLink("http//example.dev", "example.dev").malformed, true);
+      assert.strictEqual(classifyLink("www.example.dev/jobs", "example.dev").malformed, true);
+      assert.strictEqual(classifyLink("javascript:alert(1)", "example.dev").malformed, true);
+      assert.strictEqual(classifyLink("https://intranet/jobs", "example.dev").malformed, true);
+    });
+  });
+
+  describe("auditLinks", () => {
+    const content = `# Rust Jobs
+
+## Salaries
+
+Read the [salary guide](https://example.dev/salaries), then [click here](https://rust-lang.org).
+See [salaries](#salaries), [skills](#skills) and [the guide](https://example.dev/salaries).
+Browse <https://example.dev/jobs> or [jobs](https://example.dev/jobs) and [jobs](https://other.dev/jobs).
+An <a href="https://example.dev/remote" rel="nofollow noopener">remote roles</a> link and [empty]().
+`;
+    const audit = auditLinks(content, { websiteUrl: "https://example.dev" });
+    const issuesOf = (type) => audit.issues.filter((issue) => issue.type === type);
+
+    it("counts links by kind, HTML links included", () => {
+      assert.strictEqual(audit.total, 10);
+      assert.strictEqual(audit.inDocument, 2);
+      assert.strictEqual(audit.backlinks, 5);
+      assert.strictEqual(audit.nofollow, 1);
+      assert.strictEqual(audit.links.find((link) => link.source === "html").text, "remote roles");
+    });
+
+    it("reports generic anchors, missing anchors, nofollow and empty URLs", () => {
+      assert.deepStrictEqual(issuesOf("generic-anchor").map((issue) => issue.href), ["https://rust-lang.org"]);
+      assert.deepStrictEqual(issuesOf("missing-anchor").map((issue) => issue.href), ["#skills"]);
+      assert.deepStrictEqual(issuesOf("nofollow-internal").map((issue) => issue.href), ["https://example.dev/remote"]);
+      assert.deepStrictEqual(issuesOf("malformed-url").map((issue) => issue.message), ['Link "empty" has no URL']);
+    });
+
+    it("reports repeated URLs and anchor text reused for different URLs", () => {
+      assert.deepStrictEqual(issuesOf("duplicate-link").map((issue) => issue.href), [
+        "https://example.dev/salaries",
+        "https://example.dev/jobs",
+      ]);
+      assert.deepStrictEqual(issuesOf("duplicate-anchor").map((issue) => issue.text), ["jobs"]);
+    });
+  });
+});
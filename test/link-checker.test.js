@@ -0,0 +1,91 @@
+// test/link-checker.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const LinkChecker = require("../src/link-checker");
+const FileManager = require("../src/file-manager");
+const { loadConfig } = require("../src/config");
+
+const SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://example.dev/about/</loc></url>
+  <url><loc>https://example.dev/jobs?type=rust&amp;remote=1</loc></url>
+</urlset>`;
+
+describe("LinkChecker", () => {
+  let dir;
+  let server;
+  let serverUrl;
+  let createChecker;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-link-checker-"));
+    await fs.writeFile(path.join(dir, "sitemap.xml"), SITEMAP);
+    await fs.writeJson(path.join(dir, "post.json"), {
+      title: "Rust Salaries",
+      content: "# Rust Salaries",
+      metadata: { slug: "rust-salaries", canonicalUrl: "https://example.dev/blog/rust-salaries-2026" },
+    });
+    await fs.writeJson(path.join(dir, "notes.json"), { unrelated: true });
+
+    // Anything under /gone is a 404
+    server = http.createServer((req, res) => {
+      res.statusCode = req.url.startsWith("/gone") ? 404 : 200;
+      res.end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    serverUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const config = { ...loadConfig({ cwd: dir, env: {} }).values, websiteUrl: "https://example.dev", outputDir: dir };
+    createChecker = () => new LinkChecker({ config, fileManager: new FileManager(config), timeout: 2000 });
+  });
+
+  after(async () => {
+    server.close();
+    await fs.remove(dir);
+  });
+
+  it("cannot verify links to our site without a sitemap or posts", async () => {
+    const report = await createChecker().check("[About](/about)");
+
+    assert.deepStrictEqual(report.summary, { unverified: 1 });
+    assert.strictEqual(report.problems, 0);
+  });
+
+  it("checks our links against the sitemap and the posts already generated", async () => {
+    const checker = createChecker();
+    assert.strictEqual(await checker.findSitemap(dir), path.join(dir, "sitemap.xml"));
+    assert.strictEqual(await checker.loadSitemap(path.join(dir, "sitemap.xml")), 2);
+    assert.strictEqual(await checker.loadPostIndex(dir), 1);
+
+    const report = await checker.check(`# Post
+
+## Pay
+
+[About](https://example.dev/about), [jobs](/jobs), [salaries](/blog/rust-salaries),
+[2026](https://example.dev/blog/rust-salaries-2026), [pay](#pay), [gone](/careers), [top](#top),
+[bad](http//example.dev) and [Rust](https://rust-lang.org).`);
+
+    assert.deepStrictEqual(
+      report.results.map((result) => result.status),
+      ["ok", "ok", "ok", "ok", "ok", "missing", "missing", "malformed", "unchecked"]
+    );
+    assert.strictEqual(report.problems, 3);
+    assert.deepStrictEqual(report.sources.map((source) => [source.type, source.pages]), [["sitemap", 2], ["posts", 1]]);
+  });
+
+  it("HEAD-checks each external URL once when asked", async () => {
+    const report = await createChecker().check(
+      `[a](${serverUrl}/ok), [b](${serverUrl}/ok), [c](${serverUrl}/gone) and [d](mailto:jobs@example.dev)`,
+      { external: true }
+    );
+
+    assert.deepStrictEqual(
+      report.results.map((result) => [result.status, result.detail]),
+      [["ok", "HTTP 200"], ["ok", "HTTP 200"], ["broken", "HTTP 404"], ["skipped", null]]
+    );
+    assert.strictEqual(report.problems, 1);
+  });
+});
@@ -0,0 +1,94 @@
+// test/markdown-document.test.js
+const assert = require("assert");
+const MarkdownDocument = require("../src/markdown-document");
+
+const POST = `---
+title: Ignored
+---
+
+# Rust Developer Jobs
+
+Rust keeps **growing** at [cloud firms](https://example.dev/cloud) and <https://rust-lang.org>.
+
+![Ferris](ferris.png)
+
+## Skills & Tools
+
+- Ownership and borrowing
+- Async with tokio
+
+| Role | Salary |
+| --- | --- |
+| Backend | $150k |
+
+\`\`\`rust
+fn main() {}
+\`\`\`
+
+#### Deep Dive
+
+> Quoted wisdom.
+
+## Skills & Tools
+
+Closing words.
+`;
+
+describe("MarkdownDocument", () => {
+  const document = MarkdownDocument.from(POST);
+
+  it("parses once per text and skips front matter", () => {
+    assert.strictEqual(MarkdownDocument.from(POST), document);
+    assert.strictEqual(MarkdownDocument.from(document), document);
+    assert.ok(document.frontMatter.includes("title: Ignored"));
+    assert.strictEqual(document.title, "Rust Developer Jobs");
+  });
+
+  it("collects headings, lists, tables, code, links and images", () => {
+    assert.deepStrictEqual(document.headings.map((heading) => [heading.depth, heading.slug]), [
+      [1, "rust-developer-jobs"],
+      [2, "skills--tools"],
+      [4, "deep-dive"],
+      [2, "skills--tools"],
+    ]);
+    assert.deepStrictEqual(document.lists, [{ ordered: false, items: 2, depth: 0 }]);
+    assert.deepStrictEqual(document.tables, [{ columns: 2, rows: 1 }]);
+    assert.deepStrictEqual(document.codeBlocks, [{ lang: "rust", lines: 1 }]);
+    assert.strictEqual(document.blockquotes, 1);
+    assert.deepStrictEqual(
+      document.links.map((link) => [link.href, link.bare]),
+      [["https://example.dev/cloud", false], ["https://rust-lang.org", true]]
+    );
+    assert.deepStrictEqual(document.images, [{ src: "ferris.png", alt: "Ferris", title: null }]);
+  });
+
+  it("counts words in prose, headings and tables but not code", () => {
+    const text = document.getText();
+
+    assert.ok(text.includes("Ownership and borrowing."));
+    assert.ok(text.includes("Backend"));
+    assert.ok(!text.includes("fn main"));
+    assert.strictEqual(MarkdownDocument.from("# Hi\n\nTwo words — here.\n\n```\nnot counted\n```").getWordCount(), 4);
+  });
+
+  it("finds heading skips and numbers repeated anchors", () => {
+    assert.deepStrictEqual(document.getHeadingSkips(), [{ from: 2, to: 4, heading: "Deep Dive" }]);
+    assert.deepStrictEqual(document.getAnchorIds(), ["rust-developer-jobs", "skills--tools", "deep-dive", "skills--tools-1"]);
+  });
+
+  it("nests the outline under the title", () => {
+    const [title] = document.getOutline();
+
+    assert.strictEqual(title.text, "Rust Developer Jobs");
+    assert.deepStrictEqual(title.children.map((child) => child.text), ["Skills & Tools", "Skills & Tools"]);
+    assert.deepStrictEqual(title.children[0].children.map((child) => child.text), ["Deep Dive"]);
+  });
+
+  it("drops the title and splits the body into sections that join back", () => {
+    assert.ok(document.getBodyWithoutTitle().startsWith("Rust keeps **growing**"));
+
+    const sections = document.getSections();
+    assert.deepStrictEqual(sections.map((section) => section.heading), [null, "Skills & Tools", "Skills & Tools"]);
+    assert.strictEqual(sections.map((section) => section.markdown).join(""), document.tokens.map((token) => token.raw).join(""));
+  });
+});
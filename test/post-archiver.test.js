@@ -0,0 +1,93 @@
+// test/post-archiver.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const PostArchiver = require("../src/post-archiver");
+const FileManager = require("../src/file-manager");
+const { loadConfig } = require("../src/config");
+
+const NOW = Date.parse("2026-10-19T08:00:00.000Z");
+
+async function writePost(dir, name, datetime, metadata = {}) {
+  await fs.writeJson(path.join(dir, `${name}.json`), {
+    title: name,
+    content: `# ${name}\n\nBody.`,
+    datetime,
+    metadata: { seoScore: 60, ...metadata },
+  });
+  await fs.writeFile(path.join(dir, `${name}.md`), `# ${name}\n`);
+}
+
+describe("PostArchiver", () => {
+  let dir;
+  let archiver;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-post-archiver-"));
+    await writePost(dir, "old-draft", "2026-08-01T08:00:00.000Z");
+    await writePost(dir, "old-live", "2026-08-02T08:00:00.000Z", { published: { ghost: { status: "published" } } });
+    await writePost(dir, "old-good", "2026-08-03T08:00:00.000Z", { seoScore: 95 });
+    await writePost(dir, "recent", "2026-10-18T08:00:00.000Z");
+
+    const config = { ...loadConfig({ cwd: dir, env: {} }).values, outputDir: dir };
+    archiver = new PostArchiver({ fileManager: new FileManager(config), directory: dir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("keeps published, recent and well-scored posts and explains why", async () => {
+    const plan = await archiver.plan({ olderThan: 30, belowScore: 80, now: NOW });
+
+    assert.deepStrictEqual(plan.remove.map((post) => post.title), ["old-draft"]);
+    assert.deepStrictEqual(plan.remove[0].files.map((file) => path.basename(file)), ["old-draft.json", "old-draft.md"]);
+    assert.deepStrictEqual(
+      Object.fromEntries(plan.keep.map((post) => [post.title, post.reason])),
+      { recent: "1 days old", "old-good": "score 95%", "old-live": "published" }
+    );
+
+    const keepNewest = await archiver.plan({ keep: 3, now: NOW });
+    assert.deepStrictEqual(keepNewest.remove.map((post) => post.title), ["old-draft"]);
+    assert.strictEqual(keepNewest.keep.find((post) => post.title === "old-good").reason, "among newest 3");
+  });
+
+  it("moves posts into a batch and restores them", async () => {
+    const result = await archiver.apply(await archiver.plan({ olderThan: 30, now: NOW }));
+
+    assert.deepStrictEqual([result.mode, result.posts, result.files], ["move", 2, 4]);
+    assert.strictEqual(await fs.pathExists(path.join(dir, "old-draft.json")), false);
+    assert.ok(await fs.pathExists(path.join(result.location, "old-draft.md")));
+
+    const restored = await archiver.restore();
+    assert.deepStrictEqual(restored.restored.sort(), ["old-draft.json", "old-draft.md", "old-good.json", "old-good.md"]);
+    assert.ok(await fs.pathExists(path.join(dir, "old-draft.json")));
+    assert.strictEqual(await fs.pathExists(result.location), false);
+    await assert.rejects(archiver.restore(result.id), /was already restored/);
+  });
+
+  it("restores bundles but keeps the bundle while files are in the way", async () => {
+    const result = await archiver.apply(await archiver.plan({ olderThan: 30, now: NOW }), { mode: "bundle" });
+    assert.ok(result.location.endsWith(".json.gz"));
+    await fs.writeFile(path.join(dir, "old-draft.md"), "# new\n");
+
+    const partial = await archiver.restore(result.id);
+    assert.deepStrictEqual(partial.skipped, ["old-draft.md"]);
+    assert.ok(await fs.pathExists(result.location));
+
+    const complete = await archiver.restore(result.id, { overwrite: true });
+    assert.deepStrictEqual(complete.skipped, []);
+    assert.strictEqual(await fs.readFile(path.join(dir, "old-draft.md"), "utf8"), "# old-draft\n");
+  });
+
+  it("records deleted batches but cannot restore them", async () => {
+    const result = await archiver.apply(await archiver.plan({ olderThan: 30, now: NOW }), { mode: "delete" });
+
+    assert.strictEqual(result.location, null);
+    assert.deepStrictEqual((await archiver.listBatches()).map((batch) => batch.mode), ["delete"]);
+    await assert.rejects(archiver.restore(), /Nothing to restore/);
+    await assert.rejects(archiver.restore(result.id), /deleted permanently/);
+    await assert.rejects(archiver.apply({ remove: [] }, { mode: "shred" }), /Unknown cleanup mode "shred"/);
+  });
+});
@@ -0,0 +1,132 @@
+// test/post-loader.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { loadPost, parsePost, getPreservedFields } = require("../src/post-loader");
+
+const MARKDOWN_POST = `---
+title: "Rust Developer Jobs"
+date: 2026-10-19T08:00:00.000Z
+author: Jane Doe
+categories:
+  - Programming Languages
+tags:
+  - rust
+  - careers
+slug: rust-developer-jobs
+description: Where the Rust jobs are and what they pay
+canonicalURL: https://example.dev/rust-developer-jobs
+---
+
+Rust keeps growing.
+
+## Demand
+
+Cloud teams hire most.
+`;
+
+const TEXT_POST = `=== BLOG POST METADATA ===
+Title: Rust Developer Jobs
+Topic: rust developer jobs
+Category: Programming Languages
+Author: Jane Doe
+Keywords: rust, careers
+Generated: 2026-10-19T08:00:00.000Z
+
+=== SEO CONTENT ===
+# Rust Developer Jobs
+
+Rust keeps growing.
+
+=== GENERATION INFO ===
+- Model Used: gemini-2.5-flash
+- Word Count: 6
+- Slug: rust-developer-jobs
+`;
+
+describe("post-loader", () => {
+  describe("parsePost", () => {
+    it("reads a markdown export with front matter and puts the title back", () => {
+      const post = parsePost(MARKDOWN_POST, "rust.md");
+
+      assert.strictEqual(post.format, "markdown");
+      assert.strictEqual(post.title, "Rust Developer Jobs");
+      assert.ok(post.content.startsWith("# Rust Developer Jobs\n\nRust keeps growing."));
+      assert.strictEqual(post.category, "Programming Languages");
+      assert.strictEqual(post.author, "Jane Doe");
+      assert.deepStrictEqual(post.tags, ["rust", "careers"]);
+      assert.strictEqual(post.date, "2026-10-19");
+      assert.deepStrictEqual(post.metadata, {
+        slug: "rust-developer-jobs",
+        metaDescription: "Where the Rust jobs are and what they pay",
+        canonicalUrl: "https://example.dev/rust-developer-jobs",
+      });
+    });
+
+    it("reads a text export", () => {
+      const post = parsePost(TEXT_POST, "rust.txt");
+
+      assert.strictEqual(post.format, "text");
+      assert.strictEqual(post.title, "Rust Developer Jobs");
+      assert.strictEqual(post.content, "# Rust Developer Jobs\n\nRust keeps growing.");
+      assert.deepStrictEqual(post.tags, ["rust", "careers"]);
+      assert.strictEqual(post.metadata.topic, "rust developer jobs");
+      assert.strictEqual(post.metadata.modelUsed, "gemini-2.5-flash");
+      assert.strictEqual(post.metadata.wordCount, 6);
+      assert.strictEqual(post.metadata.slug, "rust-developer-jobs");
+    });
+
+    it("treats anything else as plain markdown titled by its H1 or file name", () => {
+      assert.strictEqual(parsePost("# Rust Jobs\n\nText.").title, "Rust Jobs");
+      assert.strictEqual(parsePost("Just text.", "notes.md").title, "notes");
+      assert.strictEqual(parsePost("Just text.", "notes.md").format, "plain");
+    });
+
+    it("names the file when the front matter is broken", () => {
+      assert.throws(() => parsePost("---\ntitle: [unclosed\n---\n\nBody\n", "broken.md"), /broken\.md has invalid front matter/);
+    });
+  });
+
+  describe("loadPost", () => {
+    let dir;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-post-loader-"));
+    });
+
+    after(async () => {
+      await fs.remove(dir);
+    });
+
+    it("loads JSON posts as saved and other files through the parser", async () => {
+      const jsonFile = path.join(dir, "post.json");
+      await fs.writeJson(jsonFile, { title: "Saved", content: "# Saved\n\nBody", metadata: { slug: "saved" } });
+      const markdownFile = path.join(dir, "post.md");
+      await fs.writeFile(markdownFile, MARKDOWN_POST);
+
+      const saved = await loadPost(jsonFile);
+      assert.strictEqual(saved.format, "json");
+      assert.strictEqual(saved.metadata.slug, "saved");
+
+      const markdown = await loadPost(markdownFile);
+      assert.strictEqual(markdown.format, "markdown");
+      assert.strictEqual(markdown.metadata.slug, "rust-developer-jobs");
+    });
+
+    it("rejects a missing file", async () => {
+      await assert.rejects(loadPost(path.join(dir, "missing.md")), /File not found/);
+    });
+  });
+
+  it("keeps only the fields a rewrite carries over", () => {
+    const post = parsePost(MARKDOWN_POST, "rust.md");
+
+    assert.deepStrictEqual(getPreservedFields(post), {
+      slug: "rust-developer-jobs",
+      category: "Programming Languages",
+      author: "Jane Doe",
+      canonicalUrl: "https://example.dev/rust-developer-jobs",
+    });
+  });
+});
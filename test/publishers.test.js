@@ -0,0 +1,156 @@
+// test/publishers.test.js
+const assert = require("assert");
+const http = require("http");
+const { createPublisher } = require("../src/publishers");
+
+const POST = {
+  title: "Rust Developer Jobs",
+  content: "# Rust Developer Jobs\n\nRust keeps growing.\n\n## Demand\n\nCloud teams hire most.",
+  category: "Programming Languages",
+  tags: ["Rust", "careers", "rust-lang", "jobs", "remote"],
+  metadata: {
+    slug: "rust-developer-jobs",
+    metaDescription: "Where the Rust jobs are",
+    canonicalUrl: "https://example.dev/rust-developer-jobs",
+  },
+};
+
+/**
+ * Local server that records each request and answers from a handler
+ */
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+      requests.push(request);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(handler(request)));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+describe("publishers", () => {
+  let stub;
+  let handler;
+
+  beforeEach(async () => {
+    handler = () => ({});
+    stub = await startServer((request) => handler(request));
+  });
+
+  afterEach((done) => {
+    stub.server.close(done);
+  });
+
+  it("rejects unknown targets and missing credentials", async () => {
+    assert.throws(() => createPublisher("medium", {}), /Unknown publish target "medium"/);
+    await assert.rejects(createPublisher("wordpress", {}).publish(POST), /WORDPRESS_URL/);
+    await assert.rejects(createPublisher("ghost", { url: stub.url, adminApiKey: "nocolon" }).publish(POST), /<id>:<secret>/);
+  });
+
+  describe("WordPress", () => {
+    function wordpressHandler(meta) {
+      return (request) => {
+        if (request.url.startsWith("/wp-json/wp/v2/tags?search=")) return [{ id: 7, name: "rust" }];
+        if (request.url.includes("?search=")) return [];
+        if (request.url === "/wp-json/wp/v2/tags" || request.url === "/wp-json/wp/v2/categories") {
+          return { id: request.body.name.length };
+        }
+        return { id: 42, link: "https://blog.example/rust", status: request.body.status, modified_gmt: "2026-10-19T08:00:00", meta };
+      };
+    }
+
+    it("resolves terms to IDs and updates the recorded post", async () => {
+      handler = wordpressHandler({ _yoast_wpseo_canonical: POST.metadata.canonicalUrl });
+      const publisher = createPublisher("wordpress", { url: stub.url, username: "admin", password: "app pass" });
+      const post = { ...POST, tags: ["Rust", "careers"] };
+
+      const remote = await publisher.publish(post, { status: "published", previous: { id: 42 } });
+      const sent = stub.requests[stub.requests.length - 1];
+
+      assert.strictEqual(sent.url, "/wp-json/wp/v2/posts/42");
+      assert.strictEqual(sent.headers.authorization, `Basic ${Buffer.from("admin:app pass").toString("base64")}`);
+      assert.strictEqual(sent.body.status, "publish");
+      assert.deepStrictEqual(sent.body.tags, [7, "careers".length]);
+      assert.deepStrictEqual(sent.body.categories, ["Programming Languages".length]);
+      assert.ok(!sent.body.content.includes("<h1"));
+      assert.deepStrictEqual(remote, {
+        id: 42,
+        url: "https://blog.example/rust",
+        status: "published",
+        updatedAt: "2026-10-19T08:00:00",
+      });
+    });
+
+    it("warns when the site drops the canonical URL meta key", async () => {
+      handler = wordpressHandler([]);
+      const publisher = createPublisher("wordpress", { url: stub.url, username: "admin", password: "app pass" });
+
+      const remote = await publisher.publish({ ...POST, tags: [], category: null }, { status: "draft" });
+
+      assert.strictEqual(remote.status, "draft");
+      assert.strictEqual(remote.warnings.length, 1);
+      assert.match(remote.warnings[0], /Canonical URL was not applied/);
+    });
+  });
+
+  describe("Ghost", () => {
+    it("signs requests and sends the last updated_at on updates", async () => {
+      handler = (request) => ({
+        posts: [{ id: "abc", url: "https://ghost.example/rust/", status: request.body.posts[0].status, updated_at: "2026-10-20T08:00:00.000Z" }],
+      });
+      const publisher = createPublisher("ghost", { url: stub.url, adminApiKey: "key-id:00ff" });
+
+      const remote = await publisher.publish(POST, {
+        status: "published",
+        previous: { id: "abc", updatedAt: "2026-10-19T08:00:00.000Z" },
+      });
+      const sent = stub.requests[0];
+
+      assert.strictEqual(sent.method, "PUT");
+      assert.strictEqual(sent.url, "/ghost/api/admin/posts/abc/?source=html");
+      assert.match(sent.headers.authorization, /^Ghost [\w-]+\.[\w-]+\.[\w-]+$/);
+      const header = JSON.parse(Buffer.from(sent.headers.authorization.split(" ")[1].split(".")[0], "base64").toString());
+      assert.strictEqual(header.kid, "key-id");
+
+      const payload = sent.body.posts[0];
+      assert.strictEqual(payload.updated_at, "2026-10-19T08:00:00.000Z");
+      assert.strictEqual(payload.canonical_url, POST.metadata.canonicalUrl);
+      assert.deepStrictEqual(payload.tags[0], { name: "Programming Languages" });
+      assert.deepStrictEqual(remote, {
+        id: "abc",
+        url: "https://ghost.example/rust/",
+        status: "published",
+        updatedAt: "2026-10-20T08:00:00.000Z",
+      });
+    });
+  });
+
+  describe("Dev.to", () => {
+    it("normalizes tags and creates a draft article", async () => {
+      handler = (request) => ({ id: 9, url: "https://dev.to/me/rust", published: request.body.article.published });
+      const publisher = createPublisher("devto", { url: stub.url, apiKey: "secret" });
+
+      const remote = await publisher.publish(POST, { status: "draft" });
+      const sent = stub.requests[0];
+
+      assert.strictEqual(sent.method, "POST");
+      assert.strictEqual(sent.url, "/articles");
+      assert.strictEqual(sent.headers["api-key"], "secret");
+      assert.deepStrictEqual(sent.body.article.tags, ["rust", "careers", "rustlang", "jobs"]);
+      assert.strictEqual(sent.body.article.published, false);
+      assert.ok(!sent.body.article.body_markdown.startsWith("# Rust Developer Jobs"));
+      assert.strictEqual(remote.status, "draft");
+    });
+  });
+});
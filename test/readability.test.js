@@ -0,0 +1,68 @@
+// test/readability.test.js
+const assert = require("assert");
+const os = require("os");
+const { analyzeText, splitSentences, countSyllables } = require("../src/readability");
+const SEOOptimizer = require("../src/seo-optimizer");
+const { loadConfig } = require("../src/config");
+
+const CONTENT = `# Rust Developer Jobs
+
+The cat sat on the mat. It was a sunny day.
+
+Despite considerable organizational complexity, the infrastructure modernization initiative progressed satisfactorily throughout the quarter.
+
+\`\`\`rust
+fn main() { println!("Code blocks are not prose"); }
+\`\`\`
+`;
+
+describe("readability", () => {
+  it("splits sentences without breaking on abbreviations", () => {
+    assert.deepStrictEqual(splitSentences("Use tools, e.g. cargo. Then ship it! Done."), [
+      "Use tools, e.g. cargo.",
+      "Then ship it!",
+      "Done.",
+    ]);
+  });
+
+  it("estimates syllables from vowel groups", () => {
+    assert.strictEqual(countSyllables("the"), 1);
+    assert.strictEqual(countSyllables("made"), 1);
+    assert.strictEqual(countSyllables("readability"), 5);
+  });
+
+  it("scores prose only and ranks the hardest paragraphs first", () => {
+    const result = analyzeText(CONTENT);
+
+    assert.strictEqual(result.paragraphs, 2);
+    assert.strictEqual(result.sentences, 3);
+    assert.strictEqual(result.words, 24);
+    assert.strictEqual(result.fleschKincaidGrade, 15.1);
+    assert.deepStrictEqual(result.hotspots.map((hotspot) => hotspot.paragraph), [2, 1]);
+    assert.strictEqual(result.hotspots[1].sentence, "It was a sunny day.");
+  });
+
+  it("has no scores for content without words", () => {
+    const result = analyzeText("  \n\n");
+
+    assert.strictEqual(result.words, 0);
+    assert.strictEqual(result.avgWordsPerSentence, 0);
+    assert.deepStrictEqual(
+      [result.fleschReadingEase, result.fleschKincaidGrade, result.gunningFog, result.smog],
+      [null, null, null, null]
+    );
+  });
+
+  it("grades empty content n/a instead of Excellent", () => {
+    const config = loadConfig({ cwd: os.tmpdir(), env: {} }).values;
+    const seoOptimizer = new SEOOptimizer("https://example.dev", config);
+
+    const readability = seoOptimizer.analyzeReadability("");
+    assert.strictEqual(readability.readabilityScore, null);
+    assert.strictEqual(readability.grade, "n/a");
+
+    const rule = seoOptimizer.optimizeContent("", "rust").seoScore.rules.find((result) => result.rule === "readability");
+    assert.strictEqual(rule.passed, false);
+    assert.strictEqual(rule.points, 0);
+  });
+});
@@ -0,0 +1,135 @@
+// test/response-cache.test.js
+const assert = require("assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const ResponseCache = require("../src/response-cache");
+const CachingProvider = require("../src/providers/caching-provider");
+
+const REQUEST = { provider: "openai", model: "gpt-4o-mini", prompt: "Write  about\nrust jobs", params: { wordLimit: 500 } };
+
+/**
+ * Provider that answers "reply <n>" and counts its calls
+ */
+function createCountingProvider() {
+  return {
+    name: "openai",
+    displayName: "Fake",
+    calls: 0,
+    async generate() {
+      this.calls++;
+      return { text: `reply ${this.calls}` };
+    },
+    async stream(modelName, prompt, options) {
+      this.calls++;
+      const text = `streamed ${this.calls}`;
+      options.onText(text, text);
+      return { text, aborted: false };
+    },
+  };
+}
+
+describe("ResponseCache", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-cache-"));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("answers the same request, whitespace aside, and counts hits", async () => {
+    const cache = new ResponseCache({ directory: dir });
+    await cache.set(REQUEST, "cached text");
+
+    const entry = await cache.get({ ...REQUEST, prompt: "Write about rust jobs" });
+    assert.strictEqual(entry.text, "cached text");
+    assert.strictEqual(entry.hits, 1);
+
+    assert.strictEqual(await cache.get({ ...REQUEST, model: "gpt-4o" }), null);
+    assert.strictEqual(await cache.get({ ...REQUEST, params: { wordLimit: 800 } }), null);
+  });
+
+  it("drops expired entries when read, and keeps them with ttlHours 0", async () => {
+    const cache = new ResponseCache({ directory: dir, ttlHours: 1 });
+    const key = await cache.set(REQUEST, "old text");
+    const filepath = cache.getEntryPath(key);
+    const entry = await fs.readJson(filepath);
+    await fs.writeJson(filepath, { ...entry, createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+
+    assert.strictEqual((await new ResponseCache({ directory: dir, ttlHours: 0 }).get(REQUEST)).text, "old text");
+    assert.strictEqual(await cache.get(REQUEST), null);
+    assert.strictEqual(await fs.pathExists(filepath), false);
+  });
+
+  it("drops the least recently used entries past the size limit", async () => {
+    const cache = new ResponseCache({ directory: dir, maxSizeMb: 0.001 });
+    await cache.set({ ...REQUEST, prompt: "first" }, "x".repeat(400));
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await cache.set({ ...REQUEST, prompt: "second" }, "y".repeat(400));
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await cache.set({ ...REQUEST, prompt: "third" }, "z".repeat(400));
+
+    assert.strictEqual(await cache.get({ ...REQUEST, prompt: "first" }), null);
+    assert.ok(await cache.get({ ...REQUEST, prompt: "third" }));
+  });
+
+  it("clears one model's entries or only expired ones", async () => {
+    const cache = new ResponseCache({ directory: dir });
+    await cache.set(REQUEST, "a");
+    await cache.set({ ...REQUEST, model: "gpt-4o" }, "b");
+
+    assert.strictEqual(await cache.clear({ expired: true }), 0);
+    assert.strictEqual(await cache.clear({ model: "gpt-4o" }), 1);
+    assert.deepStrictEqual(Object.keys((await cache.stats()).byModel), ["openai/gpt-4o-mini"]);
+  });
+});
+
+describe("CachingProvider", () => {
+  let dir;
+  let cache;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "bloggen-caching-provider-"));
+    cache = new ResponseCache({ directory: dir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it("answers a repeated parsing request from the cache", async () => {
+    const provider = createCountingProvider();
+    const caching = new CachingProvider(provider, { cache });
+
+    const first = await caching.generate("gpt-4o-mini", "parse this", { schema: { type: "object" } });
+    const second = await caching.generate("gpt-4o-mini", "parse this", { schema: { type: "object" } });
+
+    assert.deepStrictEqual([first.cached, second], [undefined, { text: "reply 1", cached: true }]);
+    assert.strictEqual(provider.calls, 1);
+    assert.deepStrictEqual([caching.hits, caching.misses], [1, 1]);
+
+    // A different schema is a different request
+    await caching.generate("gpt-4o-mini", "parse this", { schema: { type: "array" } });
+    assert.strictEqual(provider.calls, 2);
+  });
+
+  it("calls the model for every generation unless generation caching is on", async () => {
+    const provider = createCountingProvider();
+    const onText = () => {};
+
+    const off = new CachingProvider(provider, { cache });
+    await off.stream("gpt-4o-mini", "write a post", { stage: "generation", onText });
+    const rerun = await off.stream("gpt-4o-mini", "write a post", { stage: "generation", onText });
+    assert.strictEqual(rerun.cached, undefined);
+    assert.strictEqual((await cache.stats()).entries, 0);
+
+    const on = new CachingProvider(provider, { cache, generation: true });
+    await on.stream("gpt-4o-mini", "write a post", { stage: "generation", onText });
+    const hit = await on.stream("gpt-4o-mini", "write a post", { stage: "generation", onText });
+    assert.deepStrictEqual(hit, { text: "streamed 3", aborted: false, cached: true });
+    assert.strictEqual(provider.calls, 3);
+  });
+});
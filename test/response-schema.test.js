@@ -0,0 +1,92 @@
+// test/response-schema.test.js
+const assert = require("assert");
+const {
+  toJSONSchema,
+  validateSchema,
+  repairToSchema,
+  formatSchemaErrors,
+} = require("../src/response-schema");
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    topic: { type: "string" },
+    level: { type: "string", enum: ["beginners", "professionals", "step-by-step"] },
+    wordLimit: { type: "integer", nullable: true },
+    critical: { type: "boolean" },
+    keywords: { type: "array", items: { type: "string" } },
+  },
+  required: ["topic", "level", "keywords"],
+};
+
+describe("response-schema", () => {
+  describe("toJSONSchema", () => {
+    it("turns nullable into a null type and lists required keys", () => {
+      const converted = toJSONSchema(SCHEMA);
+
+      assert.deepStrictEqual(converted.properties.wordLimit, { type: ["integer", "null"] });
+      assert.deepStrictEqual(converted.properties.keywords, { type: "array", items: { type: "string" } });
+      assert.deepStrictEqual(converted.required, ["topic", "level", "keywords"]);
+    });
+
+    it("allows null among the values of a nullable enum", () => {
+      const converted = toJSONSchema({ type: "string", enum: ["a", "b"], nullable: true });
+
+      assert.deepStrictEqual(converted.enum, ["a", "b", null]);
+    });
+  });
+
+  describe("validateSchema", () => {
+    it("accepts a matching value", () => {
+      const value = { topic: "rust jobs", level: "professionals", wordLimit: null, critical: true, keywords: ["rust"] };
+
+      assert.deepStrictEqual(validateSchema(value, SCHEMA), []);
+    });
+
+    it("reports every problem with its path", () => {
+      const errors = validateSchema({ level: "experts", wordLimit: 1.5, keywords: ["rust", 3] }, SCHEMA);
+
+      assert.deepStrictEqual(errors, [
+        { path: "topic", message: "is required" },
+        { path: "level", message: 'must be one of beginners, professionals, step-by-step, got "experts"' },
+        { path: "wordLimit", message: "must be an integer, got number" },
+        { path: "keywords[1]", message: "must be a string, got number" },
+      ]);
+    });
+  });
+
+  describe("repairToSchema", () => {
+    it("fixes strings sent for numbers, booleans and lists, and near-miss enum values", () => {
+      const { value, repairs } = repairToSchema(
+        { topic: "rust jobs", level: "Step by step", wordLimit: "500 words", critical: "yes", keywords: "rust, jobs" },
+        SCHEMA
+      );
+
+      assert.deepStrictEqual(value, {
+        topic: "rust jobs",
+        level: "step-by-step",
+        wordLimit: 500,
+        critical: true,
+        keywords: ["rust", "jobs"],
+      });
+      assert.strictEqual(repairs.length, 4);
+      assert.deepStrictEqual(validateSchema(value, SCHEMA), []);
+    });
+
+    it("leaves values it cannot fix for validation to report", () => {
+      const { value, repairs } = repairToSchema({ topic: "x", level: "experts", keywords: [] }, SCHEMA);
+
+      assert.strictEqual(value.level, "experts");
+      assert.deepStrictEqual(repairs, []);
+    });
+  });
+
+  it("formats errors one per line", () => {
+    const text = formatSchemaErrors([
+      { path: "topic", message: "is required" },
+      { path: "level", message: "must be a string, got number" },
+    ]);
+
+    assert.strictEqual(text, "- topic: is required\n- level: must be a string, got number");
+  });
+});
@@ -0,0 +1,29 @@
+// test/seo-optimizer.test.js
+const assert = require("assert");
+const os = require("os");
+const SEOOptimizer = require("../src/seo-optimizer");
+const FileManager = require("../src/file-manager");
+const { loadConfig } = require("../src/config");
+
+describe("SEOOptimizer", () => {
+  const config = loadConfig({ cwd: os.tmpdir(), env: {} }).values;
+  const seoOptimizer = new SEOOptimizer("https://example.dev", config);
+
+  describe("getProfile", () => {
+    it("prefers an explicit profile, then the saved content type, then the workflow", () => {
+      assert.strictEqual(seoOptimizer.getProfile({ profile: "guide", contentType: "news" }), "guide");
+      assert.strictEqual(seoOptimizer.getProfile({ contentType: "news", workflow: { contentType: "guide" } }), "news-article");
+      assert.strictEqual(seoOptimizer.getProfile({ workflow: { contentType: "guide" } }), "guide");
+      assert.strictEqual(seoOptimizer.getProfile({}), "blog-post");
+    });
+  });
+
+  it("scores a saved post with the profile of the content type it was generated as", () => {
+    const content = "# Rust Developer Jobs\n\nRust keeps growing.";
+    const fileManager = new FileManager({ ...config, websiteUrl: "https://example.dev" });
+    const post = fileManager.buildBlogPost({ content, metadata: { topic: "rust jobs", workflow: { contentType: "guide" } } });
+
+    assert.strictEqual(post.metadata.contentType, "guide");
+    assert.strictEqual(seoOptimizer.optimizeContent(post.content, "rust", post.metadata).seoScore.profile, "guide");
+  });
+});
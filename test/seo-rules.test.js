@@ -0,0 +1,80 @@
+// test/seo-rules.test.js
+const assert = require("assert");
+const { RULES, getProfileName, resolveRules, evaluateRules } = require("../src/seo-rules");
+
+function findRule(rules, name) {
+  return rules.find((rule) => rule.name === name);
+}
+
+describe("seo-rules", () => {
+  describe("getProfileName", () => {
+    it("resolves aliases and falls back to blog-post", () => {
+      assert.strictEqual(getProfileName("news"), "news-article");
+      assert.strictEqual(getProfileName("Guide"), "guide");
+      assert.strictEqual(getProfileName("poem"), "blog-post");
+      assert.strictEqual(getProfileName(undefined), "blog-post");
+    });
+
+    it("knows profiles added in the config", () => {
+      assert.strictEqual(getProfileName("newsletter", { profiles: { newsletter: {} } }), "newsletter");
+    });
+  });
+
+  describe("resolveRules", () => {
+    it("returns every built-in rule with its defaults", () => {
+      const rules = resolveRules();
+
+      assert.deepStrictEqual(rules.map((rule) => rule.name), Object.keys(RULES));
+      assert.strictEqual(findRule(rules, "wordCount").min, 1200);
+      assert.ok(rules.every((rule) => rule.enabled));
+    });
+
+    it("layers seo ranges, seo.rules, the built-in profile and seo.profiles in that order", () => {
+      const seoConfig = {
+        wordCount: { min: 1000, max: 1500 },
+        rules: { readability: { weight: 30 }, imageAltText: { enabled: false } },
+        profiles: { guide: { wordCount: { max: 4000 } } },
+      };
+
+      const blogPost = resolveRules(seoConfig, "blog-post");
+      assert.strictEqual(findRule(blogPost, "wordCount").min, 1000);
+      assert.strictEqual(findRule(blogPost, "readability").weight, 30);
+      assert.strictEqual(findRule(blogPost, "imageAltText").enabled, false);
+
+      const guide = resolveRules(seoConfig, "guide");
+      assert.strictEqual(findRule(guide, "wordCount").min, 1500);
+      assert.strictEqual(findRule(guide, "wordCount").max, 4000);
+    });
+  });
+
+  describe("evaluateRules", () => {
+    const rules = resolveRules().filter((rule) => ["wordCount", "imageAltText"].includes(rule.name));
+
+    it("awards full points for passing rules", () => {
+      const result = evaluateRules({ wordCount: 1500, images: { count: 2, missingAlt: 0 } }, rules);
+
+      assert.strictEqual(result.score, result.maxScore);
+      assert.ok(result.results.every((rule) => rule.passed && rule.message === null));
+    });
+
+    it("scores failing rules by ratio and explains them", () => {
+      const result = evaluateRules({ wordCount: 300, images: { count: 4, missingAlt: 1 } }, rules);
+      const wordCount = result.results.find((rule) => rule.rule === "wordCount");
+      const images = result.results.find((rule) => rule.rule === "imageAltText");
+
+      assert.strictEqual(wordCount.points, Math.round(RULES.wordCount.weight * 0.2));
+      assert.strictEqual(wordCount.message, "Content is too short (300 words). Aim for 1200-1800 words.");
+      assert.strictEqual(images.points, Math.round(RULES.imageAltText.weight * 0.75));
+      assert.strictEqual(result.score, wordCount.points + images.points);
+    });
+
+    it("skips disabled and zero-weight rules", () => {
+      const trimmed = [
+        { ...rules[0], enabled: false },
+        { ...rules[1], weight: 0 },
+      ];
+
+      assert.deepStrictEqual(evaluateRules({}, trimmed), { score: 0, maxScore: 0, results: [] });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// test/usage.test.js
+const assert = require("assert");
+const {
+  estimateTokens,
+  createAttempt,
+  getPrices,
+  priceAttempt,
+  summarizeUsage,
+  buildUsageReport,
+} = require("../src/usage");
+
+const PRICES = { "gpt-4o-mini": { input: 0.15, output: 0.6 } };
+
+function attempt(fields) {
+  return {
+    stage: "generation",
+    provider: "openai",
+    model: "gpt-4o-mini",
+    status: "success",
+    promptTokens: 1000,
+    completionTokens: 2000,
+    estimated: false,
+    cached: false,
+    at: "2026-10-19T08:00:00.000Z",
+    ...fields,
+  };
+}
+
+describe("usage", () => {
+  it("estimates about four characters per token", () => {
+    assert.strictEqual(estimateTokens("abcdefgh"), 2);
+    assert.strictEqual(estimateTokens("abcdefghi"), 3);
+    assert.strictEqual(estimateTokens(null), 0);
+  });
+
+  describe("createAttempt", () => {
+    it("takes reported token counts", () => {
+      const created = createAttempt({
+        stage: "parsing",
+        provider: "openai",
+        model: "gpt-4o-mini",
+        prompt: "ignored",
+        response: { text: "ignored", usage: { promptTokens: 12, completionTokens: 34 } },
+      });
+
+      assert.strictEqual(created.status, "success");
+      assert.strictEqual(created.promptTokens, 12);
+      assert.strictEqual(created.completionTokens, 34);
+      assert.strictEqual(created.estimated, false);
+    });
+
+    it("estimates missing counts and counts nothing for cache hits or failures", () => {
+      const estimated = createAttempt({ provider: "mock", model: "mock-model", prompt: "12345678", response: { text: "1234" } });
+      assert.strictEqual(estimated.promptTokens, 2);
+      assert.strictEqual(estimated.completionTokens, 1);
+      assert.strictEqual(estimated.estimated, true);
+
+      const cached = createAttempt({ provider: "openai", model: "gpt-4o-mini", prompt: "x", response: { text: "y", cached: true } });
+      assert.strictEqual(cached.cached, true);
+      assert.strictEqual(cached.promptTokens + cached.completionTokens, 0);
+
+      const failed = createAttempt({ provider: "openai", model: "gpt-4o-mini", error: new Error("boom") });
+      assert.strictEqual(failed.status, "failed");
+      assert.strictEqual(failed.error, "boom");
+    });
+  });
+
+  describe("priceAttempt", () => {
+    it("prices by model in USD per million tokens", () => {
+      assert.strictEqual(priceAttempt(attempt(), PRICES), (1000 * 0.15 + 2000 * 0.6) / 1e6);
+    });
+
+    it("charges nothing for local providers and cache hits, and null for unknown models", () => {
+      assert.strictEqual(priceAttempt(attempt({ provider: "ollama", model: "llama3.1" }), PRICES), 0);
+      assert.strictEqual(priceAttempt(attempt({ cached: true }), PRICES), 0);
+      assert.strictEqual(priceAttempt(attempt({ model: "unknown" }), PRICES), null);
+    });
+
+    it("lets the config's pricing table override the registry", () => {
+      const prices = getPrices({ provider: { name: "openai" }, pricing: { "gpt-4o-mini": { input: 1, output: 1 } } });
+
+      assert.deepStrictEqual(prices["gpt-4o-mini"], { input: 1, output: 1 });
+      assert.deepStrictEqual(prices["gpt-4o"], { input: 2.5, output: 10 });
+    });
+  });
+
+  it("summarizes calls, failures, cache hits and tokens", () => {
+    const summary = summarizeUsage([
+      attempt(),
+      attempt({ status: "failed", promptTokens: 0, completionTokens: 0 }),
+      attempt({ cached: true, promptTokens: 0, completionTokens: 0 }),
+      attempt({ estimated: true, promptTokens: 10, completionTokens: 20 }),
+    ]);
+
+    assert.strictEqual(summary.calls, 2);
+    assert.strictEqual(summary.failedCalls, 1);
+    assert.strictEqual(summary.cachedCalls, 1);
+    assert.strictEqual(summary.totalTokens, 3030);
+    assert.strictEqual(summary.estimated, true);
+  });
+
+  describe("buildUsageReport", () => {
+    const entries = [
+      { filename: "a.json", category: "Salary", usage: [attempt(), attempt({ at: "2026-10-20T08:00:00.000Z" })] },
+      { filename: "b.json", category: "Remote", usage: [attempt({ model: "unknown", at: "2026-09-30T08:00:00.000Z" })] },
+    ];
+
+    it("groups by day and adds up totals", () => {
+      const report = buildUsageReport(entries, { prices: PRICES });
+
+      assert.deepStrictEqual(report.rows.map((row) => row.key), ["2026-09-30", "2026-10-19", "2026-10-20"]);
+      assert.strictEqual(report.totals.posts, 2);
+      assert.strictEqual(report.totals.calls, 3);
+      assert.strictEqual(report.totals.totalTokens, 9000);
+      assert.deepStrictEqual(report.unpriced, ["unknown"]);
+    });
+
+    it("filters by month and groups by category", () => {
+      const report = buildUsageReport(entries, { prices: PRICES, by: "category", month: "2026-10" });
+
+      assert.deepStrictEqual(report.rows.map((row) => [row.key, row.calls]), [["Salary", 2]]);
+    });
+
+    it("rejects unknown groups and malformed dates", () => {
+      assert.throws(() => buildUsageReport(entries, { by: "week" }), /Unknown --by value "week"/);
+      assert.throws(() => buildUsageReport(entries, { month: "October" }), /Invalid month/);
+      assert.throws(() => buildUsageReport(entries, { since: "yesterday" }), /Invalid date/);
+    });
+  });
+});